@@ -0,0 +1,94 @@
+// AuxBus.js — Shared send/return effect buses.
+// Every instance feeds the buses through its own send gains; each bus runs a
+// single effect (100% wet) and returns into the master chain. Several layers
+// can share one reverb space instead of each running its own.
+
+import { ReverbEffect } from './effects/ReverbEffect.js';
+import { DelayEffect } from './effects/DelayEffect.js';
+
+/**
+ * @typedef {Object} AuxBusSettings
+ * @property {{ level: number, decay: number, tone: number }} reverb
+ * @property {{ level: number, divisor: number, feedback: number, damping: number }} delay
+ */
+
+/** Bus names, also the keys of per-instance send levels. */
+export const AUX_BUS_NAMES = ['reverb', 'delay'];
+
+/**
+ * Default bus settings (return levels and effect parameters).
+ * @returns {AuxBusSettings}
+ */
+export function createDefaultAuxBuses() {
+    return {
+        reverb: { level: 0.8, decay: 3.5, tone: 7000 },
+        delay:  { level: 0.8, divisor: 4, feedback: 0.45, damping: 5000 },
+    };
+}
+
+/**
+ * Default per-instance send levels (all dry).
+ * @returns {Record<string, number>}
+ */
+export function createDefaultSends() {
+    return { reverb: 0, delay: 0 };
+}
+
+export class AuxBus {
+    /**
+     * @param {BaseAudioContext} audioContext
+     * @param {import('./effects/InsertEffect.js').InsertEffect} effect - Runs fully wet
+     * @param {AudioNode} destination - Where the return is mixed (master gain)
+     */
+    constructor(audioContext, effect, destination) {
+        this.audioContext = audioContext;
+
+        /** Sum of all instance sends */
+        this.input = audioContext.createGain();
+        /** Return level into the master */
+        this.returnGain = audioContext.createGain();
+
+        this.effect = effect;
+        this.effect.setSettings({ mix: 1, bypass: false });
+
+        this.input.connect(this.effect.input);
+        this.effect.output.connect(this.returnGain);
+        this.returnGain.connect(destination);
+    }
+
+    /**
+     * Apply return level and effect settings. Missing keys keep their value.
+     * @param {{ level?: number }} settings - Plus the effect's own keys
+     */
+    setSettings(settings) {
+        const { level, ...effectSettings } = settings;
+        if (level !== undefined) {
+            this.returnGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.01);
+        }
+        this.effect.setSettings(effectSettings);
+    }
+
+    /** Disconnect the bus. */
+    dispose() {
+        this.input.disconnect();
+        this.effect.dispose();
+        this.returnGain.disconnect();
+    }
+}
+
+/**
+ * Build the standard set of aux buses on a context.
+ * Shared by MasterBus and the offline renderer.
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} destination
+ * @returns {{ reverb: AuxBus, delay: AuxBus }}
+ */
+export function createAuxBuses(ctx, destination) {
+    const buses = {
+        reverb: new AuxBus(ctx, new ReverbEffect(ctx), destination),
+        delay: new AuxBus(ctx, new DelayEffect(ctx), destination),
+    };
+    const defaults = createDefaultAuxBuses();
+    for (const name of AUX_BUS_NAMES) buses[name].setSettings(defaults[name]);
+    return buses;
+}
@@ -36,15 +36,46 @@ export class GrainScheduler {
         this._timerId = null;
 
         this._running = false;
+
+        /**
+         * When true, no timer is armed: the owner drives scheduling by calling
+         * advance() (used by the offline renderer, where time does not flow).
+         */
+        this.manual = false;
+
+        /**
+         * Shared heartbeat that replaces the private setTimeout loop, or null.
+         * @type {import('./TickSource.js').TickSource|null}
+         */
+        this.tickSource = null;
+
+        /**
+         * Master clock for grid-locked quantization, or null. With a clock,
+         * quantized grains land on epoch + n·period at the clock's current
+         * BPM instead of accumulating inter-onset times.
+         * @type {import('./MasterClock.js').MasterClock|null}
+         */
+        this.clock = null;
+
+        this._onTick = () => this._tick();
+
+        this.resetDriftStats();
     }
 
     /**
      * Start scheduling grains.
+     * @param {number} [when] - Time of the first grain (defaults to now)
      */
-    start() {
+    start(when) {
         if (this._running) return;
         this._running = true;
-        this.nextGrainTime = this.audioContext.currentTime;
+        this.nextGrainTime = when ?? this.audioContext.currentTime;
+        const period = this._getGridPeriod();
+        if (period !== null) {
+            this.nextGrainTime = this.clock.getNextGridTime(this.nextGrainTime, period);
+        }
+        if (this.manual) return;
+        if (this.tickSource) this.tickSource.add(this._onTick);
         this._tick();
     }
 
@@ -53,6 +84,7 @@ export class GrainScheduler {
      */
     stop() {
         this._running = false;
+        if (this.tickSource) this.tickSource.remove(this._onTick);
         if (this._timerId !== null) {
             clearTimeout(this._timerId);
             this._timerId = null;
@@ -79,17 +111,116 @@ export class GrainScheduler {
         this.interOnsetRange = [min, max];
     }
 
+    /**
+     * Replace the heartbeat driving this scheduler (null = private setTimeout).
+     * @param {import('./TickSource.js').TickSource|null} tickSource
+     */
+    setTickSource(tickSource) {
+        const running = this._running && !this.manual;
+        if (running) this.stop();
+        this.tickSource = tickSource;
+        if (running) {
+            this._running = true;
+            if (tickSource) tickSource.add(this._onTick);
+            this._tick();
+        }
+    }
+
+    /**
+     * Timing accuracy since the last reset. Lateness is how far behind
+     * currentTime a grain was when it got scheduled (the scheduler was
+     * starved); grid error is the distance of grid-locked grains from the
+     * MasterClock subdivision grid. All times in seconds.
+     * @returns {{ grains: number, lateGrains: number, maxLateness: number, gridGrains: number, maxGridError: number, meanGridError: number }}
+     */
+    getDriftStats() {
+        const d = this._drift;
+        return {
+            grains: d.grains,
+            lateGrains: d.lateGrains,
+            maxLateness: d.maxLateness,
+            gridGrains: d.gridGrains,
+            maxGridError: d.maxGridError,
+            meanGridError: d.gridGrains > 0 ? d.gridErrorSum / d.gridGrains : 0,
+        };
+    }
+
+    /** Zero the counters reported by getDriftStats(). */
+    resetDriftStats() {
+        this._drift = {
+            grains: 0,
+            lateGrains: 0,
+            maxLateness: 0,
+            gridGrains: 0,
+            maxGridError: 0,
+            gridErrorSum: 0,
+        };
+    }
+
     /**
      * Internal tick — schedules grains into the look-ahead window,
-     * then re-arms the timer.
+     * then re-arms the timer (unless a tick source drives us).
      */
     _tick() {
         if (!this._running) return;
 
-        const deadline = this.audioContext.currentTime + this.scheduleAhead;
+        this.advance(this.audioContext.currentTime + this.scheduleAhead);
+
+        if (!this.tickSource) {
+            this._timerId = setTimeout(() => this._tick(), this.timerInterval);
+        }
+    }
+
+    /**
+     * Grid spacing for clock-locked quantization, or null when grains are
+     * free-running (no clock attached or quantization off).
+     * @returns {number|null}
+     * @private
+     */
+    _getGridPeriod() {
+        if (!this.clock || this.quantizeDivisor === null) return null;
+        return getSubdivisionSeconds(this.clock.bpm, this.quantizeDivisor);
+    }
+
+    /**
+     * Schedule every grain whose start time falls before the deadline.
+     * @param {number} deadline - audioContext time (exclusive)
+     */
+    advance(deadline) {
+        if (!this._running) return;
+
+        const d = this._drift;
+
+        // A starved scheduler must not burst out every missed grain at once:
+        // resume from now (or the next grid point) and record the stall.
+        if (!this.manual) {
+            const now = this.audioContext.currentTime;
+            if (this.nextGrainTime < now) {
+                const lateness = now - this.nextGrainTime;
+                d.lateGrains++;
+                if (lateness > d.maxLateness) d.maxLateness = lateness;
+                const period = this._getGridPeriod();
+                this.nextGrainTime = period !== null
+                    ? this.clock.getNextGridTime(now, period)
+                    : now;
+            }
+        }
 
         while (this.nextGrainTime < deadline) {
             this.onScheduleGrain(this.nextGrainTime);
+            d.grains++;
+
+            // Grid-locked: derive the next onset from the clock, not by summing
+            const period = this._getGridPeriod();
+            if (period !== null) {
+                const error = Math.abs(this.nextGrainTime - this.clock.quantizeToGrid(this.nextGrainTime, period));
+                d.gridGrains++;
+                d.gridErrorSum += error;
+                if (error > d.maxGridError) d.maxGridError = error;
+                // Nearest grid point one period on (re-anchors after BPM changes)
+                this.nextGrainTime = this.clock.quantizeToGrid(this.nextGrainTime + period, period);
+                continue;
+            }
 
             let iot;
             if (this.interOnsetRange) {
@@ -109,7 +240,5 @@ export class GrainScheduler {
 
             this.nextGrainTime += iot;
         }
-
-        this._timerId = setTimeout(() => this._tick(), this.timerInterval);
     }
 }
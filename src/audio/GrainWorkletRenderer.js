@@ -0,0 +1,153 @@
+// GrainWorkletRenderer.js — Main-thread side of the AudioWorklet grain engine.
+// One renderer per GranularEngine: a single AudioWorkletNode with one stereo
+// output per voice, each wired into that voice's gainNode. Grains are planned
+// with planGrain() (same GrainParams contract as createGrain) and posted in
+// batches; the source buffer and envelope curves are sent only once.
+
+import { planGrain } from './grainFactory.js';
+import { loadWorkletModule } from './workletLoader.js';
+
+const GRAIN_MODULE_URL = new URL('./worklets/grain-processor.js', import.meta.url);
+
+export class GrainWorkletRenderer {
+    /**
+     * Load the worklet module and build a renderer.
+     * @param {BaseAudioContext} audioContext
+     * @param {number} voiceCount - Number of outputs (one per voice slot)
+     * @returns {Promise<GrainWorkletRenderer>} Rejects if AudioWorklet is unavailable
+     */
+    static async create(audioContext, voiceCount) {
+        await loadWorkletModule(audioContext, GRAIN_MODULE_URL);
+        return new GrainWorkletRenderer(audioContext, voiceCount);
+    }
+
+    /**
+     * @param {BaseAudioContext} audioContext
+     * @param {number} voiceCount
+     */
+    constructor(audioContext, voiceCount) {
+        this.node = new AudioWorkletNode(audioContext, 'granul8-grains', {
+            numberOfInputs: 0,
+            numberOfOutputs: voiceCount,
+            outputChannelCount: new Array(voiceCount).fill(2),
+        });
+
+        /** @type {AudioBuffer|null} Buffer currently held by the processor */
+        this._buffer = null;
+
+        /** @type {WeakMap<Float32Array, number>} Envelope curves already sent */
+        this._curveIds = new WeakMap();
+        this._nextCurveId = 0;
+
+        /** @type {Object[]} Grains waiting for the next flush */
+        this._pending = [];
+        this._flushQueued = false;
+    }
+
+    /**
+     * Connect one voice's output to its destination.
+     * @param {number} voiceId
+     * @param {AudioNode} destination - The voice's gainNode
+     */
+    connectVoice(voiceId, destination) {
+        this.node.connect(destination, voiceId);
+    }
+
+    /**
+     * Send the source buffer to the audio thread (copied once).
+     * @param {AudioBuffer} buffer
+     */
+    setBuffer(buffer) {
+        if (buffer === this._buffer) return;
+        this._buffer = buffer;
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c).slice());
+        }
+        this.node.port.postMessage(
+            { type: 'buffer', channels, sampleRate: buffer.sampleRate },
+            channels.map((c) => c.buffer)
+        );
+    }
+
+    /**
+     * Plan and queue a grain. Mirrors createGrain()'s signature minus the
+     * destination, which is implied by the voice.
+     * @param {number} voiceId
+     * @param {AudioBuffer} buffer
+     * @param {import('./grainFactory.js').GrainParams} params
+     * @param {number} when - audioContext time to start the grain
+     * @param {Function} [onGrain] - Visualization callback, same payload as createGrain
+     */
+    scheduleGrain(voiceId, buffer, params, when, onGrain) {
+        if (buffer !== this._buffer) this.setBuffer(buffer);
+
+        const plan = planGrain(buffer, params);
+        if (!plan) return;
+
+        this._pending.push({
+            voice: voiceId,
+            when,
+            offset: plan.offset,
+            duration: plan.duration,
+            pitch: plan.pitch,
+            amplitude: plan.amplitude,
+            pan: plan.pan,
+            envelopeId: this._getCurveId(plan.curve),
+        });
+
+        // Grains from one scheduler tick (and all voices) go out in one message
+        if (!this._flushQueued) {
+            this._flushQueued = true;
+            queueMicrotask(() => this._flush());
+        }
+
+        if (onGrain) {
+            onGrain({
+                position: plan.position,
+                duration: plan.duration,
+                amplitude: params.amplitude,
+                pitch: plan.pitch,
+                when
+            });
+        }
+    }
+
+    /** Drop every scheduled and sounding grain. */
+    clear() {
+        this._pending = [];
+        this.node.port.postMessage({ type: 'clear' });
+    }
+
+    /** Disconnect the node. */
+    dispose() {
+        this.clear();
+        this.node.disconnect();
+        this.node.port.close();
+    }
+
+    /**
+     * Envelope curves are cached by envelopes.js, so identity is stable:
+     * each distinct curve is posted once and then referenced by id.
+     * @param {Float32Array} curve
+     * @returns {number}
+     * @private
+     */
+    _getCurveId(curve) {
+        let id = this._curveIds.get(curve);
+        if (id === undefined) {
+            id = this._nextCurveId++;
+            this._curveIds.set(curve, id);
+            this.node.port.postMessage({ type: 'envelope', id, curve });
+        }
+        return id;
+    }
+
+    /** @private */
+    _flush() {
+        this._flushQueued = false;
+        if (this._pending.length === 0) return;
+        this.node.port.postMessage({ type: 'grains', grains: this._pending });
+        this._pending = [];
+    }
+}
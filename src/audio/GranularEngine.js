@@ -1,7 +1,10 @@
-// GranularEngine.js — Per-instance audio subgraph: voice pool + instance gain.
-// Connects to an external destination (typically MasterBus.masterGain).
+// GranularEngine.js — Per-instance audio subgraph: voice pool + instance gain
+// + insert effects + mixer strip (pan, mute). Connects to an external
+// destination (typically MasterBus.masterGain).
 
 import { VoiceAllocator } from '../input/VoiceAllocator.js';
+import { GrainWorkletRenderer } from './GrainWorkletRenderer.js';
+import { EffectsRack } from './effects/EffectsRack.js';
 
 export class GranularEngine {
     /**
@@ -18,7 +21,25 @@ export class GranularEngine {
         // Per-instance gain node (volume + anti-clip scaling)
         this.instanceGain = audioContext.createGain();
         this.instanceGain.gain.value = 1.0;
-        this.instanceGain.connect(destination);
+
+        // Insert effects: instanceGain → filter → delay → reverb
+        this.effects = new EffectsRack(audioContext);
+        this.instanceGain.connect(this.effects.input);
+
+        // Mixer strip: effects → pan → mute → destination
+        this.panNode = audioContext.createStereoPanner();
+        this.muteGain = audioContext.createGain();
+        this.effects.output.connect(this.panNode);
+        this.panNode.connect(this.muteGain);
+        this.muteGain.connect(destination);
+
+        // Post-fader meter tap: reads what this instance feeds the master bus
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.muteGain.connect(this.analyser);
+
+        /** @type {Record<string, GainNode>} Post-insert sends, keyed by aux bus name */
+        this.sends = {};
 
         // Voice pool (10 voices, mapped by pointer ID)
         this._allocator = new VoiceAllocator(audioContext, this.instanceGain);
@@ -30,18 +51,70 @@ export class GranularEngine {
         this._allocator.onGrain = (info) => {
             if (this.onGrain) this.onGrain(info);
         };
+
+        /** @type {GrainWorkletRenderer|null} AudioWorklet grain renderer, null = node path */
+        this._renderer = null;
+
+        this._disposed = false;
+    }
+
+    /** Whether grains are rendered by the AudioWorklet (vs. per-grain nodes). */
+    get usesWorklet() {
+        return this._renderer !== null;
+    }
+
+    /**
+     * Render grains in an AudioWorklet instead of creating nodes per grain.
+     * Falls back silently to the node path if AudioWorklet is unavailable.
+     * @returns {Promise<boolean>} True if the worklet renderer is active
+     */
+    async enableWorklet() {
+        if (this._renderer) return true;
+        let renderer;
+        try {
+            renderer = await GrainWorkletRenderer.create(this.audioContext, this._allocator.maxVoices);
+        } catch (err) {
+            console.warn('AudioWorklet grain engine unavailable, using node grains:', err);
+            return false;
+        }
+        // The engine may have been disposed or switched back while loading
+        if (this._disposed) {
+            renderer.dispose();
+            return false;
+        }
+
+        this._renderer = renderer;
+        if (this.sourceBuffer) renderer.setBuffer(this.sourceBuffer);
+        for (const voice of this._allocator.voices) {
+            renderer.connectVoice(voice.id, voice.gainNode);
+            voice.renderer = renderer;
+        }
+        return true;
+    }
+
+    /**
+     * Return to node-per-grain rendering (the fallback path).
+     */
+    disableWorklet() {
+        if (!this._renderer) return;
+        for (const voice of this._allocator.voices) {
+            voice.renderer = null;
+        }
+        this._renderer.dispose();
+        this._renderer = null;
     }
 
     /**
      * Anti-clipping Layer 2: recalculate per-voice gain based on active voice count.
      * Each voice gets 1/sqrt(N) to compensate for RMS summing of uncorrelated voices.
+     * @param {number} [when] - Time of the change (defaults to now)
      * @private
      */
-    _updateVoiceGains() {
+    _updateVoiceGains(when) {
         const count = this._allocator.activeCount;
         const baseLevel = 0.4;
         const scale = count > 0 ? baseLevel / Math.sqrt(count) : 0;
-        this._allocator.setGainLevel(scale);
+        this._allocator.setGainLevel(scale, when);
     }
 
     /**
@@ -73,23 +146,93 @@ export class GranularEngine {
     async _decodeAndStore(arrayBuffer) {
         this._allocator.releaseAll();
         const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        this.setBuffer(buffer);
+        return buffer;
+    }
+
+    /**
+     * Use an already-decoded AudioBuffer (e.g. one shared with another engine).
+     * @param {AudioBuffer|null} buffer - null leaves the engine without a sample
+     */
+    setBuffer(buffer) {
         this.sourceBuffer = buffer;
         this._allocator.setBuffer(buffer);
-        return buffer;
+        if (this._renderer && buffer) this._renderer.setBuffer(buffer);
+    }
+
+    /**
+     * Attach the shared scheduling heartbeat and master clock to every voice.
+     * Quantized densities then stay locked to the clock's subdivision grid.
+     * @param {import('./MasterClock.js').MasterClock|null} clock
+     * @param {import('./TickSource.js').TickSource|null} tickSource
+     */
+    setScheduling(clock, tickSource) {
+        for (const voice of this._allocator.voices) {
+            voice.scheduler.clock = clock;
+            voice.scheduler.setTickSource(tickSource);
+        }
+    }
+
+    /**
+     * Combined scheduling accuracy of all voices (see GrainScheduler.getDriftStats).
+     * @returns {{ grains: number, lateGrains: number, maxLateness: number, gridGrains: number, maxGridError: number, meanGridError: number }}
+     */
+    getDriftStats() {
+        const total = { grains: 0, lateGrains: 0, maxLateness: 0, gridGrains: 0, maxGridError: 0, meanGridError: 0 };
+        let gridErrorSum = 0;
+        for (const voice of this._allocator.voices) {
+            const s = voice.scheduler.getDriftStats();
+            total.grains += s.grains;
+            total.lateGrains += s.lateGrains;
+            total.maxLateness = Math.max(total.maxLateness, s.maxLateness);
+            total.gridGrains += s.gridGrains;
+            total.maxGridError = Math.max(total.maxGridError, s.maxGridError);
+            gridErrorSum += s.meanGridError * s.gridGrains;
+        }
+        if (total.gridGrains > 0) total.meanGridError = gridErrorSum / total.gridGrains;
+        return total;
+    }
+
+    /** Zero the drift counters of all voices. */
+    resetDriftStats() {
+        for (const voice of this._allocator.voices) {
+            voice.scheduler.resetDriftStats();
+        }
+    }
+
+    /**
+     * Switch all voices between timer-driven and manually advanced scheduling.
+     * @param {boolean} enabled
+     */
+    setManualScheduling(enabled) {
+        for (const voice of this._allocator.voices) {
+            voice.scheduler.manual = enabled;
+        }
+    }
+
+    /**
+     * Manual scheduling: schedule grains of all active voices up to a deadline.
+     * @param {number} deadline - audioContext time (exclusive)
+     */
+    advanceVoices(deadline) {
+        for (const voice of this._allocator.voices) {
+            if (voice.active) voice.scheduler.advance(deadline);
+        }
     }
 
     /**
      * Start a voice for the given pointer ID.
      * @param {number} pointerId
      * @param {Object} params
+     * @param {number} [when] - Time of the first grain (defaults to now)
      * @returns {number|undefined} The voice slot id, or undefined if allocation failed.
      */
-    startVoice(pointerId, params) {
+    startVoice(pointerId, params, when) {
         if (!this.sourceBuffer) return undefined;
         const voice = this._allocator.allocate(pointerId);
         if (!voice) return undefined;
-        voice.start(params);
-        this._updateVoiceGains();
+        voice.start(params, when);
+        this._updateVoiceGains(when);
         return voice.id;
     }
 
@@ -97,10 +240,13 @@ export class GranularEngine {
      * Update the voice mapped to the given pointer ID.
      * @param {number} pointerId
      * @param {Object} params
+     * @param {number} [when] - Time the change takes effect (defaults to the next grain)
      */
-    updateVoice(pointerId, params) {
+    updateVoice(pointerId, params, when) {
         const voice = this._allocator.getVoice(pointerId);
         if (voice && voice.active) {
+            // Grains before a scheduled change keep the old params
+            if (when !== undefined) voice.scheduler.advance(when);
             voice.update(params);
         }
     }
@@ -118,10 +264,13 @@ export class GranularEngine {
     /**
      * Stop the voice mapped to the given pointer ID.
      * @param {number} pointerId
+     * @param {number} [when] - Time of the fade-out (defaults to now)
      */
-    stopVoice(pointerId) {
-        this._allocator.release(pointerId);
-        this._updateVoiceGains();
+    stopVoice(pointerId, when) {
+        const voice = this._allocator.getVoice(pointerId);
+        if (voice && when !== undefined) voice.scheduler.advance(when);
+        this._allocator.release(pointerId, when);
+        this._updateVoiceGains(when);
     }
 
     /**
@@ -129,13 +278,16 @@ export class GranularEngine {
      * Stops scheduling new grains but lets existing pre-scheduled grains
      * play out naturally. Used for crossfade overlap at loop boundaries.
      * @param {number} pointerId
+     * @param {number} [when] - Time of the release and gain rebalance (defaults to now)
      */
-    releaseVoice(pointerId) {
+    releaseVoice(pointerId, when) {
         const voice = this._allocator.getVoice(pointerId);
         if (voice) {
+            // Grains up to a scheduled release still play
+            if (when !== undefined) voice.scheduler.advance(when);
             voice.release();
             this._allocator._pointerMap.delete(pointerId);
-            this._updateVoiceGains();
+            this._updateVoiceGains(when);
         }
     }
 
@@ -159,10 +311,82 @@ export class GranularEngine {
     }
 
     /**
-     * Clean up: disconnect instance gain, dispose allocator.
+     * Apply insert effect settings (see EffectsRack).
+     * @param {Partial<import('./effects/EffectsRack.js').EffectsSettings>} settings
+     */
+    setEffects(settings) {
+        this.effects.setSettings(settings);
+    }
+
+    /**
+     * Feed the shared aux buses: one send gain per bus, tapped at the end of
+     * the mixer strip (post-fader, so muting an instance also mutes its
+     * sends). Sends start at 0.
+     * @param {Record<string, import('./AuxBus.js').AuxBus>} buses
+     */
+    connectSends(buses) {
+        for (const [name, bus] of Object.entries(buses)) {
+            const send = this.audioContext.createGain();
+            send.gain.value = 0;
+            this.muteGain.connect(send);
+            send.connect(bus.input);
+            this.sends[name] = send;
+        }
+    }
+
+    /**
+     * Set send levels (0–1) by bus name. Unknown buses are ignored.
+     * @param {Record<string, number>} levels
+     */
+    setSends(levels) {
+        for (const [name, level] of Object.entries(levels)) {
+            const send = this.sends[name];
+            if (send) send.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.01);
+        }
+    }
+
+    /**
+     * Follow the master tempo (tempo-synced effects).
+     * @param {number} bpm
+     */
+    setTempo(bpm) {
+        this.effects.setBpm(bpm);
+    }
+
+    /**
+     * Set the instance's stereo position (-1 to 1).
+     * @param {number} value
+     */
+    setInstancePan(value) {
+        this.panNode.pan.linearRampToValueAtTime(
+            value,
+            this.audioContext.currentTime + 0.02
+        );
+    }
+
+    /**
+     * Silence or restore the instance output (mute / solo result).
+     * @param {boolean} audible
+     */
+    setAudible(audible) {
+        this.muteGain.gain.linearRampToValueAtTime(
+            audible ? 1 : 0,
+            this.audioContext.currentTime + 0.02
+        );
+    }
+
+    /**
+     * Clean up: disconnect instance gain and effects, dispose allocator.
      */
     dispose() {
+        this._disposed = true;
+        this.disableWorklet();
         this._allocator.dispose();
         this.instanceGain.disconnect();
+        this.effects.dispose();
+        this.panNode.disconnect();
+        this.muteGain.disconnect();
+        this.analyser.disconnect();
+        for (const send of Object.values(this.sends)) send.disconnect();
     }
 }
@@ -3,6 +3,10 @@
 
 import { MasterClock } from './MasterClock.js';
 import { Metronome } from './Metronome.js';
+import { OutputCapture } from './OutputCapture.js';
+import { TickSource } from './TickSource.js';
+import { createAuxBuses, AUX_BUS_NAMES } from './AuxBus.js';
+import { createDefaultMastering, applyMastering } from './Mastering.js';
 
 export class MasterBus {
     constructor() {
@@ -12,35 +16,63 @@ export class MasterBus {
         // --- Master output chain ---
         // instanceGains → masterGain → limiter → softClipper → analyser → destination
 
-        this.masterGain = this.audioContext.createGain();
+        const chain = createOutputChain(this.audioContext);
+        this.masterGain = chain.masterGain;
         this.masterGain.gain.value = 0.7;
 
         // Anti-clipping: Brickwall limiter (DynamicsCompressor)
-        this.limiter = this.audioContext.createDynamicsCompressor();
-        this.limiter.threshold.setValueAtTime(-3, this.audioContext.currentTime);
-        this.limiter.knee.setValueAtTime(0, this.audioContext.currentTime);
-        this.limiter.ratio.setValueAtTime(20, this.audioContext.currentTime);
-        this.limiter.attack.setValueAtTime(0.001, this.audioContext.currentTime);
-        this.limiter.release.setValueAtTime(0.05, this.audioContext.currentTime);
+        this.limiter = chain.limiter;
 
-        // Anti-clipping: Soft clipper (tanh waveshaper)
-        this.softClipper = this._createSoftClipper();
+        // Anti-clipping: Soft clipper (waveshaper, curve per mastering settings)
+        this.softClipper = chain.softClipper;
+
+        /** @type {import('./Mastering.js').MasteringSettings} */
+        this.mastering = createDefaultMastering();
 
         // Analyser for level meter visualization
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = 2048;
 
-        // Connect chain
-        this.masterGain.connect(this.limiter);
-        this.limiter.connect(this.softClipper);
+        // Connect chain (masterGain → limiter → softClipper is wired by createOutputChain)
         this.softClipper.connect(this.analyser);
         this.analyser.connect(this.audioContext.destination);
 
+        // Shared send/return effects (instances feed them via engine sends)
+        this.auxBuses = createAuxBuses(this.audioContext, this.masterGain);
+
         // Master clock for loop station timing
         this.clock = new MasterClock(this.audioContext);
 
+        // Audio-thread heartbeat shared by all grain schedulers. Ticks come from
+        // setTimeout until init() has loaded the worklet (or worker) driver.
+        this.tickSource = new TickSource(this.audioContext);
+        this.tickSource.init();
+
         // Metronome with dedicated gain (separate volume/mute)
         this.metronome = new Metronome(this.audioContext, this.clock, this.masterGain);
+
+        // Monitor-only path for the metronome when it is excluded from output
+        // capture: follows master volume and has its own limiter and clipper
+        // (same settings as the master) ahead of the speakers, but skips the
+        // analyser the capture taps
+        this._monitorChain = createOutputChain(this.audioContext, this.mastering);
+        this.metronomeMonitor = this._monitorChain.masterGain;
+        this.metronomeMonitor.gain.value = this.masterGain.gain.value;
+        this._monitorChain.softClipper.connect(this.audioContext.destination);
+
+        /** Whether the metronome is routed through the captured chain. */
+        this._metronomeCaptured = true;
+
+        // Live capture of everything heard, tapped after the analyser
+        this.capture = new OutputCapture(this.audioContext, this.analyser);
+
+        /**
+         * Grain rendering used by newly created engines: 'worklet' renders in an
+         * AudioWorklet (falls back automatically when unsupported), 'nodes'
+         * builds BufferSource/Gain/Panner nodes per grain.
+         * @type {'worklet'|'nodes'}
+         */
+        this.grainEngine = 'worklet';
     }
 
     /**
@@ -61,32 +93,113 @@ export class MasterBus {
             value,
             this.audioContext.currentTime + 0.02
         );
+        this.metronomeMonitor.gain.linearRampToValueAtTime(
+            value,
+            this.audioContext.currentTime + 0.02
+        );
     }
 
     /**
-     * Create a WaveShaperNode with a tanh transfer curve for soft clipping.
-     * @returns {WaveShaperNode}
-     * @private
+     * Set the master tempo: updates the clock and the tempo-synced aux delay.
+     * @param {number} bpm
      */
-    _createSoftClipper() {
-        const shaper = this.audioContext.createWaveShaper();
-        const numSamples = 8192;
-        const curve = new Float32Array(numSamples);
-
-        for (let i = 0; i < numSamples; i++) {
-            const x = (2 * i / (numSamples - 1)) - 1;
-            curve[i] = Math.tanh(x);
+    setTempo(bpm) {
+        this.clock.bpm = bpm;
+        this.auxBuses.delay.effect.setBpm(this.clock.bpm);
+    }
+
+    /**
+     * Apply aux bus settings (return levels and effect parameters).
+     * @param {Partial<import('./AuxBus.js').AuxBusSettings>} settings
+     */
+    setAuxSettings(settings) {
+        for (const name of AUX_BUS_NAMES) {
+            if (settings[name]) this.auxBuses[name].setSettings(settings[name]);
         }
+    }
+
+    /**
+     * Configure the limiter and soft clipper. Missing keys keep their value.
+     * @param {Partial<import('./Mastering.js').MasteringSettings>} settings
+     */
+    setMastering(settings) {
+        Object.assign(this.mastering, settings);
+        applyMastering({ limiter: this.limiter, softClipper: this.softClipper }, this.mastering);
+        applyMastering(this._monitorChain, this.mastering);
+    }
+
+    /**
+     * Route the metronome into the captured master chain (included in output
+     * recordings) or through the monitor chain to the speakers (heard but not
+     * recorded, still limited and clipped).
+     * @param {boolean} included
+     */
+    setMetronomeCaptured(included) {
+        if (included === this._metronomeCaptured) return;
+        this._metronomeCaptured = included;
+        this.metronome.gainNode.disconnect();
+        this.metronome.gainNode.connect(included ? this.masterGain : this.metronomeMonitor);
+    }
+
+    /**
+     * Start recording the master output.
+     * @param {{ includeMetronome?: boolean }} [options]
+     * @returns {Promise<void>}
+     */
+    async startOutputRecording({ includeMetronome = true } = {}) {
+        this.setMetronomeCaptured(includeMetronome);
+        await this.capture.start();
+    }
 
-        shaper.curve = curve;
-        shaper.oversample = '2x';
-        return shaper;
+    /**
+     * Stop recording the master output.
+     * @returns {Promise<{ channels: Float32Array[], sampleRate: number }>}
+     */
+    async stopOutputRecording() {
+        const result = await this.capture.stop();
+        this.setMetronomeCaptured(true);
+        return result;
     }
 
     /**
      * Clean up all resources.
      */
     dispose() {
+        this.tickSource.dispose();
+        this.capture.dispose();
+        for (const node of Object.values(this._monitorChain)) node.disconnect();
+        for (const name of AUX_BUS_NAMES) this.auxBuses[name].dispose();
         this.audioContext.close();
     }
 }
+
+/**
+ * Build the anti-clipping output chain on any BaseAudioContext:
+ * masterGain → limiter → softClipper. The caller connects softClipper onward.
+ * Shared by the live MasterBus and the offline renderer so bounces are mastered
+ * exactly like what you hear.
+ * @param {BaseAudioContext} ctx
+ * @param {import('./Mastering.js').MasteringSettings} [mastering] - Limiter and clipper settings
+ * @returns {{ masterGain: GainNode, limiter: DynamicsCompressorNode, softClipper: WaveShaperNode }}
+ */
+export function createOutputChain(ctx, mastering = createDefaultMastering()) {
+    const masterGain = ctx.createGain();
+
+    // Anti-clipping: Brickwall limiter (DynamicsCompressor); threshold and
+    // release come from the mastering settings
+    const limiter = ctx.createDynamicsCompressor();
+    limiter.knee.setValueAtTime(0, ctx.currentTime);
+    limiter.ratio.setValueAtTime(20, ctx.currentTime);
+    limiter.attack.setValueAtTime(0.001, ctx.currentTime);
+
+    // Anti-clipping: Soft clipper (curve and oversampling set below)
+    const softClipper = ctx.createWaveShaper();
+
+    const chain = { masterGain, limiter, softClipper };
+    applyMastering(chain, mastering);
+
+    masterGain.connect(limiter);
+    limiter.connect(softClipper);
+
+    return chain;
+}
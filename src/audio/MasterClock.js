@@ -16,6 +16,9 @@ export class MasterClock {
         // Epoch: the AudioContext.currentTime at which beat 0 / bar 0 occurs.
         // Set explicitly via setEpoch() when playback or recording begins.
         this._epoch = 0;
+
+        /** Fired when setEpoch() moves the epoch (transport restart): (epoch) => void */
+        this.onEpochChange = null;
     }
 
     // --- Property getters/setters ---
@@ -58,6 +61,21 @@ export class MasterClock {
      */
     setEpoch(time) {
         this._epoch = time ?? this._ctx.currentTime;
+        if (this.onEpochChange) this.onEpochChange(this._epoch);
+    }
+
+    /**
+     * Move the epoch without signalling a restart. Used to track an external
+     * clock, whose small phase corrections are not new downbeats.
+     * @param {number} time - AudioContext.currentTime value.
+     */
+    alignEpoch(time) {
+        this._epoch = time;
+    }
+
+    /** @returns {number} The epoch (AudioContext time of beat 0). */
+    get epoch() {
+        return this._epoch;
     }
 
     /**
@@ -171,6 +189,30 @@ export class MasterClock {
         return this._epoch + Math.round(elapsed / beatDur) * beatDur;
     }
 
+    /**
+     * Snap a time value to the nearest point of an arbitrary subdivision grid
+     * anchored at the epoch (e.g. getSubdivisionSeconds(bpm, 16) for 1/16).
+     * @param {number} time - AudioContext.currentTime value.
+     * @param {number} period - Grid spacing in seconds.
+     * @returns {number}
+     */
+    quantizeToGrid(time, period) {
+        const elapsed = time - this._epoch;
+        return this._epoch + Math.round(elapsed / period) * period;
+    }
+
+    /**
+     * Get the first point of a subdivision grid at or after a time.
+     * @param {number} time - AudioContext.currentTime value.
+     * @param {number} period - Grid spacing in seconds.
+     * @returns {number}
+     */
+    getNextGridTime(time, period) {
+        const elapsed = time - this._epoch;
+        // Tolerate float error so a time already on the grid maps to itself
+        return this._epoch + Math.ceil(elapsed / period - 1e-9) * period;
+    }
+
     /**
      * Snap a duration (in seconds) to the nearest bar boundary.
      * Useful for snapping recording duration to whole bars.
@@ -0,0 +1,77 @@
+// Mastering.js — Settings for the master anti-clipping stage.
+// The limiter (DynamicsCompressor) and soft clipper (WaveShaper) built by
+// createOutputChain() are configured from one plain settings object, so the
+// live MasterBus and offline bounces master identically.
+
+/**
+ * @typedef {Object} MasteringSettings
+ * @property {number} threshold - Limiter threshold in dB (-24 to 0)
+ * @property {number} release - Limiter release in seconds
+ * @property {number} ceiling - Clipper output ceiling in dBFS (-12 to 0; unused with clip 'off')
+ * @property {'tanh'|'cubic'|'hard'|'off'} clip - Soft clipper transfer curve
+ * @property {'none'|'2x'|'4x'} oversample - Clipper oversampling
+ */
+
+/** Available clipper curves ('off' bypasses the shaper). */
+export const CLIP_CURVES = ['tanh', 'cubic', 'hard', 'off'];
+
+/** WaveShaperNode oversample values. */
+export const OVERSAMPLE_MODES = ['none', '2x', '4x'];
+
+/** Curve resolution, same as the original fixed tanh curve. */
+const CURVE_SAMPLES = 8192;
+
+/**
+ * Default settings: the values the chain always used before they were
+ * configurable (-3 dB threshold, 50 ms release, tanh at 2x oversampling).
+ * @returns {MasteringSettings}
+ */
+export function createDefaultMastering() {
+    return { threshold: -3, release: 0.05, ceiling: 0, clip: 'tanh', oversample: '2x' };
+}
+
+/**
+ * Build a clipper transfer curve over the WaveShaper input range [-1, 1].
+ * @param {'tanh'|'cubic'|'hard'|'off'} type
+ * @param {number} ceilingDb - Output ceiling in dBFS
+ * @returns {Float32Array|null} null for 'off' (the shaper passes audio unchanged)
+ */
+export function createClipCurve(type, ceilingDb) {
+    if (type === 'off') return null;
+
+    const c = Math.pow(10, Math.min(0, ceilingDb) / 20);
+    const curve = new Float32Array(CURVE_SAMPLES);
+
+    for (let i = 0; i < CURVE_SAMPLES; i++) {
+        const x = (2 * i / (CURVE_SAMPLES - 1)) - 1;
+        const u = x / c;
+        switch (type) {
+            case 'cubic':
+                // Smooth knee reaching the ceiling with zero slope at |u| = 1
+                curve[i] = Math.abs(u) >= 1 ? Math.sign(u) * c : c * (1.5 * u - 0.5 * u * u * u);
+                break;
+            case 'hard':
+                curve[i] = Math.max(-c, Math.min(c, x));
+                break;
+            default:
+                curve[i] = c * Math.tanh(u);
+        }
+    }
+    return curve;
+}
+
+/**
+ * Apply settings to an output chain.
+ * @param {{ limiter: DynamicsCompressorNode, softClipper: WaveShaperNode }} chain
+ * @param {MasteringSettings} settings - Complete settings (merged by the caller)
+ */
+export function applyMastering(chain, settings) {
+    const { limiter, softClipper } = chain;
+    const now = limiter.context.currentTime;
+
+    limiter.threshold.setValueAtTime(settings.threshold, now);
+    limiter.release.setValueAtTime(settings.release, now);
+
+    softClipper.curve = createClipCurve(settings.clip, settings.ceiling);
+    softClipper.oversample = settings.oversample;
+}
@@ -0,0 +1,197 @@
+// OfflineRenderer.js — Bounces recorded automation to an AudioBuffer.
+// Rebuilds one GranularEngine per layer inside an OfflineAudioContext and
+// replays each AutomationLane through the same Voice/createGrain pipeline and
+// master limiter/soft-clipper chain used live.
+//
+// Time does not flow in an OfflineAudioContext until rendering starts, so the
+// voices' GrainSchedulers run in manual mode: the renderer suspends the context
+// every RENDER_CHUNK seconds and advances all schedulers one chunk ahead.
+
+import { GranularEngine } from './GranularEngine.js';
+import { createOutputChain } from './MasterBus.js';
+import { createAuxBuses, AUX_BUS_NAMES } from './AuxBus.js';
+import { paramsAtTempo, withMoveSmoothing } from '../automation/AutomationLane.js';
+
+/** Synthetic pointer ID bases, alternated per loop iteration (like Player). */
+const SYNTHETIC_POINTER_BASE_A = 1000;
+const SYNTHETIC_POINTER_BASE_B = 2000;
+
+/** Seconds of audio scheduled between two render suspensions. */
+const RENDER_CHUNK = 1.0;
+
+/** Extra look-ahead so grains near a chunk boundary are never scheduled late. */
+const RENDER_MARGIN = 0.1;
+
+/**
+ * @typedef {Object} RenderLayer
+ * @property {AudioBuffer} buffer - Decoded source sample
+ * @property {import('../automation/AutomationLane.js').AutomationLane} lane
+ * @property {{ start: number, end: number }} loopRange - Lane time (beats, or seconds for an old lane)
+ * @property {number} volume - Instance volume (0–1)
+ * @property {number} [pan=0] - Instance stereo pan (-1 to 1)
+ * @property {import('./effects/EffectsRack.js').EffectsSettings} [effects] - Instance insert effects
+ * @property {Record<string, number>} [sends] - Instance aux send levels
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {number} [loops=1] - How many times each layer's loop is played
+ * @property {number} [tail=2] - Seconds rendered after the last loop ends
+ * @property {number} [sampleRate=48000]
+ * @property {number} [masterVolume=0.7]
+ * @property {number} [bpm=120] - Master tempo: lanes are rendered at it, as are tempo-synced effects
+ * @property {import('./AuxBus.js').AuxBusSettings} [auxBuses] - Shared send/return buses
+ * @property {import('./Mastering.js').MasteringSettings} [mastering] - Limiter and clipper settings
+ * @property {(progress: number) => void} [onProgress] - 0–1 while rendering
+ */
+
+/**
+ * Compute the rendered length of a layer (without tail).
+ * The first pass plays from 0 to loopEnd, later passes from loopStart to
+ * loopEnd — the same way Player loops.
+ * @param {RenderLayer} layer
+ * @param {number} loops
+ * @param {number} [bpm=120] - Tempo the lane is rendered at
+ * @returns {number} Seconds
+ */
+export function getLayerDuration(layer, loops, bpm = 120) {
+    const { start, end } = layer.loopRange;
+    return (end + Math.max(0, loops - 1) * (end - start)) * layer.lane.secondsPerUnit(bpm);
+}
+
+/**
+ * Render layers to a stereo AudioBuffer.
+ * @param {RenderLayer[]} layers
+ * @param {RenderOptions} [options]
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function renderOffline(layers, options = {}) {
+    const loops = Math.max(1, Math.round(options.loops ?? 1));
+    const tail = Math.max(0, options.tail ?? 2);
+    const sampleRate = options.sampleRate ?? 48000;
+    const masterVolume = options.masterVolume ?? 0.7;
+    const bpm = options.bpm ?? 120;
+
+    let length = 0;
+    for (const layer of layers) {
+        length = Math.max(length, getLayerDuration(layer, loops, bpm));
+    }
+    if (length === 0) throw new Error('Nothing to render');
+    const totalDuration = length + tail;
+
+    const ctx = new OfflineAudioContext(2, Math.ceil(totalDuration * sampleRate), sampleRate);
+
+    const chain = createOutputChain(ctx, options.mastering);
+    chain.masterGain.gain.value = masterVolume;
+    chain.softClipper.connect(ctx.destination);
+
+    // Shared aux buses, rebuilt like MasterBus's
+    const auxBuses = createAuxBuses(ctx, chain.masterGain);
+    auxBuses.delay.effect.setBpm(bpm);
+    if (options.auxBuses) {
+        for (const name of AUX_BUS_NAMES) auxBuses[name].setSettings(options.auxBuses[name]);
+    }
+
+    // One engine per layer, and a single time-ordered event list for all of them
+    const engines = [];
+    const timeline = [];
+    layers.forEach((layer, layerIndex) => {
+        const engine = new GranularEngine(ctx, chain.masterGain);
+        engine.setBuffer(layer.buffer);
+        engine.setManualScheduling(true);
+        engine.instanceGain.gain.value = layer.volume;
+        engine.panNode.pan.value = layer.pan ?? 0;
+        engine.setTempo(bpm);
+        if (layer.effects) engine.setEffects(layer.effects);
+        engine.connectSends(auxBuses);
+        if (layer.sends) engine.setSends(layer.sends);
+        engines.push(engine);
+        buildLayerTimeline(layer, layerIndex, loops, bpm, timeline);
+    });
+
+    // Stable sort: at equal times, releases come first so the slot is free
+    const rank = (event) => (event.type === 'release' ? 0 : 1);
+    timeline.sort((a, b) => a.time - b.time || rank(a) - rank(b));
+
+    let cursor = 0;
+    const scheduleUntil = (deadline) => {
+        while (cursor < timeline.length && timeline[cursor].time < deadline) {
+            const event = timeline[cursor++];
+            const engine = engines[event.layer];
+            // Bring every voice of this engine up to the event before changing it
+            engine.advanceVoices(event.time);
+            switch (event.type) {
+                case 'start':   engine.startVoice(event.id, event.params, event.time); break;
+                case 'move':    engine.updateVoice(event.id, event.params); break;
+                case 'stop':    engine.stopVoice(event.id, event.time); break;
+                case 'release': engine.releaseVoice(event.id, event.time); break;
+            }
+        }
+        for (const engine of engines) engine.advanceVoices(deadline);
+    };
+
+    scheduleUntil(RENDER_CHUNK + RENDER_MARGIN);
+
+    // A chunk that fails leaves the context suspended, so startRendering()
+    // would never settle: fail the render instead
+    let fail;
+    const failed = new Promise((_, reject) => { fail = reject; });
+
+    // No events are scheduled after the last pass: the tail just rings out
+    for (let t = RENDER_CHUNK; t < length; t += RENDER_CHUNK) {
+        const suspendAt = t;
+        ctx.suspend(suspendAt).then(() => {
+            scheduleUntil(suspendAt + RENDER_CHUNK + RENDER_MARGIN);
+            if (options.onProgress) options.onProgress(suspendAt / totalDuration);
+            return ctx.resume();
+        }).catch(fail);
+    }
+
+    const rendered = await Promise.race([ctx.startRendering(), failed]);
+    if (options.onProgress) options.onProgress(1);
+    return rendered;
+}
+
+/**
+ * Flatten a layer's looped playback into timed start/move/stop/release events.
+ * @param {RenderLayer} layer
+ * @param {number} layerIndex
+ * @param {number} loops
+ * @param {number} bpm - Tempo the lane is rendered at
+ * @param {Object[]} out - Events are pushed here (seconds)
+ * @private
+ */
+function buildLayerTimeline(layer, layerIndex, loops, bpm, out) {
+    const { start: loopStart, end: loopEnd } = layer.loopRange;
+    const loopLength = loopEnd - loopStart;
+    const spu = layer.lane.secondsPerUnit(bpm);
+    let iterationStart = 0; // lane time elapsed in the output when this pass begins
+
+    for (let i = 0; i < loops; i++) {
+        const base = i % 2 === 0 ? SYNTHETIC_POINTER_BASE_A : SYNTHETIC_POINTER_BASE_B;
+        const from = i === 0 ? 0 : loopStart;
+        const offset = iterationStart - from;
+        const active = new Set();
+
+        for (const event of layer.lane.getEventsInRange(from, loopEnd)) {
+            const id = base + event.voiceIndex;
+            if (event.type === 'start') active.add(id);
+            if (event.type === 'stop') active.delete(id);
+            out.push({
+                time: (event.time + offset) * spu,
+                layer: layerIndex,
+                type: event.type,
+                id,
+                params: withMoveSmoothing(paramsAtTempo(event.params, bpm)),
+            });
+        }
+
+        iterationStart += i === 0 ? loopEnd : loopLength;
+
+        // Voices still held at the boundary are released: their scheduled
+        // grains ring out while the next pass starts fresh voices.
+        for (const id of active) {
+            out.push({ time: iterationStart * spu, layer: layerIndex, type: 'release', id });
+        }
+    }
+}
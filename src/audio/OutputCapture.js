@@ -0,0 +1,141 @@
+// OutputCapture.js — Records a live signal (the master output) into memory.
+// An AudioWorklet tap copies PCM to the main thread; stop() hands back the
+// concatenated channel data, ready for wavEncoder.
+
+import { loadWorkletModule } from './workletLoader.js';
+
+const CAPTURE_MODULE_URL = new URL('./worklets/capture-processor.js', import.meta.url);
+
+export class OutputCapture {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} source - Node whose output is captured
+     */
+    constructor(audioContext, source) {
+        this._ctx = audioContext;
+        this._source = source;
+
+        /** @type {AudioWorkletNode|null} Created on first start() */
+        this._node = null;
+
+        /** @type {Float32Array[][]} Received chunks, one [left, right] pair each */
+        this._chunks = [];
+
+        /** @type {((result: { channels: Float32Array[], sampleRate: number }) => void)|null} */
+        this._resolveStop = null;
+
+        /** @type {boolean} */
+        this.isCapturing = false;
+
+        /** @type {Promise<void>|null} start() in progress (worklet module loading) */
+        this._starting = null;
+
+        /** @type {number} audioContext time when capture started */
+        this._startTime = 0;
+    }
+
+    /**
+     * Begin capturing. Resolves once the tap is live. A call made while an
+     * earlier one is still loading the worklet waits for that one.
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this.isCapturing) return Promise.resolve();
+        if (!this._starting) {
+            this._starting = this._begin().finally(() => { this._starting = null; });
+        }
+        return this._starting;
+    }
+
+    /** @private */
+    async _begin() {
+        if (!this._node) await this._createNode();
+
+        this._chunks = [];
+        this._startTime = this._ctx.currentTime;
+        this.isCapturing = true;
+        this._node.port.postMessage({ type: 'start' });
+    }
+
+    /**
+     * Stop capturing and collect everything recorded so far.
+     * @returns {Promise<{ channels: Float32Array[], sampleRate: number }>}
+     */
+    stop() {
+        if (!this.isCapturing) {
+            return Promise.resolve({ channels: [new Float32Array(0), new Float32Array(0)], sampleRate: this._ctx.sampleRate });
+        }
+        this.isCapturing = false;
+        return new Promise((resolve) => {
+            this._resolveStop = resolve;
+            this._node.port.postMessage({ type: 'stop' });
+        });
+    }
+
+    /**
+     * Seconds captured since start().
+     * @returns {number}
+     */
+    getElapsedTime() {
+        if (!this.isCapturing) return 0;
+        return this._ctx.currentTime - this._startTime;
+    }
+
+    /** Disconnect the tap. */
+    dispose() {
+        if (this._node) {
+            this._source.disconnect(this._node);
+            this._node.disconnect();
+            this._node = null;
+        }
+    }
+
+    /** @private */
+    async _createNode() {
+        await loadWorkletModule(this._ctx, CAPTURE_MODULE_URL);
+
+        this._node = new AudioWorkletNode(this._ctx, 'granul8-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit',
+        });
+        this._node.port.onmessage = (e) => this._onMessage(e.data);
+
+        this._source.connect(this._node);
+        // The node outputs silence; connecting it keeps it pulled by the graph
+        this._node.connect(this._ctx.destination);
+    }
+
+    /** @private */
+    _onMessage(msg) {
+        if (msg.type === 'chunk') {
+            this._chunks.push(msg.channels);
+        } else if (msg.type === 'stopped' && this._resolveStop) {
+            const resolve = this._resolveStop;
+            this._resolveStop = null;
+            resolve({ channels: this._concat(), sampleRate: this._ctx.sampleRate });
+            this._chunks = [];
+        }
+    }
+
+    /**
+     * Join received chunks into one array per channel.
+     * @returns {Float32Array[]}
+     * @private
+     */
+    _concat() {
+        let length = 0;
+        for (const chunk of this._chunks) length += chunk[0].length;
+
+        const channels = [new Float32Array(length), new Float32Array(length)];
+        let offset = 0;
+        for (const chunk of this._chunks) {
+            channels[0].set(chunk[0], offset);
+            channels[1].set(chunk[1], offset);
+            offset += chunk[0].length;
+        }
+        return channels;
+    }
+}
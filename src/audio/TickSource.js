@@ -0,0 +1,150 @@
+// TickSource.js — Shared scheduling heartbeat for every GrainScheduler.
+// Window setTimeout is clamped to >= 1 s in background tabs and delayed by
+// long main-thread frames, which starves the look-ahead window. The tick is
+// instead driven from the audio thread (an AudioWorklet posting every
+// `interval` seconds of rendered audio), or from a dedicated worker timer
+// where AudioWorklet is unavailable, with plain setTimeout as the last resort.
+
+import { loadWorkletModule } from './workletLoader.js';
+
+const CLOCK_MODULE_URL = new URL('./worklets/clock-processor.js', import.meta.url);
+const TIMER_WORKER_URL = new URL('./workers/timer-worker.js', import.meta.url);
+
+export class TickSource {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {number} [interval=0.025] - Seconds between ticks
+     */
+    constructor(audioContext, interval = 0.025) {
+        this._ctx = audioContext;
+        this.interval = interval;
+
+        /**
+         * Where ticks come from. Starts as 'timeout' and is upgraded by init().
+         * @type {'worklet'|'worker'|'timeout'}
+         */
+        this.mode = 'timeout';
+
+        /** @type {Set<() => void>} */
+        this._listeners = new Set();
+
+        /** @type {AudioWorkletNode|null} */
+        this._node = null;
+        /** @type {Worker|null} */
+        this._worker = null;
+        /** @type {number|null} setTimeout ID (timeout mode) */
+        this._timerId = null;
+
+        this._running = false;
+    }
+
+    /**
+     * Pick the best available tick driver: AudioWorklet, then Worker.
+     * Listeners registered before this resolves are ticked by setTimeout
+     * and moved over transparently.
+     * @returns {Promise<'worklet'|'worker'|'timeout'>} The mode in use
+     */
+    async init() {
+        if (this._node || this._worker) return this.mode;
+        let node = null;
+        let worker = null;
+        let mode = 'timeout';
+        try {
+            await loadWorkletModule(this._ctx, CLOCK_MODULE_URL);
+            node = new AudioWorkletNode(this._ctx, 'granul8-clock', {
+                numberOfInputs: 0,
+                numberOfOutputs: 1,
+                processorOptions: { interval: this.interval },
+            });
+            node.port.onmessage = () => this._emit();
+            // The node outputs silence; connecting it keeps it pulled by the graph
+            node.connect(this._ctx.destination);
+            mode = 'worklet';
+        } catch (err) {
+            try {
+                worker = new Worker(TIMER_WORKER_URL);
+                worker.onmessage = () => this._emit();
+                mode = 'worker';
+            } catch (workerErr) {
+                console.warn('Audio-thread scheduling clock unavailable, using setTimeout:', err, workerErr);
+            }
+        }
+
+        // Swap drivers without dropping listeners that subscribed meanwhile
+        const running = this._running;
+        if (running) this._halt();
+        this._node = node;
+        this._worker = worker;
+        this.mode = mode;
+        if (running) this._run();
+        return mode;
+    }
+
+    /**
+     * Register a callback fired on every tick. The first listener starts the
+     * driver; it is paused again when the last one is removed.
+     * @param {() => void} listener
+     */
+    add(listener) {
+        this._listeners.add(listener);
+        if (!this._running) this._run();
+    }
+
+    /**
+     * @param {() => void} listener
+     */
+    remove(listener) {
+        this._listeners.delete(listener);
+        if (this._listeners.size === 0 && this._running) this._halt();
+    }
+
+    /** Stop ticking and release the worklet node / worker. */
+    dispose() {
+        this._listeners.clear();
+        this._halt();
+        if (this._node) {
+            this._node.disconnect();
+            this._node.port.close();
+            this._node = null;
+        }
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+    }
+
+    /** @private */
+    _run() {
+        this._running = true;
+        if (this._node) {
+            this._node.port.postMessage({ type: 'start' });
+        } else if (this._worker) {
+            this._worker.postMessage({ type: 'start', interval: this.interval * 1000 });
+        } else {
+            this._timeoutTick();
+        }
+    }
+
+    /** @private */
+    _halt() {
+        this._running = false;
+        if (this._node) this._node.port.postMessage({ type: 'stop' });
+        if (this._worker) this._worker.postMessage({ type: 'stop' });
+        if (this._timerId !== null) {
+            clearTimeout(this._timerId);
+            this._timerId = null;
+        }
+    }
+
+    /** @private */
+    _timeoutTick() {
+        this._timerId = setTimeout(() => this._timeoutTick(), this.interval * 1000);
+        this._emit();
+    }
+
+    /** @private */
+    _emit() {
+        if (!this._running) return;
+        for (const listener of this._listeners) listener();
+    }
+}
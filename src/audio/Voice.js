@@ -3,7 +3,10 @@
 import { GrainScheduler } from './GrainScheduler.js';
 import { createGrain } from './grainFactory.js';
 import { quantizePitch, rateToSemitones, semitonesToRate, getSubdivisionSeconds } from '../utils/musicalQuantizer.js';
-import { expMap } from '../utils/math.js';
+import { expMap, lerp, clamp } from '../utils/math.js';
+
+/** Params that glide toward new values instead of jumping (see update()). */
+const GLIDE_PARAMS = ['position', 'pitch', 'amplitude'];
 
 export class Voice {
     /**
@@ -24,6 +27,9 @@ export class Voice {
         this.gainNode.gain.value = 0;
         this.gainNode.connect(destination);
 
+        /** Last level passed to setGainLevel() */
+        this._gainLevel = 0;
+
         // Current grain parameters
         this.params = {
             position: 0.5,
@@ -43,6 +49,20 @@ export class Voice {
          */
         this.randomize = { grainSize: null, pitch: null, pan: null };
 
+        /**
+         * Glide times in seconds: how long position, pitch and amplitude take
+         * to reach a new value (0 = jump).
+         * @type {{ position: number, pitch: number, amplitude: number }}
+         */
+        this.glide = { position: 0, pitch: 0, amplitude: 0 };
+
+        /**
+         * Glides in progress: param → ramp from `from` (at audio time `start`)
+         * to the value in this.params, over `time` seconds.
+         * @type {Object<string, { from: number, start: number, time: number }>}
+         */
+        this._glides = {};
+
         /**
          * Grain size quantization config for per-grain snapping (null = disabled).
          * @type {{ bpm: number }|null}
@@ -68,6 +88,13 @@ export class Voice {
             (when) => this._onScheduleGrain(when)
         );
 
+        /**
+         * AudioWorklet grain renderer shared by the engine's voices, or null to
+         * build grains from Web Audio nodes (createGrain fallback).
+         * @type {import('./GrainWorkletRenderer.js').GrainWorkletRenderer|null}
+         */
+        this.renderer = null;
+
         // Grain event callback for visualization
         /** @type {((info: {voiceId: number, position: number, duration: number, amplitude: number, when: number}) => void)|null} */
         this.onGrain = null;
@@ -76,28 +103,36 @@ export class Voice {
     /**
      * Start the voice with given parameters.
      * @param {Object} params
+     * @param {number} [when] - Time of the first grain (defaults to now)
      */
-    start(params) {
+    start(params, when) {
+        // A fade-out scheduled ahead on this slot must not silence the new voice
+        this.gainNode.gain.cancelScheduledValues(when ?? this.audioContext.currentTime);
         this.active = true;
         this.arpIndex = 0;
         this.arpDirection = 1;
+        this.glide = { position: 0, pitch: 0, amplitude: 0 };
         this.update(params);
+        // A new voice starts on its values, not gliding from the slot's last use
+        this._glides = {};
 
         // Gain level is set externally by GranularEngine._updateVoiceGains()
         // (anti-clipping Layer 2: 1/sqrt(activeVoiceCount))
 
-        this.scheduler.start();
+        this.scheduler.start(when);
     }
 
     /**
-     * Update voice parameters. Takes effect on the next scheduled grain.
+     * Update voice parameters. Takes effect on the next scheduled grain;
+     * position, pitch and amplitude glide there when a glide time is set.
      * @param {Object} params - Partial params to merge
      */
     update(params) {
-        if (params.position !== undefined)  this.params.position = params.position;
-        if (params.amplitude !== undefined) this.params.amplitude = params.amplitude;
+        if (params.glide !== undefined) this.glide = params.glide;
+        for (const name of GLIDE_PARAMS) {
+            if (params[name] !== undefined) this._setGlideTarget(name, params[name]);
+        }
         if (params.grainSize !== undefined) this.params.grainSize = params.grainSize;
-        if (params.pitch !== undefined)     this.params.pitch = params.pitch;
         if (params.spread !== undefined)    this.params.spread = params.spread;
         if (params.pan !== undefined)       this.params.pan = params.pan;
         if (params.envelope !== undefined)  this.params.envelope = params.envelope;
@@ -136,21 +171,20 @@ export class Voice {
 
     /**
      * Stop the voice — fade out and stop scheduling.
+     * @param {number} [when] - Time of the fade start (defaults to now)
      */
-    stop() {
+    stop(when) {
         this.active = false;
         this.scheduler.stop();
 
-        // Ramp gain to 0 over 30ms to avoid click on release
-        this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-        this.gainNode.gain.setValueAtTime(
-            this.gainNode.gain.value,
-            this.audioContext.currentTime
-        );
-        this.gainNode.gain.linearRampToValueAtTime(
-            0,
-            this.audioContext.currentTime + 0.03
-        );
+        // Ramp gain to 0 over 30ms to avoid click on release.
+        // A scheduled stop cannot read the future gain value, so it fades
+        // from the last level set by setGainLevel().
+        const t = when ?? this.audioContext.currentTime;
+        const from = when === undefined ? this.gainNode.gain.value : this._gainLevel;
+        this.gainNode.gain.cancelScheduledValues(t);
+        this.gainNode.gain.setValueAtTime(from, t);
+        this.gainNode.gain.linearRampToValueAtTime(0, t + 0.03);
     }
 
     /**
@@ -179,14 +213,51 @@ export class Voice {
     /**
      * Set the per-voice gain level (for anti-clipping scaling).
      * @param {number} value
+     * @param {number} [when] - Time of the change (defaults to now)
      */
-    setGainLevel(value) {
+    setGainLevel(value, when) {
+        this._gainLevel = value;
         this.gainNode.gain.linearRampToValueAtTime(
             value,
-            this.audioContext.currentTime + 0.02
+            (when ?? this.audioContext.currentTime) + 0.02
         );
     }
 
+    /**
+     * Set a new value for a gliding param. The ramp starts at the next
+     * unscheduled grain, from wherever the current ramp would have been.
+     * @param {string} name - One of GLIDE_PARAMS
+     * @param {number} value
+     * @private
+     */
+    _setGlideTarget(name, value) {
+        const time = this.glide[name] || 0;
+        if (this.active && time > 0 && value !== this.params[name]) {
+            const start = Math.max(this.scheduler.nextGrainTime, this.audioContext.currentTime);
+            this._glides[name] = { from: this._valueAt(name, start), start, time };
+        } else {
+            delete this._glides[name];
+        }
+        this.params[name] = value;
+    }
+
+    /**
+     * A gliding param's value at an audio time. Pitch glides in log space
+     * (equal steps per semitone), position and amplitude linearly.
+     * @param {string} name - One of GLIDE_PARAMS
+     * @param {number} when - audioContext time
+     * @returns {number}
+     * @private
+     */
+    _valueAt(name, when) {
+        const target = this.params[name];
+        const glide = this._glides[name];
+        if (!glide) return target;
+        const k = clamp((when - glide.start) / glide.time, 0, 1);
+        if (name === 'pitch') return glide.from * Math.pow(target / glide.from, k);
+        return lerp(glide.from, target, k);
+    }
+
     /**
      * Called by the scheduler for each grain to create.
      * Applies per-grain randomization before creating the grain.
@@ -197,7 +268,7 @@ export class Voice {
 
         // Start from current params
         let duration = this.params.grainSize;
-        let pitch = this.params.pitch;
+        let pitch = this._valueAt('pitch', when);
 
         // Per-grain grain size randomization (range is normalized 0–1)
         const rnd = this.randomize;
@@ -248,26 +319,26 @@ export class Voice {
             pan = Math.max(-1, Math.min(1, pan));
         }
 
-        createGrain(
-            this.audioContext,
-            this.buffer,
-            {
-                position: this.params.position,
-                amplitude: this.params.amplitude,
-                duration,
-                interOnset: this.params.interOnset,
-                pitch,
-                spread: this.params.spread,
-                pan,
-                envelope: this.params.envelope,
-                adsr: this.params.adsr,
-            },
-            this.gainNode,
-            when,
-            this.onGrain ? (info) => {
-                this.onGrain({ voiceId: this.id, ...info });
-            } : null
-        );
+        const grainParams = {
+            position: this._valueAt('position', when),
+            amplitude: this._valueAt('amplitude', when),
+            duration,
+            interOnset: this.params.interOnset,
+            pitch,
+            spread: this.params.spread,
+            pan,
+            envelope: this.params.envelope,
+            adsr: this.params.adsr,
+        };
+        const onGrain = this.onGrain ? (info) => {
+            this.onGrain({ voiceId: this.id, ...info });
+        } : null;
+
+        if (this.renderer) {
+            this.renderer.scheduleGrain(this.id, this.buffer, grainParams, when, onGrain);
+        } else {
+            createGrain(this.audioContext, this.buffer, grainParams, this.gainNode, when, onGrain);
+        }
     }
 
     /**
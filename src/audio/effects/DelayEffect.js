@@ -0,0 +1,74 @@
+// DelayEffect.js — Feedback delay whose time follows the master tempo.
+// The delay time is a note subdivision (SUBDIVISIONS divisor), recomputed
+// whenever setBpm() is called. A lowpass in the feedback loop darkens repeats.
+
+import { InsertEffect } from './InsertEffect.js';
+import { getSubdivisionSeconds } from '../../utils/musicalQuantizer.js';
+
+/** Longest delay line: a whole note at the slowest tempo (40 BPM). */
+const MAX_DELAY = 6;
+
+export class DelayEffect extends InsertEffect {
+    /**
+     * @param {BaseAudioContext} audioContext
+     */
+    constructor(audioContext) {
+        super(audioContext);
+
+        this.delay = audioContext.createDelay(MAX_DELAY);
+        this.feedback = audioContext.createGain();
+        this.damping = audioContext.createBiquadFilter();
+        this.damping.type = 'lowpass';
+
+        // input → delay → wet, with delay → damping → feedback → delay
+        this.input.connect(this.delay);
+        this.delay.connect(this.wet);
+        this.delay.connect(this.damping);
+        this.damping.connect(this.feedback);
+        this.feedback.connect(this.delay);
+
+        this.bpm = 120;
+        this.divisor = 8;
+
+        this.setSettings({ divisor: 8, feedback: 0.4, damping: 6000 });
+    }
+
+    /**
+     * Apply delay settings. Missing keys keep their current value.
+     * @param {{ divisor?: number, feedback?: number, damping?: number, mix?: number, bypass?: boolean }} s
+     */
+    setSettings(s) {
+        const t = this.audioContext.currentTime;
+        if (s.divisor !== undefined) {
+            this.divisor = s.divisor;
+            this._updateTime();
+        }
+        // Capped below 1 so the loop always decays
+        if (s.feedback !== undefined) this.feedback.gain.setTargetAtTime(Math.min(0.95, s.feedback), t, 0.01);
+        if (s.damping !== undefined) this.damping.frequency.setTargetAtTime(s.damping, t, 0.01);
+        if (s.mix !== undefined) this.setMix(s.mix);
+        if (s.bypass !== undefined) this.setBypass(s.bypass);
+    }
+
+    /**
+     * Re-sync the delay time to a new tempo.
+     * @param {number} bpm
+     */
+    setBpm(bpm) {
+        this.bpm = bpm;
+        this._updateTime();
+    }
+
+    /** @private */
+    _updateTime() {
+        const seconds = Math.min(MAX_DELAY, getSubdivisionSeconds(this.bpm, this.divisor));
+        this.delay.delayTime.setTargetAtTime(seconds, this.audioContext.currentTime, 0.02);
+    }
+
+    dispose() {
+        this.delay.disconnect();
+        this.damping.disconnect();
+        this.feedback.disconnect();
+        super.dispose();
+    }
+}
@@ -0,0 +1,77 @@
+// EffectsRack.js — Per-instance insert chain: filter → delay → reverb.
+// Sits between a GranularEngine's instanceGain and the master bus.
+
+import { FilterEffect } from './FilterEffect.js';
+import { DelayEffect } from './DelayEffect.js';
+import { ReverbEffect } from './ReverbEffect.js';
+
+/**
+ * @typedef {Object} EffectsSettings
+ * @property {{ bypass: boolean, mix: number, type: string, frequency: number, q: number }} filter
+ * @property {{ bypass: boolean, mix: number, divisor: number, feedback: number, damping: number }} delay
+ * @property {{ bypass: boolean, mix: number, decay: number, tone: number }} reverb
+ */
+
+/**
+ * Default rack settings: everything bypassed so a fresh instance sounds dry.
+ * @returns {EffectsSettings}
+ */
+export function createDefaultEffects() {
+    return {
+        filter: { bypass: true, mix: 1, type: 'lowpass', frequency: 2000, q: 0.7 },
+        delay:  { bypass: true, mix: 0.3, divisor: 8, feedback: 0.4, damping: 6000 },
+        reverb: { bypass: true, mix: 0.25, decay: 2.5, tone: 8000 },
+    };
+}
+
+/** Slot names in signal-flow order. */
+export const EFFECT_SLOTS = ['filter', 'delay', 'reverb'];
+
+export class EffectsRack {
+    /**
+     * @param {BaseAudioContext} audioContext
+     */
+    constructor(audioContext) {
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+
+        this.filter = new FilterEffect(audioContext);
+        this.delay = new DelayEffect(audioContext);
+        this.reverb = new ReverbEffect(audioContext);
+
+        let prev = this.input;
+        for (const slot of EFFECT_SLOTS) {
+            prev.connect(this[slot].input);
+            prev = this[slot].output;
+        }
+        prev.connect(this.output);
+
+        this.setSettings(createDefaultEffects());
+    }
+
+    /**
+     * Apply settings to every slot. Slots or keys missing from `settings`
+     * keep their current value.
+     * @param {Partial<EffectsSettings>} settings
+     */
+    setSettings(settings) {
+        for (const slot of EFFECT_SLOTS) {
+            if (settings[slot]) this[slot].setSettings(settings[slot]);
+        }
+    }
+
+    /**
+     * Follow the master tempo (tempo-synced delay).
+     * @param {number} bpm
+     */
+    setBpm(bpm) {
+        this.delay.setBpm(bpm);
+    }
+
+    /** Disconnect the whole chain. */
+    dispose() {
+        this.input.disconnect();
+        for (const slot of EFFECT_SLOTS) this[slot].dispose();
+        this.output.disconnect();
+    }
+}
@@ -0,0 +1,39 @@
+// FilterEffect.js — Multimode biquad filter insert.
+
+import { InsertEffect } from './InsertEffect.js';
+
+/** Biquad types offered in the UI. */
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+
+export class FilterEffect extends InsertEffect {
+    /**
+     * @param {BaseAudioContext} audioContext
+     */
+    constructor(audioContext) {
+        super(audioContext);
+
+        this.filter = audioContext.createBiquadFilter();
+        this.input.connect(this.filter);
+        this.filter.connect(this.wet);
+
+        this.setSettings({ type: 'lowpass', frequency: 2000, q: 0.7 });
+    }
+
+    /**
+     * Apply filter settings. Missing keys keep their current value.
+     * @param {{ type?: string, frequency?: number, q?: number, mix?: number, bypass?: boolean }} s
+     */
+    setSettings(s) {
+        if (s.type !== undefined && FILTER_TYPES.includes(s.type)) this.filter.type = s.type;
+        const t = this.audioContext.currentTime;
+        if (s.frequency !== undefined) this.filter.frequency.setTargetAtTime(s.frequency, t, 0.01);
+        if (s.q !== undefined) this.filter.Q.setTargetAtTime(s.q, t, 0.01);
+        if (s.mix !== undefined) this.setMix(s.mix);
+        if (s.bypass !== undefined) this.setBypass(s.bypass);
+    }
+
+    dispose() {
+        this.filter.disconnect();
+        super.dispose();
+    }
+}
@@ -0,0 +1,76 @@
+// InsertEffect.js — Shared wet/dry + bypass plumbing for the insert effects.
+// Subclasses route `input` through their processing into `wet`; the dry path
+// runs input → dry → output in parallel.
+
+/** Ramp time for mix and bypass changes (seconds), avoids zipper noise. */
+const RAMP = 0.02;
+
+export class InsertEffect {
+    /**
+     * @param {BaseAudioContext} audioContext
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+
+        this.dry = audioContext.createGain();
+        this.wet = audioContext.createGain();
+
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        this.wet.connect(this.output);
+
+        /** Wet amount 0–1 (0 = dry only, 1 = effect only) */
+        this.mix = 1;
+        /** When true the signal passes through untouched */
+        this.bypass = true;
+
+        this._applyMix(true);
+    }
+
+    /**
+     * @param {number} value - Wet amount 0–1
+     */
+    setMix(value) {
+        this.mix = Math.max(0, Math.min(1, value));
+        this._applyMix();
+    }
+
+    /**
+     * @param {boolean} bypassed
+     */
+    setBypass(bypassed) {
+        this.bypass = bypassed;
+        this._applyMix();
+    }
+
+    /** Disconnect every node owned by the effect. */
+    dispose() {
+        this.input.disconnect();
+        this.dry.disconnect();
+        this.wet.disconnect();
+        this.output.disconnect();
+    }
+
+    /**
+     * Set dry/wet gains from mix and bypass.
+     * @param {boolean} [immediate=false] - Jump instead of ramping
+     * @private
+     */
+    _applyMix(immediate = false) {
+        const wet = this.bypass ? 0 : this.mix;
+        const dry = this.bypass ? 1 : 1 - this.mix;
+        const t = this.audioContext.currentTime;
+        for (const [node, value] of [[this.wet, wet], [this.dry, dry]]) {
+            if (immediate) {
+                node.gain.value = value;
+            } else {
+                node.gain.cancelScheduledValues(t);
+                node.gain.setValueAtTime(node.gain.value, t);
+                node.gain.linearRampToValueAtTime(value, t + RAMP);
+            }
+        }
+    }
+}
@@ -0,0 +1,67 @@
+// ReverbEffect.js — Convolution reverb with a generated impulse response.
+// The impulse is stereo noise under an exponential decay, rebuilt when the
+// decay time changes, so no IR files need to be shipped or loaded.
+
+import { InsertEffect } from './InsertEffect.js';
+
+/**
+ * Build a decaying-noise impulse response.
+ * @param {BaseAudioContext} ctx
+ * @param {number} decay - Seconds until the tail has fallen by 60 dB
+ * @returns {AudioBuffer}
+ */
+function createImpulse(ctx, decay) {
+    const length = Math.max(1, Math.round(decay * ctx.sampleRate));
+    const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+    // exp(-6.9) ≈ -60 dB at t = decay
+    const k = -6.9 / length;
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.exp(k * i);
+        }
+    }
+    return impulse;
+}
+
+export class ReverbEffect extends InsertEffect {
+    /**
+     * @param {BaseAudioContext} audioContext
+     */
+    constructor(audioContext) {
+        super(audioContext);
+
+        this.convolver = audioContext.createConvolver();
+        this.tone = audioContext.createBiquadFilter();
+        this.tone.type = 'lowpass';
+
+        this.input.connect(this.convolver);
+        this.convolver.connect(this.tone);
+        this.tone.connect(this.wet);
+
+        /** @type {number|null} Decay of the current impulse (seconds) */
+        this.decay = null;
+
+        this.setSettings({ decay: 2.5, tone: 8000 });
+    }
+
+    /**
+     * Apply reverb settings. Missing keys keep their current value.
+     * @param {{ decay?: number, tone?: number, mix?: number, bypass?: boolean }} s
+     */
+    setSettings(s) {
+        if (s.decay !== undefined && s.decay !== this.decay) {
+            this.decay = s.decay;
+            this.convolver.buffer = createImpulse(this.audioContext, s.decay);
+        }
+        if (s.tone !== undefined) this.tone.frequency.setTargetAtTime(s.tone, this.audioContext.currentTime, 0.01);
+        if (s.mix !== undefined) this.setMix(s.mix);
+        if (s.bypass !== undefined) this.setBypass(s.bypass);
+    }
+
+    dispose() {
+        this.convolver.disconnect();
+        this.tone.disconnect();
+        super.dispose();
+    }
+}
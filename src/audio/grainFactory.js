@@ -16,24 +16,33 @@ import { getEnvelope, computeADSREnvelope } from './envelopes.js';
  */
 
 /** Number of samples in the envelope curve */
-const ENVELOPE_LENGTH = 128;
+export const ENVELOPE_LENGTH = 128;
 
 /**
- * Create and schedule a single grain. Nodes are connected, started, and
- * left to be garbage-collected after playback — no cleanup required.
+ * @typedef {Object} GrainPlan
+ * @property {number} position  - Normalized read position after spread (0–1)
+ * @property {number} offset    - Read offset into the buffer (seconds)
+ * @property {number} duration  - Clamped grain duration (seconds)
+ * @property {number} amplitude - Peak amplitude after overlap scaling
+ * @property {number} pitch     - Playback rate
+ * @property {number} pan       - Final pan including spread variation (0 = no panner)
+ * @property {Float32Array} curve - Unscaled envelope curve (ENVELOPE_LENGTH points)
+ */
+
+/**
+ * Resolve GrainParams against a buffer into concrete playback values.
+ * Shared by the node-based path (createGrain) and the AudioWorklet renderer
+ * so both honour the same contract.
  *
  * Anti-clipping Layer 1: each grain's amplitude is scaled by 1/sqrt(overlap),
  * where overlap = grainDuration / interOnset. This compensates for the RMS
  * addition of uncorrelated overlapping grains.
  *
- * @param {AudioContext} audioContext
  * @param {AudioBuffer} buffer - The source audio buffer
  * @param {GrainParams} params
- * @param {AudioNode} destination - Where to connect (typically the Voice gainNode)
- * @param {number} when - audioContext.currentTime to start the grain
- * @param {Function} [onGrain] - Optional callback for visualization: ({position, duration, amplitude, when})
+ * @returns {GrainPlan|null} null when the grain would be silent or too short
  */
-export function createGrain(audioContext, buffer, params, destination, when, onGrain) {
+export function planGrain(buffer, params) {
     const {
         position,
         amplitude,
@@ -51,11 +60,11 @@ export function createGrain(audioContext, buffer, params, destination, when, onG
 
     // Clamp duration so we don't read past the buffer end
     const maxDuration = buffer.duration - offset;
-    if (maxDuration <= 0) return;
+    if (maxDuration <= 0) return null;
     const grainDuration = Math.min(duration, maxDuration);
 
     // Bail on extremely short grains (< 1ms) — they'd just be clicks
-    if (grainDuration < 0.001) return;
+    if (grainDuration < 0.001) return null;
 
     // --- Anti-clipping Layer 1: per-grain amplitude scaling ---
     // Estimate how many grains overlap at any moment: overlap = duration / interOnset
@@ -63,45 +72,73 @@ export function createGrain(audioContext, buffer, params, destination, when, onG
     const interOnset = params.interOnset || grainDuration; // fallback: no overlap
     const overlap = Math.max(1, grainDuration / interOnset);
     const overlapScale = 1 / Math.sqrt(overlap);
-    const scaledAmplitude = amplitude * overlapScale;
+
+    // When envelope is 'custom' and per-instance ADSR params are provided, use them
+    // instead of the global ADSR state (supports per-instance ADSR in multi-tab)
+    const curve = (envelope === 'custom' && params.adsr)
+        ? computeADSREnvelope(params.adsr, ENVELOPE_LENGTH)
+        : getEnvelope(envelope, ENVELOPE_LENGTH);
+
+    // Add random pan variation based on spread
+    let finalPan = 0;
+    if (pan !== 0) {
+        const panVariation = spread > 0 ? (Math.random() - 0.5) * spread * 0.5 : 0;
+        finalPan = Math.max(-1, Math.min(1, pan + panVariation));
+    }
+
+    return {
+        position: normalizedPos,
+        offset,
+        duration: grainDuration,
+        amplitude: amplitude * overlapScale,
+        pitch,
+        pan: finalPan,
+        curve,
+    };
+}
+
+/**
+ * Create and schedule a single grain. Nodes are connected, started, and
+ * left to be garbage-collected after playback — no cleanup required.
+ *
+ * @param {AudioContext} audioContext
+ * @param {AudioBuffer} buffer - The source audio buffer
+ * @param {GrainParams} params
+ * @param {AudioNode} destination - Where to connect (typically the Voice gainNode)
+ * @param {number} when - audioContext.currentTime to start the grain
+ * @param {Function} [onGrain] - Optional callback for visualization: ({position, duration, amplitude, when})
+ */
+export function createGrain(audioContext, buffer, params, destination, when, onGrain) {
+    const plan = planGrain(buffer, params);
+    if (!plan) return;
 
     // --- Create nodes ---
 
     // Source
     const source = audioContext.createBufferSource();
     source.buffer = buffer;
-    source.playbackRate.value = pitch;
+    source.playbackRate.value = plan.pitch;
 
     // Envelope gain
     const gainNode = audioContext.createGain();
 
     // Build the amplitude-scaled envelope curve
-    // When envelope is 'custom' and per-instance ADSR params are provided, use them
-    // instead of the global ADSR state (supports per-instance ADSR in multi-tab)
-    const baseCurve = (envelope === 'custom' && params.adsr)
-        ? computeADSREnvelope(params.adsr, ENVELOPE_LENGTH)
-        : getEnvelope(envelope, ENVELOPE_LENGTH);
     const scaledCurve = new Float32Array(ENVELOPE_LENGTH);
     for (let i = 0; i < ENVELOPE_LENGTH; i++) {
-        scaledCurve[i] = baseCurve[i] * scaledAmplitude;
+        scaledCurve[i] = plan.curve[i] * plan.amplitude;
     }
 
     // Apply envelope: start silent, ramp through curve, end silent
     gainNode.gain.setValueAtTime(0, when);
-    gainNode.gain.setValueCurveAtTime(scaledCurve, when, grainDuration);
+    gainNode.gain.setValueCurveAtTime(scaledCurve, when, plan.duration);
 
     // --- Connect chain: source → gain → (pan) → destination ---
 
     source.connect(gainNode);
 
-    if (pan !== 0) {
+    if (plan.pan !== 0) {
         const panNode = audioContext.createStereoPanner();
-        // Add random pan variation based on spread
-        const panVariation = spread > 0 ? (Math.random() - 0.5) * spread * 0.5 : 0;
-        panNode.pan.setValueAtTime(
-            Math.max(-1, Math.min(1, pan + panVariation)),
-            when
-        );
+        panNode.pan.setValueAtTime(plan.pan, when);
         gainNode.connect(panNode);
         panNode.connect(destination);
     } else {
@@ -110,17 +147,17 @@ export function createGrain(audioContext, buffer, params, destination, when, onG
 
     // --- Schedule playback ---
 
-    source.start(when, offset, grainDuration);
-    source.stop(when + grainDuration);
+    source.start(when, plan.offset, plan.duration);
+    source.stop(when + plan.duration);
 
     // --- Notify visualizer ---
 
     if (onGrain) {
         onGrain({
-            position: normalizedPos,
-            duration: grainDuration,
-            amplitude,
-            pitch,
+            position: plan.position,
+            duration: plan.duration,
+            amplitude: params.amplitude,
+            pitch: plan.pitch,
             when
         });
     }
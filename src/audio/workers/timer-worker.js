@@ -0,0 +1,14 @@
+// timer-worker.js — Dedicated-worker interval timer. Worker timers are not
+// subject to the background-tab throttling applied to window timers.
+
+let timerId = null;
+
+self.onmessage = (e) => {
+    if (e.data.type === 'start') {
+        clearInterval(timerId);
+        timerId = setInterval(() => self.postMessage('tick'), e.data.interval);
+    } else if (e.data.type === 'stop') {
+        clearInterval(timerId);
+        timerId = null;
+    }
+};
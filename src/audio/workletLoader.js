@@ -0,0 +1,32 @@
+// workletLoader.js — Loads AudioWorklet modules once per context.
+
+/** @type {WeakMap<BaseAudioContext, Map<string, Promise<void>>>} */
+const loaded = new WeakMap();
+
+/**
+ * Add an AudioWorklet module to a context, reusing the pending/finished load
+ * if the same module was requested before.
+ * @param {BaseAudioContext} ctx
+ * @param {URL|string} moduleUrl
+ * @returns {Promise<void>} Rejects if AudioWorklet is unsupported or the module fails
+ */
+export function loadWorkletModule(ctx, moduleUrl) {
+    if (!ctx.audioWorklet) {
+        return Promise.reject(new Error('AudioWorklet is not supported in this browser'));
+    }
+
+    let modules = loaded.get(ctx);
+    if (!modules) {
+        modules = new Map();
+        loaded.set(ctx, modules);
+    }
+
+    const key = String(moduleUrl);
+    if (!modules.has(key)) {
+        const promise = ctx.audioWorklet.addModule(key);
+        // Allow a retry after a failed load
+        promise.catch(() => modules.delete(key));
+        modules.set(key, promise);
+    }
+    return modules.get(key);
+}
@@ -0,0 +1,62 @@
+// capture-processor.js — AudioWorklet that copies its stereo input to the main
+// thread in fixed-size chunks while capturing. Outputs silence.
+
+/** Frames per posted chunk (~85 ms at 48 kHz). */
+const CHUNK_FRAMES = 4096;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this._capturing = false;
+        this._chunk = null;
+        this._fill = 0;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'start') {
+                this._capturing = true;
+                this._newChunk();
+            } else if (e.data.type === 'stop') {
+                this._capturing = false;
+                this._flush();
+                this.port.postMessage({ type: 'stopped' });
+            }
+        };
+    }
+
+    _newChunk() {
+        this._chunk = [new Float32Array(CHUNK_FRAMES), new Float32Array(CHUNK_FRAMES)];
+        this._fill = 0;
+    }
+
+    _flush() {
+        if (!this._chunk || this._fill === 0) return;
+        const channels = this._chunk.map((data) => data.subarray(0, this._fill).slice());
+        this.port.postMessage({ type: 'chunk', channels }, channels.map((c) => c.buffer));
+        this._newChunk();
+    }
+
+    process(inputs) {
+        if (!this._capturing) return true;
+
+        const input = inputs[0];
+        const frames = input.length > 0 ? input[0].length : 128;
+        let offset = 0;
+
+        while (offset < frames) {
+            const n = Math.min(frames - offset, CHUNK_FRAMES - this._fill);
+            for (let c = 0; c < 2; c++) {
+                // Disconnected input arrives as zero channels: record silence
+                const src = input[c] || input[0];
+                if (src) {
+                    this._chunk[c].set(src.subarray(offset, offset + n), this._fill);
+                }
+            }
+            this._fill += n;
+            offset += n;
+            if (this._fill === CHUNK_FRAMES) this._flush();
+        }
+        return true;
+    }
+}
+
+registerProcessor('granul8-capture', CaptureProcessor);
@@ -0,0 +1,35 @@
+// clock-processor.js — AudioWorklet that posts a tick to the main thread every
+// `interval` frames. Driven by the audio thread, so it keeps firing when the
+// tab is hidden or the main thread's timers are throttled. Outputs silence.
+
+class ClockProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const seconds = options.processorOptions?.interval ?? 0.025;
+        this._intervalFrames = Math.max(128, Math.round(seconds * sampleRate));
+        this._framesUntilTick = 0;
+        this._running = false;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'start') {
+                this._running = true;
+                this._framesUntilTick = 0;
+            } else if (e.data.type === 'stop') {
+                this._running = false;
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        if (this._running) {
+            this._framesUntilTick -= outputs[0][0].length;
+            if (this._framesUntilTick <= 0) {
+                this._framesUntilTick += this._intervalFrames;
+                this.port.postMessage('tick');
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('granul8-clock', ClockProcessor);
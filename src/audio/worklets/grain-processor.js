@@ -0,0 +1,164 @@
+// grain-processor.js — AudioWorklet that renders grains for one GranularEngine.
+// The source buffer is sent once; the main thread then posts grain plans
+// (see planGrain() in grainFactory.js) with their start times. Each grain is
+// mixed sample-accurately into the output of the voice that spawned it, so
+// the per-voice GainNodes downstream keep working unchanged.
+//
+// Rendering mirrors the node path: a BufferSource at playbackRate = pitch,
+// stopped after `duration` seconds of output or `duration` seconds of buffer
+// content (whichever comes first), shaped by a linearly interpolated envelope
+// curve, then optionally run through a StereoPanner.
+
+/** Hard cap on simultaneously sounding grains, protects the audio thread. */
+const MAX_ACTIVE_GRAINS = 2048;
+
+/**
+ * StereoPannerNode angle for a pan value. Mono sources are placed with
+ * x = (pan + 1) / 2; stereo sources fold one side into the other.
+ * @param {number} pan - -1 to 1
+ * @param {boolean} stereo - Source has two channels
+ * @returns {number} Radians
+ */
+function panAngle(pan, stereo) {
+    const x = stereo ? (pan <= 0 ? pan + 1 : pan) : (pan + 1) / 2;
+    return x * Math.PI / 2;
+}
+
+class GrainProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        /** @type {Float32Array[]} Source channels */
+        this._channels = [];
+        /** Source sample rate */
+        this._sourceRate = sampleRate;
+        /** Source sample rate / context sample rate */
+        this._rateRatio = 1;
+
+        /** @type {Map<number, Float32Array>} Envelope curves by id */
+        this._curves = new Map();
+
+        /** @type {Object[]} Scheduled and sounding grains */
+        this._grains = [];
+
+        this.port.onmessage = (e) => this._onMessage(e.data);
+    }
+
+    _onMessage(msg) {
+        switch (msg.type) {
+            case 'buffer':
+                this._channels = msg.channels;
+                this._sourceRate = msg.sampleRate;
+                this._rateRatio = msg.sampleRate / sampleRate;
+                this._grains = [];
+                break;
+            case 'envelope':
+                this._curves.set(msg.id, msg.curve);
+                break;
+            case 'grains':
+                for (const g of msg.grains) {
+                    if (this._grains.length >= MAX_ACTIVE_GRAINS) break;
+                    const curve = this._curves.get(g.envelopeId);
+                    if (!curve) continue;
+                    this._grains.push({
+                        voice: g.voice,
+                        startFrame: Math.round(g.when * sampleRate),
+                        lengthFrames: Math.max(1, Math.round(g.duration * sampleRate)),
+                        readStart: g.offset * this._sourceRate,
+                        readEnd: (g.offset + g.duration) * this._sourceRate,
+                        step: g.pitch * this._rateRatio,
+                        amplitude: g.amplitude,
+                        pan: g.pan,
+                        panCos: Math.cos(panAngle(g.pan, this._channels.length > 1)),
+                        panSin: Math.sin(panAngle(g.pan, this._channels.length > 1)),
+                        curve,
+                        elapsed: 0,
+                    });
+                }
+                break;
+            case 'clear':
+                this._grains = [];
+                break;
+        }
+    }
+
+    process(inputs, outputs) {
+        const channels = this._channels;
+        if (channels.length === 0 || this._grains.length === 0) return true;
+
+        const blockStart = currentFrame;
+        const blockLength = outputs[0][0].length;
+        const blockEnd = blockStart + blockLength;
+        const srcLength = channels[0].length;
+        const stereoSource = channels.length > 1;
+
+        let write = 0;
+        for (let gi = 0; gi < this._grains.length; gi++) {
+            const g = this._grains[gi];
+            const out = outputs[g.voice];
+            if (!out) continue;
+
+            // Late grains (scheduled before this block) start immediately
+            if (g.elapsed === 0 && g.startFrame < blockStart) g.startFrame = blockStart;
+
+            if (g.startFrame >= blockEnd) {
+                this._grains[write++] = g;
+                continue;
+            }
+
+            const outL = out[0];
+            const outR = out[1] || out[0];
+            const curve = g.curve;
+            const curveMax = curve.length - 1;
+
+            for (let i = Math.max(0, g.startFrame - blockStart); i < blockLength; i++) {
+                const t = g.elapsed;
+                if (t >= g.lengthFrames) break;
+
+                const readPos = g.readStart + t * g.step;
+                g.elapsed++;
+                if (readPos >= g.readEnd || readPos >= srcLength - 1) continue;
+
+                // Envelope: linear interpolation through the curve (setValueCurveAtTime)
+                const envPos = (t / g.lengthFrames) * curveMax;
+                const k = Math.floor(envPos);
+                const env = k >= curveMax ? curve[curveMax] : curve[k] + (curve[k + 1] - curve[k]) * (envPos - k);
+                const gain = env * g.amplitude;
+
+                // Source: linear interpolation between samples
+                const idx = Math.floor(readPos);
+                const frac = readPos - idx;
+                const l0 = channels[0][idx];
+                const l = (l0 + (channels[0][idx + 1] - l0) * frac) * gain;
+                let r = l;
+                if (stereoSource) {
+                    const r0 = channels[1][idx];
+                    r = (r0 + (channels[1][idx + 1] - r0) * frac) * gain;
+                }
+
+                // Equal-power panning, same formulas as StereoPannerNode
+                if (g.pan === 0) {
+                    outL[i] += l;
+                    outR[i] += r;
+                } else if (!stereoSource) {
+                    outL[i] += l * g.panCos;
+                    outR[i] += l * g.panSin;
+                } else if (g.pan <= 0) {
+                    outL[i] += l + r * g.panCos;
+                    outR[i] += r * g.panSin;
+                } else {
+                    outL[i] += l * g.panCos;
+                    outR[i] += r + l * g.panSin;
+                }
+            }
+
+            // Keep the grain until its full output duration has been rendered
+            if (g.elapsed < g.lengthFrames) this._grains[write++] = g;
+        }
+        this._grains.length = write;
+
+        return true;
+    }
+}
+
+registerProcessor('granul8-grains', GrainProcessor);
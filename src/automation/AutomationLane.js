@@ -1,27 +1,60 @@
 // AutomationLane.js — Stores a sequence of automation events for recording and playback.
 // Each event captures the complete voice state (not deltas), making playback
 // self-contained and random-access friendly.
+//
+// Times are in beats (quarter notes), so a lane plays back at whatever the
+// master tempo is: a 4-bar loop stays 4 bars after a BPM change. Lanes saved
+// before that kept seconds and still play at their recorded speed.
+
+import { getSubdivisionSeconds } from '../utils/musicalQuantizer.js';
+
+/** Shortest gap (seconds) between two recorded moves of one voice. */
+export const MOVE_INTERVAL = 1 / 30;
 
 /**
  * @typedef {Object} AutomationEvent
- * @property {number} time        - Seconds since recording start
+ * @property {number} time        - Beats since recording start (seconds for 'seconds' lanes)
  * @property {number} voiceIndex  - 0-based voice slot
  * @property {'start'|'move'|'stop'} type - Event type
  * @property {Object} [params]    - Voice parameters (omitted for 'stop' events)
  * @property {number} [params.position]
  * @property {number} [params.amplitude]
  * @property {number} [params.pitch]
- * @property {number} [params.grainSize]
- * @property {number} [params.interOnset]
+ * @property {number} [params.grainSize] - Seconds, at the tempo it was recorded at
+ * @property {number} [params.interOnset] - Seconds, at the tempo it was recorded at
+ * @property {number} [params.grainSizeDivisor] - Subdivision of a tempo-quantized grain size (e.g. 16 = 1/16)
+ * @property {number} [params.interOnsetDivisor] - Subdivision of a tempo-quantized inter-onset
  * @property {number} [params.spread]
  * @property {number} [params.pan]
  * @property {string} [params.envelope]
+ * @property {number} [params.gestureX] - Canvas X of the gesture (0–1)
+ * @property {number} [params.gestureY] - Canvas Y of the gesture (0–1, top = 0)
+ * @property {{ position: number, pitch: number, amplitude: number }} [params.glide] - Glide times (seconds) as set while recording
+ */
+
+/**
+ * @typedef {'beats'|'seconds'} TimeBase
  */
 
 export class AutomationLane {
-    constructor() {
+    /**
+     * @param {TimeBase} [timeBase='beats'] - Unit of event times
+     */
+    constructor(timeBase = 'beats') {
         /** @type {AutomationEvent[]} */
         this.events = [];
+
+        /** @type {TimeBase} */
+        this.timeBase = timeBase;
+    }
+
+    /**
+     * How long one unit of lane time lasts at a tempo.
+     * @param {number} bpm
+     * @returns {number} Seconds per beat, or 1 for a 'seconds' lane
+     */
+    secondsPerUnit(bpm) {
+        return this.timeBase === 'beats' ? 60 / bpm : 1;
     }
 
     /**
@@ -37,8 +70,8 @@ export class AutomationLane {
      * Assumes events are in chronological order (they are, since addEvent
      * is called in real time during recording).
      *
-     * @param {number} startTime - Inclusive lower bound (seconds)
-     * @param {number} endTime   - Exclusive upper bound (seconds)
+     * @param {number} startTime - Inclusive lower bound (lane time)
+     * @param {number} endTime   - Exclusive upper bound (lane time)
      * @returns {AutomationEvent[]}
      */
     getEventsInRange(startTime, endTime) {
@@ -54,7 +87,7 @@ export class AutomationLane {
 
     /**
      * Get the duration of the recording (timestamp of the last event).
-     * @returns {number} Duration in seconds, or 0 if empty.
+     * @returns {number} Duration in lane time (beats or seconds), or 0 if empty.
      */
     getDuration() {
         if (this.events.length === 0) return 0;
@@ -82,6 +115,7 @@ export class AutomationLane {
      */
     toJSON() {
         return {
+            timeBase: this.timeBase,
             events: this.events.map(e => ({ ...e })),
         };
     }
@@ -92,7 +126,8 @@ export class AutomationLane {
      * @returns {AutomationLane}
      */
     static fromJSON(data) {
-        const lane = new AutomationLane();
+        // Lanes saved without a time base predate beat time: keep them in seconds
+        const lane = new AutomationLane(data?.timeBase ?? 'seconds');
         if (data && Array.isArray(data.events)) {
             lane.events = data.events.map(e => ({ ...e }));
         }
@@ -102,6 +137,7 @@ export class AutomationLane {
     /**
      * Merge two lanes into one, interleaving events by time.
      * Voice indices in laneB are offset to avoid collisions with laneA.
+     * Both lanes must share a time base (overdubs are recorded in the base lane's).
      * @param {AutomationLane} laneA - Base recording
      * @param {AutomationLane} laneB - Overdub recording
      * @returns {AutomationLane}
@@ -114,7 +150,7 @@ export class AutomationLane {
         }
         const voiceOffset = maxVoiceA + 1;
 
-        const merged = new AutomationLane();
+        const merged = new AutomationLane(laneA.timeBase);
         let iA = 0;
         let iB = 0;
         const a = laneA.events;
@@ -141,3 +177,45 @@ export class AutomationLane {
         return merged;
     }
 }
+
+/**
+ * Glide at least MOVE_INTERVAL between recorded moves, so thinned moves ramp
+ * on playback instead of stepping. The recorded glide itself is kept as set.
+ * @param {Object|undefined} params - Event params
+ * @returns {Object|undefined}
+ */
+export function withMoveSmoothing(params) {
+    if (!params) return params;
+    const glide = params.glide;
+    return {
+        ...params,
+        glide: {
+            position:  Math.max(glide?.position ?? 0, MOVE_INTERVAL),
+            pitch:     Math.max(glide?.pitch ?? 0, MOVE_INTERVAL),
+            amplitude: Math.max(glide?.amplitude ?? 0, MOVE_INTERVAL),
+        },
+    };
+}
+
+/**
+ * Re-resolve tempo-quantized params at a tempo: grain size and inter-onset
+ * recorded as subdivisions are recomputed from the divisor, and the
+ * inter-onset is locked to the clock grid as it was while recording.
+ * @param {Object|undefined} params - Event params
+ * @param {number} bpm
+ * @returns {Object|undefined} The same object when nothing is tempo-relative
+ */
+export function paramsAtTempo(params, bpm) {
+    if (!params || (params.grainSizeDivisor === undefined && params.interOnsetDivisor === undefined)) {
+        return params;
+    }
+    const resolved = { ...params };
+    if (params.grainSizeDivisor !== undefined) {
+        resolved.grainSize = getSubdivisionSeconds(bpm, params.grainSizeDivisor);
+    }
+    if (params.interOnsetDivisor !== undefined) {
+        resolved.interOnset = getSubdivisionSeconds(bpm, params.interOnsetDivisor);
+        resolved.interOnsetQuantize = { bpm, divisor: params.interOnsetDivisor };
+    }
+    return resolved;
+}
@@ -0,0 +1,129 @@
+// LaneHistory.js — Per-instance undo/redo stack of recording states.
+// Each entry is a snapshot of the automation lane and its loop points, taken
+// after a change (record, overdub pass, clear, loop range edit). The cursor
+// sits on the current state; undo and redo move it and return the state to
+// apply. Recording a new change drops the redo states.
+
+import { AutomationLane } from './AutomationLane.js';
+
+/** Undo steps kept per instance unless configured otherwise. */
+export const DEFAULT_HISTORY_DEPTH = 50;
+
+/**
+ * @typedef {Object} LaneState
+ * @property {AutomationLane} lane - A copy, safe to hand to the recorder
+ * @property {{ start: number, end: number }} loopRange - Loop points (end 0 = full duration)
+ * @property {string} label - The change that produced this state, e.g. 'Overdub'
+ */
+
+export class LaneHistory {
+    /**
+     * @param {number} [depth=DEFAULT_HISTORY_DEPTH] - Undo steps kept
+     */
+    constructor(depth = DEFAULT_HISTORY_DEPTH) {
+        /** @type {number} */
+        this._depth = Math.max(1, Math.round(depth));
+
+        /**
+         * Snapshots, oldest first. Lanes are kept serialized so later edits
+         * to the live lane can't reach into the history.
+         * @type {Array<{lane: Object, loopRange: {start: number, end: number}, label: string}>}
+         */
+        this._states = [];
+
+        /** @type {number} Index of the current state (-1 = empty) */
+        this._index = -1;
+    }
+
+    /** @returns {number} Undo steps kept. */
+    get depth() {
+        return this._depth;
+    }
+
+    /**
+     * Change how many undo steps are kept, dropping the oldest ones if needed.
+     * @param {number} depth
+     */
+    set depth(depth) {
+        this._depth = Math.max(1, Math.round(depth));
+        this._trim();
+    }
+
+    /** @returns {boolean} Whether there is a state to go back to. */
+    get canUndo() {
+        return this._index > 0;
+    }
+
+    /** @returns {boolean} Whether an undone state can be restored. */
+    get canRedo() {
+        return this._index < this._states.length - 1;
+    }
+
+    /**
+     * Forget everything and start from a single state (new instance or
+     * restored session). Nothing can be undone past it.
+     * @param {AutomationLane} lane
+     * @param {{ start: number, end: number }} loopRange
+     */
+    reset(lane, loopRange) {
+        this._states = [];
+        this._index = -1;
+        this.push('Initial', lane, loopRange);
+    }
+
+    /**
+     * Record the state after a change. Drops any redo states.
+     * @param {string} label - What changed, e.g. 'Record', 'Overdub', 'Clear', 'Loop range'
+     * @param {AutomationLane} lane
+     * @param {{ start: number, end: number }} loopRange
+     */
+    push(label, lane, loopRange) {
+        this._states.length = this._index + 1;
+        this._states.push({ lane: lane.toJSON(), loopRange: { ...loopRange }, label });
+        this._index = this._states.length - 1;
+        this._trim();
+    }
+
+    /**
+     * Step back one state.
+     * @returns {{ state: LaneState, label: string }|null} The state to apply and
+     *          the change that was undone, or null at the oldest state
+     */
+    undo() {
+        if (!this.canUndo) return null;
+        const label = this._states[this._index].label;
+        this._index--;
+        return { state: this._restore(this._index), label };
+    }
+
+    /**
+     * Step forward one state.
+     * @returns {{ state: LaneState, label: string }|null} The state to apply and
+     *          the change that was redone, or null at the newest state
+     */
+    redo() {
+        if (!this.canRedo) return null;
+        this._index++;
+        return { state: this._restore(this._index), label: this._states[this._index].label };
+    }
+
+    /** @private */
+    _restore(index) {
+        const { lane, loopRange, label } = this._states[index];
+        return { lane: AutomationLane.fromJSON(lane), loopRange: { ...loopRange }, label };
+    }
+
+    /**
+     * Keep at most depth + 1 states: the oldest go first, then redo states,
+     * but never the current one.
+     * @private
+     */
+    _trim() {
+        const excess = this._states.length - (this._depth + 1);
+        if (excess <= 0) return;
+        const oldest = Math.min(excess, this._index);
+        this._states.splice(0, oldest);
+        this._index -= oldest;
+        this._states.length = this._depth + 1;
+    }
+}
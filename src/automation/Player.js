@@ -1,23 +1,47 @@
 // Player.js — Replays recorded automation events through the engine.
-// Uses requestAnimationFrame for frame-accurate event dispatch.
+// Uses look-ahead scheduling timed by audioContext.currentTime (same pattern
+// as GrainScheduler and Metronome): every event is dispatched a little ahead
+// with its exact audio time, so playback keeps running in background tabs
+// and loop wraps land on time. requestAnimationFrame only drives the display.
+//
+// Lanes are timed in beats and rendered at the master clock's current tempo:
+// a BPM change takes effect from the next scheduled event, and loop ranges
+// (also in lane time) keep their length in bars.
 //
 // Crossfade looping: alternates between two synthetic ID ranges (A/B).
-// When approaching the loop end, pre-starts the next iteration's voices
-// from loopStart while the current iteration's grains play out naturally.
-// This eliminates the audible gap at loop boundaries.
+// At a loop boundary the current iteration's voices are released (their
+// grains play out naturally) while the next iteration's voices start on the
+// boundary itself. This eliminates the audible gap at loop boundaries.
+
+import { paramsAtTempo, withMoveSmoothing } from './AutomationLane.js';
 
 const SYNTHETIC_POINTER_BASE_A = 1000;
 const SYNTHETIC_POINTER_BASE_B = 2000;
 
-/** Pre-start window: start next iteration this many seconds before loop end. */
-const CROSSFADE_WINDOW = 0.050; // 50ms
+/**
+ * How far ahead events are dispatched (seconds). Longer than the
+ * GrainScheduler look-ahead, so a voice changes before its grains for that
+ * time have been scheduled.
+ */
+const SCHEDULE_AHEAD = 0.2;
+
+/** Timer interval (ms) when no tick source drives the player. */
+const TIMER_INTERVAL = 25;
+
+/** Shortest loop range (seconds) that still loops; shorter ranges play once. */
+const MIN_LOOP_LENGTH = 0.01;
 
 export class Player {
     /**
      * @param {AudioContext} audioContext - For timing reference
+     * @param {import('../audio/MasterClock.js').MasterClock} clock - Tempo and bar grid
+     * @param {import('../audio/TickSource.js').TickSource|null} [tickSource=null]
+     *        Shared heartbeat (keeps running in background tabs); setTimeout if null
      */
-    constructor(audioContext) {
+    constructor(audioContext, clock, tickSource = null) {
         this._audioContext = audioContext;
+        this._clock = clock;
+        this._tickSource = tickSource;
 
         /** @type {boolean} */
         this.isPlaying = false;
@@ -28,23 +52,56 @@ export class Player {
         /** @type {boolean} */
         this._loop = false;
 
-        /** @type {number} Loop start time (seconds within recording, 0 = beginning) */
+        /** @type {number} Loop start (lane time, 0 = beginning) */
         this._loopStart = 0;
 
-        /** @type {number} Loop end time (seconds, 0 = use full duration) */
+        /** @type {number} Loop end (lane time, 0 = use full duration) */
         this._loopEnd = 0;
 
-        /** @type {number} */
+        /** @type {number} Audio time of lane time 0 in the iteration being heard */
         this._startTime = 0;
 
-        /** @type {number} */
-        this._lastProcessedTime = 0;
+        /** @type {number} Seconds per unit of lane time in the iteration being heard */
+        this._secondsPerUnit = 1;
 
-        /** @type {number} */
+        /** @type {number} Lane duration (lane time) */
         this._duration = 0;
 
+        // --- Look-ahead scheduling ---
+
+        /** @type {number} Audio time of lane time 0 in the iteration being scheduled */
+        this._scheduleStart = 0;
+
+        /** @type {number} Seconds per unit of lane time being scheduled with */
+        this._scheduleSecondsPerUnit = 1;
+
+        /** @type {number} Lane time up to which events have been dispatched */
+        this._scheduledUntil = 0;
+
+        /** @type {number} Lane time the pass being scheduled began at (0, then the loop start) */
+        this._passStart = 0;
+
+        /** @type {boolean} True once the end of a non-looping playback is scheduled */
+        this._scheduledEnd = false;
+
+        /**
+         * Scheduled loop wraps, tempo changes and the end of playback, fired
+         * once their audio time has passed.
+         * @type {Array<{time: number, type: 'wrap'|'tempo'|'end', startTime?: number, secondsPerUnit?: number}>}
+         */
+        this._boundaries = [];
+
+        /**
+         * Dispatched events waiting for their audio time, for onDisplay.
+         * @type {Array<{time: number, type: 'start'|'move'|'stop', syntheticId: number, params?: Object}>}
+         */
+        this._displayQueue = [];
+
+        /** @type {number|null} setTimeout ID (no tick source) */
+        this._timerId = null;
+
         // --- Crossfade iteration tracking ---
-        /** @type {'A'|'B'} */
+        /** @type {'A'|'B'} Iteration being scheduled */
         this._currentIteration = 'A';
 
         /** @type {Set<number>} Active synthetic IDs for iteration A */
@@ -53,35 +110,37 @@ export class Player {
         /** @type {Set<number>} Active synthetic IDs for iteration B */
         this._activeVoicesB = new Set();
 
-        /** @type {boolean} True when we've pre-started the next iteration */
-        this._crossfadeStarted = false;
-
         // --- Loop station mode ---
         this._loopStationMode = false;
 
-        /** @type {import('../audio/MasterClock.js').MasterClock|null} */
-        this._clock = null;
-
         /** @type {number|null} */
         this._rafId = null;
 
         // --- Callbacks ---
 
         /**
-         * Called to dispatch a voice action on the engine (start/move/stop).
-         * @type {((type: 'start'|'move'|'stop', syntheticPointerId: number, params?: Object) => void)|null}
+         * Called to dispatch a voice action on the engine (start/move/stop),
+         * ahead of time, with the audio time it should take effect.
+         * @type {((type: 'start'|'move'|'stop', syntheticPointerId: number, params: Object|undefined, when: number) => void)|null}
          */
         this.onDispatch = null;
 
         /**
-         * Called to release a voice (scheduler stops, grains play out).
-         * Used at loop boundaries for seamless crossfade.
-         * @type {((syntheticPointerId: number) => void)|null}
+         * Called when a dispatched event's time arrives, for display (ghost pointers).
+         * @type {((type: 'start'|'move'|'stop', syntheticPointerId: number, params?: Object) => void)|null}
+         */
+        this.onDisplay = null;
+
+        /**
+         * Called to release a voice at a loop boundary (scheduler stops,
+         * grains play out). Used for seamless crossfade.
+         * @type {((syntheticPointerId: number, when: number) => void)|null}
          */
         this.onRelease = null;
 
         /**
-         * Called each frame with elapsed time and progress fraction.
+         * Called each frame with elapsed time (seconds at the current tempo)
+         * and progress fraction.
          * @type {((elapsed: number, progress: number) => void)|null}
          */
         this.onFrame = null;
@@ -100,16 +159,17 @@ export class Player {
         this.onLoopWrap = null;
 
         this._tick = this._tick.bind(this);
+        this._frame = this._frame.bind(this);
     }
 
     /**
      * Enable/disable loop station mode (bar-grid aligned looping).
      * @param {boolean} enabled
-     * @param {import('../audio/MasterClock.js').MasterClock|null} clock
+     * @param {import('../audio/MasterClock.js').MasterClock} [clock] - Replaces the player's clock
      */
     setLoopStationMode(enabled, clock) {
         this._loopStationMode = enabled;
-        this._clock = clock || null;
+        if (clock) this._clock = clock;
     }
 
     /**
@@ -127,37 +187,49 @@ export class Player {
         if (this._duration === 0) return;
 
         this._startTime = this._audioContext.currentTime;
-        this._lastProcessedTime = 0;
+        this._secondsPerUnit = this._getSecondsPerUnit();
+        this._scheduleStart = this._startTime;
+        this._scheduleSecondsPerUnit = this._secondsPerUnit;
+        this._scheduledUntil = 0;
+        this._passStart = 0;
+        this._scheduledEnd = false;
+        this._boundaries = [];
+        this._displayQueue = [];
         this._currentIteration = 'A';
         this._activeVoicesA.clear();
         this._activeVoicesB.clear();
-        this._crossfadeStarted = false;
         this.isPlaying = true;
-        this._rafId = requestAnimationFrame(this._tick);
+
+        if (this._tickSource) this._tickSource.add(this._tick);
+        this._tick();
+        this._rafId = requestAnimationFrame(this._frame);
     }
 
     /**
      * Stop playback and release all playback voices.
      */
     stop() {
-        this.isPlaying = false;
-        if (this._rafId !== null) {
-            cancelAnimationFrame(this._rafId);
-            this._rafId = null;
-        }
+        this._halt();
         this._stopIterationVoices('A');
         this._stopIterationVoices('B');
+        this._boundaries = [];
+        this._displayQueue = [];
         this._lane = null;
     }
 
     /**
      * Hot-swap the lane during playback (e.g. after overdub merge).
-     * Playback continues seamlessly with the new lane data.
+     * Playback continues seamlessly with the new lane data. Part of the pass
+     * being scheduled was already sent from the old lane: events only the new
+     * lane has there are sent now (late ones right away), and voices only the
+     * old lane started there are stopped.
      * @param {import('./AutomationLane.js').AutomationLane} lane
      */
     setLane(lane) {
+        const previous = this._lane;
         this._lane = lane;
         this._duration = lane.getDuration();
+        if (this.isPlaying && previous) this._resendPass(previous);
     }
 
     /**
@@ -169,10 +241,10 @@ export class Player {
     }
 
     /**
-     * Set loop start/end points (seconds within the recording).
-     * Use 0/0 to loop the full recording.
-     * @param {number} start - Loop start time (seconds)
-     * @param {number} end - Loop end time (seconds, 0 = use full duration)
+     * Set loop start/end points in lane time (beats, or seconds for an old
+     * lane). Use 0/0 to loop the full recording.
+     * @param {number} start - Loop start
+     * @param {number} end - Loop end (0 = use full duration)
      */
     setLoopRange(start, end) {
         this._loopStart = start;
@@ -180,7 +252,7 @@ export class Player {
     }
 
     /**
-     * Get the effective loop range.
+     * Get the effective loop range (lane time).
      * @returns {{ start: number, end: number }}
      */
     getLoopRange() {
@@ -190,15 +262,40 @@ export class Player {
         };
     }
 
+    /**
+     * Get the loop points as set (end 0 = full duration), for history snapshots.
+     * @returns {{ start: number, end: number }}
+     */
+    getLoopPoints() {
+        return { start: this._loopStart, end: this._loopEnd };
+    }
+
     /**
      * Get current playback elapsed time.
-     * @returns {number}
+     * @returns {number} Seconds since lane time 0, at the tempo being heard
      */
     getElapsedTime() {
         if (!this.isPlaying) return 0;
         return this._audioContext.currentTime - this._startTime;
     }
 
+    /**
+     * Get the lane time being heard (where an overdub should start recording).
+     * @returns {number}
+     */
+    getPosition() {
+        return this.getElapsedTime() / this._secondsPerUnit;
+    }
+
+    /**
+     * Seconds per unit of lane time at the clock's current tempo.
+     * @returns {number}
+     * @private
+     */
+    _getSecondsPerUnit() {
+        return this._lane.secondsPerUnit(this._clock.bpm);
+    }
+
     // --- Iteration helpers ---
 
     /** @private */
@@ -206,156 +303,261 @@ export class Player {
         return this._currentIteration === 'A' ? SYNTHETIC_POINTER_BASE_A : SYNTHETIC_POINTER_BASE_B;
     }
 
-    /** @private */
-    _getNextBase() {
-        return this._currentIteration === 'A' ? SYNTHETIC_POINTER_BASE_B : SYNTHETIC_POINTER_BASE_A;
-    }
-
     /** @private */
     _getCurrentActiveVoices() {
         return this._currentIteration === 'A' ? this._activeVoicesA : this._activeVoicesB;
     }
 
-    /** @private */
-    _getNextActiveVoices() {
-        return this._currentIteration === 'A' ? this._activeVoicesB : this._activeVoicesA;
-    }
-
-    // --- Main tick ---
+    // --- Scheduling ---
 
-    /** @private */
+    /**
+     * Look-ahead tick: fire boundaries that have passed, then dispatch every
+     * event up to SCHEDULE_AHEAD from now. Re-arms itself unless a tick
+     * source drives the player.
+     * @private
+     */
     _tick() {
         if (!this.isPlaying || !this._lane) return;
 
-        const elapsed = this._audioContext.currentTime - this._startTime;
-        const loopEnd = this._loopEnd > 0 ? this._loopEnd : this._duration;
+        const now = this._audioContext.currentTime;
+        this._fireBoundaries(now);
+        if (!this.isPlaying) return;
+
+        if (!this._scheduledEnd) this._schedule(now + SCHEDULE_AHEAD);
+
+        // Hidden tabs get no animation frames: keep the display queue short
+        this._flushDisplay(now);
 
-        // === CROSSFADE PRE-START ===
-        // When within CROSSFADE_WINDOW of loop end, pre-start next iteration
-        if (this._loop && !this._crossfadeStarted && elapsed >= (loopEnd - CROSSFADE_WINDOW)) {
-            this._crossfadeStarted = true;
-            this._preStartNextIteration();
+        if (!this._tickSource) {
+            this._timerId = setTimeout(this._tick, TIMER_INTERVAL);
         }
+    }
 
-        // === LOOP BOUNDARY ===
-        if (elapsed >= loopEnd) {
-            if (this._loop) {
-                // Release old iteration voices (grains play out naturally)
-                this._releaseIterationVoices(this._currentIteration);
-
-                // Swap iterations
-                this._currentIteration = this._currentIteration === 'A' ? 'B' : 'A';
-
-                // Reset timing
-                if (this._loopStationMode && this._clock) {
-                    // Align to bar grid on the master clock
-                    const now = this._audioContext.currentTime;
-                    const barAligned = this._clock.quantizeToBar(now);
-                    this._startTime = barAligned - this._loopStart;
-                } else {
-                    this._startTime = this._audioContext.currentTime - this._loopStart;
-                }
-                this._lastProcessedTime = this._loopStart;
-                this._crossfadeStarted = false;
-
-                // Notify loop wrap (used for overdub auto-commit)
-                if (this.onLoopWrap) this.onLoopWrap();
-            } else {
-                // Non-looping: playback complete
-                this._stopIterationVoices('A');
-                this._stopIterationVoices('B');
-                this.isPlaying = false;
-                this._rafId = null;
-                if (this.onFrame) this.onFrame(this._duration, 1);
-                if (this.onComplete) this.onComplete();
+    /**
+     * Dispatch events up to the deadline, crossing loop boundaries as needed.
+     * A boundary's time is known in advance: the loop end, snapped to the
+     * master clock's bar grid in loop station mode.
+     * @param {number} deadline - audioContext time (exclusive)
+     * @private
+     */
+    _schedule(deadline) {
+        this._followTempo();
+
+        for (;;) {
+            const spu = this._scheduleSecondsPerUnit;
+            const loopEnd = this._loopEnd > 0 ? this._loopEnd : this._duration;
+            const endTime = this._scheduleStart + loopEnd * spu;
+            if (deadline < endTime) {
+                this._dispatchEvents((deadline - this._scheduleStart) / spu);
+                return;
+            }
+            this._dispatchEvents(loopEnd);
+
+            // Loop station: the next pass waits for the first bar at or after
+            // the loop end, so loops shorter than a bar still move forward
+            const nextStart = this._loopStationMode && this._clock
+                ? this._clock.getNextGridTime(endTime, this._clock.getBarDuration())
+                : endTime;
+            const nextScheduleStart = nextStart - this._loopStart * spu;
+
+            if (!this._loop || (loopEnd - this._loopStart) * spu < MIN_LOOP_LENGTH
+                || nextScheduleStart <= this._scheduleStart) {
+                // Non-looping (or a wrap that makes no progress): stop everything at the end
+                this._stopIterationVoices('A', endTime);
+                this._stopIterationVoices('B', endTime);
+                this._boundaries.push({ time: endTime, type: 'end' });
+                this._scheduledEnd = true;
                 return;
             }
+
+            // Release this iteration's voices (grains play out), start the next
+            this._releaseIterationVoices(this._currentIteration, endTime);
+            this._currentIteration = this._currentIteration === 'A' ? 'B' : 'A';
+
+            this._scheduleStart = nextScheduleStart;
+            this._scheduledUntil = this._loopStart;
+            this._passStart = this._loopStart;
+            this._boundaries.push({
+                time: nextStart, type: 'wrap', startTime: this._scheduleStart, secondsPerUnit: spu,
+            });
         }
+    }
+
+    /**
+     * Pick up a tempo change: lane time already dispatched keeps its audio
+     * time, everything after it is stretched to the new tempo.
+     * @private
+     */
+    _followTempo() {
+        const spu = this._getSecondsPerUnit();
+        if (spu === this._scheduleSecondsPerUnit) return;
+
+        const time = this._scheduleStart + this._scheduledUntil * this._scheduleSecondsPerUnit;
+        this._scheduleStart = time - this._scheduledUntil * spu;
+        this._scheduleSecondsPerUnit = spu;
+        this._boundaries.push({ time, type: 'tempo', startTime: this._scheduleStart, secondsPerUnit: spu });
+    }
+
+    /**
+     * Dispatch the current iteration's events from where the last call
+     * stopped up to a lane time, each at its exact audio time, with
+     * tempo-quantized params resolved at the current tempo.
+     * @param {number} until - Lane time (exclusive)
+     * @private
+     */
+    _dispatchEvents(until) {
+        if (until <= this._scheduledUntil) return;
 
-        // === NORMAL EVENT DISPATCH ===
-        const currentElapsed = this._audioContext.currentTime - this._startTime;
-        const events = this._lane.getEventsInRange(this._lastProcessedTime, currentElapsed);
+        for (const event of this._lane.getEventsInRange(this._scheduledUntil, until)) {
+            this._dispatchEvent(event, 0);
+        }
+
+        this._scheduledUntil = until;
+    }
+
+    /**
+     * Dispatch one event of the current iteration.
+     * @param {import('./AutomationLane.js').AutomationEvent} event
+     * @param {number} earliest - Audio time events already due are moved to
+     * @private
+     */
+    _dispatchEvent(event, earliest) {
+        const syntheticId = this._getCurrentBase() + event.voiceIndex;
+        const activeVoices = this._getCurrentActiveVoices();
+        const when = Math.max(earliest, this._scheduleStart + event.time * this._scheduleSecondsPerUnit);
+        const params = withMoveSmoothing(paramsAtTempo(event.params, this._clock.bpm));
+
+        switch (event.type) {
+            case 'start':
+                activeVoices.add(syntheticId);
+                break;
+            case 'stop':
+                activeVoices.delete(syntheticId);
+                break;
+        }
+        if (this.onDispatch) {
+            this.onDispatch(event.type, syntheticId, params, when);
+        }
+        this._displayQueue.push({ time: when, type: event.type, syntheticId, params });
+    }
+
+    /**
+     * After a lane swap, bring the part of the pass already dispatched from
+     * the old lane in line with the new one. Events both lanes share (an
+     * overdub merge keeps every old event) are left alone, so held voices
+     * aren't retriggered.
+     * @param {import('./AutomationLane.js').AutomationLane} previous - The old lane
+     * @private
+     */
+    _resendPass(previous) {
+        if (this._scheduledUntil <= this._passStart) return;
+        const now = this._audioContext.currentTime;
+        const key = (e) => `${e.type}:${e.voiceIndex}:${e.time}`;
+
+        /** @type {Map<string, number>} Old events not (yet) matched in the new lane */
+        const remaining = new Map();
+        for (const event of previous.getEventsInRange(this._passStart, this._scheduledUntil)) {
+            remaining.set(key(event), (remaining.get(key(event)) ?? 0) + 1);
+        }
+
+        // Sorted events of one lane stay sorted, so the additions go out in time order
+        for (const event of this._lane.getEventsInRange(this._passStart, this._scheduledUntil)) {
+            const count = remaining.get(key(event)) ?? 0;
+            if (count > 0) {
+                remaining.set(key(event), count - 1);
+            } else {
+                this._dispatchEvent(event, now);
+            }
+        }
+
+        // Voices the new lane doesn't start any more
         const base = this._getCurrentBase();
         const activeVoices = this._getCurrentActiveVoices();
+        for (const [eventKey, count] of remaining) {
+            const [type, voiceIndex, time] = eventKey.split(':');
+            if (type !== 'start' || count === 0) continue;
+            const syntheticId = base + Number(voiceIndex);
+            const when = Math.max(now, this._scheduleStart + Number(time) * this._scheduleSecondsPerUnit);
+            activeVoices.delete(syntheticId);
+            if (this.onDispatch) this.onDispatch('stop', syntheticId, undefined, when);
+            this._displayQueue.push({ time: when, type: 'stop', syntheticId });
+        }
+        this._displayQueue.sort((a, b) => a.time - b.time);
+    }
 
-        for (const event of events) {
-            const syntheticId = base + event.voiceIndex;
-
-            switch (event.type) {
-                case 'start':
-                    activeVoices.add(syntheticId);
-                    if (this.onDispatch) {
-                        this.onDispatch('start', syntheticId, event.params);
-                    }
-                    break;
-
-                case 'move':
-                    if (this.onDispatch) {
-                        this.onDispatch('move', syntheticId, event.params);
-                    }
-                    break;
-
-                case 'stop':
-                    activeVoices.delete(syntheticId);
-                    if (this.onDispatch) {
-                        this.onDispatch('stop', syntheticId);
-                    }
-                    break;
+    /**
+     * Fire the loop wraps, tempo changes and end of playback whose time has come.
+     * @param {number} now
+     * @private
+     */
+    _fireBoundaries(now) {
+        while (this._boundaries.length > 0 && this._boundaries[0].time <= now) {
+            const boundary = this._boundaries.shift();
+            if (boundary.type !== 'end') {
+                this._startTime = boundary.startTime;
+                this._secondsPerUnit = boundary.secondsPerUnit;
+                if (boundary.type === 'wrap' && this.onLoopWrap) this.onLoopWrap();
+                continue;
             }
+
+            // Non-looping: playback complete
+            this._flushDisplay(now);
+            this._halt();
+            if (this.onFrame) this.onFrame(this._duration * this._secondsPerUnit, 1);
+            if (this.onComplete) this.onComplete();
+            return;
+        }
+    }
+
+    /**
+     * Pass events whose time has come to onDisplay.
+     * @param {number} now
+     * @private
+     */
+    _flushDisplay(now) {
+        const queue = this._displayQueue;
+        let count = 0;
+        while (count < queue.length && queue[count].time <= now) {
+            const { type, syntheticId, params } = queue[count++];
+            if (this.onDisplay) this.onDisplay(type, syntheticId, params);
         }
+        if (count > 0) queue.splice(0, count);
+    }
 
-        this._lastProcessedTime = currentElapsed;
+    /**
+     * Display frame: fire due boundaries and display events, report progress.
+     * @private
+     */
+    _frame() {
+        if (!this.isPlaying) return;
+
+        const now = this._audioContext.currentTime;
+        this._fireBoundaries(now);
+        if (!this.isPlaying) return;
+        this._flushDisplay(now);
 
-        // Report frame progress
         if (this.onFrame) {
-            this.onFrame(currentElapsed, currentElapsed / this._duration);
+            const elapsed = now - this._startTime;
+            this.onFrame(elapsed, elapsed / this._secondsPerUnit / this._duration);
         }
 
-        this._rafId = requestAnimationFrame(this._tick);
+        this._rafId = requestAnimationFrame(this._frame);
     }
 
     /**
-     * Pre-start the next iteration by dispatching events from the loop start
-     * region using the next iteration's synthetic IDs. This creates the
-     * crossfade overlap: new voices start producing grains while old voices'
-     * pre-scheduled grains play out.
+     * Stop the scheduler and the display loop (voices are left alone).
      * @private
      */
-    _preStartNextIteration() {
-        if (!this._lane) return;
-
-        const nextBase = this._getNextBase();
-        const nextVoices = this._getNextActiveVoices();
-        nextVoices.clear();
-
-        // Dispatch events from the first CROSSFADE_WINDOW of the loop
-        const windowEnd = this._loopStart + CROSSFADE_WINDOW;
-        const events = this._lane.getEventsInRange(this._loopStart, windowEnd);
-
-        for (const event of events) {
-            const syntheticId = nextBase + event.voiceIndex;
-
-            switch (event.type) {
-                case 'start':
-                    nextVoices.add(syntheticId);
-                    if (this.onDispatch) {
-                        this.onDispatch('start', syntheticId, event.params);
-                    }
-                    break;
-
-                case 'move':
-                    if (this.onDispatch) {
-                        this.onDispatch('move', syntheticId, event.params);
-                    }
-                    break;
-
-                case 'stop':
-                    nextVoices.delete(syntheticId);
-                    if (this.onDispatch) {
-                        this.onDispatch('stop', syntheticId);
-                    }
-                    break;
-            }
+    _halt() {
+        this.isPlaying = false;
+        if (this._tickSource) this._tickSource.remove(this._tick);
+        if (this._timerId !== null) {
+            clearTimeout(this._timerId);
+            this._timerId = null;
+        }
+        if (this._rafId !== null) {
+            cancelAnimationFrame(this._rafId);
+            this._rafId = null;
         }
     }
 
@@ -363,18 +565,19 @@ export class Player {
      * Release voices for an iteration — stops schedulers but lets pre-scheduled
      * grains play out naturally. Used at loop boundaries for seamless crossfade.
      * @param {'A'|'B'} iteration
+     * @param {number} when - Audio time of the boundary
      * @private
      */
-    _releaseIterationVoices(iteration) {
+    _releaseIterationVoices(iteration, when) {
         const voices = iteration === 'A' ? this._activeVoicesA : this._activeVoicesB;
         if (this.onRelease) {
             for (const syntheticId of voices) {
-                this.onRelease(syntheticId);
+                this.onRelease(syntheticId, when);
             }
         } else if (this.onDispatch) {
             // Fallback: hard-stop if onRelease is not wired
             for (const syntheticId of voices) {
-                this.onDispatch('stop', syntheticId);
+                this.onDispatch('stop', syntheticId, undefined, when);
             }
         }
         voices.clear();
@@ -382,15 +585,16 @@ export class Player {
 
     /**
      * Hard-stop voices for an iteration (with gain fade).
-     * Used when stopping playback entirely.
+     * Used when playback ends or is stopped.
      * @param {'A'|'B'} iteration
+     * @param {number} [when] - Audio time of the stop (defaults to now)
      * @private
      */
-    _stopIterationVoices(iteration) {
+    _stopIterationVoices(iteration, when) {
         const voices = iteration === 'A' ? this._activeVoicesA : this._activeVoicesB;
         if (this.onDispatch) {
             for (const syntheticId of voices) {
-                this.onDispatch('stop', syntheticId);
+                this.onDispatch('stop', syntheticId, undefined, when);
             }
         }
         voices.clear();
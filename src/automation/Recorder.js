@@ -1,18 +1,19 @@
 // Recorder.js — Captures live pointer gestures into an AutomationLane.
 // The recorder hooks into PointerHandler callbacks and captures start/move/stop
 // events with full voice state. Pointermove events are throttled to 30 per second
-// per pointer to keep recordings compact.
+// per pointer to keep recordings compact. Event times are in beats at the
+// master clock's tempo, so recordings follow later tempo changes.
 
-import { AutomationLane } from './AutomationLane.js';
-
-const THROTTLE_INTERVAL = 1 / 30; // ~33ms between move events per pointer
+import { AutomationLane, MOVE_INTERVAL } from './AutomationLane.js';
 
 export class Recorder {
     /**
      * @param {AudioContext} audioContext - For timing reference
+     * @param {import('../audio/MasterClock.js').MasterClock} clock - Tempo for beat time
      */
-    constructor(audioContext) {
+    constructor(audioContext, clock) {
         this._audioContext = audioContext;
+        this._clock = clock;
 
         /** @type {boolean} */
         this.isRecording = false;
@@ -26,11 +27,17 @@ export class Recorder {
         /** @type {AutomationLane|null} Temp lane during overdub */
         this._overdubLane = null;
 
-        /** @type {AutomationLane|null} Pre-overdub snapshot for undo */
-        this._undoSnapshot = null;
+        // Lane time is counted from an anchor, re-taken whenever the tempo
+        // changes, so a BPM change mid-take doesn't shift earlier events
+
+        /** @type {number} Audio time of the anchor */
+        this._anchorTime = 0;
+
+        /** @type {number} Lane time at the anchor */
+        this._anchorLaneTime = 0;
 
-        /** @type {number} */
-        this._startTime = 0;
+        /** @type {number} Seconds per unit of lane time since the anchor */
+        this._secondsPerUnit = 1;
 
         /** @type {Map<number, number>} pointerId → last capture time (seconds) */
         this._lastMoveTime = new Map();
@@ -40,54 +47,41 @@ export class Recorder {
      * Start recording. Resets the lane and begins capturing events.
      */
     startRecording() {
-        this._lane.clear();
-        this._undoSnapshot = null;
+        this._lane = new AutomationLane('beats');
         this._lastMoveTime.clear();
-        this._startTime = this._audioContext.currentTime;
+        this._anchor(this._audioContext.currentTime, 0);
         this.isRecording = true;
         this.isOverdubbing = false;
     }
 
     /**
      * Start overdub recording. Captures into a temp lane while the original plays.
-     * @param {number} startTime - AudioContext.currentTime when playback started
+     * @param {number} laneTime - Playback position now (Player.getPosition())
      */
-    startOverdub(startTime) {
-        this._undoSnapshot = AutomationLane.fromJSON(this._lane.toJSON());
-        this._overdubLane = new AutomationLane();
+    startOverdub(laneTime) {
+        this._overdubLane = new AutomationLane(this._lane.timeBase);
         this._lastMoveTime.clear();
-        this._startTime = startTime;
+        this._anchor(this._audioContext.currentTime, laneTime);
         this.isRecording = true;
         this.isOverdubbing = true;
     }
 
     /**
      * Stop recording. If overdubbing, merge the temp lane into the main lane.
+     * @returns {boolean} True if the recording changed: always after a fresh
+     *          take, only if something was captured after an overdub
      */
     stopRecording() {
+        let changed = this.isRecording;
         if (this.isOverdubbing && this._overdubLane) {
-            this._lane = AutomationLane.merge(this._lane, this._overdubLane);
+            changed = this._overdubLane.length > 0;
+            if (changed) this._lane = AutomationLane.merge(this._lane, this._overdubLane);
             this._overdubLane = null;
         }
         this.isRecording = false;
         this.isOverdubbing = false;
         this._lastMoveTime.clear();
-    }
-
-    /**
-     * Undo the last overdub — revert to the pre-overdub snapshot.
-     * @returns {boolean} True if undo was applied.
-     */
-    undoOverdub() {
-        if (!this._undoSnapshot) return false;
-        this._lane = this._undoSnapshot;
-        this._undoSnapshot = null;
-        return true;
-    }
-
-    /** @returns {boolean} Whether an undo snapshot exists. */
-    get canUndo() {
-        return this._undoSnapshot !== null;
+        return changed;
     }
 
     /**
@@ -99,21 +93,52 @@ export class Recorder {
     }
 
     /**
-     * Replace the current lane with a pre-existing one (e.g. restored from session).
+     * Replace the current lane with a pre-existing one (e.g. restored from
+     * session or history).
      * @param {AutomationLane} lane
      */
     setRecording(lane) {
         this._lane = lane;
-        this._undoSnapshot = null;
     }
 
     /**
-     * Get elapsed recording time in seconds.
+     * Get elapsed recording time in seconds (the recording's length at the
+     * current tempo when not recording).
      * @returns {number}
      */
     getElapsedTime() {
-        if (!this.isRecording) return this._lane.getDuration();
-        return this._audioContext.currentTime - this._startTime;
+        if (!this.isRecording) {
+            return this._lane.getDuration() * this._lane.secondsPerUnit(this._clock.bpm);
+        }
+        return this._laneTimeAt(this._audioContext.currentTime) * this._secondsPerUnit;
+    }
+
+    /**
+     * Count lane time from an anchor at the current tempo.
+     * @param {number} now - Audio time
+     * @param {number} laneTime - Lane time at `now`
+     * @private
+     */
+    _anchor(now, laneTime) {
+        const target = this._overdubLane || this._lane;
+        this._secondsPerUnit = target.secondsPerUnit(this._clock.bpm);
+        this._anchorTime = now;
+        this._anchorLaneTime = laneTime;
+    }
+
+    /**
+     * Lane time (beats, or seconds for an old lane) at an audio time,
+     * re-anchoring first if the tempo has changed.
+     * @param {number} now - Audio time
+     * @returns {number}
+     * @private
+     */
+    _laneTimeAt(now) {
+        const target = this._overdubLane || this._lane;
+        if (target.secondsPerUnit(this._clock.bpm) !== this._secondsPerUnit) {
+            this._anchor(now, this._anchorLaneTime + (now - this._anchorTime) / this._secondsPerUnit);
+        }
+        return this._anchorLaneTime + (now - this._anchorTime) / this._secondsPerUnit;
     }
 
     /**
@@ -123,7 +148,7 @@ export class Recorder {
      */
     captureStart(voiceIndex, resolvedParams) {
         if (!this.isRecording) return;
-        const time = this._audioContext.currentTime - this._startTime;
+        const time = this._laneTimeAt(this._audioContext.currentTime);
         const target = this._overdubLane || this._lane;
         target.addEvent({
             time,
@@ -143,11 +168,11 @@ export class Recorder {
     captureMove(voiceIndex, resolvedParams) {
         if (!this.isRecording) return;
         const now = this._audioContext.currentTime;
-        const time = now - this._startTime;
+        const time = this._laneTimeAt(now);
 
         // Throttle: skip if the last capture for this voice was too recent
         const lastTime = this._lastMoveTime.get(voiceIndex);
-        if (lastTime !== undefined && (now - lastTime) < THROTTLE_INTERVAL) {
+        if (lastTime !== undefined && (now - lastTime) < MOVE_INTERVAL) {
             return;
         }
         this._lastMoveTime.set(voiceIndex, now);
@@ -167,7 +192,7 @@ export class Recorder {
      */
     captureStop(voiceIndex) {
         if (!this.isRecording) return;
-        const time = this._audioContext.currentTime - this._startTime;
+        const time = this._laneTimeAt(this._audioContext.currentTime);
         const target = this._overdubLane || this._lane;
         target.addEvent({
             time,
@@ -193,8 +218,21 @@ function extractParams(resolved) {
         spread: resolved.spread,
         pan: resolved.pan,
         envelope: resolved.envelope,
+        // Canvas coordinates: with a custom axis mapping, position and
+        // amplitude no longer say where the gesture was
+        gestureX: resolved.gestureX,
+        gestureY: resolved.gestureY,
     };
     // Include per-instance ADSR so playback uses the correct envelope shape
     if (resolved.adsr) params.adsr = resolved.adsr;
+    // Fixed tempo-quantized sizes are kept as subdivisions so playback can
+    // recompute them at the current BPM. Random ones are not: playback would
+    // turn them into a fixed value.
+    if (resolved.grainSizeDivisor) params.grainSizeDivisor = resolved.grainSizeDivisor;
+    if (resolved.interOnsetQuantize && !resolved.interOnsetRange) {
+        params.interOnsetDivisor = resolved.interOnsetQuantize.divisor;
+    }
+    // As set: playback adds the smoothing thinned moves need (withMoveSmoothing)
+    if (resolved.glide) params.glide = { ...resolved.glide };
     return params;
 }
@@ -0,0 +1,281 @@
+// laneEdits.js — Editing operations on an AutomationLane, grouped by gesture.
+// A gesture is one voice's start, its moves and its stop. Edits never change
+// the lane they're given: each returns a new lane plus the indices of the
+// affected gestures in it, so the caller can keep them selected. Gestures that
+// end up overlapping on one voice slot are moved to a free slot, since a slot
+// can only play one gesture at a time.
+
+import { AutomationLane } from './AutomationLane.js';
+
+/**
+ * @typedef {Object} Gesture
+ * @property {number} voiceIndex
+ * @property {number} start - Lane time of the first event
+ * @property {number} end - Lane time of the last event
+ * @property {boolean} open - True if the gesture never stops (held when recording ended)
+ * @property {import('./AutomationLane.js').AutomationEvent[]} events - In time order
+ */
+
+/**
+ * @typedef {Object} LaneEdit
+ * @property {AutomationLane} lane - The edited lane
+ * @property {number[]} selection - Indices of the edited gestures in getGestures(lane)
+ */
+
+/**
+ * @typedef {Object} GestureClipboard
+ * @property {import('./AutomationLane.js').TimeBase} timeBase
+ * @property {Array<import('./AutomationLane.js').AutomationEvent[]>} gestures - Times relative to the earliest start
+ */
+
+/**
+ * Split a lane into gestures, ordered by start time. Moves or stops with no
+ * start before them (a voice held when an overdub began) form a gesture of
+ * their own so they survive edits.
+ * @param {AutomationLane} lane
+ * @returns {Gesture[]}
+ */
+export function getGestures(lane) {
+    const gestures = [];
+    /** @type {Map<number, Gesture>} voiceIndex → gesture still sounding */
+    const sounding = new Map();
+
+    for (const event of lane.events) {
+        let gesture = event.type === 'start' ? null : sounding.get(event.voiceIndex);
+        if (!gesture) {
+            gesture = { voiceIndex: event.voiceIndex, start: event.time, end: event.time, open: true, events: [] };
+            gestures.push(gesture);
+            sounding.set(event.voiceIndex, gesture);
+        }
+        gesture.events.push(event);
+        gesture.end = event.time;
+        if (event.type === 'stop') {
+            gesture.open = false;
+            sounding.delete(event.voiceIndex);
+        }
+    }
+    return gestures;
+}
+
+/**
+ * Shift gestures in time. The earliest one stops at time 0.
+ * @param {AutomationLane} lane
+ * @param {number[]} selection - Gesture indices
+ * @param {number} delta - Lane time to add
+ * @returns {LaneEdit}
+ */
+export function moveGestures(lane, selection, delta) {
+    const gestures = getGestures(lane);
+    const selected = new Set(selection);
+    const earliest = Math.min(...selection.map(i => gestures[i].start));
+    const shift = Math.max(delta, -earliest);
+    return buildLane(lane.timeBase, gestures.map((gesture, i) => ({
+        events: selected.has(i)
+            ? gesture.events.map(e => ({ ...e, time: e.time + shift }))
+            : gesture.events,
+        selected: selected.has(i),
+    })));
+}
+
+/**
+ * Stretch or squeeze gestures in time around the earliest selected start.
+ * @param {AutomationLane} lane
+ * @param {number[]} selection - Gesture indices
+ * @param {number} factor - 2 = twice as long, 0.5 = half
+ * @returns {LaneEdit}
+ */
+export function scaleGestures(lane, selection, factor) {
+    const gestures = getGestures(lane);
+    const selected = new Set(selection);
+    const origin = Math.min(...selection.map(i => gestures[i].start));
+    return buildLane(lane.timeBase, gestures.map((gesture, i) => ({
+        events: selected.has(i)
+            ? gesture.events.map(e => ({ ...e, time: origin + (e.time - origin) * factor }))
+            : gesture.events,
+        selected: selected.has(i),
+    })));
+}
+
+/**
+ * Remove gestures.
+ * @param {AutomationLane} lane
+ * @param {number[]} selection - Gesture indices
+ * @returns {LaneEdit}
+ */
+export function deleteGestures(lane, selection) {
+    const selected = new Set(selection);
+    return buildLane(lane.timeBase, getGestures(lane)
+        .filter((_, i) => !selected.has(i))
+        .map(gesture => ({ events: gesture.events, selected: false })));
+}
+
+/**
+ * Copy gestures for pasting, with times relative to the earliest one.
+ * @param {AutomationLane} lane
+ * @param {number[]} selection - Gesture indices
+ * @returns {GestureClipboard}
+ */
+export function copyGestures(lane, selection) {
+    const gestures = getGestures(lane);
+    const origin = Math.min(...selection.map(i => gestures[i].start));
+    return {
+        timeBase: lane.timeBase,
+        gestures: [...selection].sort((a, b) => a - b).map(i =>
+            gestures[i].events.map(e => structuredClone({ ...e, time: e.time - origin }))),
+    };
+}
+
+/**
+ * Insert copied gestures, the earliest starting at `time`.
+ * @param {AutomationLane} lane
+ * @param {GestureClipboard} clipboard
+ * @param {number} time - Lane time
+ * @param {number} bpm - Converts between beat and second lanes
+ * @returns {LaneEdit}
+ */
+export function pasteGestures(lane, clipboard, time, bpm) {
+    const scale = new AutomationLane(clipboard.timeBase).secondsPerUnit(bpm) / lane.secondsPerUnit(bpm);
+    const existing = getGestures(lane).map(gesture => ({ events: gesture.events, selected: false }));
+    const pasted = clipboard.gestures.map(events => ({
+        events: events.map(e => ({ ...structuredClone(e), time: time + e.time * scale })),
+        selected: true,
+    }));
+    return buildLane(lane.timeBase, [...existing, ...pasted]);
+}
+
+/**
+ * Redraw one parameter over part of some gestures. Within the time span of
+ * the stroke, a gesture's moves are replaced by one move per stroke point;
+ * its start and stop keep their times. Other parameters, and the canvas
+ * coordinates the ghost display follows, are taken from the gesture as it
+ * was at each point.
+ * @param {AutomationLane} lane
+ * @param {number[]} selection - Gesture indices
+ * @param {'position'|'pitch'|'amplitude'} param
+ * @param {Array<{ time: number, value: number }>} stroke - Sorted by time
+ * @returns {LaneEdit}
+ */
+export function drawCurve(lane, selection, param, stroke) {
+    const gestures = getGestures(lane);
+    const selected = new Set(selection);
+    const from = stroke[0].time;
+    const to = stroke[stroke.length - 1].time;
+
+    return buildLane(lane.timeBase, gestures.map((gesture, i) => {
+        const end = gesture.open ? Infinity : gesture.end;
+        if (!selected.has(i) || to < gesture.start || from > end) {
+            return { events: gesture.events, selected: selected.has(i) };
+        }
+
+        const events = [];
+        for (const event of gesture.events) {
+            const inside = event.time >= from && event.time <= to;
+            if (inside && event.type === 'move') continue;
+            events.push(inside && event.params
+                ? { ...event, params: { ...event.params, [param]: curveValueAt(stroke, event.time) } }
+                : event);
+        }
+        for (const point of stroke) {
+            if (point.time <= gesture.start || point.time >= end) continue;
+            const base = paramsAt(gesture.events, point.time);
+            if (!base) continue;
+            events.push({
+                time: point.time,
+                voiceIndex: gesture.voiceIndex,
+                type: 'move',
+                params: { ...base, [param]: point.value },
+            });
+        }
+        events.sort((a, b) => a.time - b.time || typeOrder(a) - typeOrder(b));
+        return { events, selected: true };
+    }));
+}
+
+/**
+ * Value of a drawn stroke at a time, linearly interpolated.
+ * @param {Array<{ time: number, value: number }>} stroke - Sorted by time
+ * @param {number} time
+ * @returns {number}
+ * @private
+ */
+function curveValueAt(stroke, time) {
+    for (let i = 1; i < stroke.length; i++) {
+        const a = stroke[i - 1];
+        const b = stroke[i];
+        if (time <= b.time) {
+            const span = b.time - a.time;
+            return span > 0 ? a.value + (b.value - a.value) * (time - a.time) / span : b.value;
+        }
+    }
+    return stroke[stroke.length - 1].value;
+}
+
+/**
+ * Params of the last event at or before a time.
+ * @param {import('./AutomationLane.js').AutomationEvent[]} events - One gesture, in time order
+ * @param {number} time
+ * @returns {Object|null}
+ * @private
+ */
+function paramsAt(events, time) {
+    let params = null;
+    for (const event of events) {
+        if (event.time > time) break;
+        if (event.params) params = event.params;
+    }
+    return params;
+}
+
+/**
+ * Keep start first and stop last among events of one gesture at the same time.
+ * @private
+ */
+function typeOrder(event) {
+    return event.type === 'start' ? 0 : event.type === 'move' ? 1 : 2;
+}
+
+/**
+ * Flatten gestures back into a lane in time order, moving any gesture that
+ * would overlap another on the same voice slot to the lowest free slot.
+ * @param {import('./AutomationLane.js').TimeBase} timeBase
+ * @param {Array<{ events: import('./AutomationLane.js').AutomationEvent[], selected: boolean }>} gestures
+ * @returns {LaneEdit}
+ * @private
+ */
+function buildLane(timeBase, gestures) {
+    const ordered = gestures
+        .filter(gesture => gesture.events.length > 0)
+        .map((gesture, order) => ({ ...gesture, order }))
+        .sort((a, b) => a.events[0].time - b.events[0].time || a.order - b.order);
+
+    /** @type {Map<number, number>} voiceIndex → lane time its last gesture ends */
+    const busyUntil = new Map();
+    const lane = new AutomationLane(timeBase);
+    const selectedFirsts = new Set();
+
+    for (const gesture of ordered) {
+        const start = gesture.events[0].time;
+        const last = gesture.events[gesture.events.length - 1];
+        const end = last.type === 'stop' ? last.time : Infinity;
+
+        let voiceIndex = gesture.events[0].voiceIndex;
+        if (busyUntil.has(voiceIndex) && busyUntil.get(voiceIndex) >= start) {
+            voiceIndex = 0;
+            while (busyUntil.has(voiceIndex) && busyUntil.get(voiceIndex) >= start) voiceIndex++;
+        }
+        busyUntil.set(voiceIndex, end);
+
+        const events = gesture.events.map(e => ({ ...e, voiceIndex }));
+        if (gesture.selected) selectedFirsts.add(events[0]);
+        lane.events.push(...events);
+    }
+
+    // Stable: events of one gesture keep their order at equal times
+    lane.events.sort((a, b) => a.time - b.time);
+
+    const selection = [];
+    getGestures(lane).forEach((gesture, i) => {
+        if (selectedFirsts.has(gesture.events[0])) selection.push(i);
+    });
+    return { lane, selection };
+}
@@ -0,0 +1,77 @@
+// CompoundGestureRecognizer.js — Two-finger gesture geometry: pinch (finger
+// distance), rotation (how far the pair has turned since it formed) and drag
+// (how far the pair's centroid has moved). Pure math; PointerHandler feeds it
+// finger positions and turns the values into gesture dimensions.
+
+import { clamp } from '../utils/math.js';
+
+/** Finger distance in CSS pixels that maps to pinch = 1. */
+const PINCH_MAX_DISTANCE = 300;
+
+/** Turn in radians either way that maps to rotation 0 or 1 (a quarter turn). */
+const ROTATION_RANGE = Math.PI / 2;
+
+/**
+ * @typedef {Object} CompoundValues
+ * @property {number} pinch - 0–1, finger distance
+ * @property {number} rotation - 0–1, 0.5 = the angle the pair formed at, clockwise = higher
+ * @property {number} position - Centroid canvas X, 0–1
+ * @property {number} amplitude - Centroid canvas Y, 0–1 (top = 0)
+ * @property {number} shift - Centroid X movement since the pair formed (canvas widths)
+ */
+
+export class CompoundGestureRecognizer {
+    /**
+     * Start a gesture from two finger positions.
+     * @param {{position: number, amplitude: number}} a - First finger, normalized canvas coordinates
+     * @param {{position: number, amplitude: number}} b - Second finger
+     * @param {number} width - Canvas width in CSS pixels
+     * @param {number} height - Canvas height in CSS pixels
+     * @returns {CompoundValues}
+     */
+    begin(a, b, width, height) {
+        this._startX = (a.position + b.position) / 2;
+        this._lastAngle = this._angle(a, b, width, height);
+        this._turn = 0;
+        return this.update(a, b, width, height);
+    }
+
+    /**
+     * Follow the fingers. The turn is unwrapped, so a pair rotating past
+     * ±180° keeps counting instead of jumping.
+     * @param {{position: number, amplitude: number}} a
+     * @param {{position: number, amplitude: number}} b
+     * @param {number} width
+     * @param {number} height
+     * @returns {CompoundValues}
+     */
+    update(a, b, width, height) {
+        const angle = this._angle(a, b, width, height);
+        let delta = angle - this._lastAngle;
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        else if (delta < -Math.PI) delta += Math.PI * 2;
+        this._turn += delta;
+        this._lastAngle = angle;
+
+        const distance = Math.hypot(
+            (b.position - a.position) * width,
+            (b.amplitude - a.amplitude) * height
+        );
+        const position = (a.position + b.position) / 2;
+        return {
+            pinch: clamp(distance / PINCH_MAX_DISTANCE, 0, 1),
+            rotation: clamp(0.5 + this._turn / (ROTATION_RANGE * 2), 0, 1),
+            position,
+            amplitude: (a.amplitude + b.amplitude) / 2,
+            shift: position - this._startX,
+        };
+    }
+
+    /**
+     * Screen angle of the line from a to b (y points down, so clockwise is positive).
+     * @private
+     */
+    _angle(a, b, width, height) {
+        return Math.atan2((b.amplitude - a.amplitude) * height, (b.position - a.position) * width);
+    }
+}
@@ -0,0 +1,324 @@
+// GamepadInput.js — Game controllers as a gesture source (Gamepad API).
+// Parallel to PointerHandler: each analog stick is one voice with its own
+// synthetic pointer ID, played through the same start/move/stop callbacks.
+// Stick X/Y are the canvas X/Y of a touch (so the instance's axis mapping
+// applies), the matching trigger is its pressure and stick speed its
+// velocity, so gesture mappings apply unchanged. Buttons gate the stick voices or fire transport
+// actions, per a configurable button → action table.
+//
+// The Gamepad API has no input events: poll() is called once per animation
+// frame. getGamepads can be injected instead of reading navigator.getGamepads.
+
+import { clamp } from '../utils/math.js';
+import { getVoiceColor } from '../ui/voiceColors.js';
+
+/** Synthetic pointer IDs: base + gamepad index * 2 + stick (0 left, 1 right). */
+export const GAMEPAD_POINTER_BASE = 8000;
+
+/** Actions a button can be assigned to. */
+export const GAMEPAD_ACTIONS = ['none', 'voiceLeft', 'voiceRight', 'play', 'stop', 'record', 'metronome'];
+
+/** Standard-mapping buttons offered for assignment (triggers 6/7 are pressure). */
+export const GAMEPAD_BUTTONS = [
+    { index: 0,  label: 'A / Cross' },
+    { index: 1,  label: 'B / Circle' },
+    { index: 2,  label: 'X / Square' },
+    { index: 3,  label: 'Y / Triangle' },
+    { index: 4,  label: 'Left bumper' },
+    { index: 5,  label: 'Right bumper' },
+    { index: 8,  label: 'Back / Select' },
+    { index: 9,  label: 'Start' },
+    { index: 10, label: 'Left stick press' },
+    { index: 11, label: 'Right stick press' },
+];
+
+/** Standard-mapping trigger buttons (analog value 0–1), left then right. */
+const TRIGGER_BUTTONS = [6, 7];
+
+/** Stick deflection below which the axis reads as centred. */
+const DEADZONE = 0.12;
+
+/** Relative mode: normalized units per second at full deflection. */
+const RELATIVE_RATE = 0.6;
+
+/** Speed (normalized units/sec) that maps to velocity = 1 (as PointerHandler). */
+const VELOCITY_MAX = 3;
+
+/** Exponential moving average factor for velocity smoothing. */
+const VELOCITY_SMOOTH = 0.3;
+
+/** Minimum change in any dimension before a held voice is updated. */
+const MOVE_EPSILON = 0.002;
+
+/**
+ * @typedef {Object} GamepadSettings
+ * @property {boolean} enabled - Poll connected gamepads
+ * @property {'absolute'|'relative'} stickMode - Stick sets the position, or moves it
+ * @property {Record<number, string>} buttons - Button index → GAMEPAD_ACTIONS entry
+ */
+
+/**
+ * @typedef {Object} GamepadGesture
+ * @property {number} pointerId
+ * @property {number} position - 0–1 canvas X (stick X)
+ * @property {number} amplitude - 0–1 canvas Y (stick Y, down = 1, like a touch)
+ * @property {number} pressure - 0–1 (trigger)
+ * @property {number} contactSize - Always 0
+ * @property {number} velocity - 0–1 (stick speed)
+ */
+
+/**
+ * Default settings: bumpers hold the stick voices, face buttons drive the
+ * transport (A play/stop, B stop, X record, Y metronome). 'play' toggles.
+ * @returns {GamepadSettings}
+ */
+export function createDefaultGamepadSettings() {
+    return {
+        enabled: false,
+        stickMode: 'absolute',
+        buttons: { 0: 'play', 1: 'stop', 2: 'record', 3: 'metronome', 4: 'voiceLeft', 5: 'voiceRight' },
+    };
+}
+
+/** Remove the deadzone and rescale the rest to -1..1. */
+function applyDeadzone(v) {
+    const magnitude = Math.abs(v);
+    if (magnitude < DEADZONE) return 0;
+    return Math.sign(v) * (magnitude - DEADZONE) / (1 - DEADZONE);
+}
+
+/** Analog value of a button (0 when missing). */
+function buttonValue(pad, index) {
+    const button = pad.buttons[index];
+    return button ? button.value : 0;
+}
+
+export class GamepadInput {
+    /**
+     * @param {object} callbacks
+     * @param {(gesture: GamepadGesture) => number|undefined} callbacks.onStart
+     *        Should return the voiceId (slot index) allocated, or undefined if none.
+     * @param {(gesture: GamepadGesture) => void} callbacks.onMove
+     * @param {(params: {pointerId: number}) => void} callbacks.onStop
+     * @param {(action: string) => void} callbacks.onAction - Transport actions on button press
+     * @param {GamepadSettings} [settings]
+     * @param {() => Array<Gamepad|null>} [getGamepads] - Injected poll source
+     */
+    constructor(callbacks, settings = createDefaultGamepadSettings(), getGamepads = () => navigator.getGamepads()) {
+        this.callbacks = callbacks;
+        this._getGamepads = getGamepads;
+
+        /** @type {GamepadSettings} */
+        this.settings = { ...settings, buttons: { ...settings.buttons } };
+
+        /**
+         * Sounding stick voices: pointerId → gesture and allocated voice.
+         * @type {Map<number, GamepadGesture & { voiceId: number }>}
+         */
+        this.voices = new Map();
+
+        /** Per-gamepad poll state, by Gamepad.index */
+        this._pads = new Map();
+
+        /** Fired when gamepads are connected or removed: (names) => void */
+        this.onConnectionChange = null;
+        this._names = '';
+
+        this._readThemeColors();
+    }
+
+    /**
+     * Whether the browser exposes the Gamepad API.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    /**
+     * Update settings. Missing keys keep their value.
+     * @param {Partial<GamepadSettings>} settings
+     */
+    setSettings(settings) {
+        if (settings.enabled === false) {
+            this.releaseAll();
+            this._pads.clear();
+            // Report the connected pads again when re-enabled
+            this._names = '';
+        }
+        Object.assign(this.settings, settings);
+        if (settings.buttons) this.settings.buttons = { ...settings.buttons };
+    }
+
+    /**
+     * Read every connected gamepad and start, move or stop stick voices.
+     * @param {number} [now] - performance.now() in ms
+     */
+    poll(now = performance.now()) {
+        if (!this.settings.enabled) return;
+
+        const pads = [...(this._getGamepads() || [])].filter(p => p && p.connected);
+        this._reportConnections(pads);
+
+        const seen = new Set();
+        for (const pad of pads) {
+            seen.add(pad.index);
+            this._pollPad(pad, now);
+        }
+
+        // Unplugged pads release their voices
+        for (const index of [...this._pads.keys()]) {
+            if (seen.has(index)) continue;
+            this._pads.delete(index);
+            for (const stick of [0, 1]) this._stopVoice(GAMEPAD_POINTER_BASE + index * 2 + stick);
+        }
+    }
+
+    /** Stop every stick voice. */
+    releaseAll() {
+        for (const pointerId of [...this.voices.keys()]) this._stopVoice(pointerId);
+    }
+
+    /**
+     * Draw a cursor per stick of each connected gamepad: filled in the voice
+     * color while sounding, an outline otherwise (shows where a relative-mode
+     * stick will start).
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     */
+    drawIndicator(ctx, canvasWidth, canvasHeight) {
+        if (!this.settings.enabled) return;
+
+        const dpr = devicePixelRatio;
+        const radius = 7 * dpr;
+        for (const [index, state] of this._pads) {
+            state.sticks.forEach((s, stick) => {
+                const x = s.position * canvasWidth;
+                const y = s.amplitude * canvasHeight;
+                const entry = this.voices.get(GAMEPAD_POINTER_BASE + index * 2 + stick);
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                if (entry) {
+                    const [r, g, b] = getVoiceColor(entry.voiceId);
+                    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${0.4 + 0.6 * entry.pressure})`;
+                    ctx.fill();
+                } else {
+                    ctx.strokeStyle = this._cursorColor;
+                    ctx.lineWidth = dpr;
+                    ctx.stroke();
+                }
+            });
+        }
+    }
+
+    /** Call when theme changes to refresh the cursor color. */
+    onThemeChange() {
+        this._readThemeColors();
+    }
+
+    /** Release voices. */
+    dispose() {
+        this.releaseAll();
+    }
+
+    /** Read the idle cursor color from CSS custom properties. @private */
+    _readThemeColors() {
+        const s = getComputedStyle(document.documentElement);
+        this._cursorColor = s.getPropertyValue('--canvas-hint').trim() || '#5a5048';
+    }
+
+    /**
+     * @param {Gamepad} pad
+     * @param {number} now
+     * @private
+     */
+    _pollPad(pad, now) {
+        let state = this._pads.get(pad.index);
+        if (!state) {
+            state = {
+                lastTime: now,
+                pressed: [],
+                sticks: [0, 1].map(() => ({ position: 0.5, amplitude: 0.5, velocity: 0 })),
+            };
+            this._pads.set(pad.index, state);
+        }
+        const dt = Math.max(0.001, (now - state.lastTime) / 1000);
+        state.lastTime = now;
+
+        // Buttons: gates for the stick voices, edges for actions
+        const gates = [false, false];
+        pad.buttons.forEach((button, index) => {
+            const action = this.settings.buttons[index];
+            const wasPressed = state.pressed[index];
+            state.pressed[index] = button.pressed;
+            if (!action || action === 'none') return;
+            if (action === 'voiceLeft') gates[0] ||= button.pressed;
+            else if (action === 'voiceRight') gates[1] ||= button.pressed;
+            else if (button.pressed && !wasPressed) this.callbacks.onAction(action);
+        });
+
+        for (const stick of [0, 1]) {
+            const s = state.sticks[stick];
+            const x = applyDeadzone(pad.axes[stick * 2] ?? 0);
+            const y = applyDeadzone(pad.axes[stick * 2 + 1] ?? 0);
+
+            const prevPosition = s.position;
+            const prevAmplitude = s.amplitude;
+            if (this.settings.stickMode === 'relative') {
+                s.position = clamp(s.position + x * RELATIVE_RATE * dt, 0, 1);
+                s.amplitude = clamp(s.amplitude + y * RELATIVE_RATE * dt, 0, 1);
+            } else {
+                s.position = (x + 1) / 2;
+                s.amplitude = (y + 1) / 2;
+            }
+            const speed = Math.hypot(s.position - prevPosition, s.amplitude - prevAmplitude) / dt;
+            s.velocity += (clamp(speed / VELOCITY_MAX, 0, 1) - s.velocity) * VELOCITY_SMOOTH;
+
+            this._updateVoice(GAMEPAD_POINTER_BASE + pad.index * 2 + stick, gates[stick], {
+                position: s.position,
+                amplitude: s.amplitude,
+                pressure: buttonValue(pad, TRIGGER_BUTTONS[stick]),
+                contactSize: 0,
+                velocity: s.velocity,
+            });
+        }
+    }
+
+    /**
+     * Start, move or stop one stick voice to match its gate and values.
+     * @private
+     */
+    _updateVoice(pointerId, gate, values) {
+        const entry = this.voices.get(pointerId);
+        if (!gate) {
+            if (entry) this._stopVoice(pointerId);
+            return;
+        }
+        if (!entry) {
+            const gesture = { pointerId, ...values };
+            const voiceId = this.callbacks.onStart(gesture);
+            if (voiceId != null) this.voices.set(pointerId, { ...gesture, voiceId });
+            return;
+        }
+        const changed = Object.keys(values).some(k => Math.abs(values[k] - entry[k]) > MOVE_EPSILON);
+        if (!changed) return;
+        Object.assign(entry, values);
+        this.callbacks.onMove(entry);
+    }
+
+    /** @private */
+    _stopVoice(pointerId) {
+        if (!this.voices.delete(pointerId)) return;
+        this.callbacks.onStop({ pointerId });
+    }
+
+    /** @private */
+    _reportConnections(pads) {
+        const names = pads.map(p => p.id);
+        const key = names.join('\n');
+        if (key === this._names) return;
+        this._names = key;
+        if (this.onConnectionChange) this.onConnectionChange(names);
+    }
+}
@@ -0,0 +1,296 @@
+// KeyboardInput.js — QWERTY performance mode: plays voices from the computer
+// keyboard, for laptops without a touch screen. Parallel to PointerHandler and
+// MidiInput: every held key is a pointer with its own synthetic pointer ID and
+// goes through the same start/move/stop callbacks (so it records and overdubs).
+//
+// 'positions' mode: the three letter rows are 30 pads, each playing a stored
+// grain position (spread across the sample by default; pressing a key while a
+// pointer is down on the waveform stores that spot). 'pitch' mode: a two-octave
+// piano layout (Z row from the root note, Q row an octave up) at one position.
+// Shift accents (louder), Alt plays soft; the modifiers also act on held keys.
+// Keys are matched by KeyboardEvent.code, so the layout is the same physical
+// keys on AZERTY or Dvorak keyboards.
+
+import { clamp } from '../utils/math.js';
+import { getVoiceColor } from '../ui/voiceColors.js';
+
+/** Synthetic pointer IDs for keys: base + index in POSITION_KEYS / PITCH_KEYS. */
+export const KEYBOARD_POINTER_BASE = 7000;
+
+/** Pads in 'positions' mode, top row first. */
+export const POSITION_KEYS = [
+    'KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP',
+    'KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon',
+    'KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash',
+];
+
+/** Piano layout in 'pitch' mode: code → semitones above the root note. */
+const PITCH_KEYS = {
+    KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7,
+    KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11, Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+    KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19,
+    Digit6: 20, KeyY: 21, Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28,
+};
+const PITCH_CODES = Object.keys(PITCH_KEYS);
+
+/** Input types that ignore letter keys (focus on them does not block playing). */
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'range', 'button'];
+
+/** Key amplitudes: plain, Shift (accent) and Alt (soft). */
+const AMPLITUDE_NORMAL = 0.7;
+const AMPLITUDE_ACCENT = 1.0;
+const AMPLITUDE_SOFT = 0.35;
+
+/**
+ * @typedef {Object} KeyboardSettings
+ * @property {boolean} enabled - Capture the keyboard for playing
+ * @property {'positions'|'pitch'} mode
+ * @property {number[]} positions - Stored position (0–1) per POSITION_KEYS entry
+ * @property {number} pitchPosition - Grain position in 'pitch' mode (0–1)
+ * @property {number} octave - Octave shift in 'pitch' mode (-2 to 2)
+ */
+
+/**
+ * @typedef {Object} KeyGesture
+ * @property {number} pointerId - Synthetic pointer ID for this key
+ * @property {string} code - KeyboardEvent.code
+ * @property {number} position - 0–1
+ * @property {number} amplitude - 0–1, from the modifiers
+ * @property {number|null} semitones - Above the root note ('pitch' mode), else null
+ */
+
+/**
+ * Default settings: pads spread evenly across the sample.
+ * @returns {KeyboardSettings}
+ */
+export function createDefaultKeyboardSettings() {
+    return {
+        enabled: false,
+        mode: 'positions',
+        positions: POSITION_KEYS.map((_, i) => (i + 0.5) / POSITION_KEYS.length),
+        pitchPosition: 0.5,
+        octave: 0,
+    };
+}
+
+/**
+ * Human-readable key label ('KeyQ' → 'Q', 'Semicolon' → ';').
+ * @param {string} code
+ * @returns {string}
+ */
+function keyLabel(code) {
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return { Semicolon: ';', Comma: ',', Period: '.', Slash: '/' }[code] ?? code;
+}
+
+export class KeyboardInput {
+    /**
+     * @param {EventTarget} target - Where key events are listened for (document)
+     * @param {object} callbacks
+     * @param {(gesture: KeyGesture) => number|undefined} callbacks.onStart
+     *        Should return the voiceId (slot index) allocated, or undefined if none.
+     * @param {(gesture: KeyGesture) => void} callbacks.onMove
+     * @param {(params: {pointerId: number}) => void} callbacks.onStop
+     * @param {() => number|null} [callbacks.getPointerPosition]
+     *        Position of a pointer held on the waveform, for storing pad positions
+     * @param {KeyboardSettings} [settings]
+     */
+    constructor(target, callbacks, settings = createDefaultKeyboardSettings()) {
+        this.target = target;
+        this.callbacks = callbacks;
+
+        /** @type {KeyboardSettings} */
+        this.settings = { ...settings, positions: [...settings.positions] };
+
+        /**
+         * Held keys: code → gesture and allocated voice.
+         * @type {Map<string, KeyGesture & { voiceId: number }>}
+         */
+        this.keys = new Map();
+
+        /** Fired when a pad position is stored from the pointer: (positions) => void */
+        this.onPositionsChange = null;
+
+        this._amplitude = AMPLITUDE_NORMAL;
+
+        this._readThemeColors();
+
+        this._onKeyDown = (e) => this.handleKeyDown(e);
+        this._onKeyUp = (e) => this.handleKeyUp(e);
+        // Key-ups are lost while the window is in the background
+        this._onBlur = () => this.releaseAll();
+
+        target.addEventListener('keydown', this._onKeyDown);
+        target.addEventListener('keyup', this._onKeyUp);
+        window.addEventListener('blur', this._onBlur);
+    }
+
+    /**
+     * Update settings. Missing keys keep their value.
+     * @param {Partial<KeyboardSettings>} settings
+     */
+    setSettings(settings) {
+        // Held keys were started under the old layout
+        if ((settings.enabled === false) || (settings.mode && settings.mode !== this.settings.mode)) {
+            this.releaseAll();
+        }
+        Object.assign(this.settings, settings);
+        if (settings.positions) this.settings.positions = [...settings.positions];
+    }
+
+    /**
+     * Handle a keydown. Consumed keys get
+     * preventDefault(), so shortcuts listening later can skip them.
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (this._updateModifiers(e)) return;
+        if (!this._accepts(e)) return;
+
+        const index = this._keyIndex(e.code);
+        if (index < 0) return;
+        e.preventDefault();
+        if (e.repeat || this.keys.has(e.code)) return;
+
+        if (this.settings.mode === 'positions') {
+            // A pointer held on the waveform stores its spot on this pad
+            const stored = this.callbacks.getPointerPosition?.();
+            if (stored != null) {
+                this.settings.positions[index] = clamp(stored, 0, 1);
+                if (this.onPositionsChange) this.onPositionsChange([...this.settings.positions]);
+            }
+        }
+
+        const gesture = {
+            pointerId: KEYBOARD_POINTER_BASE + index,
+            code: e.code,
+            position: this._getPosition(index),
+            amplitude: this._amplitude,
+            semitones: this.settings.mode === 'pitch'
+                ? PITCH_KEYS[e.code] + 12 * this.settings.octave
+                : null,
+        };
+        const voiceId = this.callbacks.onStart(gesture);
+        if (voiceId != null) this.keys.set(e.code, { ...gesture, voiceId });
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    handleKeyUp(e) {
+        if (this._updateModifiers(e)) return;
+        const entry = this.keys.get(e.code);
+        if (!entry) return;
+        e.preventDefault();
+        this.keys.delete(e.code);
+        this.callbacks.onStop({ pointerId: entry.pointerId });
+    }
+
+    /** Stop every held key. */
+    releaseAll() {
+        for (const [code, entry] of [...this.keys]) {
+            this.keys.delete(code);
+            this.callbacks.onStop({ pointerId: entry.pointerId });
+        }
+        this._amplitude = AMPLITUDE_NORMAL;
+    }
+
+    /**
+     * Draw pad labels at their stored positions along the bottom of the
+     * waveform ('positions' mode), held pads highlighted in their voice color.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     */
+    drawIndicator(ctx, canvasWidth, canvasHeight) {
+        if (!this.settings.enabled || this.settings.mode !== 'positions') return;
+
+        const dpr = devicePixelRatio;
+        const held = new Map([...this.keys.values()].map(k => [k.code, k.voiceId]));
+        ctx.font = `${10 * dpr}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        POSITION_KEYS.forEach((code, i) => {
+            const x = this.settings.positions[i] * canvasWidth;
+            // Stagger rows so neighbouring pads stay readable
+            const row = Math.floor(i / 10);
+            const y = canvasHeight - (4 + (2 - row) * 12) * dpr;
+            const voiceId = held.get(code);
+            if (voiceId !== undefined) {
+                const [r, g, b] = getVoiceColor(voiceId);
+                ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            } else {
+                ctx.fillStyle = this._labelColor;
+            }
+            ctx.fillText(keyLabel(code), x, y);
+        });
+    }
+
+    /** Call when theme changes to refresh the label color. */
+    onThemeChange() {
+        this._readThemeColors();
+    }
+
+    /** Release held keys and remove listeners. */
+    dispose() {
+        this.releaseAll();
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('blur', this._onBlur);
+    }
+
+    /** Read the pad label color from CSS custom properties. @private */
+    _readThemeColors() {
+        const s = getComputedStyle(document.documentElement);
+        this._labelColor = s.getPropertyValue('--canvas-hint').trim() || '#5a5048';
+    }
+
+    /**
+     * Track Shift/Alt: the amplitude follows them, including for held keys.
+     * @returns {boolean} True if the event was a modifier key
+     * @private
+     */
+    _updateModifiers(e) {
+        if (e.key !== 'Shift' && e.key !== 'Alt') return false;
+        if (!this.settings.enabled) return true;
+
+        const amplitude = e.shiftKey ? AMPLITUDE_ACCENT : e.altKey ? AMPLITUDE_SOFT : AMPLITUDE_NORMAL;
+        // Alt alone would focus the browser menu bar on some platforms
+        if (e.key === 'Alt') e.preventDefault();
+        if (amplitude === this._amplitude) return true;
+        this._amplitude = amplitude;
+        for (const entry of this.keys.values()) {
+            entry.amplitude = amplitude;
+            this.callbacks.onMove(entry);
+        }
+        return true;
+    }
+
+    /**
+     * Whether a key event is ours: enabled, not typing in a text field, and
+     * no Ctrl/Meta (browser and app shortcuts keep working). Focused toggles
+     * and sliders don't take letters, so playing continues after using them.
+     * @private
+     */
+    _accepts(e) {
+        if (!this.settings.enabled || e.ctrlKey || e.metaKey) return false;
+        const el = e.target;
+        if (!el) return true;
+        if (el.isContentEditable) return false;
+        if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return false;
+        if (el.tagName === 'INPUT') return NON_TEXT_INPUTS.includes(el.type);
+        return true;
+    }
+
+    /** @private */
+    _keyIndex(code) {
+        return this.settings.mode === 'pitch' ? PITCH_CODES.indexOf(code) : POSITION_KEYS.indexOf(code);
+    }
+
+    /** @private */
+    _getPosition(index) {
+        return this.settings.mode === 'pitch' ? this.settings.pitchPosition : this.settings.positions[index];
+    }
+}
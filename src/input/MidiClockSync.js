@@ -0,0 +1,362 @@
+// MidiClockSync.js — MIDI beat clock (24 PPQN) in and out of the MasterClock.
+// MidiClockOutput sends clock pulses on the MasterClock's grid (epoch + n ×
+// pulse period) plus Start/Stop/Continue, scheduled ahead with timestamps so
+// jitter on the main thread does not reach the wire.
+// MidiClockInput slaves the MasterClock to incoming pulses: the pulse period
+// is averaged over the last beat for the BPM, and the pulse phase is tracked
+// with a first-order loop for the epoch, so both follow the external device
+// smoothly instead of jumping on every jittery message.
+
+/** MIDI clock resolution: pulses per quarter note. */
+export const PPQN = 24;
+
+/** System real-time / common status bytes. */
+const CLOCK = 0xF8;
+const START = 0xFA;
+const CONTINUE = 0xFB;
+const STOP = 0xFC;
+const SONG_POSITION = 0xF2;
+
+/** Output look-ahead in seconds (same horizon as the grain schedulers). */
+const LOOKAHEAD = 0.1;
+
+/** Intervals averaged for the input tempo estimate (one beat). */
+const PERIOD_WINDOW = PPQN;
+
+/** Fraction of each pulse's timing error applied to the phase estimate. */
+const PHASE_SMOOTH = 0.1;
+
+/** Minimum BPM change reported to onTempoChange. */
+const TEMPO_EPSILON = 0.05;
+
+/** Seconds without pulses after which the input counts as unlocked. */
+const LOCK_TIMEOUT = 0.5;
+
+/**
+ * Matching AudioContext and performance.now() times, for converting
+ * between MIDI event timestamps and audio time.
+ * @param {AudioContext} ctx
+ * @returns {{ contextTime: number, performanceTime: number }}
+ */
+function getTimestampPair(ctx) {
+    if (typeof ctx.getOutputTimestamp === 'function') {
+        const ts = ctx.getOutputTimestamp();
+        // performanceTime is 0 until the context has produced output
+        if (ts.performanceTime > 0) return ts;
+    }
+    return { contextTime: ctx.currentTime, performanceTime: performance.now() };
+}
+
+/**
+ * @param {AudioContext} ctx
+ * @param {number} timeStamp - DOMHighResTimeStamp (ms)
+ * @returns {number} AudioContext time (s)
+ */
+export function performanceToAudioTime(ctx, timeStamp) {
+    const { contextTime, performanceTime } = getTimestampPair(ctx);
+    return contextTime + (timeStamp - performanceTime) / 1000;
+}
+
+/**
+ * @param {AudioContext} ctx
+ * @param {number} time - AudioContext time (s)
+ * @returns {number} DOMHighResTimeStamp (ms)
+ */
+export function audioToPerformanceTime(ctx, time) {
+    const { contextTime, performanceTime } = getTimestampPair(ctx);
+    return performanceTime + (time - contextTime) * 1000;
+}
+
+export class MidiClockOutput {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {import('../audio/MasterClock.js').MasterClock} clock
+     * @param {import('../audio/TickSource.js').TickSource} tickSource
+     */
+    constructor(audioContext, clock, tickSource) {
+        this._ctx = audioContext;
+        this._clock = clock;
+        this._tickSource = tickSource;
+
+        /** @type {MIDIOutput[]} */
+        this._outputs = [];
+
+        this.enabled = false;
+
+        /** Transport state sent to the receivers (Start/Continue sent, no Stop yet). */
+        this.running = false;
+
+        /** Clock epoch the current Start/Continue was aligned to. */
+        this._startedEpoch = null;
+
+        /** Time of the last pulse sent (prevents duplicates across ticks). */
+        this._lastPulseTime = -Infinity;
+
+        this._onTick = () => this._schedulePulses();
+    }
+
+    /**
+     * Set the ports that receive clock.
+     * @param {MIDIOutput[]} outputs
+     */
+    setOutputs(outputs) {
+        this._outputs = outputs;
+    }
+
+    /**
+     * Start or stop sending. Pulses run continuously while enabled so
+     * receivers can show the tempo before the transport starts.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        if (!enabled) this.stop();
+        this.enabled = enabled;
+        if (enabled) {
+            this._lastPulseTime = -Infinity;
+            this._tickSource.add(this._onTick);
+        } else {
+            this._tickSource.remove(this._onTick);
+        }
+    }
+
+    /**
+     * Send Start at the clock epoch when it is now or ahead, otherwise a Song
+     * Position Pointer and Continue on the next sixteenth. Calling again for
+     * the same epoch is a no-op; a new epoch restarts the receivers.
+     */
+    start() {
+        if (!this.enabled) return;
+        const epoch = this._clock.epoch;
+        if (this.running && epoch === this._startedEpoch) return;
+        if (this.running) this._send([STOP], this._ctx.currentTime);
+
+        const now = this._ctx.currentTime;
+        const period = this._getPulsePeriod();
+        let startTime;
+
+        if (epoch >= now - 0.005) {
+            startTime = Math.max(epoch, now);
+            this._send([START], startTime);
+        } else {
+            // Song position is counted in sixteenths (6 pulses)
+            const sixteenth = period * 6;
+            const position = Math.ceil((now + 0.02 - epoch) / sixteenth);
+            startTime = epoch + position * sixteenth;
+            this._send([SONG_POSITION, position & 0x7F, (position >> 7) & 0x7F], now);
+            this._send([CONTINUE], startTime);
+        }
+
+        // The first pulse after Start/Continue must land on startTime
+        this._lastPulseTime = Math.min(this._lastPulseTime, startTime - period / 2);
+        this.running = true;
+        this._startedEpoch = epoch;
+    }
+
+    /** Send Stop (if running). */
+    stop() {
+        if (!this.running) return;
+        this._send([STOP], this._ctx.currentTime);
+        this.running = false;
+        this._startedEpoch = null;
+    }
+
+    /** Stop and detach from the tick source. */
+    dispose() {
+        this.setEnabled(false);
+    }
+
+    /** @private */
+    _getPulsePeriod() {
+        return 60 / (this._clock.bpm * PPQN);
+    }
+
+    /**
+     * Send every pulse of the epoch grid inside the look-ahead window.
+     * @private
+     */
+    _schedulePulses() {
+        const now = this._ctx.currentTime;
+        const epoch = this._clock.epoch;
+        const period = this._getPulsePeriod();
+        const from = Math.max(now, this._lastPulseTime + period / 2);
+
+        for (let k = Math.ceil((from - epoch) / period); ; k++) {
+            const t = epoch + k * period;
+            if (t >= now + LOOKAHEAD) break;
+            this._send([CLOCK], t);
+            this._lastPulseTime = t;
+        }
+    }
+
+    /** @private */
+    _send(data, time) {
+        const timestamp = audioToPerformanceTime(this._ctx, time);
+        for (const output of this._outputs) {
+            try {
+                output.send(data, timestamp);
+            } catch (err) {
+                // Port closed mid-send (unplugged); statechange will update the list
+                console.warn('MIDI clock send failed:', err);
+            }
+        }
+    }
+}
+
+export class MidiClockInput {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {import('../audio/MasterClock.js').MasterClock} clock
+     */
+    constructor(audioContext, clock) {
+        this._ctx = audioContext;
+        this._clock = clock;
+
+        this.enabled = false;
+
+        /** External transport is running (Start/Continue received, no Stop). */
+        this.running = false;
+
+        /** @type {((bpm: number) => void)|null} Smoothed tempo changed: apply it to the MasterClock */
+        this.onTempoChange = null;
+        /** @type {(() => void)|null} External Start/Continue, fired on its first pulse */
+        this.onStart = null;
+        /** @type {(() => void)|null} External Stop */
+        this.onStop = null;
+
+        this._reset();
+    }
+
+    /**
+     * Start or stop following incoming clock.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.running = false;
+        this._reset();
+    }
+
+    /**
+     * Whether pulses are arriving (the MasterClock is slaved).
+     * @param {number} [now] - AudioContext time
+     * @returns {boolean}
+     */
+    isLocked(now = this._ctx.currentTime) {
+        return this.enabled && this._period > 0 && now - this._lastRawTime < LOCK_TIMEOUT;
+    }
+
+    /**
+     * Process a system real-time or song position message.
+     * @param {Uint8Array|number[]} data
+     * @param {number} [timeStamp] - Event timestamp (performance.now() ms)
+     */
+    handleMessage(data, timeStamp = performance.now()) {
+        if (!this.enabled) return;
+        switch (data[0]) {
+            case CLOCK:
+                this._onPulse(performanceToAudioTime(this._ctx, timeStamp));
+                break;
+            case START:
+                this._resetTempo();
+                this._pendingPulse = 0;
+                break;
+            case CONTINUE:
+                this._resetTempo();
+                this._pendingPulse = this._songPosition * 6;
+                break;
+            case STOP:
+                this._pendingPulse = null;
+                if (this.running) {
+                    this.running = false;
+                    if (this.onStop) this.onStop();
+                }
+                break;
+            case SONG_POSITION:
+                if (data.length >= 3) this._songPosition = data[1] | (data[2] << 7);
+                break;
+        }
+    }
+
+    /** @private */
+    _reset() {
+        this._resetTempo();
+        this._lastRawTime = -Infinity;
+        /** Smoothed time of the latest pulse */
+        this._pulseTime = 0;
+        /** Pulses since song position 0 (valid while running) */
+        this._pulse = 0;
+        /** @type {number|null} Index the next pulse gets after Start/Continue */
+        this._pendingPulse = null;
+        this._songPosition = 0;
+    }
+
+    /**
+     * Forget the tempo estimate, so the next pulses measure it afresh
+     * whatever it was before (the device may restart at another tempo).
+     * @private
+     */
+    _resetTempo() {
+        /** Smoothed seconds per pulse (0 = unknown) */
+        this._period = 0;
+        /** @type {number[]} Recent raw pulse intervals */
+        this._intervals = [];
+        this._reportedBpm = 0;
+    }
+
+    /**
+     * @param {number} t - Pulse arrival, AudioContext time
+     * @private
+     */
+    _onPulse(t) {
+        // Tempo: mean interval over the last beat, ignoring dropouts and bursts
+        const interval = t - this._lastRawTime;
+        this._lastRawTime = t;
+        if (interval > LOCK_TIMEOUT) {
+            // Pulses resuming after a gap: the old estimate no longer applies
+            this._resetTempo();
+        } else if (this._period === 0 || (interval > this._period * 0.5 && interval < this._period * 2)) {
+            this._intervals.push(interval);
+            if (this._intervals.length > PERIOD_WINDOW) this._intervals.shift();
+            this._period = this._intervals.reduce((a, b) => a + b, 0) / this._intervals.length;
+        }
+
+        // Phase: the first pulse after Start/Continue is the new reference
+        if (this._pendingPulse !== null) {
+            this._pulse = this._pendingPulse;
+            this._pendingPulse = null;
+            this._pulseTime = t;
+            this.running = true;
+            this._apply();
+            if (this.onStart) this.onStart();
+            return;
+        }
+
+        this._pulse++;
+        const predicted = this._pulseTime + this._period;
+        this._pulseTime = predicted + (t - predicted) * PHASE_SMOOTH;
+        this._apply();
+    }
+
+    /**
+     * Align the MasterClock's epoch to the estimate while the external
+     * transport runs, and pass tempo changes on at most once per beat (and
+     * on the first estimate). The tempo goes through onTempoChange so the
+     * app can set it everywhere the BPM slider does; without a handler it
+     * is written to the clock directly.
+     * @private
+     */
+    _apply() {
+        if (this._period <= 0) return;
+        const bpm = 60 / (this._period * PPQN);
+        if ((this._reportedBpm === 0 || this._pulse % PPQN === 0)
+            && Math.abs(bpm - this._reportedBpm) >= TEMPO_EPSILON) {
+            this._reportedBpm = bpm;
+            if (this.onTempoChange) this.onTempoChange(bpm);
+            else this._clock.bpm = bpm;
+        }
+        // Against the clock's own pulse period, so its grid lands on the
+        // latest pulse even while the reported tempo lags the estimate
+        if (this.running) this._clock.alignEpoch(this._pulseTime - this._pulse * 60 / (this._clock.bpm * PPQN));
+    }
+}
@@ -0,0 +1,443 @@
+// MidiInput.js — Maps Web MIDI note and controller messages to voice control.
+// Parallel to PointerHandler: every held note behaves like a pointer with its
+// own synthetic pointer ID, so the same start/move/stop callbacks (and
+// GranularEngine.startVoice/stopVoice) serve both. Note number sets the pitch
+// relative to a root key, velocity the amplitude, and grain position comes
+// from a per-key map (falling back to a key range) or from a CC. System
+// messages (clock, transport) are passed through for MidiClockSync.
+//
+// In MPE mode (lower zone: master channel 1, one note per member channel
+// 2–16) each channel's pressure, slide (CC74) and pitch bend follow its note,
+// like a touch that keeps moving: pressure and slide feed the pressure and
+// contact-size gesture dimensions, bend glides the pitch.
+//
+// The MIDIAccess object can be injected into connect() instead of being
+// requested from the browser.
+
+import { clamp } from '../utils/math.js';
+import { semitonesToRate } from '../utils/musicalQuantizer.js';
+
+/** Synthetic pointer IDs for MIDI notes: base + channel * 128 + note. */
+export const MIDI_POINTER_BASE = 3000;
+
+/** Status nibbles of the channel voice messages we handle. */
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const CHANNEL_PRESSURE = 0xD0;
+const PITCH_BEND = 0xE0;
+
+/** MPE slide dimension (timbre) controller. */
+const CC_SLIDE = 74;
+
+/** MPE lower-zone master channel; its bend applies to every note. */
+const MPE_MASTER_CHANNEL = 1;
+
+/** Master channel bend range in semitones (MPE default). */
+const MPE_MASTER_BEND_RANGE = 2;
+
+/** Channel mode message: all notes off. */
+const CC_ALL_NOTES_OFF = 123;
+
+/**
+ * @typedef {Object} MidiSettings
+ * @property {boolean} enabled - Listen to MIDI inputs
+ * @property {'poly'|'mpe'} mode - Plain keyboard, or MPE with per-note expression
+ * @property {number} channel - 1–16, or 0 for omni (ignored in MPE mode)
+ * @property {number} rootNote - Note played at the original pitch (rate 1)
+ * @property {'keys'|'cc'} positionSource - Per-key map / key range, or a CC
+ * @property {number} keyLow - Note mapped to position 0 (unmapped keys)
+ * @property {number} keyHigh - Note mapped to position 1 (unmapped keys)
+ * @property {Record<number, number>} keyMap - Note → position (0–1) overrides
+ * @property {number} positionCC - Controller number driving position in 'cc' mode
+ * @property {number} bendRange - Per-note pitch bend range in semitones (MPE)
+ * @property {boolean} clockIn - Follow incoming MIDI clock and transport
+ * @property {boolean} clockOut - Send MIDI clock and transport to all outputs
+ */
+
+/**
+ * @typedef {Object} MidiNoteGesture
+ * @property {number} pointerId - Synthetic pointer ID for this note
+ * @property {number} note - MIDI note number
+ * @property {number} channel - 1–16
+ * @property {number} position - 0–1
+ * @property {number} pitch - Playback rate (including pitch bend)
+ * @property {number} amplitude - 0–1, from velocity
+ * @property {number} pressure - 0–1: channel pressure in MPE mode, else velocity
+ * @property {number} slide - 0–1: CC74 in MPE mode, else 0
+ */
+
+/**
+ * Default settings: omni, middle C at original pitch, C2–C6 spread across the sample.
+ * @returns {MidiSettings}
+ */
+export function createDefaultMidiSettings() {
+    return {
+        enabled: false,
+        mode: 'poly',
+        channel: 0,
+        rootNote: 60,
+        positionSource: 'keys',
+        keyLow: 36,
+        keyHigh: 84,
+        keyMap: {},
+        positionCC: 1,
+        bendRange: 48,
+        clockIn: false,
+        clockOut: false,
+    };
+}
+
+/**
+ * Parse a key map written as "note=position" pairs, e.g. "60=0.1 62=0.35".
+ * Invalid pairs are skipped.
+ * @param {string} text
+ * @returns {Record<number, number>}
+ */
+export function parseKeyMap(text) {
+    const map = {};
+    for (const pair of text.split(/[\s,;]+/)) {
+        const [note, position] = pair.split('=').map(Number);
+        if (Number.isInteger(note) && note >= 0 && note <= 127 && Number.isFinite(position)) {
+            map[note] = clamp(position, 0, 1);
+        }
+    }
+    return map;
+}
+
+/**
+ * Inverse of parseKeyMap.
+ * @param {Record<number, number>} map
+ * @returns {string}
+ */
+export function formatKeyMap(map) {
+    return Object.keys(map)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(note => `${note}=${map[note]}`)
+        .join(' ');
+}
+
+export class MidiInput {
+    /**
+     * @param {object} callbacks
+     * @param {(gesture: MidiNoteGesture) => number|undefined} callbacks.onStart
+     *        Should return the voiceId (slot index) allocated, or undefined if none.
+     * @param {(gesture: MidiNoteGesture) => void} callbacks.onMove
+     * @param {(params: {pointerId: number}) => void} callbacks.onStop
+     * @param {MidiSettings} [settings]
+     */
+    constructor(callbacks, settings = createDefaultMidiSettings()) {
+        this.callbacks = callbacks;
+
+        /** @type {MidiSettings} */
+        this.settings = { ...settings, keyMap: { ...settings.keyMap } };
+
+        /**
+         * Held notes: pointerId → gesture and allocated voice.
+         * @type {Map<number, MidiNoteGesture & { voiceId: number }>}
+         */
+        this.notes = new Map();
+
+        /** @type {MIDIAccess|null} */
+        this._access = null;
+
+        /** Latest position from the position CC (0–1). */
+        this._ccPosition = 0.5;
+
+        /**
+         * Per-channel expression (index = channel 1–16). MPE controllers send
+         * a note's initial values before its note-on, so they are kept here.
+         */
+        this._expression = Array.from({ length: 17 }, () => ({ bend: 0, pressure: 0, slide: 0.5 }));
+
+        /** @type {number|null} Pointer ID of the most recently played or moved note */
+        this._latestPointerId = null;
+
+        /** Fired when inputs are connected or unplugged: (inputNames) => void */
+        this.onInputsChange = null;
+
+        /**
+         * Fired for every CC on any channel (MIDI learn), before the channel
+         * filter: (channel, controller, value) => boolean. Returning true
+         * claims the CC, so a learned mapping on the position CC doesn't
+         * also move the held notes.
+         */
+        this.onControlChange = null;
+
+        /**
+         * Fired for system messages (clock, start/stop, song position) with
+         * the event timestamp: (data, timeStamp) => void
+         */
+        this.onSystemMessage = null;
+
+        this._onMessage = (e) => this.handleMessage(e.data, e.timeStamp);
+        this._onStateChange = () => this._bindInputs();
+    }
+
+    /**
+     * Whether the browser exposes Web MIDI.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    /**
+     * Start listening to all MIDI inputs.
+     * @param {MIDIAccess} [access] - Injected access object (defaults to navigator.requestMIDIAccess())
+     * @returns {Promise<void>} Rejects if MIDI is unavailable or permission is denied
+     */
+    async connect(access) {
+        if (this._access) return;
+        if (!access) {
+            if (!MidiInput.isSupported()) throw new Error('Web MIDI is not supported in this browser');
+            access = await navigator.requestMIDIAccess();
+        }
+        this._access = access;
+        access.addEventListener('statechange', this._onStateChange);
+        this._bindInputs();
+    }
+
+    /** Stop listening and release every held note. */
+    disconnect() {
+        this.releaseAll();
+        if (!this._access) return;
+        for (const input of this._access.inputs.values()) {
+            input.removeEventListener('midimessage', this._onMessage);
+        }
+        this._access.removeEventListener('statechange', this._onStateChange);
+        this._access = null;
+        if (this.onInputsChange) this.onInputsChange([]);
+    }
+
+    /** @returns {boolean} */
+    get connected() {
+        return this._access !== null;
+    }
+
+    /**
+     * Currently connected output ports (for MIDI clock out).
+     * @returns {MIDIOutput[]}
+     */
+    getOutputs() {
+        if (!this._access) return [];
+        return [...this._access.outputs.values()].filter(o => o.state !== 'disconnected');
+    }
+
+    /**
+     * Update settings. Missing keys keep their value.
+     * @param {Partial<MidiSettings>} settings
+     */
+    setSettings(settings) {
+        // Held notes were started under the other mode's channel rules
+        if (settings.mode && settings.mode !== this.settings.mode) this.releaseAll();
+        Object.assign(this.settings, settings);
+        if (settings.keyMap) this.settings.keyMap = { ...settings.keyMap };
+    }
+
+    /**
+     * Process one raw MIDI message.
+     * @param {Uint8Array|number[]} data
+     * @param {number} [timeStamp] - Event timestamp (performance.now() ms)
+     */
+    handleMessage(data, timeStamp = performance.now()) {
+        if (!data || data.length === 0) return;
+        // System messages carry no channel and may be a single byte
+        if (data[0] >= 0xF0) {
+            if (this.onSystemMessage) this.onSystemMessage(data, timeStamp);
+            return;
+        }
+        const status = data[0] & 0xF0;
+        const channel = (data[0] & 0x0F) + 1;
+        if (data.length < (status === CHANNEL_PRESSURE ? 2 : 3)) return;
+        if (status === CONTROL_CHANGE && this.onControlChange
+            && this.onControlChange(channel, data[1], data[2])) {
+            return;
+        }
+
+        if (this.settings.mode === 'mpe') {
+            this._handleMpe(status, channel, data);
+            return;
+        }
+        if (this.settings.channel !== 0 && channel !== this.settings.channel) return;
+
+        switch (status) {
+            case NOTE_ON:
+                // Note-on with velocity 0 is a note-off (running status idiom)
+                if (data[2] === 0) this._noteOff(channel, data[1]);
+                else this._noteOn(channel, data[1], data[2]);
+                break;
+            case NOTE_OFF:
+                this._noteOff(channel, data[1]);
+                break;
+            case CONTROL_CHANGE:
+                this._controlChange(data[1], data[2]);
+                break;
+        }
+    }
+
+    /**
+     * The held note played or moved most recently (for gesture meters).
+     * @returns {(MidiNoteGesture & { voiceId: number })|null}
+     */
+    getLatestNote() {
+        return this.notes.get(this._latestPointerId) ?? null;
+    }
+
+    /** Stop every held note. */
+    releaseAll() {
+        for (const pointerId of [...this.notes.keys()]) {
+            this.notes.delete(pointerId);
+            this.callbacks.onStop({ pointerId });
+        }
+    }
+
+    /**
+     * Resolve the grain position for a note.
+     * @param {number} note
+     * @returns {number} 0–1
+     */
+    getPosition(note) {
+        if (this.settings.positionSource === 'cc') return this._ccPosition;
+        const mapped = this.settings.keyMap[note];
+        if (mapped !== undefined) return mapped;
+        const { keyLow, keyHigh } = this.settings;
+        if (keyHigh <= keyLow) return 0.5;
+        return clamp((note - keyLow) / (keyHigh - keyLow), 0, 1);
+    }
+
+    /** Remove all listeners. */
+    dispose() {
+        this.disconnect();
+    }
+
+    /**
+     * MPE mode: all channels are listened to; member channels carry one
+     * note each plus its expression.
+     * @private
+     */
+    _handleMpe(status, channel, data) {
+        const expression = this._expression[channel];
+        switch (status) {
+            case NOTE_ON:
+                if (data[2] === 0) this._noteOff(channel, data[1]);
+                else this._noteOn(channel, data[1], data[2]);
+                break;
+            case NOTE_OFF:
+                this._noteOff(channel, data[1]);
+                break;
+            case CHANNEL_PRESSURE:
+                expression.pressure = data[1] / 127;
+                this._updateExpression(channel);
+                break;
+            case PITCH_BEND:
+                // 14-bit, centre 8192 → -1..1
+                expression.bend = Math.max(-1, (((data[2] << 7) | data[1]) - 8192) / 8191);
+                this._updateExpression(channel);
+                break;
+            case CONTROL_CHANGE:
+                if (data[1] === CC_SLIDE) {
+                    expression.slide = data[2] / 127;
+                    this._updateExpression(channel);
+                } else {
+                    this._controlChange(data[1], data[2]);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Pitch bend in semitones for a note on a channel: the member channel's
+     * own bend plus the zone-wide bend from the master channel.
+     * @private
+     */
+    _getBend(channel) {
+        const master = this._expression[MPE_MASTER_CHANNEL].bend * MPE_MASTER_BEND_RANGE;
+        if (channel === MPE_MASTER_CHANNEL) return master;
+        return this._expression[channel].bend * this.settings.bendRange + master;
+    }
+
+    /**
+     * Re-send held notes after their channel's expression changed (every
+     * note when the master channel changed).
+     * @private
+     */
+    _updateExpression(channel) {
+        for (const entry of this.notes.values()) {
+            if (channel !== MPE_MASTER_CHANNEL && entry.channel !== channel) continue;
+            const expression = this._expression[entry.channel];
+            entry.pitch = semitonesToRate(entry.note - this.settings.rootNote + this._getBend(entry.channel));
+            entry.pressure = expression.pressure;
+            entry.slide = expression.slide;
+            this._latestPointerId = entry.pointerId;
+            this.callbacks.onMove(entry);
+        }
+    }
+
+    /** @private */
+    _noteOn(channel, note, velocity) {
+        const pointerId = MIDI_POINTER_BASE + (channel - 1) * 128 + note;
+
+        // Retrigger: a repeated note-on restarts its voice
+        if (this.notes.has(pointerId)) this._noteOff(channel, note);
+
+        const mpe = this.settings.mode === 'mpe';
+        const expression = this._expression[channel];
+        const gesture = {
+            pointerId,
+            note,
+            channel,
+            position: this.getPosition(note),
+            pitch: semitonesToRate(note - this.settings.rootNote + (mpe ? this._getBend(channel) : 0)),
+            amplitude: velocity / 127,
+            pressure: mpe ? expression.pressure : velocity / 127,
+            slide: mpe ? expression.slide : 0,
+        };
+        const voiceId = this.callbacks.onStart(gesture);
+        if (voiceId != null) {
+            this.notes.set(pointerId, { ...gesture, voiceId });
+            this._latestPointerId = pointerId;
+        }
+    }
+
+    /** @private */
+    _noteOff(channel, note) {
+        const pointerId = MIDI_POINTER_BASE + (channel - 1) * 128 + note;
+        if (!this.notes.delete(pointerId)) return;
+        this.callbacks.onStop({ pointerId });
+    }
+
+    /** @private */
+    _controlChange(controller, value) {
+        if (controller === CC_ALL_NOTES_OFF) {
+            this.releaseAll();
+            return;
+        }
+        if (controller !== this.settings.positionCC) return;
+
+        this._ccPosition = value / 127;
+        if (this.settings.positionSource !== 'cc') return;
+
+        // Held notes follow the controller
+        for (const entry of this.notes.values()) {
+            entry.position = this._ccPosition;
+            this.callbacks.onMove(entry);
+        }
+    }
+
+    /**
+     * Listen to every currently connected input (idempotent: re-adding the
+     * same listener is a no-op).
+     * @private
+     */
+    _bindInputs() {
+        if (!this._access) return;
+        const names = [];
+        for (const input of this._access.inputs.values()) {
+            input.addEventListener('midimessage', this._onMessage);
+            if (input.state !== 'disconnected') names.push(input.name || 'MIDI input');
+        }
+        if (this.onInputsChange) this.onInputsChange(names);
+    }
+}
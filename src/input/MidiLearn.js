@@ -0,0 +1,150 @@
+// MidiLearn.js — CC → panel control mappings and the learn state machine.
+// While learning, the armed control is bound to the next CC that moves;
+// otherwise incoming CCs are scaled through each mapping's range and curve
+// and applied via the ControlRegistry (the same path as moving the control).
+
+import { clamp, lerp } from '../utils/math.js';
+import { applyCurve } from '../utils/curves.js';
+
+/**
+ * @typedef {Object} MidiMapping
+ * @property {number} channel - 1–16
+ * @property {number} controller - CC number
+ * @property {string} controlId - ControlRegistry id
+ * @property {number} min - Control position (0–1) at CC 0
+ * @property {number} max - Control position (0–1) at CC 127 (may be < min to invert)
+ * @property {string} curve - One of CURVE_NAMES
+ */
+
+export class MidiLearn {
+    /**
+     * @param {import('../ui/ControlRegistry.js').ControlRegistry} registry
+     */
+    constructor(registry) {
+        this.registry = registry;
+
+        /** @type {MidiMapping[]} */
+        this.mappings = [];
+
+        /** @type {boolean} */
+        this.learning = false;
+
+        /** @type {string|null} Control waiting for a CC */
+        this.armedId = null;
+
+        /** Fired when mappings are added, edited or removed: (mappings) => void */
+        this.onMappingsChange = null;
+
+        /** Fired when learn mode or the armed control changes: () => void */
+        this.onStateChange = null;
+    }
+
+    /**
+     * Enter or leave learn mode. Leaving disarms.
+     * @param {boolean} learning
+     */
+    setLearning(learning) {
+        this.learning = learning;
+        if (!learning) this.armedId = null;
+        if (this.onStateChange) this.onStateChange();
+    }
+
+    /**
+     * Select the control the next CC will be bound to (learn mode only).
+     * @param {string} controlId
+     */
+    arm(controlId) {
+        if (!this.learning || !this.registry.get(controlId)) return;
+        this.armedId = controlId;
+        if (this.onStateChange) this.onStateChange();
+    }
+
+    /**
+     * Handle a CC message. Binds the armed control while learning, otherwise
+     * drives every control mapped to this CC.
+     * @param {number} channel - 1–16
+     * @param {number} controller
+     * @param {number} value - 0–127
+     * @returns {boolean} True if the CC was learned or drives a mapping (it
+     *          should not also reach the keyboard input)
+     */
+    handleControlChange(channel, controller, value) {
+        if (this.learning) {
+            if (!this.armedId) return false;
+            this._bind(channel, controller);
+            return true;
+        }
+
+        const x = value / 127;
+        let mapped = false;
+        for (const m of this.mappings) {
+            if (m.channel !== channel || m.controller !== controller) continue;
+            const control = this.registry.get(m.controlId);
+            if (control) control.set(lerp(m.min, m.max, applyCurve(m.curve, x)));
+            mapped = true;
+        }
+        return mapped;
+    }
+
+    /**
+     * Edit a mapping's range or curve.
+     * @param {number} index
+     * @param {Partial<Pick<MidiMapping, 'min'|'max'|'curve'>>} changes
+     */
+    updateMapping(index, changes) {
+        const m = this.mappings[index];
+        if (!m) return;
+        if (changes.min !== undefined) m.min = clamp(changes.min, 0, 1);
+        if (changes.max !== undefined) m.max = clamp(changes.max, 0, 1);
+        if (changes.curve !== undefined) m.curve = changes.curve;
+        this._fireMappingsChange();
+    }
+
+    /**
+     * @param {number} index
+     */
+    removeMapping(index) {
+        this.mappings.splice(index, 1);
+        this._fireMappingsChange();
+    }
+
+    /**
+     * Replace all mappings (session restore). Mappings to unknown controls are dropped.
+     * Does not fire onMappingsChange.
+     * @param {MidiMapping[]} mappings
+     */
+    setMappings(mappings) {
+        this.mappings = (mappings || [])
+            .filter(m => this.registry.get(m.controlId))
+            .map(m => ({ min: 0, max: 1, curve: 'linear', ...m }));
+    }
+
+    /**
+     * Copy of the mappings, for serialization.
+     * @returns {MidiMapping[]}
+     */
+    getMappings() {
+        return this.mappings.map(m => ({ ...m }));
+    }
+
+    /**
+     * Bind the armed control to a CC. One CC drives one control and a
+     * control listens to one CC, so older mappings for either are replaced.
+     * @private
+     */
+    _bind(channel, controller) {
+        const controlId = this.armedId;
+        this.mappings = this.mappings.filter(m =>
+            m.controlId !== controlId && !(m.channel === channel && m.controller === controller)
+        );
+        this.mappings.push({ channel, controller, controlId, min: 0, max: 1, curve: 'linear' });
+        this.armedId = null;
+        this._fireMappingsChange();
+        if (this.onStateChange) this.onStateChange();
+    }
+
+    /** @private */
+    _fireMappingsChange() {
+        if (this.onMappingsChange) this.onMappingsChange(this.getMappings());
+    }
+}
@@ -0,0 +1,293 @@
+// OscRemote.js — OSC remote control over a WebSocket bridge.
+// Max, TouchDesigner etc. speak OSC over UDP, which browsers cannot; a local
+// bridge relays each UDP packet as one binary WebSocket message (and back).
+// Incoming messages are routed by address to handler callbacks; outgoing
+// state is published with a per-address cache so only changes are sent.
+//
+// Address space (instance = 1-based tab index, tab name, or 'active'):
+//   /granul8/<instance>/<param>             f 0–1   (see OSC_PARAMS)
+//   /granul8/<instance>/mute|solo           i 0/1
+//   /granul8/<instance>/stereoPan           f -1–1
+//   /granul8/<instance>/voice/start|move    i id, f position, f amplitude [, f pressure]
+//   /granul8/<instance>/voice/stop          i id
+//   /granul8/transport/play|stop|record
+//   /granul8/transport/bpm                  f BPM
+//   /granul8/master/volume                  f 0–1
+// Published: slider parameters and mixer state of every instance (by index),
+// /granul8/active (i index), /granul8/transport/state (s), bpm and volume.
+//
+// The WebSocket constructor can be injected, so the class works with a mock.
+
+import { encodeOscMessage, encodeOscBundle, decodeOscPacket } from '../utils/osc.js';
+
+/** Synthetic pointer IDs for OSC voices: base + voice id (0–999). */
+export const OSC_POINTER_BASE = 6000;
+
+/** Highest OSC voice id. */
+export const OSC_MAX_VOICE_ID = 999;
+
+/** Address prefix for everything this app sends and accepts. */
+export const OSC_ROOT = '/granul8';
+
+/**
+ * Per-instance parameter paths → ControlRegistry ids (values are 0–1,
+ * normalized like MIDI learn). Sliders only: they can be read back for
+ * publishing and written into a hidden tab's stored state.
+ */
+export const OSC_PARAMS = [
+    { path: 'grainSize/min', id: 'grainSizeMin' },
+    { path: 'grainSize/max', id: 'grainSizeMax' },
+    { path: 'density/min',   id: 'densityMin' },
+    { path: 'density/max',   id: 'densityMax' },
+    { path: 'spread/min',    id: 'spreadMin' },
+    { path: 'spread/max',    id: 'spreadMax' },
+    { path: 'pan/min',       id: 'panMin' },
+    { path: 'pan/max',       id: 'panMax' },
+    { path: 'volume',        id: 'volume' },
+    { path: 'pitchRange',    id: 'pitchRange' },
+];
+
+/** Per-instance mixer paths (InstanceState keys). */
+export const OSC_MIXER_KEYS = ['mute', 'solo', 'stereoPan'];
+
+/** Delay before reconnecting after the bridge goes away (ms). */
+const RECONNECT_DELAY = 2000;
+
+/**
+ * @typedef {Object} OscSettings
+ * @property {boolean} enabled - Keep a connection to the bridge
+ * @property {string} url - Bridge WebSocket URL
+ */
+
+/**
+ * @typedef {Object} OscVoiceGesture
+ * @property {number} position - 0–1 (horizontal)
+ * @property {number} amplitude - 0–1 (vertical gesture axis, as for a touch)
+ * @property {number} pressure - 0–1
+ */
+
+/** @returns {OscSettings} */
+export function createDefaultOscSettings() {
+    return { enabled: false, url: 'ws://localhost:8080' };
+}
+
+/** Arguments as numbers: booleans (T/F) count as 1/0. */
+const toNumber = arg => (typeof arg === 'boolean' ? (arg ? 1 : 0) : Number(arg));
+
+export class OscRemote {
+    /**
+     * @param {Object} handlers
+     * @param {(instance: string, id: string, value: number) => void} handlers.onParam
+     * @param {(instance: string, key: string, value: number) => void} handlers.onMixer
+     * @param {(instance: string, action: 'start'|'move'|'stop', id: number, gesture: OscVoiceGesture) => void} handlers.onVoice
+     * @param {(command: string, value: number) => void} handlers.onTransport
+     * @param {(key: string, value: number) => void} handlers.onMaster
+     * @param {typeof WebSocket} [WebSocketImpl] - Injected constructor (defaults to the global)
+     */
+    constructor(handlers, WebSocketImpl = globalThis.WebSocket) {
+        this.handlers = handlers;
+        this._WebSocket = WebSocketImpl;
+
+        /** @type {WebSocket|null} */
+        this._socket = null;
+        this._url = null;
+        /** Reconnect after unexpected closes while true */
+        this._wanted = false;
+        this._reconnectTimer = null;
+
+        /** @type {'off'|'connecting'|'connected'|'error'} */
+        this.status = 'off';
+
+        /** Fired when the connection status changes: (status, url) => void */
+        this.onStatusChange = null;
+
+        /** @type {Map<string, string>} Address → last published args (serialized) */
+        this._published = new Map();
+        /** @type {Array<{address: string, args: Array}>} */
+        this._outbox = [];
+    }
+
+    /** @returns {boolean} */
+    get connected() {
+        return this.status === 'connected';
+    }
+
+    /**
+     * Connect to a bridge, reconnecting until disconnect() is called.
+     * @param {string} url - ws:// or wss:// URL
+     */
+    connect(url) {
+        if (this._wanted && url === this._url) return;
+        this.disconnect();
+        this._url = url;
+        this._wanted = true;
+        this._open();
+    }
+
+    /** Close the connection and stop reconnecting. */
+    disconnect() {
+        this._wanted = false;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        if (this._socket) {
+            const socket = this._socket;
+            this._socket = null;
+            socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+            socket.close();
+        }
+        this._setStatus('off');
+    }
+
+    /**
+     * Send one message now.
+     * @param {string} address
+     * @param {...*} args - See encodeOscMessage
+     */
+    send(address, ...args) {
+        if (!this.connected) return;
+        this._socket.send(encodeOscMessage(address, args));
+    }
+
+    /**
+     * Queue a state message if its value changed since it was last
+     * published. Queued messages go out together on flush().
+     * @param {string} address
+     * @param {...*} args
+     */
+    publish(address, ...args) {
+        if (!this.connected) return;
+        const key = JSON.stringify(args);
+        if (this._published.get(address) === key) return;
+        this._published.set(address, key);
+        this._outbox.push({ address, args });
+    }
+
+    /** Send queued state messages (one bundle when there are several). */
+    flush() {
+        if (this._outbox.length === 0) return;
+        if (this.connected) {
+            this._socket.send(this._outbox.length === 1
+                ? encodeOscMessage(this._outbox[0].address, this._outbox[0].args)
+                : encodeOscBundle(this._outbox));
+        }
+        this._outbox = [];
+    }
+
+    /**
+     * Decode and route one packet.
+     * Malformed packets are reported and dropped.
+     * @param {ArrayBuffer|Uint8Array} data
+     */
+    handlePacket(data) {
+        let messages;
+        try {
+            messages = decodeOscPacket(data);
+        } catch (err) {
+            console.warn('Dropped OSC packet:', err.message);
+            return;
+        }
+        for (const message of messages) this._route(message);
+    }
+
+    /** Disconnect. */
+    dispose() {
+        this.disconnect();
+    }
+
+    /**
+     * @param {import('../utils/osc.js').OscMessage} message
+     * @private
+     */
+    _route({ address, args }) {
+        const parts = address.split('/');
+        if (`/${parts[1]}` !== OSC_ROOT || parts.length < 4) return;
+        const [, , scope, ...rest] = parts;
+        const path = rest.join('/');
+        const value = toNumber(args[0]);
+
+        if (scope === 'transport') {
+            this.handlers.onTransport(path, value);
+            return;
+        }
+        if (scope === 'master') {
+            if (Number.isFinite(value)) this.handlers.onMaster(path, value);
+            return;
+        }
+
+        let instance;
+        try {
+            instance = decodeURIComponent(scope);
+        } catch (err) {
+            // Malformed %-escape: drop this message, keep the rest of the packet
+            console.warn('Dropped OSC message:', address);
+            return;
+        }
+
+        if (rest[0] === 'voice' && rest.length === 2) {
+            const action = rest[1];
+            if (action !== 'start' && action !== 'move' && action !== 'stop') return;
+            const id = Math.trunc(value);
+            if (!(id >= 0 && id <= OSC_MAX_VOICE_ID)) return;
+            const gesture = {
+                position: toNumber(args[1] ?? 0.5),
+                amplitude: toNumber(args[2] ?? 0.5),
+                pressure: toNumber(args[3] ?? 0),
+            };
+            if (action !== 'stop' && !(Number.isFinite(gesture.position) && Number.isFinite(gesture.amplitude))) return;
+            this.handlers.onVoice(instance, action, id, gesture);
+            return;
+        }
+
+        if (!Number.isFinite(value)) return;
+        if (OSC_MIXER_KEYS.includes(path)) {
+            this.handlers.onMixer(instance, path, value);
+            return;
+        }
+        const param = OSC_PARAMS.find(p => p.path === path);
+        if (param) this.handlers.onParam(instance, param.id, value);
+    }
+
+    /** @private */
+    _open() {
+        this._setStatus('connecting');
+        let socket;
+        try {
+            socket = new this._WebSocket(this._url);
+        } catch (err) {
+            // Invalid URL: retrying will not help
+            console.warn('OSC bridge URL rejected:', err.message);
+            this._wanted = false;
+            this._setStatus('error');
+            return;
+        }
+        socket.binaryType = 'arraybuffer';
+        this._socket = socket;
+
+        socket.onopen = () => {
+            // Everything is new to the other side: republish all state
+            this._published.clear();
+            this._setStatus('connected');
+        };
+        socket.onmessage = (e) => {
+            if (e.data instanceof ArrayBuffer) this.handlePacket(e.data);
+        };
+        socket.onerror = () => this._setStatus('error');
+        socket.onclose = () => {
+            this._socket = null;
+            this._outbox = [];
+            if (!this._wanted) return;
+            this._setStatus('error');
+            this._reconnectTimer = setTimeout(() => {
+                this._reconnectTimer = null;
+                if (this._wanted) this._open();
+            }, RECONNECT_DELAY);
+        };
+    }
+
+    /** @private */
+    _setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        if (this.onStatusChange) this.onStatusChange(status, this._url);
+    }
+}
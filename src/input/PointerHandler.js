@@ -1,9 +1,13 @@
 // PointerHandler.js — Maps pointer events on the waveform canvas to voice control.
 // Supports multiple simultaneous pointers (multi-touch) with per-voice colors.
-// Extracts extended gesture dimensions: pressure, contact size, velocity.
+// Extracts extended gesture dimensions: pressure, contact size, velocity and
+// acceleration, plus stylus tilt, twist, altitude and azimuth. With compound
+// gestures on, a second finger joins the first instead of starting a voice:
+// the pair plays one voice at its centroid and adds pinch and rotation.
 
 import { clamp, lerp } from '../utils/math.js';
 import { getVoiceColor } from '../ui/voiceColors.js';
+import { CompoundGestureRecognizer } from './CompoundGestureRecognizer.js';
 
 /** Maximum tracked pointers (matches VoiceAllocator pool size). */
 const MAX_POINTERS = 10;
@@ -20,22 +24,76 @@ const VELOCITY_SMOOTH = 0.3;
 /** CSS pixels of contact size that maps to contactSize = 1. */
 const CONTACT_SIZE_MAX = 50;
 
+/** Change in velocity per second that maps to acceleration = 1. */
+const ACCELERATION_MAX = 30;
+
+/** Gesture dimensions read from pointer events (see _normalizePointer). */
+const POINTER_DIMS = [
+    'position', 'amplitude', 'pressure', 'contactSize', 'tiltX', 'tiltY', 'twist', 'altitude', 'azimuth',
+];
+
+/**
+ * The pointer dimensions stored in a tracked entry.
+ * @returns {Omit<PointerGesture, 'pointerId'|'velocity'|'acceleration'>}
+ */
+function pickDims(entry) {
+    const dims = {};
+    for (const key of POINTER_DIMS) dims[key] = entry[key];
+    return dims;
+}
+
+/**
+ * Stylus altitude and azimuth (radians) from tiltX/tiltY (degrees), for
+ * browsers without PointerEvent.altitudeAngle/azimuthAngle.
+ * @returns {{altitude: number, azimuth: number}}
+ */
+function tiltToSpherical(tiltX, tiltY) {
+    if (tiltX === 0 && tiltY === 0) return { altitude: Math.PI / 2, azimuth: 0 };
+    const tanX = Math.tan(tiltX * Math.PI / 180);
+    const tanY = Math.tan(tiltY * Math.PI / 180);
+    let azimuth = Math.atan2(tanY, tanX);
+    if (azimuth < 0) azimuth += Math.PI * 2;
+    return { altitude: Math.atan(1 / Math.hypot(tanX, tanY)), azimuth };
+}
+
+/**
+ * @typedef {Object} PointerGesture
+ * @property {number} pointerId
+ * @property {number} position - Canvas X, 0–1
+ * @property {number} amplitude - Canvas Y, 0–1 (top = 0)
+ * @property {number} pressure - 0–1
+ * @property {number} contactSize - 0–1
+ * @property {number} velocity - 0–1, smoothed speed
+ * @property {number} acceleration - 0–1, smoothed change of velocity
+ * @property {number} tiltX - 0–1 (-90° to 90°, 0.5 = upright)
+ * @property {number} tiltY - 0–1 (-90° to 90°, 0.5 = upright)
+ * @property {number} twist - 0–1 (0° to 360° rotation about the pen axis)
+ * @property {number} altitude - 0–1 (flat to perpendicular)
+ * @property {number} azimuth - 0–1 (0 to 2π around the contact point)
+ * @property {number} [pinch] - 0–1, finger distance (two-finger gestures only)
+ * @property {number} [rotation] - 0–1, turn of the finger pair (two-finger gestures only)
+ */
+
 export class PointerHandler {
     /**
      * @param {HTMLCanvasElement} canvas - The waveform canvas element
      * @param {object} callbacks
-     * @param {(params: {pointerId: number, position: number, amplitude: number, pressure: number, contactSize: number, velocity: number}) => number|undefined} callbacks.onStart
+     * @param {(params: PointerGesture) => number|undefined} callbacks.onStart
      *        Should return the voiceId (slot index) allocated, or undefined if none.
-     * @param {(params: {pointerId: number, position: number, amplitude: number, pressure: number, contactSize: number, velocity: number}) => void} callbacks.onMove
+     * @param {(params: PointerGesture) => void} callbacks.onMove
      * @param {(params: {pointerId: number}) => void} callbacks.onStop
+     * @param {() => boolean} [callbacks.isCompoundEnabled] - Whether a second finger forms a compound gesture
+     * @param {(params: {pointerId: number, shift: number}|null) => void} [callbacks.onCompound]
+     *        Called as a finger pair moves (shift: centroid X movement since it formed, in
+     *        canvas widths), and with null when the pair breaks up.
      */
     constructor(canvas, callbacks) {
         this.canvas = canvas;
         this.callbacks = callbacks;
 
         /**
-         * Active pointers: pointerId → { position, amplitude, pressure, contactSize, velocity, voiceId }
-         * @type {Map<number, {position: number, amplitude: number, pressure: number, contactSize: number, velocity: number, voiceId: number, _lastTime: number}>}
+         * Active pointers: pointerId → gesture dimensions and voiceId
+         * @type {Map<number, PointerGesture & {voiceId: number, _lastTime: number}>}
          */
         this.pointers = new Map();
 
@@ -45,15 +103,32 @@ export class PointerHandler {
          */
         this._fading = [];
 
+        /**
+         * Compound gesture in progress: the first finger's voice (lead) and
+         * the second finger (partner), with their raw canvas positions.
+         * @type {{leadId: number, partnerId: number, lead: {position: number, amplitude: number},
+         *         partner: {position: number, amplitude: number}, recognizer: CompoundGestureRecognizer}|null}
+         */
+        this._pair = null;
+
         /**
          * Device capability detection — set to true once we observe real values.
          * Pressure: mouse always reports 0.5, pen/touch report variable values.
          * ContactSize: mouse reports width=1/height=1, touch reports real area.
+         * Tilt, altitude and azimuth: a pen held off vertical. Twist: a rotated pen.
          */
         this.capabilities = {
             pressure: false,
             contactSize: false,
             velocity: true, // always available (computed)
+            acceleration: true,
+            tiltX: false,
+            tiltY: false,
+            twist: false,
+            altitude: false,
+            azimuth: false,
+            pinch: false, // set once a finger pair forms
+            rotation: false,
         };
 
         /**
@@ -64,6 +139,14 @@ export class PointerHandler {
             pressure: 0,
             contactSize: 0,
             velocity: 0,
+            acceleration: 0,
+            tiltX: 0.5,
+            tiltY: 0.5,
+            twist: 0,
+            altitude: 1,
+            azimuth: 0,
+            pinch: undefined, // two-finger gestures only
+            rotation: undefined,
         };
 
         // Bind listeners
@@ -82,8 +165,9 @@ export class PointerHandler {
      * X → position (0–1), Y → amplitude (0–1, top=0 bottom=1).
      * Pressure: 0–1 (0.5 default for mouse/trackpad).
      * Contact size: max(width, height) normalized to 0–1.
+     * Stylus angles: normalized to 0–1 (upright pen: tilt 0.5, altitude 1).
      * @param {PointerEvent} e
-     * @returns {{position: number, amplitude: number, pressure: number, contactSize: number}}
+     * @returns {Omit<PointerGesture, 'pointerId'|'velocity'|'acceleration'>}
      */
     _normalizePointer(e) {
         const rect = this.canvas.getBoundingClientRect();
@@ -94,6 +178,16 @@ export class PointerHandler {
             Math.max(e.width || 0, e.height || 0) / CONTACT_SIZE_MAX,
             0, 1
         );
+        const rawTiltX = e.tiltX || 0;
+        const rawTiltY = e.tiltY || 0;
+        const spherical = e.altitudeAngle !== undefined
+            ? { altitude: e.altitudeAngle, azimuth: e.azimuthAngle }
+            : tiltToSpherical(rawTiltX, rawTiltY);
+        const tiltX = clamp((rawTiltX + 90) / 180, 0, 1);
+        const tiltY = clamp((rawTiltY + 90) / 180, 0, 1);
+        const twist = clamp((e.twist || 0) / 360, 0, 1);
+        const altitude = clamp(spherical.altitude / (Math.PI / 2), 0, 1);
+        const azimuth = clamp(spherical.azimuth / (Math.PI * 2), 0, 1);
 
         // Detect real device capabilities:
         // Pressure: mouse/trackpad always reports exactly 0.5 (or 0 when not pressed).
@@ -109,8 +203,16 @@ export class PointerHandler {
                 this.capabilities.contactSize = true;
             }
         }
+        // Stylus angles: mouse and touch report an upright, unrotated pen
+        if (!this.capabilities.tiltX && (rawTiltX !== 0 || rawTiltY !== 0)) {
+            this.capabilities.tiltX = this.capabilities.tiltY = true;
+            this.capabilities.altitude = this.capabilities.azimuth = true;
+        }
+        if (!this.capabilities.twist && e.twist) {
+            this.capabilities.twist = true;
+        }
 
-        return { position, amplitude, pressure, contactSize };
+        return { position, amplitude, pressure, contactSize, tiltX, tiltY, twist, altitude, azimuth };
     }
 
     /** @param {PointerEvent} e */
@@ -122,71 +224,106 @@ export class PointerHandler {
 
         this.canvas.setPointerCapture(e.pointerId);
 
-        const { position, amplitude, pressure, contactSize } = this._normalizePointer(e);
+        // A second finger joins the first one's voice
+        if (this._pair === null && this.pointers.size === 1 && this.callbacks.isCompoundEnabled?.()) {
+            this._beginPair(e);
+            return;
+        }
 
-        // onStart returns the allocated voiceId (or undefined if allocation failed)
-        const voiceId = this.callbacks.onStart({
+        const gesture = {
             pointerId: e.pointerId,
-            position, amplitude,
-            pressure, contactSize,
+            ...this._normalizePointer(e),
             velocity: 0,
-        });
+            acceleration: 0,
+        };
+
+        // onStart returns the allocated voiceId (or undefined if allocation failed)
+        const voiceId = this.callbacks.onStart(gesture);
 
         // Update live gesture feedback (always, even if allocation fails)
-        this.liveGesture.pressure = pressure;
-        this.liveGesture.contactSize = contactSize;
-        this.liveGesture.velocity = 0;
+        this._updateLiveGesture(gesture);
 
         if (voiceId != null) {
-            this.pointers.set(e.pointerId, {
-                position, amplitude,
-                pressure, contactSize,
-                velocity: 0,
-                voiceId,
-                _lastTime: e.timeStamp,
-            });
+            this.pointers.set(e.pointerId, { ...gesture, voiceId, _lastTime: e.timeStamp });
         }
     }
 
     /** @param {PointerEvent} e */
     _onPointerMove(e) {
+        const pair = this._pair;
+        if (pair && e.pointerId === pair.partnerId) {
+            e.preventDefault();
+            const { position, amplitude } = this._normalizePointer(e);
+            Object.assign(pair.partner, { position, amplitude });
+            const entry = this.pointers.get(pair.leadId);
+            this._updatePair(entry, pickDims(entry), e.timeStamp);
+            return;
+        }
+
         const entry = this.pointers.get(e.pointerId);
         if (!entry) return;
         e.preventDefault();
 
-        const { position, amplitude, pressure, contactSize } = this._normalizePointer(e);
+        const dims = this._normalizePointer(e);
+        if (pair && e.pointerId === pair.leadId) {
+            Object.assign(pair.lead, { position: dims.position, amplitude: dims.amplitude });
+            this._updatePair(entry, dims, e.timeStamp);
+            return;
+        }
+        this._track(entry, dims, e.timeStamp);
+    }
 
+    /**
+     * Store a pointer's new dimensions, derive velocity and acceleration, and
+     * report the move.
+     * @param {PointerGesture & {voiceId: number, _lastTime: number}} entry
+     * @param {Omit<PointerGesture, 'pointerId'|'velocity'|'acceleration'>} dims
+     * @param {number} timeStamp - Event time in ms
+     * @private
+     */
+    _track(entry, dims, timeStamp) {
         // Compute velocity from position delta between frames
-        const dt = Math.max(e.timeStamp - entry._lastTime, 1) / 1000;
-        const dx = position - entry.position;
-        const dy = amplitude - entry.amplitude;
+        const dt = Math.max(timeStamp - entry._lastTime, 1) / 1000;
+        const dx = dims.position - entry.position;
+        const dy = dims.amplitude - entry.amplitude;
         const speed = Math.sqrt(dx * dx + dy * dy) / dt;
         const rawVelocity = clamp(speed / VELOCITY_MAX, 0, 1);
         const velocity = lerp(entry.velocity, rawVelocity, VELOCITY_SMOOTH);
 
+        // Acceleration: how fast the (smoothed) velocity changes, either way
+        const rawAcceleration = clamp(Math.abs(velocity - entry.velocity) / dt / ACCELERATION_MAX, 0, 1);
+        const acceleration = lerp(entry.acceleration, rawAcceleration, VELOCITY_SMOOTH);
+
         // Update stored state
-        entry.position = position;
-        entry.amplitude = amplitude;
-        entry.pressure = pressure;
-        entry.contactSize = contactSize;
-        entry.velocity = velocity;
-        entry._lastTime = e.timeStamp;
+        Object.assign(entry, dims, { velocity, acceleration });
+        entry._lastTime = timeStamp;
+
+        const gesture = { pointerId: entry.pointerId, ...dims, velocity, acceleration };
 
         // Update live gesture feedback
-        this.liveGesture.pressure = pressure;
-        this.liveGesture.contactSize = contactSize;
-        this.liveGesture.velocity = velocity;
+        this._updateLiveGesture(gesture);
 
-        this.callbacks.onMove({
-            pointerId: e.pointerId,
-            position, amplitude,
-            pressure, contactSize,
-            velocity,
-        });
+        this.callbacks.onMove(gesture);
     }
 
     /** @param {PointerEvent} e */
     _onPointerUp(e) {
+        const pair = this._pair;
+        if (pair && e.pointerId === pair.partnerId) {
+            // The first finger plays on alone from where it is
+            const entry = this.pointers.get(pair.leadId);
+            if (entry) {
+                delete entry.pinch;
+                delete entry.rotation;
+            }
+            this.cancelCompound();
+            if (!entry) return;
+            this._track(entry, { ...pickDims(entry), ...pair.lead }, e.timeStamp);
+            return;
+        }
+        // Lifting the first finger ends the voice; the partner is ignored until it lifts
+        if (pair && e.pointerId === pair.leadId) this.cancelCompound();
+
         const entry = this.pointers.get(e.pointerId);
         if (!entry) return;
 
@@ -202,6 +339,62 @@ export class PointerHandler {
         this.callbacks.onStop({ pointerId: e.pointerId });
     }
 
+    /**
+     * Start a compound gesture: the new finger pairs with the one already down.
+     * @param {PointerEvent} e - The second finger's pointerdown
+     * @private
+     */
+    _beginPair(e) {
+        const [leadId, entry] = this.pointers.entries().next().value;
+        const { position, amplitude } = this._normalizePointer(e);
+        this._pair = {
+            leadId,
+            partnerId: e.pointerId,
+            lead: { position: entry.position, amplitude: entry.amplitude },
+            partner: { position, amplitude },
+            recognizer: new CompoundGestureRecognizer(),
+        };
+        this.capabilities.pinch = this.capabilities.rotation = true;
+        this._updatePair(entry, pickDims(entry), e.timeStamp, true);
+    }
+
+    /**
+     * Recompute the pair's values and move its voice to the centroid.
+     * @param {PointerGesture & {voiceId: number, _lastTime: number}} entry - The lead finger's entry
+     * @param {Omit<PointerGesture, 'pointerId'|'velocity'|'acceleration'>} dims - Lead finger dimensions
+     * @param {number} timeStamp
+     * @param {boolean} [begin=false] - The pair has just formed
+     * @private
+     */
+    _updatePair(entry, dims, timeStamp, begin = false) {
+        const pair = this._pair;
+        const rect = this.canvas.getBoundingClientRect();
+        const values = begin
+            ? pair.recognizer.begin(pair.lead, pair.partner, rect.width, rect.height)
+            : pair.recognizer.update(pair.lead, pair.partner, rect.width, rect.height);
+        const { position, amplitude, pinch, rotation, shift } = values;
+        this._track(entry, { ...dims, position, amplitude, pinch, rotation }, timeStamp);
+        this.callbacks.onCompound?.({ pointerId: pair.leadId, shift });
+    }
+
+    /**
+     * End any compound gesture. The lead finger's voice keeps playing.
+     */
+    cancelCompound() {
+        if (this._pair === null) return;
+        this._pair = null;
+        this.callbacks.onCompound?.(null);
+    }
+
+    /**
+     * Copy gesture dimensions into liveGesture.
+     * @param {PointerGesture} gesture
+     * @private
+     */
+    _updateLiveGesture(gesture) {
+        for (const key of Object.keys(this.liveGesture)) this.liveGesture[key] = gesture[key];
+    }
+
     /**
      * Draw pointer indicators for all active + fading pointers.
      * Call this from the render loop after the waveform is drawn.
@@ -216,6 +409,7 @@ export class PointerHandler {
         for (const [, { position, amplitude, voiceId }] of this.pointers) {
             this._drawPointer(ctx, canvasWidth, canvasHeight, position, amplitude, voiceId, 1.0, now);
         }
+        if (this._pair) this._drawPair(ctx, canvasWidth, canvasHeight);
 
         // Draw fading pointers (recently released)
         for (let i = this._fading.length - 1; i >= 0; i--) {
@@ -273,6 +467,34 @@ export class PointerHandler {
         ctx.fill();
     }
 
+    /**
+     * Draw the two fingers of a compound gesture, joined by a line through
+     * the voice indicator at their centroid.
+     * @private
+     */
+    _drawPair(ctx, canvasWidth, canvasHeight) {
+        const { leadId, lead, partner } = this._pair;
+        const entry = this.pointers.get(leadId);
+        if (!entry) return;
+        const [r, g, b] = getVoiceColor(entry.voiceId);
+
+        ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.5)`;
+        ctx.lineWidth = 1.5 * devicePixelRatio;
+        ctx.setLineDash([4 * devicePixelRatio, 4 * devicePixelRatio]);
+        ctx.beginPath();
+        ctx.moveTo(lead.position * canvasWidth, lead.amplitude * canvasHeight);
+        ctx.lineTo(partner.position * canvasWidth, partner.amplitude * canvasHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.6)`;
+        for (const finger of [lead, partner]) {
+            ctx.beginPath();
+            ctx.arc(finger.position * canvasWidth, finger.amplitude * canvasHeight, 6 * devicePixelRatio, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
     /**
      * Remove all event listeners.
      */
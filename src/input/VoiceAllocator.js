@@ -80,11 +80,12 @@ export class VoiceAllocator {
     /**
      * Release the voice mapped to a pointer.
      * @param {number} pointerId
+     * @param {number} [when] - Time of the fade-out (defaults to now)
      */
-    release(pointerId) {
+    release(pointerId, when) {
         const voice = this._pointerMap.get(pointerId);
         if (voice) {
-            voice.stop();
+            voice.stop(when);
             this._pointerMap.delete(pointerId);
         }
     }
@@ -112,10 +113,11 @@ export class VoiceAllocator {
     /**
      * Set gain level on all voices (for anti-clipping scaling).
      * @param {number} value
+     * @param {number} [when] - Time of the change (defaults to now)
      */
-    setGainLevel(value) {
+    setGainLevel(value, when) {
         for (const voice of this.voices) {
-            voice.setGainLevel(value);
+            voice.setGainLevel(value, when);
         }
     }
 
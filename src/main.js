@@ -4,14 +4,39 @@ import { MasterBus } from './audio/MasterBus.js';
 import { InstanceManager } from './state/InstanceManager.js';
 import { WaveformDisplay } from './ui/WaveformDisplay.js';
 import { ParameterPanel } from './ui/ParameterPanel.js';
+import { MasterPanel } from './ui/MasterPanel.js';
+import { MidiPanel } from './ui/MidiPanel.js';
 import { TabBar } from './ui/TabBar.js';
 import { PointerHandler } from './input/PointerHandler.js';
+import { KeyboardInput, createDefaultKeyboardSettings } from './input/KeyboardInput.js';
+import { GamepadInput, createDefaultGamepadSettings } from './input/GamepadInput.js';
+import { MidiInput, createDefaultMidiSettings } from './input/MidiInput.js';
+import { MidiLearn } from './input/MidiLearn.js';
+import { MidiClockInput, MidiClockOutput } from './input/MidiClockSync.js';
+import { OscRemote, OSC_ROOT, OSC_PARAMS, OSC_POINTER_BASE, createDefaultOscSettings } from './input/OscRemote.js';
+import { ControlRegistry } from './ui/ControlRegistry.js';
+import { OscPanel } from './ui/OscPanel.js';
+import { KeyboardPanel } from './ui/KeyboardPanel.js';
+import { GamepadPanel } from './ui/GamepadPanel.js';
 import { LevelMeter } from './ui/LevelMeter.js';
+import { GainReductionMeter } from './ui/GainReductionMeter.js';
 import { setupDragAndDrop, setupFilePicker, isAudioFile } from './utils/fileLoader.js';
 import { serializeSession, validateSession, getBundledSampleUrls } from './state/SessionSerializer.js';
-import { SessionPersistence, exportSessionFile, readSessionFile } from './state/SessionPersistence.js';
+import { SessionPersistence, exportSessionFile, exportAudioFile, readSessionFile } from './state/SessionPersistence.js';
 import { TransportBar } from './ui/TransportBar.js';
-import { expMap, lerp } from './utils/math.js';
+import { RenderDialog } from './ui/RenderDialog.js';
+import { renderOffline } from './audio/OfflineRenderer.js';
+import { createDefaultAuxBuses } from './audio/AuxBus.js';
+import { createDefaultMastering } from './audio/Mastering.js';
+import { AutomationLane } from './automation/AutomationLane.js';
+import { DEFAULT_HISTORY_DEPTH } from './automation/LaneHistory.js';
+import { CommandHistory } from './state/CommandHistory.js';
+import { HistoryPanel } from './ui/HistoryPanel.js';
+import { LaneEditor } from './ui/LaneEditor.js';
+import { audioBufferToWav, encodeWav } from './utils/wavEncoder.js';
+import { expMap, lerp, clamp } from './utils/math.js';
+import { resolveAxes, createDefaultAxes, AXIS_PITCH_OCTAVES } from './utils/axisMapping.js';
+import { resolveMappings, mapsTo } from './utils/gestureMapping.js';
 import {
     SCALES, quantizePitch, rateToSemitones, semitonesToRate,
     getSubdivisionSeconds, buildNoteTable,
@@ -42,6 +67,8 @@ themeToggle.addEventListener('click', () => {
     // Notify canvas components to re-read CSS colors
     waveform.onThemeChange();
     params.onThemeChange();
+    keyboardInput.onThemeChange();
+    gamepadInput.onThemeChange();
 });
 
 // --- DOM references ---
@@ -58,10 +85,15 @@ const dropOverlay = document.getElementById('drop-overlay');
 
 const masterBus = new MasterBus();
 
+// Grain renderer: AudioWorklet by default; set localStorage 'granul8-grain-engine'
+// to 'nodes' to force the per-grain node path
+masterBus.grainEngine = localStorage.getItem('granul8-grain-engine') === 'nodes' ? 'nodes' : 'worklet';
+
 // --- Master BPM (global, not per-instance) ---
 
 const bpmSlider = document.getElementById('param-bpm');
 const bpmDisplay = document.getElementById('val-bpm');
+const tempoControl = document.getElementById('tempo-control');
 const tapTempoBtn = document.getElementById('tap-tempo');
 let tapTimes = [];
 
@@ -72,9 +104,11 @@ function getMasterBpm() {
 
 bpmSlider.addEventListener('input', () => {
     bpmDisplay.textContent = bpmSlider.value;
-    masterBus.clock.bpm = parseInt(bpmSlider.value, 10);
+    masterBus.setTempo(parseInt(bpmSlider.value, 10));
+    instanceManager.setTempo(masterBus.clock.bpm);
     // Refresh quantized displays in the panel
     params.refreshQuantizedDisplays();
+    trackMasterChange('bpm');
     if (persistence) persistence.scheduleSave();
 });
 
@@ -95,8 +129,10 @@ tapTempoBtn.addEventListener('click', () => {
         const clamped = Math.max(40, Math.min(300, bpm));
         bpmSlider.value = clamped;
         bpmDisplay.textContent = clamped;
-        masterBus.clock.bpm = clamped;
+        masterBus.setTempo(clamped);
+        instanceManager.setTempo(clamped);
         params.refreshQuantizedDisplays();
+        trackMasterChange('bpm');
         if (persistence) persistence.scheduleSave();
     }
 });
@@ -110,9 +146,56 @@ masterVolumeSlider.addEventListener('input', () => {
     const v = parseFloat(masterVolumeSlider.value);
     masterBus.setMasterVolume(v);
     masterVolumeDisplay.textContent = v.toFixed(2);
+    trackMasterChange('masterVolume');
     if (persistence) persistence.scheduleSave();
 });
 
+// --- Output capture (records everything heard to WAV) ---
+
+const captureBtn = document.getElementById('btn-capture');
+const captureTimeEl = document.getElementById('capture-time');
+const captureMetronomeToggle = document.getElementById('capture-metronome');
+
+captureBtn.addEventListener('click', async () => {
+    if (masterBus.capture.isCapturing) {
+        captureBtn.classList.remove('capturing');
+        captureTimeEl.textContent = 'REC OUT';
+        const { channels, sampleRate } = await masterBus.stopOutputRecording();
+        if (channels[0].length === 0) return;
+        const wav = new Blob([encodeWav(channels, sampleRate, 24)], { type: 'audio/wav' });
+        exportAudioFile(wav, 'granul8-live');
+        showNotification(`Saved ${(channels[0].length / sampleRate).toFixed(1)}s of output`);
+    } else {
+        // No second click while the capture worklet loads
+        captureBtn.disabled = true;
+        try {
+            await masterBus.resume();
+            await masterBus.startOutputRecording({ includeMetronome: captureMetronomeToggle.checked });
+            captureBtn.classList.add('capturing');
+        } catch (err) {
+            console.error('Output capture failed:', err);
+            showNotification('Output recording unavailable: ' + err.message, true);
+        } finally {
+            captureBtn.disabled = false;
+        }
+    }
+});
+
+// Can be flipped mid-capture: the click is rerouted around the tap
+captureMetronomeToggle.addEventListener('change', () => {
+    if (masterBus.capture.isCapturing) {
+        masterBus.setMetronomeCaptured(captureMetronomeToggle.checked);
+    }
+});
+
+/** Refresh the capture button's elapsed time (called from the render loop). */
+function updateCaptureDisplay() {
+    if (!masterBus.capture.isCapturing) return;
+    const elapsed = Math.floor(masterBus.capture.getElapsedTime());
+    const mins = Math.floor(elapsed / 60);
+    captureTimeEl.textContent = `${mins}:${String(elapsed % 60).padStart(2, '0')}`;
+}
+
 // --- Per-tab automation (recorder & player owned by each instance in InstanceManager) ---
 
 /** @type {Map<number, number>} pointerId → voiceIndex for active recording on current tab */
@@ -128,6 +211,12 @@ const levelMeter = new LevelMeter(
     masterBus.analyser
 );
 
+// Limiter activity: how much the anti-clipping stage is pulling the mix down
+const gainReductionMeter = new GainReductionMeter(
+    document.getElementById('gain-reduction'),
+    masterBus.limiter
+);
+
 // --- Waveform display ---
 
 const waveform = new WaveformDisplay(canvas);
@@ -173,54 +262,61 @@ window.addEventListener('resize', resizeCanvas);
 
 // --- Gesture modulation resolution ---
 
-/** Convert normalized Y (0=top, 1=bottom) to playback rate via octaves. */
-function yToPitch(y) {
-    const octaves = 2 - 4 * y;
-    return Math.pow(2, octaves);
+/**
+ * Axes for sources that carry a buffer position rather than canvas
+ * coordinates (MIDI notes, computer keys): X is the position, Y is unused.
+ */
+const POSITION_ONLY_AXES = createDefaultAxes();
+POSITION_ONLY_AXES.y.target = 'none';
+
+/** Panel parameters with the canvas axis mapping replaced by POSITION_ONLY_AXES. */
+function withPositionAxes(p) {
+    return { ...p, axes: POSITION_ONLY_AXES };
+}
+
+/** Range parameters (min/max slider pairs) that gesture mappings can drive. */
+const MAPPED_RANGE_PARAMS = ['grainSize', 'density', 'spread', 'pan'];
+
+/**
+ * Range parameter values driven by gesture mappings: each mapping output
+ * (0–1) is placed between the parameter's min and max sliders.
+ * @returns {Object<string, number>} Slider values (pan -1–1, others 0–1)
+ */
+function getMappedRangeValues(p, mapped) {
+    const values = {};
+    for (const name of MAPPED_RANGE_PARAMS) {
+        if (mapped[name] !== undefined) values[name] = lerp(p[`${name}Min`], p[`${name}Max`], mapped[name]);
+    }
+    return values;
 }
 
 /**
  * Resolve panel parameters + gesture data into engine-ready parameters.
+ * The gesture's canvas coordinates (position = X, amplitude = Y) go through
+ * the instance's axis mapping; gesture mappings apply on top.
+ * Position stays mid-buffer when no axis controls it.
  */
 function resolveParams(p, g, m) {
-    const { mappings } = p;
-
-    let grainSizeNorm = p.grainSizeMax;
-    let densityNorm   = p.densityMax;
-    let spreadNorm    = p.spreadMax;
-    let amplitude     = 0.8;
-    let pitch         = yToPitch(g.amplitude);
-
-    const gestureDims = {
-        pressure:    g.pressure,
-        contactSize: g.contactSize,
-        velocity:    g.velocity,
-    };
-
-    for (const [dim, target] of Object.entries(mappings)) {
-        if (target === 'none') continue;
-        const gv = gestureDims[dim];
-        if (gv === undefined) continue;
-        const effectiveGv = (dim === 'velocity' && target === 'density') ? 1 - gv : gv;
-
-        switch (target) {
-            case 'grainSize':
-                grainSizeNorm = lerp(p.grainSizeMin, p.grainSizeMax, effectiveGv);
-                break;
-            case 'density':
-                densityNorm = lerp(p.densityMin, p.densityMax, effectiveGv);
-                break;
-            case 'spread':
-                spreadNorm = lerp(p.spreadMin, p.spreadMax, effectiveGv);
-                break;
-            case 'amplitude':
-                amplitude = effectiveGv;
-                break;
-            case 'pitch':
-                pitch = Math.pow(2, lerp(-2, 2, effectiveGv));
-                break;
-        }
-    }
+    const axisValues = resolveAxes(p.axes, g.position, g.amplitude);
+
+    const position    = axisValues.position ?? 0.5;
+    let grainSizeNorm = axisValues.grainSize ?? p.grainSizeMax;
+    let densityNorm   = axisValues.density ?? p.densityMax;
+    let spreadNorm    = axisValues.spread ?? p.spreadMax;
+    let amplitude     = axisValues.amplitude ?? 0.8;
+    let pitch         = axisValues.pitch !== undefined
+        ? Math.pow(2, lerp(-AXIS_PITCH_OCTAVES, AXIS_PITCH_OCTAVES, axisValues.pitch))
+        : 1;
+    let pan           = axisValues.pan !== undefined ? lerp(-1, 1, axisValues.pan) : p.panMax;
+
+    const mapped = resolveMappings(p.mappings, g);
+    const ranges = getMappedRangeValues(p, mapped);
+    grainSizeNorm = ranges.grainSize ?? grainSizeNorm;
+    densityNorm   = ranges.density ?? densityNorm;
+    spreadNorm    = ranges.spread ?? spreadNorm;
+    pan           = ranges.pan ?? pan;
+    if (mapped.amplitude !== undefined) amplitude = mapped.amplitude;
+    if (mapped.pitch !== undefined) pitch = Math.pow(2, lerp(-2, 2, mapped.pitch));
 
     let grainSize = expMap(grainSizeNorm, 0.001, 1.0);
     let interOnset = expMap(densityNorm, 0.005, 0.5);
@@ -262,7 +358,8 @@ function resolveParams(p, g, m) {
         ? { bpm, divisor: m.subdivGrainSize }
         : null;
 
-    const interOnsetQuantize = (m.quantizeDensity && m.randomDensity)
+    // Also sent for fixed density so the scheduler can lock onsets to the clock grid
+    const interOnsetQuantize = m.quantizeDensity
         ? { bpm, divisor: m.subdivDensity }
         : null;
 
@@ -300,7 +397,7 @@ function resolveParams(p, g, m) {
     }
 
     return {
-        position:   g.position,
+        position,
         grainSize,
         interOnset,
         interOnsetRange,
@@ -308,39 +405,104 @@ function resolveParams(p, g, m) {
         spread:     spreadNorm,
         amplitude,
         pitch,
-        pan:        p.panMax,
+        pan,
         envelope:   p.envelope,
         adsr:       p.adsr,
+        glide:      p.glide,
         randomize,
         grainSizeQuantize,
+        // Subdivision behind a fixed tempo-quantized grain size, so recordings
+        // follow BPM changes (random sizes are quantized per grain instead)
+        grainSizeDivisor: m.quantizeGrainSize && !m.randomGrainSize ? m.subdivGrainSize : null,
         pitchQuantize,
+        // Where the gesture is on the canvas, for ghost pointers on playback
+        gestureX:   g.position,
+        gestureY:   g.amplitude,
     };
 }
 
 /**
- * Compute resolved normalized values for range params with active gesture mappings.
+ * Compute resolved normalized values for range params driven by a canvas
+ * axis or an active gesture mapping. Values are slider track fractions.
  */
 function getResolvedNormals(p, g) {
-    const { mappings } = p;
     const normals = {};
-    const gestureDims = { pressure: g.pressure, contactSize: g.contactSize, velocity: g.velocity };
-
-    for (const [dim, target] of Object.entries(mappings)) {
-        if (target === 'none') continue;
-        const gv = gestureDims[dim];
-        if (gv === undefined) continue;
-        const ev = (dim === 'velocity' && target === 'density') ? 1 - gv : gv;
-        if (target === 'grainSize') normals.grainSize = lerp(p.grainSizeMin, p.grainSizeMax, ev);
-        else if (target === 'density') normals.density = lerp(p.densityMin, p.densityMax, ev);
-        else if (target === 'spread') normals.spread = lerp(p.spreadMin, p.spreadMax, ev);
+    const axisValues = resolveAxes(p.axes, g.position, g.amplitude);
+    for (const name of MAPPED_RANGE_PARAMS) {
+        if (axisValues[name] !== undefined) normals[name] = axisValues[name];
     }
+    const ranges = getMappedRangeValues(p, resolveMappings(p.mappings, g));
+    Object.assign(normals, ranges);
+    // The pan slider spans -1–1
+    if (ranges.pan !== undefined) normals.pan = (ranges.pan + 1) / 2;
     return normals;
 }
 
+/**
+ * Re-resolve every voice held on the active tab by the pointer, MIDI, the
+ * computer keyboard or a gamepad.
+ * @param {(pointerId: number, resolved: Object) => void} apply
+ */
+function forEachHeldVoice(p, m, apply) {
+    for (const [pointerId, entry] of pointer.pointers) {
+        apply(pointerId, resolveParams(p, entry, m));
+    }
+    for (const [pointerId, note] of midiInput.notes) {
+        apply(pointerId, resolveMidiParams(p, note, m));
+    }
+    for (const key of keyboardInput.keys.values()) {
+        apply(key.pointerId, resolveKeyParams(p, key, m));
+    }
+    for (const [pointerId, entry] of gamepadInput.voices) {
+        apply(pointerId, resolveParams(p, entry, m));
+    }
+}
+
+/**
+ * Two-finger drag in progress: the pair's voice and how far (in canvas
+ * widths) its centroid has moved. Every other live voice on the active tab
+ * is shifted along the buffer by that much.
+ * @type {{pointerId: number, shift: number}|null}
+ */
+let compoundShift = null;
+
+/**
+ * Shifts left on voices that were held when a two-finger drag ended, so
+ * they stay where the drag put them until released.
+ * @type {Map<number, number>} pointerId → shift in canvas widths
+ */
+const heldShifts = new Map();
+
+/**
+ * Shift a live voice's position by the two-finger drag (in place).
+ * @param {number} pointerId
+ * @param {Object} resolved - From resolveParams()
+ * @returns {Object} resolved
+ */
+function applyCompoundShift(pointerId, resolved) {
+    if (pointerId === compoundShift?.pointerId) return resolved;
+    const shift = (heldShifts.get(pointerId) ?? 0) + (compoundShift?.shift ?? 0);
+    if (shift !== 0) {
+        resolved.position = clamp(resolved.position + shift, 0, 1);
+        resolved.gestureX = clamp(resolved.gestureX + shift, 0, 1);
+    }
+    return resolved;
+}
+
 // --- Session persistence (late-binding, initialized after InstanceManager) ---
 
 let persistence = null;
 
+// --- Undo history (session-wide) ---
+
+const commands = new CommandHistory();
+
+/** Panel state as of the last recorded step, diffed against on every edit. */
+let panelSnapshot = null;
+
+/** Master settings as of the last recorded step. */
+let masterSnapshot = null;
+
 // --- Parameter panel ---
 
 const params = new ParameterPanel(document.getElementById('parameter-panel'), {
@@ -348,15 +510,54 @@ const params = new ParameterPanel(document.getElementById('parameter-panel'), {
         const active = instanceManager.getActive();
         if (!active) return;
         const m = params.getMusicalParams();
-        for (const [pointerId, entry] of pointer.pointers) {
-            const resolved = resolveParams(p, entry, m);
-            active.engine.updateVoice(pointerId, resolved);
-        }
+        forEachHeldVoice(p, m, (pointerId, resolved) => {
+            active.engine.updateVoice(pointerId, applyCompoundShift(pointerId, resolved));
+        });
+        trackPanelChange();
         if (persistence) persistence.scheduleSave();
     },
     onVolumeChange(v) {
         const active = instanceManager.getActive();
         if (active) active.engine.setInstanceVolume(v);
+        trackPanelChange();
+        if (persistence) persistence.scheduleSave();
+    },
+    onEffectsChange(effects) {
+        const active = instanceManager.getActive();
+        if (active) {
+            active.state.effects = effects;
+            active.engine.setEffects(effects);
+        }
+        trackPanelChange();
+        if (persistence) persistence.scheduleSave();
+    },
+    onSendsChange(sends) {
+        const active = instanceManager.getActive();
+        if (active) {
+            active.state.sends = sends;
+            active.engine.setSends(sends);
+        }
+        trackPanelChange();
+        if (persistence) persistence.scheduleSave();
+    },
+});
+
+// --- Master section (global: shared aux buses) ---
+
+const masterPanel = new MasterPanel({
+    onAuxChange(settings) {
+        masterBus.setAuxSettings(settings);
+        trackMasterChange('auxBuses');
+        if (persistence) persistence.scheduleSave();
+    },
+    onMasteringChange(settings) {
+        masterBus.setMastering(settings);
+        trackMasterChange('mastering');
+        if (persistence) persistence.scheduleSave();
+    },
+    onHistoryDepthChange(depth) {
+        instanceManager.setHistoryDepth(depth);
+        trackMasterChange('historyDepth');
         if (persistence) persistence.scheduleSave();
     },
 });
@@ -367,63 +568,553 @@ const instanceManager = new InstanceManager(masterBus, params, waveform);
 
 // --- Pointer interaction ---
 
+/**
+ * Start a voice on the active instance for any input (pointer, MIDI note).
+ * Starts an armed recording on the first voice and captures the gesture.
+ * @param {number} pointerId
+ * @param {Object} resolved - Engine-ready params from resolveParams()
+ * @returns {number|undefined} The voice slot id, or undefined if none was allocated
+ */
+function handleVoiceStart(pointerId, resolved) {
+    const active = instanceManager.getActive();
+    if (!active || !active.engine.sourceBuffer) return undefined;
+    masterBus.resume();
+
+    // If armed, start actual recording on first touch
+    if (transport.state === 'armed') {
+        active.recorder.startRecording();
+        active.ghostRenderer.recording = true;
+        transport.setState('recording');
+    }
+
+    // A reused pointer id (keys, pads) starts unshifted
+    heldShifts.delete(pointerId);
+    const voiceId = active.engine.startVoice(pointerId, applyCompoundShift(pointerId, resolved));
+    if (voiceId !== undefined && active.recorder.isRecording) {
+        recorderPointerMap.set(pointerId, voiceId);
+        active.recorder.captureStart(voiceId, resolved);
+    }
+    return voiceId;
+}
+
+/**
+ * Update a running voice on the active instance and capture the move.
+ * @param {number} pointerId
+ * @param {Object} resolved
+ */
+function handleVoiceMove(pointerId, resolved) {
+    const active = instanceManager.getActive();
+    if (!active) return;
+    active.engine.updateVoice(pointerId, applyCompoundShift(pointerId, resolved));
+    if (active.recorder.isRecording) {
+        const voiceId = recorderPointerMap.get(pointerId);
+        if (voiceId !== undefined) {
+            active.recorder.captureMove(voiceId, resolved);
+        }
+    }
+}
+
+/**
+ * Stop a voice on the active instance and capture the release.
+ * @param {number} pointerId
+ */
+function handleVoiceStop(pointerId) {
+    heldShifts.delete(pointerId);
+    const active = instanceManager.getActive();
+    if (active) active.engine.stopVoice(pointerId);
+    if (active?.recorder.isRecording) {
+        const voiceId = recorderPointerMap.get(pointerId);
+        if (voiceId !== undefined) {
+            active.recorder.captureStop(voiceId);
+            recorderPointerMap.delete(pointerId);
+        }
+    }
+}
+
 const pointer = new PointerHandler(canvas, {
-    onStart({ pointerId, position, amplitude, pressure, contactSize, velocity }) {
+    onStart(gesture) {
         const active = instanceManager.getActive();
         if (!active || !active.engine.sourceBuffer) return undefined;
-        masterBus.resume();
 
-        // If armed, start actual recording on first touch
-        if (transport.state === 'armed') {
-            active.recorder.startRecording();
-            active.ghostRenderer.recording = true;
-            transport.setState('recording');
-        }
-
-        const gesture = { position, amplitude, pressure, contactSize, velocity };
         const p = params.getParams();
         const m = params.getMusicalParams();
         const resolved = resolveParams(p, gesture, m);
         params.updateGestureIndicators(getResolvedNormals(p, gesture));
-        const voiceId = active.engine.startVoice(pointerId, resolved);
-        if (voiceId !== undefined && active.recorder.isRecording) {
-            recorderPointerMap.set(pointerId, voiceId);
-            active.recorder.captureStart(voiceId, resolved);
-        }
-        return voiceId;
+        return handleVoiceStart(gesture.pointerId, resolved);
     },
-    onMove({ pointerId, position, amplitude, pressure, contactSize, velocity }) {
-        const active = instanceManager.getActive();
-        if (!active) return;
-        const gesture = { position, amplitude, pressure, contactSize, velocity };
+    onMove(gesture) {
+        if (!instanceManager.getActive()) return;
         const p = params.getParams();
         const m = params.getMusicalParams();
         const resolved = resolveParams(p, gesture, m);
-        active.engine.updateVoice(pointerId, resolved);
+        handleVoiceMove(gesture.pointerId, resolved);
         params.updateGestureIndicators(getResolvedNormals(p, gesture));
-        if (active.recorder.isRecording) {
-            const voiceId = recorderPointerMap.get(pointerId);
-            if (voiceId !== undefined) {
-                active.recorder.captureMove(voiceId, resolved);
-            }
+    },
+    onStop({ pointerId }) {
+        handleVoiceStop(pointerId);
+        if (pointer.pointers.size === 0) {
+            params.hideGestureIndicators();
         }
     },
+    isCompoundEnabled() {
+        return params.getParams().compoundGestures;
+    },
+    onCompound(pair) {
+        if (!pair) {
+            // The pair broke up: held voices keep the shift until released
+            const ended = compoundShift;
+            compoundShift = null;
+            if (!ended?.shift) return;
+            forEachHeldVoice(params.getParams(), params.getMusicalParams(), (pointerId) => {
+                if (pointerId !== ended.pointerId) heldShifts.set(pointerId, (heldShifts.get(pointerId) ?? 0) + ended.shift);
+            });
+            return;
+        }
+        // The lead voice follows the pair's centroid, not a shift
+        heldShifts.delete(pair.pointerId);
+        if (pair.shift === (compoundShift?.shift ?? 0)) {
+            compoundShift = pair;
+            return;
+        }
+        compoundShift = pair;
+        // Move the other held voices along (recorded like any other move)
+        if (!instanceManager.getActive()) return;
+        forEachHeldVoice(params.getParams(), params.getMusicalParams(), (pointerId, resolved) => {
+            if (pointerId !== pair.pointerId) handleVoiceMove(pointerId, resolved);
+        });
+    },
+});
+
+// --- Computer keyboard (plays the active instance, like the pointer) ---
+
+/**
+ * Resolve panel parameters for a held key: position from the pad (or the
+ * piano layout's position), amplitude from the modifiers, which also stand in
+ * for pressure. Piano keys set a chromatic pitch from the root note, snapped
+ * to the scale when pitch quantization is on.
+ */
+function resolveKeyParams(p, key, m) {
+    const gesture = { position: key.position, amplitude: 0.5, pressure: key.amplitude, contactSize: 0, velocity: 0 };
+    const resolved = resolveParams(withPositionAxes(p), gesture, m);
+    if (key.semitones !== null) {
+        let semitones = m.rootNote + key.semitones;
+        if (m.quantizePitch) semitones = quantizePitch(semitones, SCALES[m.scale] || SCALES.chromatic, m.rootNote);
+        resolved.pitch = semitonesToRate(semitones);
+    }
+    if (!mapsTo(p.mappings, 'amplitude')) resolved.amplitude = key.amplitude;
+    return resolved;
+}
+
+const keyboardInput = new KeyboardInput(document, {
+    onStart(key) {
+        return handleVoiceStart(key.pointerId, resolveKeyParams(params.getParams(), key, params.getMusicalParams()));
+    },
+    onMove(key) {
+        handleVoiceMove(key.pointerId, resolveKeyParams(params.getParams(), key, params.getMusicalParams()));
+    },
     onStop({ pointerId }) {
-        const active = instanceManager.getActive();
-        if (active) active.engine.stopVoice(pointerId);
-        if (active?.recorder.isRecording) {
-            const voiceId = recorderPointerMap.get(pointerId);
-            if (voiceId !== undefined) {
-                active.recorder.captureStop(voiceId);
-                recorderPointerMap.delete(pointerId);
-            }
+        handleVoiceStop(pointerId);
+    },
+    getPointerPosition() {
+        // The pointer's buffer position, through the axis mapping as it plays
+        for (const [, entry] of pointer.pointers) {
+            return resolveAxes(params.getParams().axes, entry.position, entry.amplitude).position ?? 0.5;
         }
-        if (pointer.pointers.size === 0) {
+        return null;
+    },
+});
+
+keyboardInput.onPositionsChange = () => {
+    if (persistence) persistence.scheduleSave();
+};
+
+const keyboardPanel = new KeyboardPanel({
+    onChange(settings) {
+        keyboardInput.setSettings(settings);
+        if (persistence) persistence.scheduleSave();
+    },
+    onResetPositions() {
+        keyboardInput.setSettings({ positions: createDefaultKeyboardSettings().positions });
+        if (persistence) persistence.scheduleSave();
+    },
+});
+
+// --- Gamepad (plays the active instance, like the pointer) ---
+
+// Stick gestures carry every gesture dimension, so they resolve like a touch
+const gamepadInput = new GamepadInput({
+    onStart(g) {
+        return handleVoiceStart(g.pointerId, resolveParams(params.getParams(), g, params.getMusicalParams()));
+    },
+    onMove(g) {
+        handleVoiceMove(g.pointerId, resolveParams(params.getParams(), g, params.getMusicalParams()));
+    },
+    onStop({ pointerId }) {
+        handleVoiceStop(pointerId);
+    },
+    onAction(action) {
+        switch (action) {
+            case 'play':
+                if (transport.state === 'idle') transport.onPlay();
+                else transport.onStop();
+                break;
+            case 'stop':
+                transport.onStop();
+                break;
+            case 'record':
+                transport.onRecord();
+                break;
+            case 'metronome':
+                metronomeBtn.click();
+                break;
+        }
+    },
+});
+
+gamepadInput.onConnectionChange = (names) => {
+    // Gamepad ids append vendor/product details in parentheses
+    const name = names.length > 0 ? names[0].replace(/\s*\(.*$/, '') : 'no gamepad';
+    gamepadPanel.setStatus(names.length > 1 ? `${name} +${names.length - 1}` : name, names.length > 0);
+};
+
+/**
+ * Enable or disable gamepad polling.
+ * @param {import('./input/GamepadInput.js').GamepadSettings} settings
+ */
+function applyGamepadSettings(settings) {
+    if (settings.enabled && !GamepadInput.isSupported()) {
+        gamepadPanel.setStatus('not supported');
+        gamepadInput.setSettings({ ...settings, enabled: false });
+        return;
+    }
+    gamepadInput.setSettings(settings);
+    gamepadPanel.setStatus(settings.enabled ? 'no gamepad' : 'off');
+}
+
+const gamepadPanel = new GamepadPanel({
+    onChange(settings) {
+        applyGamepadSettings(settings);
+        if (persistence) persistence.scheduleSave();
+    },
+});
+// The button table is built by the panel; show the default assignments
+gamepadPanel.setState(gamepadInput.settings);
+
+// --- MIDI input (plays the active instance, like the pointer) ---
+
+/**
+ * Gesture dimensions of a MIDI note. Pressure is channel pressure in MPE mode
+ * and velocity otherwise, so pressure mappings respond to how hard keys are
+ * hit; MPE slide (CC74) stands in for contact size.
+ */
+function getMidiGesture(note) {
+    return { position: note.position, amplitude: 0.5, pressure: note.pressure, contactSize: note.slide, velocity: 0 };
+}
+
+/**
+ * Resolve panel parameters for a MIDI note: position comes from the note,
+ * pitch from the key (plus pitch bend) and amplitude from velocity, unless a
+ * gesture dimension is mapped to amplitude.
+ */
+function resolveMidiParams(p, note, m) {
+    const resolved = resolveParams(withPositionAxes(p), getMidiGesture(note), m);
+    resolved.pitch = note.pitch;
+    if (!mapsTo(p.mappings, 'amplitude')) resolved.amplitude = note.amplitude;
+    return resolved;
+}
+
+const midiInput = new MidiInput({
+    onStart(note) {
+        const p = params.getParams();
+        const voiceId = handleVoiceStart(note.pointerId, resolveMidiParams(p, note, params.getMusicalParams()));
+        params.updateGestureIndicators(getResolvedNormals(withPositionAxes(p), getMidiGesture(note)));
+        return voiceId;
+    },
+    onMove(note) {
+        const p = params.getParams();
+        handleVoiceMove(note.pointerId, resolveMidiParams(p, note, params.getMusicalParams()));
+        params.updateGestureIndicators(getResolvedNormals(withPositionAxes(p), getMidiGesture(note)));
+    },
+    onStop({ pointerId }) {
+        handleVoiceStop(pointerId);
+        if (midiInput.notes.size === 0 && pointer.pointers.size === 0) {
             params.hideGestureIndicators();
         }
     },
 });
 
+midiInput.onInputsChange = (names) => {
+    midiClockOut.setOutputs(midiInput.getOutputs());
+    if (!midiInput.connected) {
+        midiPanel.setStatus('off');
+    } else if (names.length === 0) {
+        midiPanel.setStatus('no inputs');
+    } else {
+        midiPanel.setStatus(names.length === 1 ? names[0] : `${names.length} inputs`, true);
+    }
+};
+
+// --- MIDI clock sync ---
+
+const midiClockIn = new MidiClockInput(masterBus.audioContext, masterBus.clock);
+const midiClockOut = new MidiClockOutput(masterBus.audioContext, masterBus.clock, masterBus.tickSource);
+
+midiInput.onSystemMessage = (data, timeStamp) => {
+    midiClockIn.handleMessage(data, timeStamp);
+};
+
+// A new downbeat (play, count-in, metronome start) restarts the receivers
+masterBus.clock.onEpochChange = () => midiClockOut.start();
+
+midiClockIn.onTempoChange = (bpm) => {
+    masterBus.setTempo(bpm);
+    instanceManager.setTempo(masterBus.clock.bpm);
+    bpmSlider.value = Math.round(bpm);
+    bpmDisplay.textContent = Math.round(bpm);
+    params.refreshQuantizedDisplays();
+};
+
+midiClockIn.onStart = () => {
+    const epoch = masterBus.clock.epoch;
+    if (transport.state === 'idle') transport.onPlay();
+    // onPlay may have restarted the grid at "now"; the external downbeat wins
+    masterBus.clock.alignEpoch(epoch);
+    if (masterBus.metronome.running && transport.state === 'playing') {
+        masterBus.metronome.stop();
+        masterBus.metronome.start();
+    }
+};
+
+midiClockIn.onStop = () => {
+    if (transport.state === 'playing') transport.onStop();
+};
+
+/**
+ * Apply the clock sync toggles from MIDI settings.
+ * @param {import('./input/MidiInput.js').MidiSettings} settings
+ */
+function applyMidiClockSettings(settings) {
+    if (settings.clockIn !== midiClockIn.enabled) midiClockIn.setEnabled(settings.clockIn);
+    midiClockOut.setEnabled(settings.clockOut);
+    // Joining mid-playback: bring receivers in at the current position
+    if (settings.clockOut && (transport.state === 'playing' || masterBus.metronome.running)) {
+        midiClockOut.start();
+    }
+}
+
+/**
+ * Connect or disconnect Web MIDI. Failures (unsupported, permission denied)
+ * leave MIDI off and are reported.
+ * @param {boolean} enabled
+ */
+async function setMidiEnabled(enabled) {
+    midiInput.setSettings({ enabled });
+    if (!enabled) {
+        midiInput.disconnect();
+        return;
+    }
+    try {
+        await midiInput.connect();
+    } catch (err) {
+        console.warn('MIDI unavailable:', err);
+        midiInput.setSettings({ enabled: false });
+        midiPanel.setEnabled(false);
+        midiPanel.setStatus('unavailable');
+        showNotification('MIDI unavailable: ' + err.message, true);
+    }
+}
+
+// MIDI learn: CCs drive panel controls through the same listeners as the UI
+const controlRegistry = new ControlRegistry();
+params.registerControls(controlRegistry);
+controlRegistry.registerSlider('masterBpm', 'Master BPM', bpmSlider);
+controlRegistry.registerSlider('masterVolume', 'Main Volume', masterVolumeSlider);
+
+const midiLearn = new MidiLearn(controlRegistry);
+midiInput.onControlChange = (channel, controller, value) =>
+    midiLearn.handleControlChange(channel, controller, value);
+
+const midiPanel = new MidiPanel({
+    async onEnable(enabled) {
+        await setMidiEnabled(enabled);
+        if (persistence) persistence.scheduleSave();
+    },
+    onChange(settings) {
+        midiInput.setSettings(settings);
+        applyMidiClockSettings(settings);
+        if (persistence) persistence.scheduleSave();
+    },
+    onMappingsChange() {
+        if (persistence) persistence.scheduleSave();
+    },
+}, midiLearn);
+
+// --- OSC remote (Max, TouchDesigner, ... through a WebSocket bridge) ---
+
+/** OSC voice pointer ID → id of the instance it plays. */
+const oscVoices = new Map();
+
+/**
+ * Find the instance an OSC address names: 1-based tab index, tab name or 'active'.
+ * @param {string} ref
+ */
+function findOscInstance(ref) {
+    if (ref === 'active') return instanceManager.getActive();
+    const entries = [...instanceManager.instances.values()];
+    if (/^\d+$/.test(ref)) return entries[parseInt(ref, 10) - 1];
+    return entries.find(e => e.state.name === ref);
+}
+
+/**
+ * Resolve an OSC voice gesture against the active tab's live panel, or an
+ * inactive tab's stored parameters.
+ */
+function resolveOscVoice(entry, g) {
+    const gesture = {
+        position: clamp(g.position, 0, 1),
+        amplitude: clamp(g.amplitude, 0, 1),
+        pressure: clamp(g.pressure, 0, 1),
+        contactSize: 0,
+        velocity: 0,
+    };
+    if (entry === instanceManager.getActive()) {
+        return resolveParams(params.getParams(), gesture, params.getMusicalParams());
+    }
+    return resolveParams(entry.state, gesture, entry.state);
+}
+
+const oscRemote = new OscRemote({
+    onParam(ref, id, value) {
+        const entry = findOscInstance(ref);
+        const control = controlRegistry.get(id);
+        if (!entry || !control) return;
+        if (entry === instanceManager.getActive()) {
+            control.set(value);
+            return;
+        }
+        // Inactive tab: update its stored state, applied when the tab is shown
+        if (!control.toValue) return;
+        entry.state[id] = control.toValue(value);
+        if (id === 'volume') entry.engine.setInstanceVolume(entry.state.volume);
+        if (persistence) persistence.scheduleSave();
+    },
+    onMixer(ref, key, value) {
+        const entry = findOscInstance(ref);
+        if (!entry) return;
+        const id = entry.state.id;
+        if (key === 'mute') instanceManager.setMuted(id, value >= 0.5);
+        else if (key === 'solo') instanceManager.setSoloed(id, value >= 0.5);
+        else instanceManager.setStereoPan(id, clamp(value, -1, 1));
+        tabBar.render(instanceManager.getTabList());
+        if (persistence) persistence.scheduleSave();
+    },
+    onVoice(ref, action, id, g) {
+        const pointerId = OSC_POINTER_BASE + id;
+
+        if (action === 'start') {
+            const entry = findOscInstance(ref);
+            if (!entry || !entry.engine.sourceBuffer) return;
+            if (oscVoices.has(pointerId)) this.onVoice(ref, 'stop', id, g);
+            const resolved = resolveOscVoice(entry, g);
+            const voiceId = entry === instanceManager.getActive()
+                ? handleVoiceStart(pointerId, resolved)
+                : entry.engine.startVoice(pointerId, resolved);
+            if (voiceId !== undefined) oscVoices.set(pointerId, entry.state.id);
+            return;
+        }
+
+        // Moves and stops follow the voice's instance, even after a tab switch
+        const entry = instanceManager.instances.get(oscVoices.get(pointerId));
+        if (!entry) {
+            oscVoices.delete(pointerId);
+            return;
+        }
+        const isActive = entry === instanceManager.getActive();
+        if (action === 'move') {
+            const resolved = resolveOscVoice(entry, g);
+            if (isActive) handleVoiceMove(pointerId, resolved);
+            else entry.engine.updateVoice(pointerId, resolved);
+        } else {
+            if (isActive) handleVoiceStop(pointerId);
+            else entry.engine.stopVoice(pointerId);
+            oscVoices.delete(pointerId);
+        }
+    },
+    onTransport(command, value) {
+        switch (command) {
+            case 'play':
+                if (transport.state === 'idle') transport.onPlay();
+                break;
+            case 'stop':
+                transport.onStop();
+                break;
+            case 'record':
+                transport.onRecord();
+                break;
+            case 'bpm':
+                // Same path as the slider; ignored while MIDI clock drives the tempo
+                if (!Number.isFinite(value) || bpmSlider.disabled) return;
+                bpmSlider.value = Math.round(value);
+                bpmSlider.dispatchEvent(new Event('input'));
+                break;
+        }
+    },
+    onMaster(key, value) {
+        if (key === 'volume') controlRegistry.get('masterVolume').set(value);
+    },
+});
+
+const OSC_STATUS_TEXT = { off: 'off', connecting: 'connecting…', connected: 'connected', error: 'no bridge' };
+
+oscRemote.onStatusChange = (status) => {
+    oscPanel.setStatus(OSC_STATUS_TEXT[status], status === 'connected');
+};
+
+/**
+ * Connect to or disconnect from the OSC bridge.
+ * @param {import('./input/OscRemote.js').OscSettings} settings
+ */
+function applyOscSettings(settings) {
+    if (settings.enabled && settings.url) oscRemote.connect(settings.url);
+    else oscRemote.disconnect();
+}
+
+const oscPanel = new OscPanel({
+    onChange(settings) {
+        applyOscSettings(settings);
+        if (persistence) persistence.scheduleSave();
+    },
+});
+
+/**
+ * Send changed state to the OSC bridge (called every frame; unchanged
+ * addresses are filtered by OscRemote.publish()).
+ */
+function publishOscState() {
+    if (!oscRemote.connected) return;
+    const active = instanceManager.getActive();
+    oscRemote.publish(`${OSC_ROOT}/transport/state`, transport.state);
+    oscRemote.publish(`${OSC_ROOT}/transport/bpm`, masterBus.clock.bpm);
+    oscRemote.publish(`${OSC_ROOT}/master/volume`, controlRegistry.get('masterVolume').read());
+
+    let index = 0;
+    for (const entry of instanceManager.instances.values()) {
+        index++;
+        const prefix = `${OSC_ROOT}/${index}`;
+        const isActive = entry === active;
+        if (isActive) oscRemote.publish(`${OSC_ROOT}/active`, { type: 'i', value: index });
+        for (const { path, id } of OSC_PARAMS) {
+            const control = controlRegistry.get(id);
+            if (!control?.read) continue;
+            oscRemote.publish(`${prefix}/${path}`, isActive ? control.read() : control.toNormalized(entry.state[id]));
+        }
+        oscRemote.publish(`${prefix}/mute`, { type: 'i', value: entry.state.muted ? 1 : 0 });
+        oscRemote.publish(`${prefix}/solo`, { type: 'i', value: entry.state.soloed ? 1 : 0 });
+        oscRemote.publish(`${prefix}/stereoPan`, entry.state.stereoPan);
+    }
+    oscRemote.flush();
+}
+
 // --- Tab bar ---
 
 const tabBar = new TabBar(
@@ -431,51 +1122,59 @@ const tabBar = new TabBar(
     document.getElementById('tab-add'),
     {
         onSwitch(id) {
-            // Force-stop all active pointer voices before switching
-            const current = instanceManager.getActive();
-            if (current) {
-                for (const [pointerId] of pointer.pointers) {
-                    current.engine.stopVoice(pointerId);
-                }
-            }
-            pointer.pointers.clear();
-            pointer._fading = [];
-            recorderPointerMap.clear();
-            params.hideGestureIndicators();
-
-            // switchTo() stops recording/playback on the old tab
-            instanceManager.switchTo(id);
-
-            // Update transport bar to reflect new tab's state
-            const active = instanceManager.getActive();
-            if (active?.player.isPlaying) {
-                transport.setState('playing');
-            } else {
-                transport.setState('idle');
-            }
-            transport.setHasRecording(active?.recorder.getRecording().length > 0);
-            if (!active?.player.isPlaying) {
-                transport.resetDisplay();
-            }
-
-            // Update sample display and loop station UI
-            if (active) {
-                sampleNameEl.textContent = active.state.sampleDisplayName;
-                sampleSelect.value = active.state.sampleUrl || '';
-                applyLoopStationUI(active.state.loopStationMode);
-            }
+            activateInstance(id);
         },
         onClose(id) {
-            instanceManager.removeInstance(id);
-            // Update sample display after potential tab switch
-            const active = instanceManager.getActive();
-            if (active) {
-                sampleNameEl.textContent = active.state.sampleDisplayName;
-                sampleSelect.value = active.state.sampleUrl || '';
-            }
+            const snapshot = instanceManager.snapshotInstance(id);
+            if (!snapshot || !closeInstance(id)) return;
+            commands.push({
+                label: `Close ${snapshot.state.name}`,
+                undo: () => reinsertInstance(snapshot),
+                redo: () => closeInstance(id),
+            });
         },
         onRename(id, name) {
+            const oldName = instanceManager.instances.get(id)?.state.name;
+            if (oldName === undefined || oldName === name) return;
             instanceManager.renameInstance(id, name);
+            commands.push({
+                label: `Rename ${oldName} to ${name}`,
+                undo: () => instanceManager.renameInstance(id, oldName),
+                redo: () => instanceManager.renameInstance(id, name),
+            });
+        },
+        onMute(id, muted) {
+            setInstanceMuted(id, muted);
+            commands.push({
+                label: `${muted ? 'Mute' : 'Unmute'} ${instanceName(id)}`,
+                undo: () => setInstanceMuted(id, !muted),
+                redo: () => setInstanceMuted(id, muted),
+            });
+        },
+        onSolo(id, soloed) {
+            setInstanceSoloed(id, soloed);
+            commands.push({
+                label: `${soloed ? 'Solo' : 'Unsolo'} ${instanceName(id)}`,
+                undo: () => setInstanceSoloed(id, !soloed),
+                redo: () => setInstanceSoloed(id, soloed),
+            });
+        },
+        onPan(id, pan) {
+            const entry = instanceManager.instances.get(id);
+            if (!entry) return;
+            const oldPan = entry.state.stereoPan;
+            // No re-render here: it would replace the slider being dragged
+            instanceManager.setStereoPan(id, pan);
+            if (persistence) persistence.scheduleSave();
+            commands.push({
+                label: `Pan ${entry.state.name}`,
+                group: `pan:${id}`,
+                undo: () => setInstancePan(id, oldPan),
+                redo: () => setInstancePan(id, pan),
+            });
+        },
+        getAnalyser(id) {
+            return instanceManager.instances.get(id)?.engine.analyser ?? null;
         },
         onAdd() {
             const id = instanceManager.createInstance();
@@ -483,14 +1182,121 @@ const tabBar = new TabBar(
             const entry = instanceManager.instances.get(id);
             if (entry) {
                 entry.player.setLoopStationMode(entry.state.loopStationMode, masterBus.clock);
-                applyLoopStationUI(entry.state.loopStationMode);
             }
-            instanceManager.switchTo(id);
-            sampleNameEl.textContent = 'No sample loaded';
-            sampleSelect.value = '';
+            activateInstance(id);
+
+            // Undoing the add keeps a snapshot so redo brings back any edits made since
+            let snapshot = null;
+            commands.push({
+                label: `Add ${entry.state.name}`,
+                undo: () => {
+                    snapshot = instanceManager.snapshotInstance(id);
+                    closeInstance(id);
+                },
+                redo: () => reinsertInstance(snapshot),
+            });
         },
     }
-);
+);
+
+/**
+ * Make an instance the active tab: releases every held voice, swaps the
+ * panel, waveform and transport over to it.
+ * @param {string} id
+ */
+function activateInstance(id) {
+    if (id === instanceManager.activeId) return;
+
+    // Force-stop all active pointer voices before switching
+    pointer.cancelCompound();
+    const current = instanceManager.getActive();
+    if (current) {
+        for (const [pointerId] of pointer.pointers) {
+            current.engine.stopVoice(pointerId);
+        }
+    }
+    midiInput.releaseAll();
+    keyboardInput.releaseAll();
+    gamepadInput.releaseAll();
+    pointer.pointers.clear();
+    pointer._fading = [];
+    recorderPointerMap.clear();
+    params.hideGestureIndicators();
+
+    // switchTo() stops recording/playback on the old tab
+    instanceManager.switchTo(id);
+
+    // Update transport bar to reflect new tab's state
+    const active = instanceManager.getActive();
+    if (active?.player.isPlaying) {
+        transport.setState('playing');
+    } else {
+        transport.setState('idle');
+    }
+    transport.setHasRecording(active?.recorder.getRecording().length > 0);
+    if (!active?.player.isPlaying) {
+        transport.resetDisplay();
+    }
+
+    // Update sample display and loop station UI
+    if (active) {
+        sampleNameEl.textContent = active.state.sampleDisplayName;
+        sampleSelect.value = active.state.sampleUrl || '';
+        applyLoopStationUI(active.state.loopStationMode);
+    }
+    syncPanelSnapshot();
+}
+
+/**
+ * Remove an instance's tab (not the last one).
+ * @param {string} id
+ * @returns {boolean} True if removed
+ */
+function closeInstance(id) {
+    if (!instanceManager.removeInstance(id)) return false;
+    // Update sample display after potential tab switch
+    const active = instanceManager.getActive();
+    if (active) {
+        sampleNameEl.textContent = active.state.sampleDisplayName;
+        sampleSelect.value = active.state.sampleUrl || '';
+    }
+    syncPanelSnapshot();
+    return true;
+}
+
+/**
+ * Bring back a closed instance from its snapshot and make it active.
+ * @param {Object} snapshot - From InstanceManager.snapshotInstance()
+ */
+function reinsertInstance(snapshot) {
+    const id = instanceManager.insertInstance(snapshot);
+    const entry = instanceManager.instances.get(id);
+    entry.player.setLoopStationMode(entry.state.loopStationMode, masterBus.clock);
+    activateInstance(id);
+}
+
+/** @returns {string} An instance's tab name, for history labels. */
+function instanceName(id) {
+    return instanceManager.instances.get(id)?.state.name ?? '';
+}
+
+function setInstanceMuted(id, muted) {
+    instanceManager.setMuted(id, muted);
+    tabBar.render(instanceManager.getTabList());
+    if (persistence) persistence.scheduleSave();
+}
+
+function setInstanceSoloed(id, soloed) {
+    instanceManager.setSoloed(id, soloed);
+    tabBar.render(instanceManager.getTabList());
+    if (persistence) persistence.scheduleSave();
+}
+
+function setInstancePan(id, pan) {
+    instanceManager.setStereoPan(id, pan);
+    tabBar.render(instanceManager.getTabList());
+    if (persistence) persistence.scheduleSave();
+}
 
 instanceManager.onTabsChanged = () => {
     tabBar.render(instanceManager.getTabList());
@@ -502,12 +1308,14 @@ instanceManager.onTabsChanged = () => {
 async function handleFile(file) {
     const active = instanceManager.getActive();
     if (!active) return;
+    const previous = getSample(active);
     sampleNameEl.textContent = file.name;
     try {
         const buffer = await active.engine.loadSampleFromFile(file);
         instanceManager.setActiveSample(buffer, file.name, null, file.name);
         waveform.setBuffer(buffer);
         console.log(`Loaded: ${file.name} (${buffer.duration.toFixed(2)}s, ${buffer.sampleRate}Hz, ${buffer.numberOfChannels}ch)`);
+        pushSampleCommand(active, previous);
         if (persistence) persistence.scheduleSave();
     } catch (err) {
         console.error('Failed to decode audio file:', err);
@@ -528,9 +1336,16 @@ setupFilePicker(loadBtn, fileInput, handleFile);
 
 // --- Sample selector dropdown ---
 
-async function loadSampleFromUrl(url, displayName) {
+/**
+ * Load a bundled sample into the active instance.
+ * @param {string} url
+ * @param {string} displayName
+ * @param {boolean} [undoable=true] - Add a session history step (not for the startup sample)
+ */
+async function loadSampleFromUrl(url, displayName, undoable = true) {
     const active = instanceManager.getActive();
     if (!active) return;
+    const previous = getSample(active);
     try {
         sampleNameEl.textContent = 'Loading...';
         const buffer = await active.engine.loadSample(url);
@@ -538,6 +1353,7 @@ async function loadSampleFromUrl(url, displayName) {
         waveform.setBuffer(buffer);
         sampleNameEl.textContent = displayName;
         console.log(`Loaded: ${displayName} (${buffer.duration.toFixed(2)}s, ${buffer.sampleRate}Hz)`);
+        if (undoable) pushSampleCommand(active, previous);
         if (persistence) persistence.scheduleSave();
     } catch (err) {
         console.error('Failed to load sample:', err);
@@ -545,6 +1361,50 @@ async function loadSampleFromUrl(url, displayName) {
     }
 }
 
+/**
+ * Capture an instance's sample so a swap can be undone.
+ * @param {Object} entry - Instance entry
+ * @returns {{ buffer: AudioBuffer|null, displayName: string, url: string|null, fileName: string|null }}
+ */
+function getSample(entry) {
+    return {
+        buffer: entry.buffer,
+        displayName: entry.state.sampleDisplayName,
+        url: entry.state.sampleUrl,
+        fileName: entry.state.sampleFileName,
+    };
+}
+
+/**
+ * Record a sample swap that has just happened on an instance.
+ * @param {Object} entry - Instance entry, already holding the new sample
+ * @param {Object} previous - getSample() from before the swap
+ */
+function pushSampleCommand(entry, previous) {
+    const id = entry.state.id;
+    const loaded = getSample(entry);
+    commands.push({
+        label: `Load ${loaded.displayName} (${entry.state.name})`,
+        undo: () => applySample(id, previous),
+        redo: () => applySample(id, loaded),
+    });
+}
+
+/**
+ * Put a captured sample back into an instance and show it.
+ * @param {string} id
+ * @param {Object} sample - From getSample()
+ */
+function applySample(id, sample) {
+    activateInstance(id);
+    instanceManager.setSample(id, sample.buffer, sample.displayName, sample.url, sample.fileName);
+    if (instanceManager.activeId === id) {
+        sampleNameEl.textContent = sample.displayName;
+        sampleSelect.value = sample.url || '';
+    }
+    if (persistence) persistence.scheduleSave();
+}
+
 sampleSelect.addEventListener('change', () => {
     const url = sampleSelect.value;
     if (!url) return;
@@ -572,8 +1432,22 @@ function getLoopStationState() {
     };
 }
 
+/** Gather global section state (aux buses, mastering, MIDI, MIDI learn, OSC, keyboard play and gamepad) for session serialization. */
+function getMasterState() {
+    return {
+        auxBuses: masterPanel.getAuxState(),
+        mastering: masterPanel.getMasteringState(),
+        midi: { ...midiInput.settings, keyMap: { ...midiInput.settings.keyMap } },
+        midiMappings: midiLearn.getMappings(),
+        osc: oscPanel.getState(),
+        keyboard: { ...keyboardInput.settings, positions: [...keyboardInput.settings.positions] },
+        gamepad: gamepadPanel.getState(),
+        historyDepth: masterPanel.getHistoryDepth(),
+    };
+}
+
 persistence = new SessionPersistence(
-    () => serializeSession(instanceManager, params, getMasterBpm(), parseFloat(masterVolumeSlider.value), getLoopStationState())
+    () => serializeSession(instanceManager, params, getMasterBpm(), parseFloat(masterVolumeSlider.value), getLoopStationState(), getMasterState())
 );
 
 /**
@@ -635,12 +1509,56 @@ function restoreLoopStationState(data) {
     // loopStationMode is now per-instance — restored via InstanceState.fromJSON()
 }
 
+/**
+ * Restore global section state (aux buses, mastering, MIDI, OSC, keyboard play, gamepad, undo depth) from session data.
+ * @param {Object} data - Validated session data
+ */
+function restoreMasterState(data) {
+    // Sessions from before aux buses get the defaults
+    const auxBuses = createDefaultAuxBuses();
+    for (const name of Object.keys(auxBuses)) {
+        Object.assign(auxBuses[name], data.auxBuses?.[name]);
+    }
+    masterPanel.setAuxState(auxBuses);
+    masterBus.setAuxSettings(auxBuses);
+
+    // Sessions from before configurable mastering keep the original chain
+    const mastering = { ...createDefaultMastering(), ...data.mastering };
+    masterPanel.setMasteringState(mastering);
+    masterBus.setMastering(mastering);
+
+    const historyDepth = data.historyDepth ?? DEFAULT_HISTORY_DEPTH;
+    masterPanel.setHistoryDepth(historyDepth);
+    instanceManager.setHistoryDepth(historyDepth);
+
+    const midi = { ...createDefaultMidiSettings(), ...data.midi };
+    midiPanel.setState(midi);
+    midiInput.setSettings(midi);
+    if (midi.enabled !== midiInput.connected) setMidiEnabled(midi.enabled);
+    applyMidiClockSettings(midi);
+
+    midiLearn.setMappings(data.midiMappings);
+    midiPanel.renderMappings();
+
+    const osc = { ...createDefaultOscSettings(), ...data.osc };
+    oscPanel.setState(osc);
+    applyOscSettings(osc);
+
+    const keyboard = { ...createDefaultKeyboardSettings(), ...data.keyboard };
+    keyboardPanel.setState(keyboard);
+    keyboardInput.setSettings(keyboard);
+
+    const gamepad = { ...createDefaultGamepadSettings(), ...data.gamepad };
+    gamepadPanel.setState(gamepad);
+    applyGamepadSettings(gamepad);
+}
+
 function createDefaultSession() {
     instanceManager.createInstance('Sampler 1');
     tabBar.render(instanceManager.getTabList());
     if (sampleSelect.value) {
         const displayName = sampleSelect.options[sampleSelect.selectedIndex].textContent;
-        loadSampleFromUrl(sampleSelect.value, displayName);
+        loadSampleFromUrl(sampleSelect.value, displayName, false);
     }
 }
 
@@ -656,7 +1574,7 @@ async function initializeSession() {
             const savedBpm = validation.data.masterBpm || 120;
             bpmSlider.value = savedBpm;
             bpmDisplay.textContent = savedBpm;
-            masterBus.clock.bpm = savedBpm;
+            masterBus.setTempo(savedBpm);
 
             // Restore master volume from session (default 0.7 for backward compatibility)
             const savedMasterVol = validation.data.masterVolume ?? 0.7;
@@ -669,6 +1587,7 @@ async function initializeSession() {
 
             // Restore global state (after await so all module vars are initialized)
             restoreLoopStationState(validation.data);
+            restoreMasterState(validation.data);
 
             // Apply per-instance loop station mode to all restored players
             for (const [, entry] of instanceManager.instances) {
@@ -693,6 +1612,8 @@ async function initializeSession() {
         createDefaultSession();
     }
 
+    syncPanelSnapshot();
+    syncMasterSnapshot();
     persistence.enable();
 }
 
@@ -705,7 +1626,7 @@ const importBtn = document.getElementById('session-import-btn');
 const importInput = document.getElementById('session-import-input');
 
 exportBtn.addEventListener('click', () => {
-    const session = serializeSession(instanceManager, params, getMasterBpm(), parseFloat(masterVolumeSlider.value), getLoopStationState());
+    const session = serializeSession(instanceManager, params, getMasterBpm(), parseFloat(masterVolumeSlider.value), getLoopStationState(), getMasterState());
     exportSessionFile(session);
     showNotification('Session exported');
 });
@@ -728,36 +1649,62 @@ async function importSessionFromFile(file) {
             return;
         }
 
-        // Stop all active pointer voices before import
-        const current = instanceManager.getActive();
-        if (current) {
-            for (const [pointerId] of pointer.pointers) {
-                current.engine.stopVoice(pointerId);
-            }
-        }
-        pointer.pointers.clear();
-        pointer._fading = [];
-        params.hideGestureIndicators();
+        const before = captureSession();
+        await loadSession(validation.data, restoreSampleForInstance);
+        const after = captureSession();
+        commands.push({
+            label: `Import ${file.name}`,
+            undo: () => applySessionSnapshot(before),
+            redo: () => applySessionSnapshot(after),
+        });
+        showNotification('Session imported');
+    } catch (err) {
+        console.error('Session import failed:', err);
+        persistence.enable();
+        showNotification('Import failed: ' + err.message, true);
+    }
+}
 
-        persistence.disable();
+/**
+ * Replace the workspace with a validated session: tempo, master volume,
+ * instances, time signature and metronome.
+ * @param {Object} data - Validated session data
+ * @param {(state: import('./state/InstanceState.js').InstanceState, entry: Object) => Promise<void>} loadSample - Per-instance sample loader
+ * @returns {Promise<void>}
+ */
+async function loadSession(data, loadSample) {
+    // Stop all active pointer voices before import
+    const current = instanceManager.getActive();
+    if (current) {
+        for (const [pointerId] of pointer.pointers) {
+            current.engine.stopVoice(pointerId);
+        }
+    }
+    pointer.pointers.clear();
+    pointer._fading = [];
+    params.hideGestureIndicators();
 
+    // Keep the half-restored state out of storage, but never leave saving off
+    persistence.disable();
+    try {
         // Restore master BPM from imported session
-        const importedBpm = validation.data.masterBpm || 120;
+        const importedBpm = data.masterBpm || 120;
         bpmSlider.value = importedBpm;
         bpmDisplay.textContent = importedBpm;
-        masterBus.clock.bpm = importedBpm;
+        masterBus.setTempo(importedBpm);
 
         // Restore master volume from imported session
-        const importedMasterVol = validation.data.masterVolume ?? 0.7;
+        const importedMasterVol = data.masterVolume ?? 0.7;
         masterVolumeSlider.value = importedMasterVol;
         masterVolumeDisplay.textContent = importedMasterVol.toFixed(2);
         masterBus.setMasterVolume(importedMasterVol);
 
-        await instanceManager.restoreFromSession(validation.data, restoreSampleForInstance);
+        await instanceManager.restoreFromSession(data, loadSample);
         tabBar.render(instanceManager.getTabList());
 
-        // Restore global state (time signature, metronome)
-        restoreLoopStationState(validation.data);
+        // Restore global state (time signature, metronome, master buses)
+        restoreLoopStationState(data);
+        restoreMasterState(data);
 
         // Apply per-instance loop station mode to all restored players
         for (const [, entry] of instanceManager.instances) {
@@ -771,17 +1718,111 @@ async function importSessionFromFile(file) {
             applyLoopStationUI(active.state.loopStationMode);
             transport.setHasRecording(active.recorder.getRecording().length > 0);
         }
-
-        persistence.enable();
-        persistence.scheduleSave();
-        showNotification('Session imported');
-    } catch (err) {
-        console.error('Session import failed:', err);
+        syncPanelSnapshot();
+        syncMasterSnapshot();
+    } finally {
         persistence.enable();
-        showNotification('Import failed: ' + err.message, true);
     }
+    persistence.scheduleSave();
+}
+
+/**
+ * Capture the whole workspace so an import can be undone: the serialized
+ * session plus what it can't hold — decoded samples and recording histories.
+ * @returns {{ data: Object, buffers: Map<string, AudioBuffer>, histories: Map<string, import('./automation/LaneHistory.js').LaneHistory> }}
+ */
+function captureSession() {
+    const data = serializeSession(instanceManager, params, getMasterBpm(), parseFloat(masterVolumeSlider.value), getLoopStationState(), getMasterState());
+    const buffers = new Map();
+    const histories = new Map();
+    for (const [id, entry] of instanceManager.instances) {
+        if (entry.buffer) buffers.set(id, entry.buffer);
+        histories.set(id, entry.history);
+    }
+    return { data, buffers, histories };
+}
+
+/**
+ * Bring back a workspace from captureSession(), reusing its decoded samples.
+ * @param {Object} snapshot
+ * @returns {Promise<void>}
+ */
+async function applySessionSnapshot(snapshot) {
+    await loadSession(structuredClone(snapshot.data), async (state, entry) => {
+        const buffer = snapshot.buffers.get(state.id);
+        if (!buffer) return restoreSampleForInstance(state, entry);
+        entry.buffer = buffer;
+        entry.engine.setBuffer(buffer);
+        if (instanceManager.activeId === state.id) waveform.setBuffer(buffer);
+    });
+    for (const [id, entry] of instanceManager.instances) {
+        const history = snapshot.histories.get(id);
+        if (history) entry.history = history;
+    }
+}
+
+// --- Offline render to WAV ---
+
+/**
+ * Collect every instance that has both a sample and a recording.
+ * @returns {import('./audio/OfflineRenderer.js').RenderLayer[]}
+ */
+function getRenderLayers() {
+    const layers = [];
+    for (const [id, entry] of instanceManager.instances) {
+        const lane = entry.recorder.getRecording();
+        // Muted (or solo-excluded) tabs are left out, as when listening live
+        if (!entry.buffer || lane.length === 0 || !instanceManager.isAudible(id)) continue;
+        // A player that never ran has no duration yet: fall back to the lane's length
+        const range = entry.player.getLoopRange();
+        layers.push({
+            buffer: entry.buffer,
+            lane,
+            loopRange: { start: range.start, end: range.end > 0 ? range.end : lane.getDuration() },
+            volume: entry.state.volume,
+            pan: entry.state.stereoPan,
+            effects: entry.state.effects,
+            sends: entry.state.sends,
+        });
+    }
+    return layers;
 }
 
+const renderDialog = new RenderDialog(document.getElementById('render-dialog'), {
+    async onRender(options) {
+        const layers = getRenderLayers();
+        try {
+            const rendered = await renderOffline(layers, {
+                loops: options.loops,
+                tail: options.tail,
+                sampleRate: options.sampleRate,
+                masterVolume: parseFloat(masterVolumeSlider.value),
+                bpm: getMasterBpm(),
+                auxBuses: masterPanel.getAuxState(),
+                mastering: masterPanel.getMasteringState(),
+                onProgress: (fraction) => renderDialog.setProgress(fraction),
+            });
+            exportAudioFile(audioBufferToWav(rendered, options.bitDepth));
+            showNotification(`Rendered ${rendered.duration.toFixed(1)}s`);
+        } catch (err) {
+            console.error('Render failed:', err);
+            showNotification('Render failed: ' + err.message, true);
+        }
+    },
+});
+
+document.getElementById('render-btn').addEventListener('click', () => {
+    // Finish any in-progress take so its events are part of the bounce
+    const active = instanceManager.getActive();
+    if (active?.recorder.isRecording) transport.onStop();
+
+    if (getRenderLayers().length === 0) {
+        showNotification('Nothing to render: record something first', true);
+        return;
+    }
+    renderDialog.open();
+});
+
 // Save on page unload to catch pending debounce
 window.addEventListener('beforeunload', () => {
     persistence.saveNow();
@@ -805,36 +1846,13 @@ function showNotification(message, isError = false) {
 
 // --- Gesture live meters ---
 
-const gestureMeterEls = {
-    pressure:    document.getElementById('meter-pressure'),
-    contactSize: document.getElementById('meter-contact-size'),
-    velocity:    document.getElementById('meter-velocity'),
-};
-
-const gestureStatusEls = {
-    pressure:    document.getElementById('status-pressure'),
-    contactSize: document.getElementById('status-contact-size'),
-    velocity:    document.getElementById('status-velocity'),
-};
-
 function updateGestureMeters() {
-    const live = pointer.liveGesture;
-    const caps = pointer.capabilities;
-    const hasPointers = pointer.pointers.size > 0;
-
-    gestureMeterEls.pressure.style.width = hasPointers ? `${live.pressure * 100}%` : '0%';
-    if (caps.pressure && !gestureStatusEls.pressure.classList.contains('active')) {
-        gestureStatusEls.pressure.textContent = 'available';
-        gestureStatusEls.pressure.classList.add('active');
-    }
-
-    gestureMeterEls.contactSize.style.width = hasPointers ? `${live.contactSize * 100}%` : '0%';
-    if (caps.contactSize && !gestureStatusEls.contactSize.classList.contains('active')) {
-        gestureStatusEls.contactSize.textContent = 'available';
-        gestureStatusEls.contactSize.classList.add('active');
-    }
-
-    gestureMeterEls.velocity.style.width = hasPointers ? `${live.velocity * 100}%` : '0%';
+    // Touches win; otherwise an MPE controller's latest note drives the meters
+    const midiNote = midiInput.settings.mode === 'mpe' ? midiInput.getLatestNote() : null;
+    const live = pointer.pointers.size > 0 || !midiNote ? pointer.liveGesture : getMidiGesture(midiNote);
+    const caps = midiNote ? { pressure: true, contactSize: true } : pointer.capabilities;
+    const hasPointers = pointer.pointers.size > 0 || midiNote !== null;
+    params.updateGestureMeters(hasPointers ? live : null, caps);
 }
 
 // --- Transport controls ---
@@ -845,6 +1863,8 @@ const transport = new TransportBar({
     playBtn:     document.getElementById('btn-play'),
     stopBtn:     document.getElementById('btn-stop'),
     loopBtn:     document.getElementById('btn-loop'),
+    clearBtn:    document.getElementById('btn-clear'),
+    editBtn:     document.getElementById('btn-edit-lane'),
     timeDisplay: document.getElementById('time-display'),
     progressBar: document.getElementById('transport-progress-fill'),
 });
@@ -881,9 +1901,12 @@ function finishRecording(active) {
     if (active.state.loopStationMode) {
         const loopDuration = fixedRecordDuration
             || masterBus.clock.quantizeDurationToBar(active.recorder.getElapsedTime());
-        active.player.setLoopRange(0, loopDuration);
+        // The loop range is in lane time (beats), so it keeps its bar count at other tempos
+        const lane = active.recorder.getRecording();
+        active.player.setLoopRange(0, loopDuration / lane.secondsPerUnit(masterBus.clock.bpm));
         transport.setLoopRange(0, 1);
     }
+    commitLaneHistory(active, 'Record');
 
     // Keep metronome running for playback if enabled; otherwise stop the timing-only instance
     if (!metronomeEnabled && masterBus.metronome.running) {
@@ -908,6 +1931,7 @@ function finishRecording(active) {
             masterBus.metronome.start();
         }
     }
+    if (transport.state !== 'playing' && !masterBus.metronome.running) midiClockOut.stop();
 }
 
 /**
@@ -918,6 +1942,7 @@ function cancelRecordArm() {
     masterBus.metronome.setMuted(false); // Reverse muted state from count-in
     if (masterBus.metronome.running && !metronomeEnabled) {
         masterBus.metronome.stop();
+        midiClockOut.stop();
     }
     transport.clearBeatIndicator();
     transport.clearSpecialDisplay();
@@ -981,12 +2006,14 @@ transport.onPlay = () => {
         masterBus.clock.setEpoch(masterBus.audioContext.currentTime);
         masterBus.metronome.start();
     }
+    midiClockOut.start();
 };
 
 transport.onStop = () => {
     const active = instanceManager.getActive();
     if (active?.recorder.isRecording) {
-        active.recorder.stopRecording();
+        const label = active.recorder.isOverdubbing ? 'Overdub' : 'Record';
+        if (active.recorder.stopRecording()) commitLaneHistory(active, label);
         recorderPointerMap.clear();
     }
     if (active?.player.isPlaying) {
@@ -1001,6 +2028,7 @@ transport.onStop = () => {
         masterBus.metronome.stop();
         transport.clearBeatIndicator();
     }
+    if (!masterBus.metronome.running) midiClockOut.stop();
     fixedRecordDuration = null;
     transport.clearSpecialDisplay();
     transport.setState('idle');
@@ -1021,7 +2049,7 @@ transport.onOverdub = () => {
 
     if (active.recorder.isOverdubbing) {
         // Stop overdub — merge happens inside stopRecording()
-        active.recorder.stopRecording();
+        if (active.recorder.stopRecording()) commitLaneHistory(active, 'Overdub');
         active.ghostRenderer.recording = false;
         recorderPointerMap.clear();
         // Keep playing after overdub stops
@@ -1040,8 +2068,8 @@ transport.onOverdub = () => {
             active.player.play(lane, transport.looping);
         }
 
-        // Start overdub recording aligned to playback start time
-        active.recorder.startOverdub(active.player._startTime);
+        // Start overdub recording aligned to the playback position
+        active.recorder.startOverdub(active.player.getPosition());
         active.ghostRenderer.recording = true;
         transport.setState('overdubbing');
 
@@ -1173,6 +2201,7 @@ metronomeBtn.addEventListener('click', () => {
         if (transport.state !== 'recording' && transport.state !== 'count-in') {
             masterBus.metronome.stop();
             transport.clearBeatIndicator();
+            if (transport.state !== 'playing') midiClockOut.stop();
         }
     }
     if (persistence) persistence.scheduleSave();
@@ -1222,24 +2251,403 @@ transport.onLoopRangeChange = (startFrac, endFrac) => {
         transport.setLoopRange(loopStart / duration, loopEnd / duration);
     }
 
-    active.player.setLoopRange(loopStart, loopEnd);
+    const spu = active.recorder.getRecording().secondsPerUnit(masterBus.clock.bpm);
+    active.player.setLoopRange(loopStart / spu, loopEnd / spu);
+};
+
+transport.onLoopRangeCommit = () => {
+    const active = instanceManager.getActive();
+    if (!active || active.recorder.isRecording || active.recorder.getRecording().length === 0) return;
+    commitLaneHistory(active, 'Loop range');
+};
+
+transport.onClear = () => {
+    const active = instanceManager.getActive();
+    if (!active || transport.state !== 'idle') return;
+    if (active.recorder.getRecording().length === 0) return;
+    active.recorder.setRecording(new AutomationLane());
+    active.player.setLoopRange(0, 0);
+    active.ghostRenderer.clear();
+    transport.resetLoopRange();
+    transport.resetDisplay();
+    transport.setHasRecording(false);
+    commitLaneHistory(active, 'Clear');
+    showNotification('Recording cleared (Ctrl+Z to undo)');
+};
+
+// --- Automation event editor ---
+
+/** Instance whose recording the event editor shows. */
+let laneEditorInstanceId = null;
+
+const laneEditor = new LaneEditor(document.getElementById('lane-editor-dialog'), {
+    onChange(lane, label) {
+        const entry = instanceManager.instances.get(laneEditorInstanceId);
+        if (!entry || entry.recorder.isRecording) return;
+        const { start, end } = entry.player.getLoopPoints();
+        applyLane(entry, lane, { start, end });
+        commitLaneHistory(entry, label);
+    },
+});
+
+transport.onEdit = () => {
+    const active = instanceManager.getActive();
+    if (!active || active.recorder.isRecording) return;
+    laneEditorInstanceId = active.state.id;
+    laneEditor.open(active.recorder.getRecording(), {
+        title: active.state.name,
+        bpm: masterBus.clock.bpm,
+        beatsPerBar: masterBus.clock.numerator,
+    });
+};
+
+/**
+ * After an undo or redo, show the edited instance's lane as it is now, or
+ * close the editor if that instance is no longer the active one.
+ */
+function syncLaneEditor() {
+    if (!laneEditor.isOpen) return;
+    const active = instanceManager.getActive();
+    if (active?.state.id === laneEditorInstanceId) {
+        laneEditor.setLane(active.recorder.getRecording());
+    } else {
+        laneEditor.close();
+    }
+}
+
+// --- Recording history (undo/redo) ---
+
+/**
+ * Add an instance's current recording and loop points to its undo history,
+ * with a matching step in the session history.
+ * @param {Object} entry - Instance entry
+ * @param {string} label - The change, e.g. 'Record', 'Overdub', 'Clear'
+ * @private
+ */
+function commitLaneHistory(entry, label) {
+    entry.history.push(label, entry.recorder.getRecording(), entry.player.getLoopPoints());
+    const id = entry.state.id;
+    commands.push({
+        label: `${label} (${entry.state.name})`,
+        undo: () => stepLaneHistory(id, 'undo'),
+        redo: () => stepLaneHistory(id, 'redo'),
+    });
+    if (persistence) persistence.scheduleSave();
+}
+
+/**
+ * Step an instance's recording history back or forward and apply the
+ * state, making the instance active. A playing loop continues with the
+ * restored lane.
+ * @param {string} instanceId
+ * @param {'undo'|'redo'} direction
+ * @returns {boolean} True if a state was applied
+ * @private
+ */
+function stepLaneHistory(instanceId, direction) {
+    const entry = instanceManager.instances.get(instanceId);
+    if (!entry || entry.recorder.isRecording) return false;
+
+    const step = direction === 'undo' ? entry.history.undo() : entry.history.redo();
+    if (!step) return false;
+    activateInstance(instanceId);
+
+    applyLane(entry, step.state.lane, step.state.loopRange);
+    if (persistence) persistence.scheduleSave();
+    return true;
+}
+
+/**
+ * Give an instance a new recording and loop points. A playing loop
+ * continues with the new lane. A loop end past the last event is kept (loop
+ * station loops run to the bar line); a start that no longer comes before the
+ * end falls back to 0.
+ * @param {Object} entry - Instance entry
+ * @param {AutomationLane} lane
+ * @param {{ start: number, end: number }} loopRange - Lane time (end 0 = full duration)
+ * @private
+ */
+function applyLane(entry, lane, loopRange) {
+    const duration = lane.getDuration();
+    const end = loopRange.end;
+    const start = loopRange.start >= (end || duration) ? 0 : loopRange.start;
+    entry.recorder.setRecording(lane);
+    entry.player.setLoopRange(start, end);
+    if (entry.player.isPlaying) {
+        if (lane.length > 0) {
+            entry.player.setLane(lane);
+        } else {
+            entry.player.stop();
+            entry.ghostRenderer.clear();
+            if (entry === instanceManager.getActive()) {
+                transport.setState('idle');
+                transport.resetDisplay();
+            }
+        }
+    }
+    if (entry !== instanceManager.getActive()) return;
+
+    if (duration > 0) {
+        transport.setLoopRange(Math.min(start / duration, 1), Math.min((end || duration) / duration, 1));
+    } else {
+        transport.resetLoopRange();
+    }
+    transport.setHasRecording(lane.length > 0);
+}
+
+// --- Session history (undo/redo across the whole app) ---
+
+const historyPanel = new HistoryPanel({
+    undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    list: document.getElementById('history-list'),
+}, {
+    onUndo: () => stepCommands('undo'),
+    onRedo: () => stepCommands('redo'),
+    onJump: (count) => stepCommands('jump', count),
+});
+
+commands.onChange = () => {
+    historyPanel.render(commands.getEntries(), commands.canUndo, commands.canRedo);
+};
+commands.onChange();
+
+// A released slider ends its drag: the next edit is a new step
+document.addEventListener('change', () => commands.endGroup());
+
+/**
+ * Undo, redo or jump to a point in the session history. Refused while
+ * recording, so a take can't lose the lane under it.
+ * @param {'undo'|'redo'|'jump'} action
+ * @param {number} [count] - For 'jump': number of steps left applied
+ * @returns {Promise<void>}
+ */
+async function stepCommands(action, count) {
+    if (commands.applying) return;
+    if (instanceManager.getActive()?.recorder.isRecording
+        || transport.state === 'armed' || transport.state === 'count-in') {
+        showNotification('Stop recording before undoing', true);
+        return;
+    }
+
+    try {
+        if (action === 'jump') {
+            await commands.goTo(count);
+        } else {
+            const label = action === 'undo' ? await commands.undo() : await commands.redo();
+            if (label) showNotification(`${action === 'undo' ? 'Undo' : 'Redo'}: ${label}`);
+        }
+    } catch (err) {
+        console.error('Undo/redo failed:', err);
+        showNotification(`${action === 'redo' ? 'Redo' : 'Undo'} failed: ${err.message}`, true);
+    }
+    syncLaneEditor();
+}
+
+/** Labels for panel state keys in the history list. */
+const PANEL_KEY_LABELS = {
+    grainSizeMin: 'Grain size', grainSizeMax: 'Grain size',
+    densityMin: 'Density', densityMax: 'Density',
+    spreadMin: 'Spread', spreadMax: 'Spread',
+    panMin: 'Pan range', panMax: 'Pan range',
+    envelope: 'Envelope', adsr: 'Envelope',
+    mappings: 'Gesture mappings',
+    axes: 'Canvas axes',
+    compoundGestures: 'Compound gestures',
+    glide: 'Glide',
+    rootNote: 'Root note', scale: 'Scale',
+    quantizeGrainSize: 'Quantize', quantizeDensity: 'Quantize', quantizePitch: 'Quantize',
+    subdivGrainSize: 'Quantize', subdivDensity: 'Quantize',
+    randomGrainSize: 'Randomize', randomDensity: 'Randomize',
+    randomPitch: 'Randomize', randomPan: 'Randomize',
+    arpPattern: 'Arpeggiator', arpSteps: 'Arpeggiator', arpType: 'Arpeggiator',
+    arpStyle: 'Arpeggiator', arpCustomPattern: 'Arpeggiator',
+    pitchRange: 'Pitch range',
+    volume: 'Volume',
+    effects: 'Effects',
+    sends: 'Sends',
 };
 
+/** Labels for master settings in the history list. */
+const MASTER_KEY_LABELS = {
+    bpm: 'Tempo',
+    masterVolume: 'Master volume',
+    auxBuses: 'Aux buses',
+    mastering: 'Mastering',
+    historyDepth: 'Undo steps',
+};
+
+/**
+ * Keys whose values differ between two state objects.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {string[]}
+ */
+function changedKeys(before, after) {
+    return Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Copy the given keys of a state object.
+ * @param {Object} state
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+function pickKeys(state, keys) {
+    return structuredClone(Object.fromEntries(keys.map(key => [key, state[key]])));
+}
+
+/** Take the active panel state as the baseline for the next edit. */
+function syncPanelSnapshot() {
+    panelSnapshot = instanceManager.getActive() ? params.getFullState() : null;
+}
+
+/**
+ * Record a panel edit on the active instance. Successive edits of the same
+ * controls (one slider drag) merge into one step.
+ */
+function trackPanelChange() {
+    const active = instanceManager.getActive();
+    if (!active) return;
+    const before = panelSnapshot;
+    const after = params.getFullState();
+    panelSnapshot = after;
+    if (!before) return;
+
+    const keys = changedKeys(before, after);
+    if (keys.length === 0) return;
+
+    const id = active.state.id;
+    const undoState = pickKeys(before, keys);
+    const redoState = pickKeys(after, keys);
+    const names = [...new Set(keys.map(key => PANEL_KEY_LABELS[key] ?? key))];
+    commands.push({
+        label: `${names.join(', ')} (${active.state.name})`,
+        group: `panel:${id}:${keys.join(',')}`,
+        undo: () => applyPanelState(id, undoState),
+        redo: () => applyPanelState(id, redoState),
+    });
+}
+
+/**
+ * Put panel values back on an instance, making it active.
+ * @param {string} id
+ * @param {Object} partial - Subset of ParameterPanel.getFullState()
+ */
+function applyPanelState(id, partial) {
+    activateInstance(id);
+    const active = instanceManager.getActive();
+    if (!active || active.state.id !== id) return;
+
+    const state = { ...params.getFullState(), ...structuredClone(partial) };
+    params.setFullState(state);
+    Object.assign(active.state, state);
+    active.engine.setInstanceVolume(state.volume);
+    active.engine.setEffects(state.effects);
+    active.engine.setSends(state.sends);
+    params.refreshQuantizedDisplays();
+
+    const m = params.getMusicalParams();
+    forEachHeldVoice(params.getParams(), m, (pointerId, resolved) => {
+        active.engine.updateVoice(pointerId, applyCompoundShift(pointerId, resolved));
+    });
+    syncPanelSnapshot();
+    if (persistence) persistence.scheduleSave();
+}
+
+/**
+ * Read the master settings that the session history covers.
+ * @returns {{ bpm: number, masterVolume: number, auxBuses: Object, mastering: Object, historyDepth: number }}
+ */
+function getMasterSettings() {
+    return {
+        bpm: getMasterBpm(),
+        masterVolume: parseFloat(masterVolumeSlider.value),
+        auxBuses: masterPanel.getAuxState(),
+        mastering: masterPanel.getMasteringState(),
+        historyDepth: masterPanel.getHistoryDepth(),
+    };
+}
+
+/** Take the current master settings as the baseline for the next edit. */
+function syncMasterSnapshot() {
+    masterSnapshot = getMasterSettings();
+}
+
+/**
+ * Record an edit of one master setting. Only that setting is compared, so
+ * tempo followed from an external MIDI clock isn't picked up by the next
+ * edit of something else.
+ * @param {'bpm'|'masterVolume'|'auxBuses'|'mastering'|'historyDepth'} key
+ */
+function trackMasterChange(key) {
+    if (!masterSnapshot) return;
+    const current = getMasterSettings();
+    const before = pickKeys(masterSnapshot, [key]);
+    const after = pickKeys(current, [key]);
+    masterSnapshot[key] = after[key];
+    if (changedKeys(before, after).length === 0) return;
+
+    commands.push({
+        label: MASTER_KEY_LABELS[key],
+        group: `master:${key}`,
+        undo: () => applyMasterSettings(before),
+        redo: () => applyMasterSettings(after),
+    });
+}
+
+/**
+ * Apply master settings to the controls and the audio graph.
+ * @param {Object} settings - Subset of getMasterSettings()
+ */
+function applyMasterSettings(settings) {
+    if (settings.bpm !== undefined) {
+        bpmSlider.value = settings.bpm;
+        bpmDisplay.textContent = settings.bpm;
+        masterBus.setTempo(settings.bpm);
+        instanceManager.setTempo(masterBus.clock.bpm);
+        params.refreshQuantizedDisplays();
+    }
+    if (settings.masterVolume !== undefined) {
+        masterVolumeSlider.value = settings.masterVolume;
+        masterVolumeDisplay.textContent = settings.masterVolume.toFixed(2);
+        masterBus.setMasterVolume(settings.masterVolume);
+    }
+    if (settings.auxBuses) {
+        masterPanel.setAuxState(settings.auxBuses);
+        masterBus.setAuxSettings(settings.auxBuses);
+    }
+    if (settings.mastering) {
+        masterPanel.setMasteringState(settings.mastering);
+        masterBus.setMastering(settings.mastering);
+    }
+    if (settings.historyDepth !== undefined) {
+        masterPanel.setHistoryDepth(settings.historyDepth);
+        instanceManager.setHistoryDepth(settings.historyDepth);
+    }
+    Object.assign(masterSnapshot, structuredClone(settings));
+    if (persistence) persistence.scheduleSave();
+}
+
 // --- Keyboard shortcut: 'R' to arm/disarm/stop recording ---
 
 document.addEventListener('keydown', (e) => {
+    // Keys consumed by keyboard play (e.g. R) are notes, not shortcuts
+    if (e.defaultPrevented) return;
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
     if (e.key === 'r' || e.key === 'R') {
         e.preventDefault();
         if (transport.onRecord) transport.onRecord();
     }
-    // Ctrl+Z: undo last overdub
-    if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-        const active = instanceManager.getActive();
-        if (active && active.recorder.canUndo && transport.state === 'idle') {
+    // Ctrl+Z: undo the last change; Ctrl+Shift+Z or Ctrl+Y: redo
+    if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+        const direction = key === 'y' || (key === 'z' && e.shiftKey) ? 'redo'
+            : key === 'z' ? 'undo'
+            : null;
+        if (direction) {
             e.preventDefault();
-            active.recorder.undoOverdub();
-            transport.setHasRecording(active.recorder.getRecording().length > 0);
+            stepCommands(direction);
         }
     }
 });
@@ -1255,14 +2663,14 @@ instanceManager.onPlayerComplete = () => {
     const active = instanceManager.getActive();
     // If overdubbing when playback ends, stop the overdub (merge)
     if (active?.recorder.isOverdubbing) {
-        active.recorder.stopRecording();
+        if (active.recorder.stopRecording()) commitLaneHistory(active, 'Overdub');
         active.ghostRenderer.recording = false;
         recorderPointerMap.clear();
     }
     transport.setState('idle');
     transport.setHasRecording(true);
     transport.setProgress(0);
-    if (active) transport.setTime(active.recorder.getRecording().getDuration());
+    if (active) transport.setTime(active.recorder.getElapsedTime());
 };
 
 /**
@@ -1274,17 +2682,24 @@ instanceManager.onPlayerLoopWrap = (instanceId) => {
     const inst = instanceManager.instances.get(instanceId);
     if (!inst || !inst.recorder.isOverdubbing) return;
 
-    // 1. Commit current overdub (merge into main lane)
-    inst.recorder.stopRecording();
+    // 1. Commit current overdub (merge into main lane), one undo step per pass
+    const changed = inst.recorder.stopRecording();
+    if (changed) commitLaneHistory(inst, 'Overdub');
 
     // 2. Hot-swap the player's lane so the merged content plays immediately
     inst.player.setLane(inst.recorder.getRecording());
 
     // 3. Start a fresh overdub pass for continuous layering
-    inst.recorder.startOverdub(inst.player._startTime);
+    inst.recorder.startOverdub(inst.player.getPosition());
 
     // 4. Persist the merged state
-    if (persistence) persistence.scheduleSave();
+    if (changed && persistence) persistence.scheduleSave();
+};
+
+/** A take stopped by switching away from its tab still gets its undo step. */
+instanceManager.onRecordingStopped = (instanceId, label) => {
+    const inst = instanceManager.instances.get(instanceId);
+    if (inst) commitLaneHistory(inst, label);
 };
 
 // --- Render loop ---
@@ -1299,8 +2714,24 @@ function render() {
         active.grainOverlay.draw(waveform.ctx, canvas.width, canvas.height, masterBus.audioContext.currentTime);
     }
 
+    // The Gamepad API has no events: read the sticks once per frame
+    const now = performance.now();
+    gamepadInput.poll(now);
+
     pointer.drawIndicator(waveform.ctx, canvas.width, canvas.height);
-    levelMeter.update();
+    keyboardInput.drawIndicator(waveform.ctx, canvas.width, canvas.height);
+    gamepadInput.drawIndicator(waveform.ctx, canvas.width, canvas.height);
+    levelMeter.update(now);
+    gainReductionMeter.update();
+    tabBar.updateMeters(now);
+
+    // Tempo is read-only while an external MIDI clock drives it
+    const clockLocked = midiClockIn.isLocked();
+    tempoControl.classList.toggle('external-clock', clockLocked);
+    bpmSlider.disabled = clockLocked;
+
+    publishOscState();
+    updateCaptureDisplay();
     updateGestureMeters();
     params.updateRandomIndicators(params.getMusicalParams());
     params.updateParamRelevance();
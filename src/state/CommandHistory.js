@@ -0,0 +1,181 @@
+// CommandHistory.js — Session-wide undo/redo stack of reversible operations.
+// A command is a pair of closures that put the app back into the state before
+// or after an operation (panel edits, tab add/remove, sample swaps, session
+// imports, master settings, recording changes). Commands that share a group
+// key and arrive in quick succession — the input events of one slider drag —
+// merge into a single step.
+
+/** Steps kept before the oldest are dropped. */
+export const DEFAULT_COMMAND_DEPTH = 100;
+
+/** Max gap (ms) between two commands of the same group that still merge. */
+const GROUP_WINDOW = 1000;
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Shown in the history list, e.g. 'Grain Size (Sampler 1)'
+ * @property {() => (void|boolean|Promise<void|boolean>)} undo - Returns false if the state can no longer be restored
+ * @property {() => (void|boolean|Promise<void|boolean>)} redo - Returns false if the state can no longer be restored
+ * @property {string} [group] - Consecutive commands with the same group merge
+ */
+
+export class CommandHistory {
+    /**
+     * @param {number} [depth=DEFAULT_COMMAND_DEPTH] - Steps kept
+     */
+    constructor(depth = DEFAULT_COMMAND_DEPTH) {
+        this.depth = depth;
+
+        /** @type {Array<Command & { time: number }>} Oldest first */
+        this._commands = [];
+
+        /** @type {number} Number of commands currently applied */
+        this._index = 0;
+
+        /** @type {boolean} True while the group of the newest command is open */
+        this._groupOpen = false;
+
+        /** @type {boolean} True while a command is being undone or redone */
+        this.applying = false;
+
+        /**
+         * Called whenever the list or the current position changes.
+         * @type {(() => void)|null}
+         */
+        this.onChange = null;
+    }
+
+    /** @returns {boolean} */
+    get canUndo() {
+        return this._index > 0 && !this.applying;
+    }
+
+    /** @returns {boolean} */
+    get canRedo() {
+        return this._index < this._commands.length && !this.applying;
+    }
+
+    /**
+     * Record an operation that has just been performed. Ignored while a
+     * command is being applied, so undo/redo side effects don't record
+     * themselves. Drops any redo steps.
+     * @param {Command} command
+     */
+    push(command) {
+        if (this.applying) return;
+        const now = performance.now();
+        const last = this._commands[this._index - 1];
+
+        if (command.group && this._groupOpen && last?.group === command.group
+            && this._index === this._commands.length && now - last.time < GROUP_WINDOW) {
+            // Same drag: keep the first undo, take the latest redo
+            last.redo = command.redo;
+            last.label = command.label;
+            last.time = now;
+            if (this.onChange) this.onChange();
+            return;
+        }
+
+        this._commands.length = this._index;
+        this._commands.push({ ...command, time: now });
+        this._groupOpen = !!command.group;
+        if (this._commands.length > this.depth) {
+            this._commands.splice(0, this._commands.length - this.depth);
+        }
+        this._index = this._commands.length;
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Close the open group: the next command starts a new step even if it
+     * has the same group key (e.g. a slider was released).
+     */
+    endGroup() {
+        this._groupOpen = false;
+    }
+
+    /**
+     * Undo the newest applied command. A command that can no longer be
+     * undone is dropped from the list instead.
+     * @returns {Promise<string|null>} Its label, or null if nothing was undone
+     */
+    async undo() {
+        if (!this.canUndo) return null;
+        const command = this._commands[this._index - 1];
+        return await this._apply(command.undo, -1) ? command.label : null;
+    }
+
+    /**
+     * Redo the oldest undone command. A command that can no longer be
+     * redone is dropped from the list instead.
+     * @returns {Promise<string|null>} Its label, or null if nothing was redone
+     */
+    async redo() {
+        if (!this.canRedo) return null;
+        const command = this._commands[this._index];
+        return await this._apply(command.redo, 1) ? command.label : null;
+    }
+
+    /**
+     * Undo or redo until exactly `count` commands are applied.
+     * @param {number} count - 0 = everything undone
+     */
+    async goTo(count) {
+        const target = Math.max(0, Math.min(this._commands.length, count));
+        while (this._index > target && this.canUndo) await this.undo();
+        while (this._index < target && this.canRedo) await this.redo();
+    }
+
+    /**
+     * List the commands for display.
+     * @returns {Array<{ label: string, time: number, applied: boolean }>} Oldest first
+     */
+    getEntries() {
+        return this._commands.map((command, i) => ({
+            label: command.label,
+            time: command.time,
+            applied: i < this._index,
+        }));
+    }
+
+    /** @returns {number} Number of commands currently applied. */
+    get position() {
+        return this._index;
+    }
+
+    /** Forget every command. */
+    clear() {
+        this._commands = [];
+        this._index = 0;
+        this._groupOpen = false;
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Run an undo or redo closure with recording suppressed. The position
+     * only moves once the closure has succeeded, so a step that throws can
+     * be retried. A closure that returns false has lost the state it points
+     * at (e.g. an instance's own recording history has dropped it): its
+     * command is removed so the two histories stay in line.
+     * @param {() => (void|boolean|Promise<void|boolean>)} fn
+     * @param {number} step - -1 for undo, 1 for redo
+     * @returns {Promise<boolean>} False if the command was dropped
+     * @private
+     */
+    async _apply(fn, step) {
+        this.applying = true;
+        this._groupOpen = false;
+        try {
+            if (await fn() === false) {
+                if (step < 0) this._index--;
+                this._commands.splice(this._index, 1);
+                return false;
+            }
+            this._index += step;
+            return true;
+        } finally {
+            this.applying = false;
+            if (this.onChange) this.onChange();
+        }
+    }
+}
@@ -9,6 +9,7 @@ import { InstanceState } from './InstanceState.js';
 import { Recorder } from '../automation/Recorder.js';
 import { Player } from '../automation/Player.js';
 import { AutomationLane } from '../automation/AutomationLane.js';
+import { LaneHistory, DEFAULT_HISTORY_DEPTH } from '../automation/LaneHistory.js';
 
 export class InstanceManager {
     /**
@@ -21,9 +22,12 @@ export class InstanceManager {
         this.panel = panel;
         this.waveform = waveform;
 
-        /** @type {Map<string, { state: InstanceState, engine: GranularEngine, grainOverlay: GrainOverlay, ghostRenderer: GhostRenderer, buffer: AudioBuffer|null, recorder: Recorder, player: Player }>} */
+        /** @type {Map<string, { state: InstanceState, engine: GranularEngine, grainOverlay: GrainOverlay, ghostRenderer: GhostRenderer, buffer: AudioBuffer|null, recorder: Recorder, player: Player, history: LaneHistory }>} */
         this.instances = new Map();
 
+        /** Undo steps kept in each instance's recording history. */
+        this.historyDepth = DEFAULT_HISTORY_DEPTH;
+
         /** @type {string|null} */
         this.activeId = null;
 
@@ -39,6 +43,13 @@ export class InstanceManager {
         /** Called when any instance's player wraps at a loop boundary. */
         this.onPlayerLoopWrap = null;
 
+        /**
+         * Called when switching tabs stops a take on the old tab, so the take
+         * can be added to the undo history.
+         * @type {((instanceId: string, label: string) => void)|null}
+         */
+        this.onRecordingStopped = null;
+
         /** Instance counter for default naming. */
         this._counter = 0;
     }
@@ -51,25 +62,56 @@ export class InstanceManager {
     createInstance(name) {
         this._counter++;
         const state = new InstanceState(name || `Sampler ${this._counter}`);
-        const engine = new GranularEngine(this.masterBus.audioContext, this.masterBus.masterGain);
+        const entry = this._createEntry(state);
+        this.instances.set(state.id, entry);
+        const { engine, grainOverlay } = entry;
+
+        // Apply initial per-instance volume from state defaults
+        engine.setInstanceVolume(state.volume);
+
+        // A new instance is silent if another one is soloed
+        this._updateAudibility();
+
+        // If this is the first instance, make it active
+        if (this.instances.size === 1) {
+            this.activeId = state.id;
+            engine.onGrain = (info) => grainOverlay.addGrain(info);
+        }
+
+        if (this.onTabsChanged) this.onTabsChanged();
+        return state.id;
+    }
+
+    /**
+     * Build an instance's engine, overlays, recorder and player, wired together.
+     * The entry is not added to the instance list.
+     * @param {InstanceState} state
+     * @param {{ lane: Object, loopRange?: { start: number, end: number } }} [recording] - Saved recording
+     * @returns {Object} Instance entry
+     * @private
+     */
+    _createEntry(state, recording = null) {
+        const engine = this._createEngine();
         const grainOverlay = new GrainOverlay();
         const ghostRenderer = new GhostRenderer();
-        const recorder = new Recorder(this.masterBus.audioContext);
-        const player = new Player(this.masterBus.audioContext);
+        const recorder = new Recorder(this.masterBus.audioContext, this.masterBus.clock);
+        const player = new Player(this.masterBus.audioContext, this.masterBus.clock, this.masterBus.tickSource);
 
         // Wire player to dispatch directly to this instance's engine + ghost renderer
-        player.onDispatch = (type, syntheticId, eventParams) => {
+        player.onDispatch = (type, syntheticId, eventParams, when) => {
             switch (type) {
-                case 'start': engine.startVoice(syntheticId, eventParams); break;
-                case 'move':  engine.updateVoice(syntheticId, eventParams); break;
-                case 'stop':  engine.stopVoice(syntheticId); break;
+                case 'start': engine.startVoice(syntheticId, eventParams, when); break;
+                case 'move':  engine.updateVoice(syntheticId, eventParams, when); break;
+                case 'stop':  engine.stopVoice(syntheticId, when); break;
             }
+        };
+        player.onDisplay = (type, syntheticId, eventParams) => {
             ghostRenderer.dispatch(type, syntheticId, eventParams);
         };
 
         // Wire release callback for crossfade at loop boundaries
-        player.onRelease = (syntheticId) => {
-            engine.releaseVoice(syntheticId);
+        player.onRelease = (syntheticId, when) => {
+            engine.releaseVoice(syntheticId, when);
         };
 
         // Wire frame/complete callbacks with active-tab guard
@@ -92,19 +134,32 @@ export class InstanceManager {
             }
         };
 
-        this.instances.set(state.id, { state, engine, grainOverlay, ghostRenderer, buffer: null, recorder, player });
+        // Restore recording data if present in saved state
+        if (recording && recording.lane) {
+            recorder.setRecording(AutomationLane.fromJSON(recording.lane));
+            if (recording.loopRange) {
+                player.setLoopRange(recording.loopRange.start, recording.loopRange.end);
+            }
+        }
 
-        // Apply initial per-instance volume from state defaults
-        engine.setInstanceVolume(state.volume);
+        const history = new LaneHistory(this.historyDepth);
+        history.reset(recorder.getRecording(), player.getLoopPoints());
 
-        // If this is the first instance, make it active
-        if (this.instances.size === 1) {
-            this.activeId = state.id;
-            engine.onGrain = (info) => grainOverlay.addGrain(info);
-        }
+        return { state, engine, grainOverlay, ghostRenderer, buffer: null, recorder, player, history };
+    }
 
-        if (this.onTabsChanged) this.onTabsChanged();
-        return state.id;
+    /**
+     * Build an engine on the master bus using the configured grain renderer.
+     * @returns {GranularEngine}
+     * @private
+     */
+    _createEngine() {
+        const engine = new GranularEngine(this.masterBus.audioContext, this.masterBus.masterGain);
+        engine.setScheduling(this.masterBus.clock, this.masterBus.tickSource);
+        engine.setTempo(this.masterBus.clock.bpm);
+        engine.connectSends(this.masterBus.auxBuses);
+        if (this.masterBus.grainEngine === 'worklet') engine.enableWorklet();
+        return engine;
     }
 
     /**
@@ -127,7 +182,10 @@ export class InstanceManager {
                 current.engine.onGrain = null;
                 // Stop any active recording on the old tab (playback continues in background)
                 if (current.recorder.isRecording) {
-                    current.recorder.stopRecording();
+                    const label = current.recorder.isOverdubbing ? 'Overdub' : 'Record';
+                    if (current.recorder.stopRecording() && this.onRecordingStopped) {
+                        this.onRecordingStopped(current.state.id, label);
+                    }
                 }
             }
         }
@@ -178,10 +236,80 @@ export class InstanceManager {
         entry.engine.dispose();
         this.instances.delete(instanceId);
 
+        // Removing the last soloed instance un-silences the others
+        this._updateAudibility();
+
         if (this.onTabsChanged) this.onTabsChanged();
         return true;
     }
 
+    /**
+     * Capture everything needed to bring a removed instance back: its state
+     * (including unsaved panel edits if active), recording, sample, recording
+     * history and tab position.
+     * @param {string} instanceId
+     * @returns {Object|null} Snapshot for insertInstance(), or null if unknown
+     */
+    snapshotInstance(instanceId) {
+        const entry = this.instances.get(instanceId);
+        if (!entry) return null;
+
+        const state = InstanceState.fromJSON(entry.state.toJSON());
+        if (instanceId === this.activeId) Object.assign(state, this.panel.getFullState());
+
+        return {
+            state,
+            recording: {
+                lane: entry.recorder.getRecording().toJSON(),
+                loopRange: entry.player.getLoopPoints(),
+            },
+            buffer: entry.buffer,
+            history: entry.history,
+            index: [...this.instances.keys()].indexOf(instanceId),
+        };
+    }
+
+    /**
+     * Re-create an instance from snapshotInstance() with the same ID, at its
+     * old tab position. Does not make it active.
+     * @param {Object} snapshot
+     * @returns {string} The instance's ID
+     */
+    insertInstance(snapshot) {
+        // Copy the state so the snapshot can be inserted again after another removal
+        const state = InstanceState.fromJSON(snapshot.state.toJSON());
+        const entry = this._createEntry(state, snapshot.recording);
+        entry.history = snapshot.history;
+        if (snapshot.buffer) {
+            entry.buffer = snapshot.buffer;
+            entry.engine.setBuffer(snapshot.buffer);
+        }
+
+        entry.engine.setInstanceVolume(state.volume);
+        entry.engine.setEffects(state.effects);
+        entry.engine.setSends(state.sends);
+        entry.engine.setInstancePan(state.stereoPan);
+
+        // Rebuild the map in place so the entry lands at its old tab position
+        const entries = [...this.instances];
+        entries.splice(Math.min(snapshot.index, entries.length), 0, [state.id, entry]);
+        this.instances.clear();
+        for (const [id, e] of entries) this.instances.set(id, e);
+
+        this._updateAudibility();
+        if (this.onTabsChanged) this.onTabsChanged();
+        return state.id;
+    }
+
+    /**
+     * Change how many undo steps every instance's recording history keeps.
+     * @param {number} depth
+     */
+    setHistoryDepth(depth) {
+        this.historyDepth = depth;
+        for (const [, entry] of this.instances) entry.history.depth = depth;
+    }
+
     /**
      * Get the active instance's data.
      * @returns {{ state: InstanceState, engine: GranularEngine, grainOverlay: GrainOverlay, buffer: AudioBuffer|null }|null}
@@ -208,9 +336,30 @@ export class InstanceManager {
         active.state.sampleFileName = fileName;
     }
 
+    /**
+     * Put a sample (or none) into any instance and its engine, e.g. to undo
+     * a sample swap.
+     * @param {string} instanceId
+     * @param {AudioBuffer|null} buffer
+     * @param {string} displayName
+     * @param {string|null} url - Preset URL (null if file-loaded)
+     * @param {string|null} fileName - File name (null if URL-loaded)
+     */
+    setSample(instanceId, buffer, displayName, url, fileName) {
+        const entry = this.instances.get(instanceId);
+        if (!entry) return;
+
+        entry.buffer = buffer;
+        entry.engine.setBuffer(buffer);
+        entry.state.sampleDisplayName = displayName;
+        entry.state.sampleUrl = url;
+        entry.state.sampleFileName = fileName;
+        if (instanceId === this.activeId) this.waveform.setBuffer(buffer);
+    }
+
     /**
      * Get the tab list for the TabBar to render.
-     * @returns {Array<{ id: string, name: string, isActive: boolean }>}
+     * @returns {Array<{ id: string, name: string, isActive: boolean, muted: boolean, soloed: boolean, audible: boolean, stereoPan: number }>}
      */
     getTabList() {
         const tabs = [];
@@ -219,11 +368,82 @@ export class InstanceManager {
                 id,
                 name: entry.state.name,
                 isActive: id === this.activeId,
+                muted: entry.state.muted,
+                soloed: entry.state.soloed,
+                audible: this.isAudible(id),
+                stereoPan: entry.state.stereoPan,
             });
         }
         return tabs;
     }
 
+    /**
+     * Mute or unmute an instance.
+     * @param {string} instanceId
+     * @param {boolean} muted
+     */
+    setMuted(instanceId, muted) {
+        const entry = this.instances.get(instanceId);
+        if (!entry) return;
+        entry.state.muted = muted;
+        this._updateAudibility();
+    }
+
+    /**
+     * Solo or unsolo an instance. While any instance is soloed, only soloed
+     * (and unmuted) instances are heard.
+     * @param {string} instanceId
+     * @param {boolean} soloed
+     */
+    setSoloed(instanceId, soloed) {
+        const entry = this.instances.get(instanceId);
+        if (!entry) return;
+        entry.state.soloed = soloed;
+        this._updateAudibility();
+    }
+
+    /**
+     * Set an instance's stereo pan (-1 to 1).
+     * @param {string} instanceId
+     * @param {number} pan
+     */
+    setStereoPan(instanceId, pan) {
+        const entry = this.instances.get(instanceId);
+        if (!entry) return;
+        entry.state.stereoPan = pan;
+        entry.engine.setInstancePan(pan);
+    }
+
+    /**
+     * Whether an instance is currently heard, given mute and solo state
+     * across all instances.
+     * @param {string} instanceId
+     * @returns {boolean}
+     */
+    isAudible(instanceId) {
+        const entry = this.instances.get(instanceId);
+        if (!entry || entry.state.muted) return false;
+        return !this._anySoloed() || entry.state.soloed;
+    }
+
+    /** @private */
+    _anySoloed() {
+        for (const [, entry] of this.instances) {
+            if (entry.state.soloed) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Re-apply mute/solo to every engine.
+     * @private
+     */
+    _updateAudibility() {
+        for (const [id, entry] of this.instances) {
+            entry.engine.setAudible(this.isAudible(id));
+        }
+    }
+
     /**
      * Rename an instance.
      * @param {string} instanceId
@@ -237,6 +457,16 @@ export class InstanceManager {
         }
     }
 
+    /**
+     * Propagate a master tempo change to every instance's engine.
+     * @param {number} bpm
+     */
+    setTempo(bpm) {
+        for (const [, entry] of this.instances) {
+            entry.engine.setTempo(bpm);
+        }
+    }
+
     /**
      * Replace the entire workspace from a serialized session.
      * Destroys all current instances, creates new ones from the session data.
@@ -260,67 +490,20 @@ export class InstanceManager {
         // 2. Recreate instances from saved state
         for (const savedState of sessionData.instances) {
             const state = InstanceState.fromJSON(savedState);
-            const engine = new GranularEngine(
-                this.masterBus.audioContext,
-                this.masterBus.masterGain
-            );
-            const grainOverlay = new GrainOverlay();
-            const ghostRenderer = new GhostRenderer();
-            const recorder = new Recorder(this.masterBus.audioContext);
-            const player = new Player(this.masterBus.audioContext);
-
-            // Wire player dispatch to this instance's engine + ghost renderer
-            player.onDispatch = (type, syntheticId, eventParams) => {
-                switch (type) {
-                    case 'start': engine.startVoice(syntheticId, eventParams); break;
-                    case 'move':  engine.updateVoice(syntheticId, eventParams); break;
-                    case 'stop':  engine.stopVoice(syntheticId); break;
-                }
-                ghostRenderer.dispatch(type, syntheticId, eventParams);
-            };
-
-            // Wire release callback for crossfade at loop boundaries
-            player.onRelease = (syntheticId) => {
-                engine.releaseVoice(syntheticId);
-            };
-
-            const instanceId = state.id;
-            player.onFrame = (elapsed, progress) => {
-                ghostRenderer.progress = progress;
-                if (this.activeId === instanceId && this.onPlayerFrame) {
-                    this.onPlayerFrame(elapsed, progress);
-                }
-            };
-            player.onComplete = () => {
-                ghostRenderer.clear();
-                if (this.activeId === instanceId && this.onPlayerComplete) {
-                    this.onPlayerComplete();
-                }
-            };
-            player.onLoopWrap = () => {
-                if (this.onPlayerLoopWrap) {
-                    this.onPlayerLoopWrap(instanceId);
-                }
-            };
-
-            this.instances.set(state.id, { state, engine, grainOverlay, ghostRenderer, buffer: null, recorder, player });
-
-            // Restore recording data if present in saved state
-            if (savedState.recording && savedState.recording.lane) {
-                const lane = AutomationLane.fromJSON(savedState.recording.lane);
-                recorder.setRecording(lane);
-                if (savedState.recording.loopRange) {
-                    player.setLoopRange(
-                        savedState.recording.loopRange.start,
-                        savedState.recording.loopRange.end
-                    );
-                }
-            }
+            const entry = this._createEntry(state, savedState.recording);
+            this.instances.set(state.id, entry);
+            const { engine } = entry;
 
-            // Apply restored per-instance volume
+            // Apply restored per-instance volume, effects and sends
             engine.setInstanceVolume(state.volume);
+            engine.setEffects(state.effects);
+            engine.setSends(state.sends);
+            engine.setInstancePan(state.stereoPan);
         }
 
+        // Solo is exclusive across instances, so apply it once all exist
+        this._updateAudibility();
+
         // 3. Determine which tab to activate
         const targetId = sessionData.activeInstanceId &&
                          this.instances.has(sessionData.activeInstanceId)
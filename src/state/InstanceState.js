@@ -1,6 +1,11 @@
 // InstanceState.js — Serializable snapshot of a single sampler instance.
 // Defaults match the HTML attribute values in index.html.
 
+import { createDefaultEffects } from '../audio/effects/EffectsRack.js';
+import { createDefaultSends } from '../audio/AuxBus.js';
+import { createDefaultAxes } from '../utils/axisMapping.js';
+import { migrateMappings } from '../utils/gestureMapping.js';
+
 export class InstanceState {
     constructor(name = 'Untitled') {
         this.name = name;
@@ -23,11 +28,14 @@ export class InstanceState {
         this.panMax = 0;
         this.volume = 0.7;
         this.envelope = 'custom';
-        this.mappings = {
-            pressure: 'none',
-            contactSize: 'none',
-            velocity: 'none',
-        };
+        // Gesture → parameter mappings (see gestureMapping.js)
+        this.mappings = [];
+        // What the canvas X and Y axes control
+        this.axes = createDefaultAxes();
+        // A second finger pairs with the first for pinch, rotation and drag
+        this.compoundGestures = false;
+        // Seconds position, pitch and amplitude take to follow a jump
+        this.glide = { position: 0, pitch: 0, amplitude: 0 };
 
         // --- Musical parameters (mirrors ParameterPanel.getMusicalParams()) ---
         // Note: BPM is global (master tempo), not per-instance.
@@ -55,13 +63,33 @@ export class InstanceState {
 
         // --- ADSR envelope state ---
         this.adsr = { a: 0.2, d: 0.15, s: 0.7, r: 0.2 };
+
+        // --- Insert effects (filter → delay → reverb) ---
+        this.effects = createDefaultEffects();
+
+        // --- Send levels into the shared aux buses (0–1) ---
+        this.sends = createDefaultSends();
+
+        // --- Mixer strip (shown on the tab) ---
+        // stereoPan is the instance-level pan node, unrelated to per-grain panMin/panMax
+        this.muted = false;
+        this.soloed = false;
+        this.stereoPan = 0;
     }
 
     toJSON() {
         return {
             ...this,
             adsr: { ...this.adsr },
-            mappings: { ...this.mappings },
+            mappings: this.mappings.map(m => ({ ...m })),
+            axes: { x: { ...this.axes.x }, y: { ...this.axes.y } },
+            glide: { ...this.glide },
+            effects: {
+                filter: { ...this.effects.filter },
+                delay: { ...this.effects.delay },
+                reverb: { ...this.effects.reverb },
+            },
+            sends: { ...this.sends },
             arpCustomPattern: this.arpCustomPattern ? {
                 values: [...this.arpCustomPattern.values],
                 muted: [...this.arpCustomPattern.muted],
@@ -77,6 +105,19 @@ export class InstanceState {
             data.panMax = data.pan;
             delete data.pan;
         }
-        return Object.assign(state, data);
+        // Sessions saved before effects existed, or with a slot missing, get defaults
+        const effects = createDefaultEffects();
+        for (const slot of Object.keys(effects)) {
+            Object.assign(effects[slot], data.effects?.[slot]);
+        }
+        const sends = Object.assign(createDefaultSends(), data.sends);
+        // Sessions from before axis mapping keep X = position, Y = pitch
+        const axes = createDefaultAxes();
+        for (const key of Object.keys(axes)) {
+            Object.assign(axes[key], data.axes?.[key]);
+        }
+        // Sessions from before mapping lists stored one target per source
+        const mappings = migrateMappings(data.mappings);
+        return Object.assign(state, data, { effects, sends, axes, mappings });
     }
 }
@@ -82,14 +82,16 @@ export class SessionPersistence {
 export function exportSessionFile(session) {
     const json = JSON.stringify(session, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `granul8-session-${_formatDateForFilename()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, `granul8-session-${_formatDateForFilename()}.json`);
+}
+
+/**
+ * Export rendered audio as a downloadable .wav file.
+ * @param {Blob} blob - WAV data (see wavEncoder.js)
+ * @param {string} [prefix='granul8-render']
+ */
+export function exportAudioFile(blob, prefix = 'granul8-render') {
+    downloadBlob(blob, `${prefix}-${_formatDateForFilename()}.wav`);
 }
 
 /**
@@ -112,6 +114,18 @@ export function readSessionFile(file) {
     });
 }
 
+/** @private */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 /** @private */
 function _formatDateForFilename() {
     const d = new Date();
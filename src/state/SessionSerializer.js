@@ -1,5 +1,13 @@
 // SessionSerializer.js — Pure functions for serializing / validating session state.
 
+import { createDefaultAuxBuses } from '../audio/AuxBus.js';
+import { createDefaultMastering } from '../audio/Mastering.js';
+import { createDefaultMidiSettings } from '../input/MidiInput.js';
+import { createDefaultOscSettings } from '../input/OscRemote.js';
+import { createDefaultKeyboardSettings } from '../input/KeyboardInput.js';
+import { createDefaultGamepadSettings } from '../input/GamepadInput.js';
+import { DEFAULT_HISTORY_DEPTH } from '../automation/LaneHistory.js';
+
 /**
  * Gather the full session state from the InstanceManager.
  * Captures the active instance's current panel state first,
@@ -10,9 +18,10 @@
  * @param {number} masterBpm - Global master BPM value
  * @param {number} [masterVolume=0.7] - Global master volume value
  * @param {Object} [loopStationState] - Loop station state (time sig, metronome)
+ * @param {Object} [masterState] - Master section state (aux buses, mastering, MIDI, MIDI learn mappings, OSC, keyboard play, gamepad, undo depth)
  * @returns {Object} Session JSON object
  */
-export function serializeSession(instanceManager, panel, masterBpm, masterVolume = 0.7, loopStationState = {}) {
+export function serializeSession(instanceManager, panel, masterBpm, masterVolume = 0.7, loopStationState = {}, masterState = {}) {
     // Save the active panel state into the active instance's state
     const active = instanceManager.getActive();
     if (active) {
@@ -44,6 +53,14 @@ export function serializeSession(instanceManager, panel, masterBpm, masterVolume
         masterVolume: masterVolume ?? 0.7,
         timeSignature: loopStationState.timeSignature || { numerator: 4, denominator: 4 },
         metronome: loopStationState.metronome || { enabled: false, volume: 0.5, muted: false },
+        auxBuses: masterState.auxBuses || createDefaultAuxBuses(),
+        mastering: masterState.mastering || createDefaultMastering(),
+        midi: masterState.midi || createDefaultMidiSettings(),
+        midiMappings: masterState.midiMappings || [],
+        osc: masterState.osc || createDefaultOscSettings(),
+        keyboard: masterState.keyboard || createDefaultKeyboardSettings(),
+        gamepad: masterState.gamepad || createDefaultGamepadSettings(),
+        historyDepth: masterState.historyDepth ?? DEFAULT_HISTORY_DEPTH,
         // loopStationMode is now per-instance (stored in each instance's state)
         savedAt: new Date().toISOString(),
         activeInstanceId: instanceManager.activeId,
@@ -0,0 +1,100 @@
+// ControlRegistry.js — Named, remote-controllable panel parameters.
+// Each entry knows how to set its control from a normalized 0–1 value and
+// which element represents it on screen (clicked to MIDI-learn it). Slider
+// entries also convert between normalized and slider units, so remote
+// protocols can read them back and address stored (inactive) instance state.
+// Sliders are driven by writing their value and dispatching 'input', so a
+// remote change runs exactly the same listeners as dragging the slider.
+
+import { clamp } from '../utils/math.js';
+
+/**
+ * @typedef {Object} RemoteControl
+ * @property {string} id - Stable key, stored in mappings
+ * @property {string} label - Human-readable name
+ * @property {HTMLElement} element - On-screen representation (learn target)
+ * @property {(normalized: number) => void} set - Apply a 0–1 value
+ * @property {() => number} [read] - Current 0–1 value (sliders)
+ * @property {(normalized: number) => number} [toValue] - 0–1 → slider units, step-snapped (sliders)
+ * @property {(value: number) => number} [toNormalized] - Slider units → 0–1 (sliders)
+ */
+
+export class ControlRegistry {
+    constructor() {
+        /** @type {Map<string, RemoteControl>} */
+        this._controls = new Map();
+    }
+
+    /**
+     * Register a control with a custom setter.
+     * @param {string} id
+     * @param {{ label: string, element: HTMLElement, set: (normalized: number) => void }} control
+     */
+    register(id, control) {
+        this._controls.set(id, { id, ...control });
+    }
+
+    /**
+     * Register a range input. Its min/max/step attributes define the range.
+     * @param {string} id
+     * @param {string} label
+     * @param {HTMLInputElement} input
+     * @param {HTMLElement} [element] - Learn target (defaults to the slider's row)
+     */
+    registerSlider(id, label, input, element) {
+        const toValue = (normalized) => {
+            const min = parseFloat(input.min);
+            const max = parseFloat(input.max);
+            const step = parseFloat(input.step) || 0;
+            const value = min + clamp(normalized, 0, 1) * (max - min);
+            return step > 0 ? min + Math.round((value - min) / step) * step : value;
+        };
+        const toNormalized = (value) => {
+            const min = parseFloat(input.min);
+            const max = parseFloat(input.max);
+            return max > min ? clamp((value - min) / (max - min), 0, 1) : 0;
+        };
+
+        this.register(id, {
+            label,
+            element: element || input.closest('.range-row, .param-group') || input.parentElement,
+            set: (normalized) => {
+                const value = toValue(normalized);
+                if (parseFloat(input.value) === value) return;
+                input.value = String(value);
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            },
+            read: () => toNormalized(parseFloat(input.value)),
+            toValue,
+            toNormalized,
+        });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {RemoteControl|undefined}
+     */
+    get(id) {
+        return this._controls.get(id);
+    }
+
+    /**
+     * Find the control whose element contains a DOM node (learn click target).
+     * When elements are nested, the innermost one wins.
+     * @param {Node} node
+     * @returns {RemoteControl|undefined}
+     */
+    findByElement(node) {
+        let found;
+        for (const control of this._controls.values()) {
+            if (!control.element.contains(node)) continue;
+            if (!found || found.element.contains(control.element)) found = control;
+        }
+        return found;
+    }
+
+    /** @returns {RemoteControl[]} */
+    list() {
+        return [...this._controls.values()];
+    }
+}
@@ -0,0 +1,173 @@
+// EffectsPanel.js — Controls for the per-instance insert effects (filter,
+// delay, reverb) and aux send levels in the "Effects" section of the
+// parameter panel. Reads and writes EffectsSettings objects (see
+// EffectsRack.js) and send-level maps (see AuxBus.js).
+
+import { expMap, invExpMap } from '../utils/math.js';
+import { EFFECT_SLOTS } from '../audio/effects/EffectsRack.js';
+import { AUX_BUS_NAMES } from '../audio/AuxBus.js';
+
+const percent = v => `${Math.round(v * 100)}%`;
+const hertz = v => `${Math.round(v)} Hz`;
+
+/**
+ * Slider descriptors. `toValue`/`fromValue` convert between slider position
+ * and the stored setting (identity when omitted).
+ */
+const SLIDERS = [
+    { slot: 'filter', key: 'frequency', format: hertz,
+        toValue: n => expMap(n, 20, 20000), fromValue: v => invExpMap(v, 20, 20000) },
+    { slot: 'filter', key: 'q',         format: v => v.toFixed(1) },
+    { slot: 'filter', key: 'mix',       format: percent },
+    { slot: 'delay',  key: 'feedback',  format: percent },
+    { slot: 'delay',  key: 'damping',   format: hertz,
+        toValue: n => expMap(n, 500, 16000), fromValue: v => invExpMap(v, 500, 16000) },
+    { slot: 'delay',  key: 'mix',       format: percent },
+    { slot: 'reverb', key: 'decay',     format: v => `${v.toFixed(1)} s` },
+    { slot: 'reverb', key: 'tone',      format: hertz,
+        toValue: n => expMap(n, 500, 16000), fromValue: v => invExpMap(v, 500, 16000) },
+    { slot: 'reverb', key: 'mix',       format: percent },
+];
+
+/** Select descriptors; `numeric` values are parsed as integers. */
+const SELECTS = [
+    { slot: 'filter', key: 'type' },
+    { slot: 'delay',  key: 'divisor', numeric: true },
+];
+
+export class EffectsPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {(effects: import('../audio/effects/EffectsRack.js').EffectsSettings) => void} callbacks.onChange
+     * @param {(sends: Record<string, number>) => void} callbacks.onSendsChange
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+
+        const fire = () => this.callbacks.onChange(this.getState());
+
+        // Enable toggles (checked = active, i.e. not bypassed)
+        this._toggles = {};
+        for (const slot of EFFECT_SLOTS) {
+            const el = document.getElementById(`fx-${slot}-on`);
+            this._toggles[slot] = el;
+            el.addEventListener('change', () => {
+                this._updateUnitState(slot);
+                fire();
+            });
+        }
+
+        this._sliders = SLIDERS.map((desc) => {
+            const slider = document.getElementById(`fx-${desc.slot}-${desc.key}`);
+            const display = document.getElementById(`val-fx-${desc.slot}-${desc.key}`);
+            const entry = { ...desc, slider, display };
+            slider.addEventListener('input', () => {
+                this._updateDisplay(entry);
+                fire();
+            });
+            return entry;
+        });
+
+        this._selects = SELECTS.map((desc) => {
+            const select = document.getElementById(`fx-${desc.slot}-${desc.key}`);
+            select.addEventListener('change', fire);
+            return { ...desc, select };
+        });
+
+        // Aux send levels (shared buses live in the Master section)
+        this._sends = {};
+        for (const name of AUX_BUS_NAMES) {
+            const slider = document.getElementById(`send-${name}`);
+            const display = document.getElementById(`val-send-${name}`);
+            this._sends[name] = { slider, display };
+            slider.addEventListener('input', () => {
+                display.textContent = percent(parseFloat(slider.value));
+                this.callbacks.onSendsChange(this.getSends());
+            });
+        }
+
+        for (const slot of EFFECT_SLOTS) this._updateUnitState(slot);
+    }
+
+    /**
+     * Read the send levels shown in the controls.
+     * @returns {Record<string, number>}
+     */
+    getSends() {
+        const sends = {};
+        for (const name of AUX_BUS_NAMES) {
+            sends[name] = parseFloat(this._sends[name].slider.value);
+        }
+        return sends;
+    }
+
+    /**
+     * Show the given send levels. Does not fire onSendsChange.
+     * @param {Record<string, number>} sends
+     */
+    setSends(sends) {
+        for (const name of AUX_BUS_NAMES) {
+            const { slider, display } = this._sends[name];
+            slider.value = sends[name] ?? 0;
+            display.textContent = percent(parseFloat(slider.value));
+        }
+    }
+
+    /**
+     * Read the settings shown in the controls.
+     * @returns {import('../audio/effects/EffectsRack.js').EffectsSettings}
+     */
+    getState() {
+        const state = {};
+        for (const slot of EFFECT_SLOTS) {
+            state[slot] = { bypass: !this._toggles[slot].checked };
+        }
+        for (const s of this._sliders) {
+            state[s.slot][s.key] = this._readSlider(s);
+        }
+        for (const s of this._selects) {
+            state[s.slot][s.key] = s.numeric ? parseInt(s.select.value, 10) : s.select.value;
+        }
+        return state;
+    }
+
+    /**
+     * Show the given settings. Does not fire onChange.
+     * @param {import('../audio/effects/EffectsRack.js').EffectsSettings} effects
+     */
+    setState(effects) {
+        for (const slot of EFFECT_SLOTS) {
+            this._toggles[slot].checked = !effects[slot].bypass;
+            this._updateUnitState(slot);
+        }
+        for (const s of this._sliders) {
+            const value = effects[s.slot][s.key];
+            s.slider.value = s.fromValue ? s.fromValue(value) : value;
+            this._updateDisplay(s);
+        }
+        for (const s of this._selects) {
+            s.select.value = effects[s.slot][s.key];
+        }
+    }
+
+    /** @private */
+    _readSlider(s) {
+        const n = parseFloat(s.slider.value);
+        return s.toValue ? s.toValue(n) : n;
+    }
+
+    /** @private */
+    _updateDisplay(s) {
+        s.display.textContent = s.format(this._readSlider(s));
+    }
+
+    /**
+     * Dim the controls of a bypassed effect.
+     * @param {string} slot
+     * @private
+     */
+    _updateUnitState(slot) {
+        const unit = this._toggles[slot].closest('.fx-unit');
+        unit.classList.toggle('fx-bypassed', !this._toggles[slot].checked);
+    }
+}
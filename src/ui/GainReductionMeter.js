@@ -0,0 +1,36 @@
+// GainReductionMeter.js — Readout of how hard the master limiter is working.
+// Polls DynamicsCompressorNode.reduction (dB, ≤ 0) once per animation frame
+// and shows it as a bar growing from the right plus a numeric label.
+
+/** Reduction shown as a full bar (dB). */
+const FULL_SCALE_DB = 12;
+
+export class GainReductionMeter {
+    /**
+     * @param {HTMLElement} container - The #gain-reduction element
+     * @param {DynamicsCompressorNode} limiter
+     */
+    constructor(container, limiter) {
+        this.limiter = limiter;
+        this.container = container;
+        this.fill = container.querySelector('.gain-reduction-fill');
+        this.label = container.querySelector('.gain-reduction-value');
+
+        this._smoothed = 0;
+    }
+
+    /** Call once per animation frame. */
+    update() {
+        // reduction is negative (or 0) dB of attenuation
+        const reduction = Math.max(0, -this.limiter.reduction);
+
+        // Fast attack, slow release so short catches stay readable
+        const k = reduction > this._smoothed ? 0.6 : 0.08;
+        this._smoothed += (reduction - this._smoothed) * k;
+
+        const shown = this._smoothed < 0.05 ? 0 : this._smoothed;
+        this.fill.style.width = `${Math.min(1, shown / FULL_SCALE_DB) * 100}%`;
+        this.label.textContent = shown === 0 ? '0.0' : `-${shown.toFixed(1)}`;
+        this.container.classList.toggle('active', shown > 0);
+    }
+}
@@ -0,0 +1,90 @@
+// GamepadPanel.js — "Gamepad" section of the panel: enable toggle with the
+// connected controller's name, stick mode and the button → action table.
+// Global like MidiPanel, saved at session level.
+
+import { GAMEPAD_BUTTONS } from '../input/GamepadInput.js';
+
+/** Option labels for GAMEPAD_ACTIONS entries. */
+const ACTION_LABELS = {
+    none: '—',
+    voiceLeft: 'Hold left stick voice',
+    voiceRight: 'Hold right stick voice',
+    play: 'Play / Stop',
+    stop: 'Stop',
+    record: 'Record',
+    metronome: 'Metronome',
+};
+
+export class GamepadPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {(settings: import('../input/GamepadInput.js').GamepadSettings) => void} callbacks.onChange
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+
+        const fire = () => this.callbacks.onChange(this.getState());
+
+        this._enabled = document.getElementById('gamepad-enabled');
+        this._status = document.getElementById('gamepad-status');
+        this._stickMode = document.getElementById('gamepad-stick-mode');
+        this._enabled.addEventListener('change', fire);
+        this._stickMode.addEventListener('change', fire);
+
+        // One action select per assignable button
+        const container = document.getElementById('gamepad-buttons');
+        this._buttons = GAMEPAD_BUTTONS.map(({ index, label }) => {
+            const row = document.createElement('div');
+            row.className = 'gamepad-button-row';
+            const name = document.createElement('label');
+            name.htmlFor = `gamepad-button-${index}`;
+            name.textContent = label;
+            const select = document.createElement('select');
+            select.id = name.htmlFor;
+            for (const [value, text] of Object.entries(ACTION_LABELS)) {
+                select.add(new Option(text, value));
+            }
+            select.addEventListener('change', fire);
+            row.append(name, select);
+            container.appendChild(row);
+            return { index, select };
+        });
+    }
+
+    /**
+     * @returns {import('../input/GamepadInput.js').GamepadSettings}
+     */
+    getState() {
+        const buttons = {};
+        for (const { index, select } of this._buttons) {
+            if (select.value !== 'none') buttons[index] = select.value;
+        }
+        return {
+            enabled: this._enabled.checked,
+            stickMode: /** @type {'absolute'|'relative'} */ (this._stickMode.value),
+            buttons,
+        };
+    }
+
+    /**
+     * Show the given settings. Does not fire callbacks.
+     * @param {import('../input/GamepadInput.js').GamepadSettings} settings
+     */
+    setState(settings) {
+        this._enabled.checked = settings.enabled;
+        this._stickMode.value = settings.stickMode;
+        for (const { index, select } of this._buttons) {
+            select.value = settings.buttons[index] ?? 'none';
+        }
+    }
+
+    /**
+     * Show the connected controller next to the enable toggle.
+     * @param {string} text
+     * @param {boolean} [active=false] - Highlight (a gamepad is connected)
+     */
+    setStatus(text, active = false) {
+        this._status.textContent = text;
+        this._status.classList.toggle('active', active);
+    }
+}
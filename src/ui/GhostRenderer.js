@@ -9,7 +9,7 @@ const FADE_OUT_DURATION = 0.4;
 
 export class GhostRenderer {
     constructor() {
-        /** Active ghost pointers: syntheticId → { position, amplitude, voiceIndex } */
+        /** Active ghost pointers: syntheticId → { x, y, voiceIndex } (canvas 0–1) */
         this._pointers = new Map();
 
         /** Fading ghost pointers after voice stop */
@@ -29,15 +29,16 @@ export class GhostRenderer {
      * Feed a Player dispatch event to track ghost pointer positions.
      * @param {'start'|'move'|'stop'} type
      * @param {number} syntheticId
-     * @param {Object} [params] - Voice params with position, amplitude
+     * @param {Object} [params] - Voice params with gestureX/gestureY (recordings
+     *        from before axis mapping only have position/amplitude)
      */
     dispatch(type, syntheticId, params) {
         switch (type) {
             case 'start':
             case 'move':
                 this._pointers.set(syntheticId, {
-                    position: params.position,
-                    amplitude: params.amplitude,
+                    x: params.gestureX ?? params.position,
+                    y: params.gestureY ?? params.amplitude,
                     voiceIndex: params._voiceIndex ?? (syntheticId % 10),
                 });
                 break;
@@ -82,7 +83,7 @@ export class GhostRenderer {
 
             // Active ghost pointers
             for (const [, p] of this._pointers) {
-                this._drawGhost(ctx, w, h, p.position, p.amplitude, p.voiceIndex, 1.0, now);
+                this._drawGhost(ctx, w, h, p.x, p.y, p.voiceIndex, 1.0, now);
             }
 
             // Fading ghost pointers
@@ -94,7 +95,7 @@ export class GhostRenderer {
                     continue;
                 }
                 const alpha = 1 - elapsed / FADE_OUT_DURATION;
-                this._drawGhost(ctx, w, h, f.position, f.amplitude, f.voiceIndex, alpha, now);
+                this._drawGhost(ctx, w, h, f.x, f.y, f.voiceIndex, alpha, now);
             }
 
             // --- Timeline cursor ---
@@ -114,9 +115,9 @@ export class GhostRenderer {
      * Draw a single ghost pointer — dashed outline, reduced opacity.
      * @private
      */
-    _drawGhost(ctx, canvasWidth, canvasHeight, position, amplitude, voiceIndex, alpha, now) {
-        const x = position * canvasWidth;
-        const y = amplitude * canvasHeight;
+    _drawGhost(ctx, canvasWidth, canvasHeight, gestureX, gestureY, voiceIndex, alpha, now) {
+        const x = gestureX * canvasWidth;
+        const y = gestureY * canvasHeight;
         const [r, g, b] = getVoiceColor(voiceIndex);
 
         // Ghost opacity is reduced compared to live pointers
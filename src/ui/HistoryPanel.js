@@ -0,0 +1,79 @@
+// HistoryPanel.js — Undo/redo buttons and the session history list.
+// Shows every recorded step, oldest first; undone steps are dimmed and
+// clicking a row undoes or redoes up to it.
+
+export class HistoryPanel {
+    /**
+     * @param {Object} els
+     * @param {HTMLButtonElement} els.undoBtn
+     * @param {HTMLButtonElement} els.redoBtn
+     * @param {HTMLOListElement} els.list
+     * @param {Object} callbacks
+     * @param {() => void} callbacks.onUndo
+     * @param {() => void} callbacks.onRedo
+     * @param {(count: number) => void} callbacks.onJump - Apply exactly the first `count` steps
+     */
+    constructor(els, callbacks) {
+        this._els = els;
+        this.callbacks = callbacks;
+
+        els.undoBtn.addEventListener('click', () => this.callbacks.onUndo());
+        els.redoBtn.addEventListener('click', () => this.callbacks.onRedo());
+    }
+
+    /**
+     * Rebuild the list and button states.
+     * @param {Array<{ label: string, time: number, applied: boolean }>} entries - Oldest first
+     * @param {boolean} canUndo
+     * @param {boolean} canRedo
+     */
+    render(entries, canUndo, canRedo) {
+        const { undoBtn, redoBtn, list } = this._els;
+        undoBtn.disabled = !canUndo;
+        redoBtn.disabled = !canRedo;
+        const lastApplied = entries.filter(e => e.applied).length;
+        undoBtn.title = canUndo ? `Undo ${entries[lastApplied - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = canRedo ? `Redo ${entries[lastApplied].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+
+        list.innerHTML = '';
+        // Row 0 stands for the state before any recorded step
+        const rows = [{ label: 'Session start', time: null, applied: true }, ...entries];
+        rows.forEach((entry, count) => {
+            const row = document.createElement('li');
+            row.className = 'history-entry'
+                + (entry.applied ? '' : ' history-undone')
+                + (count === lastApplied ? ' history-current' : '');
+
+            const label = document.createElement('span');
+            label.className = 'history-label';
+            label.textContent = entry.label;
+            row.appendChild(label);
+
+            if (entry.time !== null) {
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = formatClock(entry.time);
+                row.appendChild(time);
+            }
+
+            row.title = count === lastApplied ? 'Current state' : 'Go back to this point';
+            row.addEventListener('click', () => {
+                if (count !== lastApplied) this.callbacks.onJump(count);
+            });
+            list.appendChild(row);
+        });
+
+        // Keep the current step in view
+        list.children[lastApplied]?.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Format a performance.now() timestamp as wall-clock HH:MM:SS.
+ * @param {number} time
+ * @returns {string}
+ */
+function formatClock(time) {
+    const date = new Date(performance.timeOrigin + time);
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
@@ -0,0 +1,89 @@
+// KeyboardPanel.js — "Keyboard Play" section of the panel: enables the QWERTY
+// performance mode and edits its layout (pads or piano, octave, position).
+// Global like MidiPanel, saved at session level. Pad positions are not shown
+// here; they are stored by holding the waveform and pressing a key.
+
+/** Slider descriptors (element ids: keys-{id}). */
+const SLIDERS = [
+    { key: 'octave',        id: 'octave',   parse: v => parseInt(v, 10), format: v => (v > 0 ? `+${v}` : String(v)) },
+    { key: 'pitchPosition', id: 'position', parse: parseFloat,           format: v => v.toFixed(2) },
+];
+
+export class KeyboardPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {(settings: Partial<import('../input/KeyboardInput.js').KeyboardSettings>) => void} callbacks.onChange
+     * @param {() => void} callbacks.onResetPositions
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+
+        const fire = () => this.callbacks.onChange(this.getState());
+
+        this._enabled = document.getElementById('keys-enabled');
+        this._mode = document.getElementById('keys-mode');
+        this._enabled.addEventListener('change', fire);
+        this._mode.addEventListener('change', () => {
+            this._updateModeVisibility();
+            fire();
+        });
+
+        this._sliders = SLIDERS.map((desc) => {
+            const slider = document.getElementById(`keys-${desc.id}`);
+            const display = document.getElementById(`val-keys-${desc.id}`);
+            const entry = { ...desc, slider, display };
+            slider.addEventListener('input', () => {
+                this._updateDisplay(entry);
+                fire();
+            });
+            return entry;
+        });
+
+        document.getElementById('keys-reset').addEventListener('click', () => this.callbacks.onResetPositions());
+
+        this._updateModeVisibility();
+    }
+
+    /**
+     * Read the settings shown in the controls (everything but pad positions).
+     * @returns {Partial<import('../input/KeyboardInput.js').KeyboardSettings>}
+     */
+    getState() {
+        const state = {
+            enabled: this._enabled.checked,
+            mode: /** @type {'positions'|'pitch'} */ (this._mode.value),
+        };
+        for (const s of this._sliders) state[s.key] = s.parse(s.slider.value);
+        return state;
+    }
+
+    /**
+     * Show the given settings. Does not fire callbacks.
+     * @param {import('../input/KeyboardInput.js').KeyboardSettings} settings
+     */
+    setState(settings) {
+        this._enabled.checked = settings.enabled;
+        this._mode.value = settings.mode;
+        for (const s of this._sliders) {
+            s.slider.value = settings[s.key];
+            this._updateDisplay(s);
+        }
+        this._updateModeVisibility();
+    }
+
+    /**
+     * Octave and position only apply to the piano layout, the reset button
+     * only to pads.
+     * @private
+     */
+    _updateModeVisibility() {
+        const pitch = this._mode.value === 'pitch';
+        for (const el of document.querySelectorAll('.keys-pitch-only')) el.hidden = !pitch;
+        for (const el of document.querySelectorAll('.keys-positions-only')) el.hidden = pitch;
+    }
+
+    /** @private */
+    _updateDisplay(s) {
+        s.display.textContent = s.format(s.parse(s.slider.value));
+    }
+}
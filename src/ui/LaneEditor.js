@@ -0,0 +1,668 @@
+// LaneEditor.js — Dialog for editing a recording's automation events.
+// The timeline has one row per voice slot, with each gesture (start, moves,
+// stop) drawn as a bar and its events as ticks. Below it, a curve view plots
+// position, pitch or amplitude. Gestures can be selected (click, Shift-click,
+// drag a box), dragged in time, deleted, copied, pasted at the cursor and
+// time-scaled. In draw mode, dragging across the curve view redraws the
+// chosen parameter for the selected gestures. Each edit is handed to onChange
+// as a new lane; the editor never changes the lane it was given.
+
+import {
+    getGestures, moveGestures, scaleGestures, deleteGestures,
+    copyGestures, pasteGestures, drawCurve,
+} from '../automation/laneEdits.js';
+import { getVoiceColor } from './voiceColors.js';
+import { clamp } from '../utils/math.js';
+import { AXIS_PITCH_OCTAVES } from '../utils/axisMapping.js';
+
+/** Height of the time ruler in CSS pixels. */
+const RULER_HEIGHT = 18;
+
+/** Height of the curve view in CSS pixels. */
+const CURVE_HEIGHT = 100;
+
+/** Space between the voice rows and the curve view. */
+const CURVE_GAP = 8;
+
+/** Voice rows never get taller than this. */
+const MAX_ROW_HEIGHT = 22;
+
+/** Horizontal inset so events at time 0 aren't clipped. */
+const PAD_X = 8;
+
+/** Pointer travel (CSS pixels) before a press becomes a drag. */
+const DRAG_THRESHOLD = 3;
+
+/** Extra width (CSS pixels) around short gestures that still hits them. */
+const HIT_SLOP = 4;
+
+/**
+ * Curve view scales: normalized height (0 = bottom, 1 = top) ↔ param value.
+ * Pitch is a playback rate, shown on a log scale over the canvas pitch range.
+ */
+const CURVES = {
+    position:  { toValue: (n) => n, toNorm: (v) => v },
+    amplitude: { toValue: (n) => n, toNorm: (v) => v },
+    pitch: {
+        toValue: (n) => Math.pow(2, (n * 2 - 1) * AXIS_PITCH_OCTAVES),
+        toNorm: (v) => (Math.log2(v) / AXIS_PITCH_OCTAVES + 1) / 2,
+    },
+};
+
+export class LaneEditor {
+    /**
+     * @param {HTMLDialogElement} dialogEl - The #lane-editor-dialog element
+     * @param {Object} callbacks
+     * @param {(lane: import('../automation/AutomationLane.js').AutomationLane, label: string) => void} callbacks.onChange
+     *   - Called after every edit with the new lane and a label for the history, e.g. 'Move events'
+     */
+    constructor(dialogEl, callbacks) {
+        this._dialog = dialogEl;
+        this._callbacks = callbacks;
+
+        this._title = dialogEl.querySelector('#lane-editor-title');
+        this._curveSelect = dialogEl.querySelector('#lane-editor-curve');
+        this._drawBtn = dialogEl.querySelector('#lane-editor-draw');
+        this._copyBtn = dialogEl.querySelector('#lane-editor-copy');
+        this._pasteBtn = dialogEl.querySelector('#lane-editor-paste');
+        this._deleteBtn = dialogEl.querySelector('#lane-editor-delete');
+        this._scaleInput = dialogEl.querySelector('#lane-editor-scale');
+        this._scaleBtn = dialogEl.querySelector('#lane-editor-scale-btn');
+        this._hint = dialogEl.querySelector('#lane-editor-hint');
+        this.canvas = dialogEl.querySelector('#lane-editor-canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        /** @type {import('../automation/AutomationLane.js').AutomationLane|null} */
+        this._lane = null;
+
+        /** @type {import('../automation/laneEdits.js').Gesture[]} */
+        this._gestures = [];
+
+        /** @type {Set<number>} Selected gesture indices */
+        this._selection = new Set();
+
+        /** @type {import('../automation/laneEdits.js').GestureClipboard|null} Kept between openings */
+        this._clipboard = null;
+
+        /** @type {number} Lane time where Paste puts the copied gestures */
+        this._cursor = 0;
+
+        /** @type {boolean} */
+        this._drawMode = false;
+
+        /** @type {number} Master tempo, for pasting between beat and second lanes */
+        this._bpm = 120;
+
+        /** @type {number} Beats per bar, for the ruler */
+        this._beatsPerBar = 4;
+
+        /**
+         * Pointer gesture in progress.
+         * @type {{ mode: 'move'|'box'|'draw', pointerId: number, startX: number, startY: number,
+         *          x: number, y: number, dragging: boolean, span: number, hit?: number,
+         *          stroke?: Map<number, { time: number, value: number }> }|null}
+         */
+        this._drag = null;
+
+        /** @type {import('../automation/laneEdits.js').LaneEdit|null} Result of the drag in progress, shown until released */
+        this._preview = null;
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this.canvas.addEventListener('pointerdown', this._onPointerDown);
+        this.canvas.addEventListener('pointermove', this._onPointerMove);
+        this.canvas.addEventListener('pointerup', this._onPointerUp);
+        this.canvas.addEventListener('pointercancel', this._onPointerUp);
+
+        this._curveSelect.addEventListener('change', () => this._refresh());
+        this._drawBtn.addEventListener('click', () => {
+            this._drawMode = !this._drawMode;
+            this._refresh();
+        });
+        this._copyBtn.addEventListener('click', () => this._copy());
+        this._pasteBtn.addEventListener('click', () => this._paste());
+        this._deleteBtn.addEventListener('click', () => this._delete());
+        this._scaleBtn.addEventListener('click', () => this._scale());
+        dialogEl.querySelector('#lane-editor-done').addEventListener('click', () => this.close());
+
+        dialogEl.addEventListener('keydown', (e) => this._onKeyDown(e));
+        dialogEl.addEventListener('close', () => {
+            this._drag = null;
+            this._preview = null;
+        });
+
+        this._resizeObserver = new ResizeObserver(() => this.resize());
+        this._resizeObserver.observe(this.canvas);
+    }
+
+    /** @returns {boolean} Whether the dialog is showing. */
+    get isOpen() {
+        return this._dialog.open;
+    }
+
+    /**
+     * Show the editor for a lane.
+     * @param {import('../automation/AutomationLane.js').AutomationLane} lane
+     * @param {Object} options
+     * @param {string} options.title - e.g. the instance name
+     * @param {number} options.bpm - Master tempo
+     * @param {number} options.beatsPerBar - Time signature numerator
+     */
+    open(lane, { title, bpm, beatsPerBar }) {
+        this._title.textContent = `Edit Recording \u2014 ${title}`; // —
+        this._bpm = bpm;
+        this._beatsPerBar = beatsPerBar;
+        this._selection.clear();
+        this._cursor = 0;
+        this._readThemeColors();
+        this.setLane(lane);
+        this._dialog.showModal();
+        this.resize();
+    }
+
+    /** Hide the editor. */
+    close() {
+        this._dialog.close();
+    }
+
+    /**
+     * Show a lane changed from outside (e.g. undo). Selected gestures that
+     * no longer exist are dropped from the selection.
+     * @param {import('../automation/AutomationLane.js').AutomationLane} lane
+     */
+    setLane(lane) {
+        this._lane = lane;
+        this._gestures = getGestures(lane);
+        this._preview = null;
+        for (const i of this._selection) {
+            if (i >= this._gestures.length) this._selection.delete(i);
+        }
+        this._refresh();
+    }
+
+    /** Sync canvas buffer size with CSS size (HiDPI-aware), then redraw. */
+    resize() {
+        const dpr = devicePixelRatio;
+        this.canvas.width = this.canvas.clientWidth * dpr;
+        this.canvas.height = this.canvas.clientHeight * dpr;
+        this._draw();
+    }
+
+    /** Read canvas colors from CSS custom properties. */
+    _readThemeColors() {
+        const s = getComputedStyle(document.documentElement);
+        this._bgColor = s.getPropertyValue('--canvas-bg').trim() || '#1a1816';
+        this._gridColor = s.getPropertyValue('--canvas-centerline').trim() || '#352f2a';
+        this._labelColor = s.getPropertyValue('--canvas-hint').trim() || '#5a5048';
+        this._curveBgColor = s.getPropertyValue('--canvas-adsr-bg').trim() || '#252220';
+        this._accentColor = s.getPropertyValue('--canvas-adsr-stroke').trim() || '#e8a87c';
+    }
+
+    // --- Edits ---
+
+    /**
+     * Take an edit's result, redraw and report it.
+     * @param {import('../automation/laneEdits.js').LaneEdit} edit
+     * @param {string} label
+     * @private
+     */
+    _apply(edit, label) {
+        this._lane = edit.lane;
+        this._gestures = getGestures(edit.lane);
+        this._selection = new Set(edit.selection);
+        this._preview = null;
+        this._refresh();
+        this._callbacks.onChange(edit.lane, label);
+    }
+
+    /** @private */
+    _selected() {
+        return [...this._selection].sort((a, b) => a - b);
+    }
+
+    /** @private */
+    _copy() {
+        if (this._selection.size === 0) return;
+        this._clipboard = copyGestures(this._lane, this._selected());
+        this._refresh();
+    }
+
+    /** @private */
+    _paste() {
+        if (!this._clipboard) return;
+        this._apply(pasteGestures(this._lane, this._clipboard, this._cursor, this._bpm), 'Paste events');
+    }
+
+    /** @private */
+    _delete() {
+        if (this._selection.size === 0) return;
+        this._apply(deleteGestures(this._lane, this._selected()), 'Delete events');
+    }
+
+    /** @private */
+    _scale() {
+        const percent = parseFloat(this._scaleInput.value);
+        if (this._selection.size === 0 || !(percent > 0) || percent === 100) return;
+        this._apply(scaleGestures(this._lane, this._selected(), percent / 100), 'Scale events');
+    }
+
+    /**
+     * Editor keys: Delete, Ctrl+C / Ctrl+V / Ctrl+A. Plain keys go no further,
+     * so they don't play notes or start a recording behind the dialog;
+     * Ctrl+Z / Ctrl+Y still reach the app's undo.
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _onKeyDown(e) {
+        const mod = e.ctrlKey || e.metaKey;
+        const inField = e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT';
+        if (!mod) e.stopPropagation();
+        if (inField) return;
+
+        const key = e.key.toLowerCase();
+        if (!mod && (e.key === 'Delete' || e.key === 'Backspace')) {
+            e.preventDefault();
+            this._delete();
+        } else if (mod && key === 'c') {
+            e.preventDefault();
+            this._copy();
+        } else if (mod && key === 'v') {
+            e.preventDefault();
+            this._paste();
+        } else if (mod && key === 'a') {
+            e.preventDefault();
+            this._selection = new Set(this._gestures.map((_, i) => i));
+            this._refresh();
+        }
+    }
+
+    // --- Layout ---
+
+    /**
+     * Areas of the canvas in CSS pixels.
+     * @returns {{ w: number, rowsTop: number, rowHeight: number, rows: number, curveTop: number }}
+     * @private
+     */
+    _layout() {
+        const w = this.canvas.clientWidth;
+        const h = this.canvas.clientHeight;
+        let rows = 1;
+        for (const gesture of this._gestures) rows = Math.max(rows, gesture.voiceIndex + 1);
+        const curveTop = h - CURVE_HEIGHT;
+        const rowHeight = Math.min(MAX_ROW_HEIGHT, (curveTop - CURVE_GAP - RULER_HEIGHT) / rows);
+        return { w, rowsTop: RULER_HEIGHT, rowHeight, rows, curveTop };
+    }
+
+    /**
+     * Lane time shown across the canvas: the lane plus some room to paste
+     * or drag past its end. Fixed during a drag so the view doesn't shift.
+     * @returns {number}
+     * @private
+     */
+    _span() {
+        if (this._drag) return this._drag.span;
+        const minimum = this._lane?.timeBase === 'beats' ? this._beatsPerBar : 1;
+        return Math.max((this._lane?.getDuration() ?? 0) * 1.1, this._cursor, minimum);
+    }
+
+    /** @private */
+    _timeToX(time, w) {
+        return PAD_X + time / this._span() * (w - 2 * PAD_X);
+    }
+
+    /** @private */
+    _xToTime(x, w) {
+        return Math.max(0, (x - PAD_X) / (w - 2 * PAD_X) * this._span());
+    }
+
+    /**
+     * Find the gesture drawn at a point of the voice rows.
+     * @returns {number|null} Gesture index
+     * @private
+     */
+    _hitGesture(x, y) {
+        const { w, rowsTop, rowHeight } = this._layout();
+        const row = Math.floor((y - rowsTop) / rowHeight);
+        for (let i = this._gestures.length - 1; i >= 0; i--) {
+            const gesture = this._gestures[i];
+            if (gesture.voiceIndex !== row) continue;
+            const x0 = this._timeToX(gesture.start, w) - HIT_SLOP;
+            const x1 = gesture.open ? w : this._timeToX(gesture.end, w) + HIT_SLOP;
+            if (x >= x0 && x <= x1) return i;
+        }
+        return null;
+    }
+
+    // --- Pointer events ---
+
+    /** Convert pointer event to CSS-pixel coordinates relative to the canvas. */
+    _cssCoords(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /** @param {PointerEvent} e */
+    _onPointerDown(e) {
+        if (e.button !== 0 || !this._lane) return;
+        const { x, y } = this._cssCoords(e);
+        const { curveTop } = this._layout();
+        const base = { pointerId: e.pointerId, startX: x, startY: y, x, y, dragging: false, span: this._span() };
+
+        if (y >= curveTop) {
+            if (!this._drawMode) return;
+            if (this._selection.size === 0) {
+                this._hint.textContent = 'Select the gestures to draw on first.';
+                return;
+            }
+            this._drag = { ...base, mode: 'draw', stroke: new Map() };
+            this._addStrokePoint(x, y);
+        } else {
+            const hit = this._hitGesture(x, y);
+            if (hit !== null && e.shiftKey) {
+                // Shift-click toggles without dragging
+                if (this._selection.has(hit)) this._selection.delete(hit);
+                else this._selection.add(hit);
+                this._refresh();
+                return;
+            }
+            if (hit !== null) {
+                if (!this._selection.has(hit)) this._selection = new Set([hit]);
+                this._drag = { ...base, mode: 'move', hit };
+            } else {
+                if (!e.shiftKey) this._selection.clear();
+                this._drag = { ...base, mode: 'box' };
+            }
+            this._refresh();
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    }
+
+    /** @param {PointerEvent} e */
+    _onPointerMove(e) {
+        const drag = this._drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        e.preventDefault();
+        const { x, y } = this._cssCoords(e);
+        drag.x = x;
+        drag.y = y;
+        if (Math.abs(x - drag.startX) > DRAG_THRESHOLD || Math.abs(y - drag.startY) > DRAG_THRESHOLD) {
+            drag.dragging = true;
+        }
+
+        const w = this.canvas.clientWidth;
+        if (drag.mode === 'move' && drag.dragging) {
+            const delta = this._xToTime(x, w) - this._xToTime(drag.startX, w);
+            this._preview = moveGestures(this._lane, this._selected(), delta);
+        } else if (drag.mode === 'draw') {
+            this._addStrokePoint(x, y);
+            const stroke = this._stroke();
+            this._preview = stroke.length > 1
+                ? drawCurve(this._lane, this._selected(), this._curveSelect.value, stroke)
+                : null;
+        }
+        this._draw();
+    }
+
+    /** @param {PointerEvent} e */
+    _onPointerUp(e) {
+        const drag = this._drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        this.canvas.releasePointerCapture(e.pointerId);
+        this._drag = null;
+        this._preview = null;
+
+        const w = this.canvas.clientWidth;
+        const param = this._curveSelect.value;
+        if (drag.mode === 'move' && drag.dragging && e.type === 'pointerup') {
+            const delta = this._xToTime(drag.x, w) - this._xToTime(drag.startX, w);
+            if (delta !== 0) {
+                this._apply(moveGestures(this._lane, this._selected(), delta), 'Move events');
+                return;
+            }
+        } else if (drag.mode === 'move' && !drag.dragging) {
+            // A click on one of several selected gestures selects just that one
+            this._selection = new Set([drag.hit]);
+        } else if (drag.mode === 'box') {
+            if (drag.dragging) {
+                this._selectBox(drag);
+            } else {
+                // A click on empty space places the paste cursor
+                this._cursor = this._xToTime(drag.startX, w);
+            }
+        } else if (drag.mode === 'draw' && e.type === 'pointerup') {
+            const stroke = this._stroke(drag);
+            if (stroke.length > 1) {
+                this._apply(drawCurve(this._lane, this._selected(), param, stroke), `Draw ${param}`);
+                return;
+            }
+        }
+        this._refresh();
+    }
+
+    /**
+     * Record a point of the drawn curve. One point per pixel column: going
+     * back over a stretch replaces what was drawn there.
+     * @private
+     */
+    _addStrokePoint(x, y) {
+        const { w, curveTop } = this._layout();
+        const norm = clamp(1 - (y - curveTop) / CURVE_HEIGHT, 0, 1);
+        const column = Math.round(x);
+        this._drag.stroke.set(column, {
+            time: this._xToTime(column, w),
+            value: CURVES[this._curveSelect.value].toValue(norm),
+        });
+    }
+
+    /** @returns {Array<{ time: number, value: number }>} The stroke so far, in time order. */
+    _stroke(drag = this._drag) {
+        return [...drag.stroke.values()].sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Add every gesture the dragged box touches to the selection.
+     * @private
+     */
+    _selectBox(drag) {
+        const { w, rowsTop, rowHeight } = this._layout();
+        const t0 = this._xToTime(Math.min(drag.startX, drag.x), w);
+        const t1 = this._xToTime(Math.max(drag.startX, drag.x), w);
+        const row0 = Math.floor((Math.min(drag.startY, drag.y) - rowsTop) / rowHeight);
+        const row1 = Math.floor((Math.max(drag.startY, drag.y) - rowsTop) / rowHeight);
+        this._gestures.forEach((gesture, i) => {
+            const end = gesture.open ? Infinity : gesture.end;
+            if (gesture.voiceIndex >= row0 && gesture.voiceIndex <= row1 && gesture.start <= t1 && end >= t0) {
+                this._selection.add(i);
+            }
+        });
+    }
+
+    // --- Drawing ---
+
+    /**
+     * Update buttons and hint, then redraw.
+     * @private
+     */
+    _refresh() {
+        const hasSelection = this._selection.size > 0;
+        this._copyBtn.disabled = !hasSelection;
+        this._deleteBtn.disabled = !hasSelection;
+        this._scaleBtn.disabled = !hasSelection;
+        this._pasteBtn.disabled = !this._clipboard;
+        this._drawBtn.setAttribute('aria-pressed', String(this._drawMode));
+
+        const count = this._gestures.length;
+        const events = this._lane?.length ?? 0;
+        const summary = `${count} gesture${count === 1 ? '' : 's'}, ${events} events, ${this._selection.size} selected`;
+        const help = this._drawMode
+            ? `Drag across the curve view to redraw ${this._curveSelect.value} for the selected gestures.`
+            : 'Click or drag a box to select, drag to move. Shift adds to the selection. Click empty space to place the paste cursor.';
+        this._hint.textContent = `${summary} \u00B7 ${help}`; // ·
+        this._draw();
+    }
+
+    /** @private */
+    _draw() {
+        const { ctx, canvas } = this;
+        const w = canvas.clientWidth;
+        const h = canvas.clientHeight;
+        if (!w || !h || !this._lane) return;
+
+        const dpr = devicePixelRatio;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.fillStyle = this._bgColor;
+        ctx.fillRect(0, 0, w, h);
+
+        const layout = this._layout();
+        ctx.fillStyle = this._curveBgColor;
+        ctx.fillRect(0, layout.curveTop, w, CURVE_HEIGHT);
+
+        this._drawRuler(w, h);
+
+        // While dragging, show the result of the edit
+        const lane = this._preview ? this._preview.lane : this._lane;
+        const gestures = this._preview ? getGestures(lane) : this._gestures;
+        const selected = this._preview ? new Set(this._preview.selection) : this._selection;
+
+        this._drawGestures(gestures, selected, layout);
+        this._drawCurves(gestures, selected, layout);
+
+        // Paste cursor
+        const cx = this._timeToX(this._cursor, w);
+        ctx.strokeStyle = this._accentColor;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(cx, 0);
+        ctx.lineTo(cx, h);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Selection box
+        const drag = this._drag;
+        if (drag?.mode === 'box' && drag.dragging) {
+            const bx = Math.min(drag.startX, drag.x);
+            const by = Math.min(drag.startY, drag.y);
+            const bw = Math.abs(drag.x - drag.startX);
+            const bh = Math.abs(drag.y - drag.startY);
+            ctx.fillStyle = this._accentColor;
+            ctx.globalAlpha = 0.08;
+            ctx.fillRect(bx, by, bw, bh);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = this._accentColor;
+            ctx.strokeRect(bx, by, bw, bh);
+        }
+
+        if (lane.length === 0) {
+            ctx.fillStyle = this._labelColor;
+            ctx.font = '12px system-ui, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('No events', w / 2, (RULER_HEIGHT + layout.curveTop) / 2);
+        }
+    }
+
+    /**
+     * Beat and bar lines (or seconds for a lane recorded before beat time).
+     * @private
+     */
+    _drawRuler(w, h) {
+        const { ctx } = this;
+        const beats = this._lane.timeBase === 'beats';
+        const span = this._span();
+        const unitWidth = (w - 2 * PAD_X) / span;
+        const major = beats ? this._beatsPerBar : 1;
+        // Skip minor lines when they would crowd together
+        const step = unitWidth >= 6 ? 1 : major;
+
+        ctx.font = '10px system-ui, sans-serif';
+        ctx.textAlign = 'left';
+        for (let t = 0; t <= span; t += step) {
+            const x = this._timeToX(t, w);
+            const isMajor = Math.round(t) % major === 0;
+            ctx.strokeStyle = this._gridColor;
+            ctx.globalAlpha = isMajor ? 1 : 0.4;
+            ctx.beginPath();
+            ctx.moveTo(x, RULER_HEIGHT - (isMajor ? 8 : 4));
+            ctx.lineTo(x, h);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            if (isMajor && unitWidth * major >= 24) {
+                ctx.fillStyle = this._labelColor;
+                ctx.fillText(beats ? String(t / major + 1) : `${t}s`, x + 3, 10);
+            }
+        }
+    }
+
+    /**
+     * One bar per gesture in its voice row, with a tick per event.
+     * @private
+     */
+    _drawGestures(gestures, selected, { w, rowsTop, rowHeight }) {
+        const { ctx } = this;
+        gestures.forEach((gesture, i) => {
+            const [r, g, b] = getVoiceColor(gesture.voiceIndex);
+            const isSelected = selected.has(i);
+            const y = rowsTop + gesture.voiceIndex * rowHeight + 1;
+            const height = rowHeight - 2;
+            const x0 = this._timeToX(gesture.start, w);
+            const x1 = gesture.open ? w - PAD_X : this._timeToX(gesture.end, w);
+
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${isSelected ? 0.45 : 0.18})`;
+            ctx.fillRect(x0, y, Math.max(x1 - x0, 2), height);
+            if (isSelected) {
+                ctx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+                ctx.strokeRect(x0 + 0.5, y + 0.5, Math.max(x1 - x0, 2) - 1, height - 1);
+            }
+
+            // Start and stop run the full row height, moves are short ticks
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${isSelected ? 1 : 0.7})`;
+            for (const event of gesture.events) {
+                const x = this._timeToX(event.time, w);
+                if (event.type === 'move') {
+                    ctx.fillRect(x - 0.5, y + height * 0.35, 1, height * 0.3);
+                } else {
+                    ctx.fillRect(x - 1, y, 2, height);
+                }
+            }
+        });
+    }
+
+    /**
+     * Plot the chosen parameter of every gesture; unselected ones faintly.
+     * @private
+     */
+    _drawCurves(gestures, selected, { w, curveTop }) {
+        const { ctx } = this;
+        const param = this._curveSelect.value;
+        const scale = CURVES[param];
+        const yOf = (value) => curveTop + (1 - clamp(scale.toNorm(value), 0, 1)) * CURVE_HEIGHT;
+
+        ctx.lineWidth = 1.5;
+        gestures.forEach((gesture, i) => {
+            const [r, g, b] = getVoiceColor(gesture.voiceIndex);
+            ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${selected.has(i) ? 1 : 0.25})`;
+            ctx.beginPath();
+            let last = null;
+            for (const event of gesture.events) {
+                const x = this._timeToX(event.time, w);
+                if (event.params && event.params[param] !== undefined) {
+                    last = yOf(event.params[param]);
+                    if (event === gesture.events[0]) ctx.moveTo(x, last);
+                    else ctx.lineTo(x, last);
+                } else if (last !== null) {
+                    // Stop: hold the last value until the voice ends
+                    ctx.lineTo(x, last);
+                }
+            }
+            if (gesture.open && last !== null) ctx.lineTo(w - PAD_X, last);
+            ctx.stroke();
+        });
+        ctx.lineWidth = 1;
+
+        ctx.fillStyle = this._labelColor;
+        ctx.font = '10px system-ui, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(param, 4, curveTop + 11);
+    }
+}
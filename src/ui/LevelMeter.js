@@ -1,36 +1,69 @@
-// LevelMeter.js — Horizontal RMS level meter driven by an AnalyserNode.
-// Uses a simple div-width approach (no canvas) for the transport bar.
+// LevelMeter.js — Horizontal RMS level meter with peak hold, driven by an AnalyserNode.
+// Uses a simple div-width approach (no canvas); used for the master output in
+// the transport bar and for each instance on its tab.
+
+/** How long the peak marker holds before falling (ms). */
+const PEAK_HOLD_MS = 1000;
+
+/** Peak marker fall rate after the hold (meter range per frame). */
+const PEAK_FALL = 0.01;
+
+/**
+ * Map a linear amplitude to the meter's 0–1 range (-60 dB → 0, 0 dB → 1).
+ * @param {number} amplitude
+ * @returns {number}
+ */
+function toMeterLevel(amplitude) {
+    const db = 20 * Math.log10(Math.max(amplitude, 1e-6));
+    return Math.max(0, Math.min(1, (db + 60) / 60));
+}
 
 export class LevelMeter {
     /**
-     * @param {HTMLElement} container - The #level-meter element
+     * @param {HTMLElement} container - Element holding a .level-meter-fill and
+     *        optionally a .level-meter-peak marker
      * @param {AnalyserNode} analyser
      */
     constructor(container, analyser) {
         this.analyser = analyser;
+        this.container = container;
         this.fill = container.querySelector('.level-meter-fill');
+        this.peakMarker = container.querySelector('.level-meter-peak');
 
         // Reuse a single buffer across frames (no GC pressure)
-        this._data = new Uint8Array(analyser.fftSize);
+        this._data = new Float32Array(analyser.fftSize);
 
         this._smoothed = 0;
+        this._peakLevel = 0;
+        this._peakTime = 0;
+
+        /** Latest RMS reading (dBFS) */
+        this.rmsDb = -Infinity;
+        /** Latest sample peak reading (dBFS) */
+        this.peakDb = -Infinity;
     }
 
-    /** Call once per animation frame. */
-    update() {
-        this.analyser.getByteTimeDomainData(this._data);
+    /**
+     * Call once per animation frame.
+     * @param {number} [now] - performance.now() timestamp, for peak hold
+     */
+    update(now = performance.now()) {
+        this.analyser.getFloatTimeDomainData(this._data);
 
-        // Compute RMS from time-domain bytes (128 = silence)
+        // RMS and sample peak over the analyser window
         let sum = 0;
+        let peak = 0;
         for (let i = 0; i < this._data.length; i++) {
-            const s = (this._data[i] - 128) / 128;
+            const s = this._data[i];
             sum += s * s;
+            const a = Math.abs(s);
+            if (a > peak) peak = a;
         }
         const rms = Math.sqrt(sum / this._data.length);
+        this.rmsDb = 20 * Math.log10(Math.max(rms, 1e-6));
+        this.peakDb = 20 * Math.log10(Math.max(peak, 1e-6));
 
-        // Map to 0–1 via dB scale (-60 dB → 0, 0 dB → 1)
-        const db = 20 * Math.log10(Math.max(rms, 1e-6));
-        const level = Math.max(0, Math.min(1, (db + 60) / 60));
+        const level = toMeterLevel(rms);
 
         // Asymmetric smoothing: fast attack, slow release
         const k = level > this._smoothed ? 0.8 : 0.05;
@@ -47,5 +80,19 @@ export class LevelMeter {
         } else {
             this.fill.style.background = 'var(--play-green)';
         }
+
+        // Peak hold: jump up instantly, hold, then fall slowly
+        const peakLevel = toMeterLevel(peak);
+        if (peakLevel >= this._peakLevel) {
+            this._peakLevel = peakLevel;
+            this._peakTime = now;
+        } else if (now - this._peakTime > PEAK_HOLD_MS) {
+            this._peakLevel = Math.max(peakLevel, this._peakLevel - PEAK_FALL);
+        }
+        if (this.peakMarker) {
+            this.peakMarker.style.left = `${this._peakLevel * 100}%`;
+            // Full scale reached: the signal would clip without the limiter
+            this.peakMarker.classList.toggle('clipping', this._peakLevel >= 1);
+        }
     }
 }
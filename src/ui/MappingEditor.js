@@ -0,0 +1,179 @@
+// MappingEditor.js — Gesture mapping list for the Gesture Mapping section:
+// one row per mapping (source → target, output range, curve, invert), plus a
+// live meter and detection status for every gesture source. Owned by
+// ParameterPanel; mappings are per instance.
+
+import { CURVE_NAMES, CURVE_LABELS } from '../utils/curves.js';
+import {
+    GESTURE_SOURCES, GESTURE_SOURCE_LABELS, MAPPING_TARGETS, MAPPING_TARGET_LABELS, createMapping,
+} from '../utils/gestureMapping.js';
+
+/** Sources computed from movement: available on every device. */
+const COMPUTED_SOURCES = ['velocity', 'acceleration'];
+
+export class MappingEditor {
+    /**
+     * @param {Object} elements
+     * @param {HTMLElement} elements.sources - Container for the source meters
+     * @param {HTMLElement} elements.list - Container for the mapping rows
+     * @param {HTMLButtonElement} elements.addButton
+     * @param {() => void} onChange - Called when a mapping is added, edited or removed
+     */
+    constructor({ sources, list, addButton }, onChange) {
+        this._list = list;
+        this._onChange = onChange;
+
+        /** @type {import('../utils/gestureMapping.js').GestureMapping[]} */
+        this._mappings = [];
+
+        // --- Source meters ---
+        this._sources = {};
+        for (const source of GESTURE_SOURCES) {
+            const row = document.createElement('div');
+            row.className = 'gesture-source';
+
+            const label = document.createElement('span');
+            label.className = 'gesture-source-name';
+            label.textContent = GESTURE_SOURCE_LABELS[source];
+
+            const status = document.createElement('span');
+            status.className = 'gesture-status';
+            const computed = COMPUTED_SOURCES.includes(source);
+            status.textContent = computed ? 'available' : 'not detected';
+            status.classList.toggle('active', computed);
+
+            const meter = document.createElement('div');
+            meter.className = 'gesture-meter';
+            const fill = document.createElement('div');
+            fill.className = 'gesture-meter-fill';
+            meter.appendChild(fill);
+
+            row.append(label, status, meter);
+            sources.appendChild(row);
+            this._sources[source] = { status, fill };
+        }
+
+        addButton.addEventListener('click', () => {
+            // Start from the first source not mapped yet
+            const used = new Set(this._mappings.map(m => m.source));
+            const source = GESTURE_SOURCES.find(s => !used.has(s)) || GESTURE_SOURCES[0];
+            this._mappings.push(createMapping(source));
+            this.render();
+            this._onChange();
+        });
+    }
+
+    /**
+     * @returns {import('../utils/gestureMapping.js').GestureMapping[]} Copies of the mappings
+     */
+    getMappings() {
+        return this._mappings.map(m => ({ ...m }));
+    }
+
+    /**
+     * Show the given mappings. Does not fire onChange.
+     * @param {import('../utils/gestureMapping.js').GestureMapping[]} mappings
+     */
+    setMappings(mappings) {
+        this._mappings = mappings.map(m => ({ ...m }));
+        this.render();
+    }
+
+    /**
+     * Update the source meters.
+     * @param {Object<string, number>|null} values - Live source values, or null when nothing plays
+     * @param {Object<string, boolean>} capabilities - Sources the device has reported
+     */
+    updateSources(values, capabilities) {
+        for (const source of GESTURE_SOURCES) {
+            const { status, fill } = this._sources[source];
+            const value = values?.[source];
+            fill.style.width = value !== undefined ? `${value * 100}%` : '0%';
+            if (capabilities[source] && !status.classList.contains('active')) {
+                status.textContent = 'available';
+                status.classList.add('active');
+            }
+        }
+    }
+
+    /**
+     * Rebuild the mapping rows.
+     */
+    render() {
+        const list = this._list;
+        list.innerHTML = '';
+
+        this._mappings.forEach((m, index) => {
+            const row = document.createElement('div');
+            row.className = 'gesture-mapping';
+
+            const edit = (changes) => {
+                Object.assign(this._mappings[index], changes);
+                this._onChange();
+            };
+
+            const source = document.createElement('select');
+            for (const s of GESTURE_SOURCES) source.add(new Option(GESTURE_SOURCE_LABELS[s], s));
+            source.value = m.source;
+            source.title = 'Gesture source';
+            source.addEventListener('change', () => edit({ source: source.value }));
+
+            const arrow = document.createElement('span');
+            arrow.className = 'gesture-mapping-arrow';
+            arrow.textContent = '\u2192'; // →
+
+            const target = document.createElement('select');
+            for (const t of MAPPING_TARGETS) target.add(new Option(MAPPING_TARGET_LABELS[t], t));
+            target.value = m.target;
+            target.title = 'Parameter';
+            target.addEventListener('change', () => edit({ target: target.value }));
+
+            row.append(source, arrow, target);
+
+            for (const key of ['min', 'max']) {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = '0';
+                slider.max = '1';
+                slider.step = '0.01';
+                slider.value = String(m[key]);
+                slider.title = key === 'min'
+                    ? 'Output at the bottom of the gesture (share of the parameter range)'
+                    : 'Output at the top of the gesture (share of the parameter range)';
+                slider.addEventListener('input', () => edit({ [key]: parseFloat(slider.value) }));
+                row.appendChild(slider);
+            }
+
+            const curve = document.createElement('select');
+            for (const c of CURVE_NAMES) curve.add(new Option(CURVE_LABELS[c], c));
+            curve.value = m.curve;
+            curve.title = 'Response curve';
+            curve.addEventListener('change', () => edit({ curve: curve.value }));
+
+            const invert = document.createElement('label');
+            invert.className = 'gesture-mapping-invert';
+            invert.title = 'Invert the gesture';
+            const invertBox = document.createElement('input');
+            invertBox.type = 'checkbox';
+            invertBox.checked = m.invert;
+            invertBox.addEventListener('change', () => edit({ invert: invertBox.checked }));
+            invert.append(invertBox, 'Inv');
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'gesture-mapping-remove';
+            remove.textContent = '\u00D7'; // ×
+            remove.title = 'Remove mapping';
+            remove.addEventListener('click', () => {
+                this._mappings.splice(index, 1);
+                this.render();
+                this._onChange();
+            });
+
+            row.append(curve, invert, remove);
+            list.appendChild(row);
+        });
+
+        list.hidden = this._mappings.length === 0;
+    }
+}
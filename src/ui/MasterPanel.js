@@ -0,0 +1,178 @@
+// MasterPanel.js — Global "Master" section of the panel: controls that act on
+// the shared MasterBus rather than on the active instance (aux bus returns,
+// limiter and soft clipper), plus how many recording undo steps each tab keeps.
+// Not swapped on tab switch; its state is saved at the session level.
+
+import { expMap, invExpMap } from '../utils/math.js';
+
+const percent = v => `${Math.round(v * 100)}%`;
+const hertz = v => `${Math.round(v)} Hz`;
+
+/** Aux bus slider descriptors (same conversion scheme as EffectsPanel). */
+const AUX_SLIDERS = [
+    { bus: 'reverb', key: 'level',    format: percent },
+    { bus: 'reverb', key: 'decay',    format: v => `${v.toFixed(1)} s` },
+    { bus: 'reverb', key: 'tone',     format: hertz,
+        toValue: n => expMap(n, 500, 16000), fromValue: v => invExpMap(v, 500, 16000) },
+    { bus: 'delay',  key: 'level',    format: percent },
+    { bus: 'delay',  key: 'feedback', format: percent },
+    { bus: 'delay',  key: 'damping',  format: hertz,
+        toValue: n => expMap(n, 500, 16000), fromValue: v => invExpMap(v, 500, 16000) },
+];
+
+/** Limiter / clipper slider descriptors (element ids: master-{key}). */
+const MASTERING_SLIDERS = [
+    { key: 'threshold', format: v => `${v.toFixed(1)} dB` },
+    { key: 'release',   format: v => `${Math.round(v * 1000)} ms`,
+        toValue: n => expMap(n, 0.01, 1), fromValue: v => invExpMap(v, 0.01, 1) },
+    { key: 'ceiling',   format: v => `${v.toFixed(1)} dB` },
+];
+
+/** Limiter / clipper select keys (element ids: master-{key}). */
+const MASTERING_SELECTS = ['clip', 'oversample'];
+
+export class MasterPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {(settings: import('../audio/AuxBus.js').AuxBusSettings) => void} callbacks.onAuxChange
+     * @param {(settings: import('../audio/Mastering.js').MasteringSettings) => void} callbacks.onMasteringChange
+     * @param {(depth: number) => void} callbacks.onHistoryDepthChange
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+
+        const fire = () => this.callbacks.onAuxChange(this.getAuxState());
+
+        this._auxSliders = AUX_SLIDERS.map((desc) => {
+            const slider = document.getElementById(`aux-${desc.bus}-${desc.key}`);
+            const display = document.getElementById(`val-aux-${desc.bus}-${desc.key}`);
+            const entry = { ...desc, slider, display };
+            slider.addEventListener('input', () => {
+                this._updateDisplay(entry);
+                fire();
+            });
+            return entry;
+        });
+
+        this._delayDivisor = document.getElementById('aux-delay-divisor');
+        this._delayDivisor.addEventListener('change', fire);
+
+        const fireMastering = () => this.callbacks.onMasteringChange(this.getMasteringState());
+
+        this._masteringSliders = MASTERING_SLIDERS.map((desc) => {
+            const slider = document.getElementById(`master-${desc.key}`);
+            const display = document.getElementById(`val-master-${desc.key}`);
+            const entry = { ...desc, slider, display };
+            slider.addEventListener('input', () => {
+                this._updateDisplay(entry);
+                fireMastering();
+            });
+            return entry;
+        });
+
+        this._masteringSelects = MASTERING_SELECTS.map((key) => {
+            const select = document.getElementById(`master-${key}`);
+            select.addEventListener('change', () => {
+                this._updateCeilingEnabled();
+                fireMastering();
+            });
+            return { key, select };
+        });
+
+        this._historyDepth = document.getElementById('history-depth');
+        this._historyDepthDisplay = document.getElementById('val-history-depth');
+        this._historyDepth.addEventListener('input', () => {
+            this._historyDepthDisplay.textContent = this._historyDepth.value;
+            this.callbacks.onHistoryDepthChange(this.getHistoryDepth());
+        });
+    }
+
+    /**
+     * Read the number of undo steps kept per recording.
+     * @returns {number}
+     */
+    getHistoryDepth() {
+        return parseInt(this._historyDepth.value, 10);
+    }
+
+    /**
+     * Show the number of undo steps kept. Does not fire onHistoryDepthChange.
+     * @param {number} depth
+     */
+    setHistoryDepth(depth) {
+        this._historyDepth.value = depth;
+        this._historyDepthDisplay.textContent = this._historyDepth.value;
+    }
+
+    /**
+     * Read the aux bus settings shown in the controls.
+     * @returns {import('../audio/AuxBus.js').AuxBusSettings}
+     */
+    getAuxState() {
+        const state = { reverb: {}, delay: {} };
+        for (const s of this._auxSliders) {
+            state[s.bus][s.key] = this._readSlider(s);
+        }
+        state.delay.divisor = parseInt(this._delayDivisor.value, 10);
+        return state;
+    }
+
+    /**
+     * Show the given aux bus settings. Does not fire onAuxChange.
+     * @param {import('../audio/AuxBus.js').AuxBusSettings} settings
+     */
+    setAuxState(settings) {
+        for (const s of this._auxSliders) {
+            const value = settings[s.bus][s.key];
+            s.slider.value = s.fromValue ? s.fromValue(value) : value;
+            this._updateDisplay(s);
+        }
+        this._delayDivisor.value = settings.delay.divisor;
+    }
+
+    /**
+     * Read the limiter / clipper settings shown in the controls.
+     * @returns {import('../audio/Mastering.js').MasteringSettings}
+     */
+    getMasteringState() {
+        const state = {};
+        for (const s of this._masteringSliders) state[s.key] = this._readSlider(s);
+        for (const { key, select } of this._masteringSelects) state[key] = select.value;
+        return /** @type {import('../audio/Mastering.js').MasteringSettings} */ (state);
+    }
+
+    /**
+     * Show the given limiter / clipper settings. Does not fire onMasteringChange.
+     * @param {import('../audio/Mastering.js').MasteringSettings} settings
+     */
+    setMasteringState(settings) {
+        for (const s of this._masteringSliders) {
+            const value = settings[s.key];
+            s.slider.value = s.fromValue ? s.fromValue(value) : value;
+            this._updateDisplay(s);
+        }
+        for (const { key, select } of this._masteringSelects) select.value = settings[key];
+        this._updateCeilingEnabled();
+    }
+
+    /**
+     * The ceiling is set by the clipper curve: with the clipper off it has
+     * no effect, so its slider is disabled.
+     * @private
+     */
+    _updateCeilingEnabled() {
+        const clip = this._masteringSelects.find(s => s.key === 'clip').select.value;
+        this._masteringSliders.find(s => s.key === 'ceiling').slider.disabled = clip === 'off';
+    }
+
+    /** @private */
+    _readSlider(s) {
+        const n = parseFloat(s.slider.value);
+        return s.toValue ? s.toValue(n) : n;
+    }
+
+    /** @private */
+    _updateDisplay(s) {
+        s.display.textContent = s.format(this._readSlider(s));
+    }
+}
@@ -0,0 +1,281 @@
+// MidiPanel.js — "MIDI Input" section of the panel: enables Web MIDI, edits
+// the note → voice mapping (poly/MPE mode, channel, root key, position source) and runs MIDI
+// learn (click a control, move a knob) plus the CC mapping list, and
+// toggles MIDI clock sync in and out.
+// Global like MasterPanel: not swapped on tab switch, saved at session level.
+
+import { semitonesToNoteName } from '../utils/musicalQuantizer.js';
+import { parseKeyMap, formatKeyMap } from '../input/MidiInput.js';
+import { CURVE_NAMES, CURVE_LABELS } from '../utils/curves.js';
+
+const noteName = v => `${semitonesToNoteName(v - 60)} (${v})`;
+
+/** Integer slider descriptors (element ids: midi-{id}). */
+const SLIDERS = [
+    { key: 'rootNote',   id: 'root-note',   format: noteName },
+    { key: 'keyLow',     id: 'key-low',     format: noteName },
+    { key: 'keyHigh',    id: 'key-high',    format: noteName },
+    { key: 'positionCC', id: 'position-cc', format: v => `CC ${v}` },
+    { key: 'bendRange',  id: 'bend-range',  format: v => `\u00B1${v} st` },
+];
+
+/** Checkbox descriptors (element ids: midi-{id}). */
+const TOGGLES = [
+    { key: 'clockIn',  id: 'clock-in' },
+    { key: 'clockOut', id: 'clock-out' },
+];
+
+export class MidiPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {(enabled: boolean) => void} callbacks.onEnable
+     * @param {(settings: import('../input/MidiInput.js').MidiSettings) => void} callbacks.onChange
+     * @param {(mappings: import('../input/MidiLearn.js').MidiMapping[]) => void} callbacks.onMappingsChange
+     * @param {import('../input/MidiLearn.js').MidiLearn} midiLearn
+     */
+    constructor(callbacks, midiLearn) {
+        this.callbacks = callbacks;
+        this.midiLearn = midiLearn;
+
+        const fire = () => this.callbacks.onChange(this.getState());
+
+        this._enabled = document.getElementById('midi-enabled');
+        this._status = document.getElementById('midi-status');
+        this._enabled.addEventListener('change', () => this.callbacks.onEnable(this._enabled.checked));
+
+        this._sliders = SLIDERS.map((desc) => {
+            const slider = document.getElementById(`midi-${desc.id}`);
+            const display = document.getElementById(`val-midi-${desc.id}`);
+            const entry = { ...desc, slider, display };
+            slider.addEventListener('input', () => {
+                this._updateDisplay(entry);
+                fire();
+            });
+            return entry;
+        });
+
+        this._toggles = TOGGLES.map((desc) => {
+            const checkbox = document.getElementById(`midi-${desc.id}`);
+            checkbox.addEventListener('change', fire);
+            return { ...desc, checkbox };
+        });
+
+        this._mode = document.getElementById('midi-mode');
+        this._mode.addEventListener('change', () => {
+            this._updateSourceVisibility();
+            fire();
+        });
+
+        this._channel = document.getElementById('midi-channel');
+        this._positionSource = document.getElementById('midi-position-source');
+        this._keyMap = document.getElementById('midi-keymap');
+        this._channel.addEventListener('change', fire);
+        this._positionSource.addEventListener('change', () => {
+            this._updateSourceVisibility();
+            fire();
+        });
+        // Reformat on commit so the field shows what was actually understood
+        this._keyMap.addEventListener('change', () => {
+            this._keyMap.value = formatKeyMap(parseKeyMap(this._keyMap.value));
+            fire();
+        });
+
+        this._updateSourceVisibility();
+
+        // --- MIDI learn ---
+        this._learnBtn = document.getElementById('midi-learn-btn');
+        this._learnHint = document.getElementById('midi-learn-hint');
+        this._mappingList = document.getElementById('midi-mappings');
+
+        /** True while a mapping row is being edited (skip re-rendering it). */
+        this._editing = false;
+
+        this._learnBtn.addEventListener('click', () => {
+            const learning = !midiLearn.learning;
+            // Learning needs live MIDI; switch it on rather than fail silently
+            if (learning && !this._enabled.checked) {
+                this._enabled.checked = true;
+                this.callbacks.onEnable(true);
+            }
+            midiLearn.setLearning(learning);
+        });
+
+        midiLearn.onStateChange = () => this._updateLearnState();
+        midiLearn.onMappingsChange = (mappings) => {
+            if (!this._editing) this.renderMappings();
+            this.callbacks.onMappingsChange(mappings);
+        };
+
+        // While learning, a click on a registered control arms it instead of
+        // operating it (capture phase, so the control never sees the event)
+        this._onLearnPointer = (e) => {
+            if (!midiLearn.learning) return;
+            const control = midiLearn.registry.findByElement(e.target);
+            if (!control) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.type === 'pointerdown') midiLearn.arm(control.id);
+        };
+        document.addEventListener('pointerdown', this._onLearnPointer, true);
+        document.addEventListener('click', this._onLearnPointer, true);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && midiLearn.learning) midiLearn.setLearning(false);
+        });
+
+        this.renderMappings();
+    }
+
+    /**
+     * Rebuild the CC mapping list from the MidiLearn mappings.
+     */
+    renderMappings() {
+        const list = this._mappingList;
+        list.innerHTML = '';
+
+        this.midiLearn.mappings.forEach((m, index) => {
+            const control = this.midiLearn.registry.get(m.controlId);
+            const row = document.createElement('div');
+            row.className = 'midi-mapping';
+
+            const name = document.createElement('span');
+            name.className = 'midi-mapping-name';
+            name.textContent = `CC ${m.controller} (ch ${m.channel}) \u2192 ${control ? control.label : m.controlId}`;
+            row.appendChild(name);
+
+            const edit = (changes) => {
+                this._editing = true;
+                this.midiLearn.updateMapping(index, changes);
+                this._editing = false;
+            };
+
+            for (const key of ['min', 'max']) {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = '0';
+                slider.max = '1';
+                slider.step = '0.01';
+                slider.value = String(m[key]);
+                slider.title = key === 'min' ? 'Control position at CC 0' : 'Control position at CC 127';
+                slider.addEventListener('input', () => edit({ [key]: parseFloat(slider.value) }));
+                row.appendChild(slider);
+            }
+
+            const curve = document.createElement('select');
+            for (const c of CURVE_NAMES) curve.add(new Option(CURVE_LABELS[c], c));
+            curve.value = m.curve;
+            curve.title = 'Response curve';
+            curve.addEventListener('change', () => edit({ curve: curve.value }));
+            row.appendChild(curve);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'midi-mapping-remove';
+            remove.textContent = '\u00D7'; // ×
+            remove.title = 'Remove mapping';
+            remove.addEventListener('click', () => this.midiLearn.removeMapping(index));
+            row.appendChild(remove);
+
+            list.appendChild(row);
+        });
+
+        list.hidden = this.midiLearn.mappings.length === 0;
+        if (this.midiLearn.learning) this._updateLearnState();
+    }
+
+    /**
+     * Read the settings shown in the controls.
+     * @returns {import('../input/MidiInput.js').MidiSettings}
+     */
+    getState() {
+        const state = {
+            enabled: this._enabled.checked,
+            mode: /** @type {'poly'|'mpe'} */ (this._mode.value),
+            channel: parseInt(this._channel.value, 10),
+            positionSource: /** @type {'keys'|'cc'} */ (this._positionSource.value),
+            keyMap: parseKeyMap(this._keyMap.value),
+        };
+        for (const s of this._sliders) state[s.key] = parseInt(s.slider.value, 10);
+        for (const t of this._toggles) state[t.key] = t.checkbox.checked;
+        return /** @type {import('../input/MidiInput.js').MidiSettings} */ (state);
+    }
+
+    /**
+     * Show the given settings. Does not fire callbacks.
+     * @param {import('../input/MidiInput.js').MidiSettings} settings
+     */
+    setState(settings) {
+        this._enabled.checked = settings.enabled;
+        this._mode.value = settings.mode;
+        this._channel.value = settings.channel;
+        this._positionSource.value = settings.positionSource;
+        this._keyMap.value = formatKeyMap(settings.keyMap);
+        for (const s of this._sliders) {
+            s.slider.value = settings[s.key];
+            this._updateDisplay(s);
+        }
+        for (const t of this._toggles) t.checkbox.checked = settings[t.key];
+        this._updateSourceVisibility();
+    }
+
+    /**
+     * Show connection status next to the enable toggle.
+     * @param {string} text
+     * @param {boolean} [active=false] - Highlight (inputs connected)
+     */
+    setStatus(text, active = false) {
+        this._status.textContent = text;
+        this._status.classList.toggle('active', active);
+    }
+
+    /**
+     * Reflect an enable attempt that failed (e.g. permission denied).
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this._enabled.checked = enabled;
+    }
+
+    /**
+     * Reflect learn mode: button state, hint text and control highlights.
+     * @private
+     */
+    _updateLearnState() {
+        const { learning, armedId, registry, mappings } = this.midiLearn;
+        document.body.classList.toggle('midi-learn', learning);
+        this._learnBtn.classList.toggle('active', learning);
+
+        const mapped = new Set(mappings.map(m => m.controlId));
+        for (const control of registry.list()) {
+            control.element.classList.toggle('midi-learnable', learning);
+            control.element.classList.toggle('midi-mapped', learning && mapped.has(control.id));
+            control.element.classList.toggle('midi-learn-armed', control.id === armedId);
+        }
+
+        if (!learning) {
+            this._learnHint.textContent = '';
+        } else if (armedId) {
+            this._learnHint.textContent = `Move a knob for ${registry.get(armedId).label}`;
+        } else {
+            this._learnHint.textContent = 'Click a control…';
+        }
+    }
+
+    /**
+     * Key range and key map only matter in 'keys' mode, the CC number only in
+     * 'cc'; the channel filter only in poly mode, the bend range only in MPE.
+     * @private
+     */
+    _updateSourceVisibility() {
+        const cc = this._positionSource.value === 'cc';
+        const mpe = this._mode.value === 'mpe';
+        for (const el of document.querySelectorAll('.midi-keys-only')) el.hidden = cc;
+        for (const el of document.querySelectorAll('.midi-cc-only')) el.hidden = !cc;
+        for (const el of document.querySelectorAll('.midi-poly-only')) el.hidden = mpe;
+        for (const el of document.querySelectorAll('.midi-mpe-only')) el.hidden = !mpe;
+    }
+
+    /** @private */
+    _updateDisplay(s) {
+        s.display.textContent = s.format(parseInt(s.slider.value, 10));
+    }
+}
@@ -0,0 +1,49 @@
+// OscPanel.js — "OSC Remote" section of the panel: bridge URL, enable toggle
+// and connection status. Global like MidiPanel, saved at session level.
+
+export class OscPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {(settings: import('../input/OscRemote.js').OscSettings) => void} callbacks.onChange
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+
+        this._enabled = document.getElementById('osc-enabled');
+        this._status = document.getElementById('osc-status');
+        this._url = document.getElementById('osc-url');
+
+        const fire = () => this.callbacks.onChange(this.getState());
+        this._enabled.addEventListener('change', fire);
+        this._url.addEventListener('change', () => {
+            this._url.value = this._url.value.trim();
+            fire();
+        });
+    }
+
+    /**
+     * @returns {import('../input/OscRemote.js').OscSettings}
+     */
+    getState() {
+        return { enabled: this._enabled.checked, url: this._url.value };
+    }
+
+    /**
+     * Show the given settings. Does not fire callbacks.
+     * @param {import('../input/OscRemote.js').OscSettings} settings
+     */
+    setState(settings) {
+        this._enabled.checked = settings.enabled;
+        this._url.value = settings.url;
+    }
+
+    /**
+     * Show connection status next to the enable toggle.
+     * @param {string} text
+     * @param {boolean} [active=false] - Highlight (connected)
+     */
+    setStatus(text, active = false) {
+        this._status.textContent = text;
+        this._status.classList.toggle('active', active);
+    }
+}
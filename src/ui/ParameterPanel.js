@@ -1,8 +1,12 @@
-// ParameterPanel.js — Reads grain parameter range sliders, gesture mapping selects,
+// ParameterPanel.js — Reads grain parameter range sliders, gesture mappings,
 // and single-value controls. All range parameters are normalized 0–1.
 
 import { ADSRWidget } from './ADSRWidget.js';
-import { expMap } from '../utils/math.js';
+import { EffectsPanel } from './EffectsPanel.js';
+import { MappingEditor } from './MappingEditor.js';
+import { expMap, clamp } from '../utils/math.js';
+import { createDefaultAxes, formatAxisValue } from '../utils/axisMapping.js';
+import { migrateMappings, mapsTo } from '../utils/gestureMapping.js';
 import {
     SUBDIVISIONS, getSubdivisionSeconds, getPermutations, applyArpType,
     buildNoteTable, selectArpNotes, semitonesToNoteName, SCALES,
@@ -18,7 +22,11 @@ import {
  * @property {number} spreadMax     - Normalized 0–1
  * @property {number} pan           - Stereo pan (-1 to 1)
  * @property {string} envelope      - Window function name
- * @property {Object} mappings      - Gesture → parameter target mappings
+ * @property {import('../utils/gestureMapping.js').GestureMapping[]} mappings - Gesture → parameter mappings
+ * @property {{ x: import('../utils/axisMapping.js').AxisMapping, y: import('../utils/axisMapping.js').AxisMapping }} axes
+ *           - What the canvas X and Y axes control
+ * @property {boolean} compoundGestures - Two fingers form one pinch/rotate/drag gesture
+ * @property {{ position: number, pitch: number, amplitude: number }} glide - Glide times in seconds
  */
 
 /** Range parameter descriptors (min/max sliders, normalized 0–1). */
@@ -52,11 +60,27 @@ const RANGE_PARAMS = [
 /** Simple slider descriptors. */
 const SIMPLE_SLIDERS = [
     { id: 'param-volume', valId: 'val-volume', format: v => parseFloat(v).toFixed(2) },
+    { id: 'param-glide-position', valId: 'val-glide-position', format: v => `${v} ms` },
+    { id: 'param-glide-pitch', valId: 'val-glide-pitch', format: v => `${v} ms` },
+    { id: 'param-glide-amplitude', valId: 'val-glide-amplitude', format: v => `${v} ms` },
 ];
 
-/** Gesture mapping select element IDs and their keys. */
-const MAPPING_IDS   = ['map-pressure', 'map-contact-size', 'map-velocity'];
-const MAPPING_KEYS  = ['pressure',     'contactSize',      'velocity'];
+/** Glide time sliders (ms) by the voice param they smooth. */
+const GLIDE_SLIDERS = { position: 'param-glide-position', pitch: 'param-glide-pitch', amplitude: 'param-glide-amplitude' };
+
+/** Labels for remote control (MIDI learn) of each range param. */
+const RANGE_LABELS = { grainSize: 'Grain Size', density: 'Density', spread: 'Spread', pan: 'Pan' };
+
+/** ADSR stages for remote control: widget key, label, range. */
+const ADSR_CONTROLS = [
+    { key: 'a', id: 'adsrAttack',  label: 'Attack',  min: 0.01, max: 0.5 },
+    { key: 'd', id: 'adsrDecay',   label: 'Decay',   min: 0.01, max: 0.5 },
+    { key: 's', id: 'adsrSustain', label: 'Sustain', min: 0,    max: 1 },
+    { key: 'r', id: 'adsrRelease', label: 'Release', min: 0.01, max: 0.5 },
+];
+
+/** Canvas axes (element ids: axis-{key}-target/min/max/curve/invert). */
+const AXIS_KEYS = ['x', 'y'];
 
 export class ParameterPanel {
     /**
@@ -64,6 +88,8 @@ export class ParameterPanel {
      * @param {object} callbacks
      * @param {(params: GrainParams) => void} callbacks.onChange - Called when any grain param changes
      * @param {(volume: number) => void} callbacks.onVolumeChange - Called when master volume changes
+     * @param {(effects: Object) => void} callbacks.onEffectsChange - Called when an insert effect setting changes
+     * @param {(sends: Object) => void} callbacks.onSendsChange - Called when an aux send level changes
      */
     constructor(panelEl, callbacks) {
         this.panelEl = panelEl;
@@ -124,14 +150,49 @@ export class ParameterPanel {
         // Initialize ADSR widget if custom envelope is the default
         this._updateADSRVisibility();
 
-        // --- Gesture mapping selects ---
-        this._mappingSelects = {};
-        for (let i = 0; i < MAPPING_IDS.length; i++) {
-            const select = document.getElementById(MAPPING_IDS[i]);
-            this._mappingSelects[MAPPING_KEYS[i]] = select;
-            select.addEventListener('change', () => {
+        // --- Gesture mappings ---
+        this._mappingEditor = new MappingEditor({
+            sources: document.getElementById('gesture-sources'),
+            list: document.getElementById('gesture-mappings'),
+            addButton: document.getElementById('gesture-mapping-add'),
+        }, () => this.callbacks.onChange(this.getParams()));
+
+        this._compoundGestures = document.getElementById('compound-gestures');
+        this._compoundGestures.addEventListener('change', () => this.callbacks.onChange(this.getParams()));
+
+        // --- Canvas axis mapping ---
+        this._axes = {};
+        for (const key of AXIS_KEYS) {
+            const el = (part) => document.getElementById(`axis-${key}-${part}`);
+            const axis = {
+                target: el('target'),
+                min: el('min'),
+                max: el('max'),
+                minDisplay: document.getElementById(`val-axis-${key}-min`),
+                maxDisplay: document.getElementById(`val-axis-${key}-max`),
+                curve: el('curve'),
+                invert: el('invert'),
+                details: panelEl.querySelectorAll(`.axis-${key}-detail`),
+            };
+            this._axes[key] = axis;
+
+            const changed = () => {
+                this._updateAxisDisplay(key);
                 this.callbacks.onChange(this.getParams());
+            };
+            // Constrain: from ≤ to (the invert toggle flips direction)
+            axis.min.addEventListener('input', () => {
+                if (parseFloat(axis.min.value) > parseFloat(axis.max.value)) axis.max.value = axis.min.value;
+                changed();
             });
+            axis.max.addEventListener('input', () => {
+                if (parseFloat(axis.max.value) < parseFloat(axis.min.value)) axis.min.value = axis.max.value;
+                changed();
+            });
+            axis.target.addEventListener('change', changed);
+            axis.curve.addEventListener('change', changed);
+            axis.invert.addEventListener('change', changed);
+            this._updateAxisDisplay(key);
         }
 
         // --- Gesture indicators (visual feedback on range sliders) ---
@@ -279,6 +340,12 @@ export class ParameterPanel {
             this.callbacks.onChange(this.getParams());
         });
 
+        // --- Insert effects + aux sends section ---
+        this._effectsPanel = new EffectsPanel({
+            onChange: (effects) => this.callbacks.onEffectsChange(effects),
+            onSendsChange: (sends) => this.callbacks.onSendsChange(sends),
+        });
+
         // --- DOM references for param-relevance dimming ---
         // Min range rows (dimmed when no randomization or gesture targets the param)
         this._grainSizeMinRow = this._ranges.grainSize.minSlider.closest('.range-row');
@@ -525,6 +592,54 @@ export class ParameterPanel {
         }
     }
 
+    /**
+     * Register the remotely controllable parameters (MIDI learn targets).
+     * Changes go through the same listeners and callbacks as the UI.
+     * @param {import('./ControlRegistry.js').ControlRegistry} registry
+     */
+    registerControls(registry) {
+        for (const rp of RANGE_PARAMS) {
+            const { minSlider, maxSlider } = this._ranges[rp.name];
+            registry.registerSlider(`${rp.name}Min`, `${RANGE_LABELS[rp.name]} min`, minSlider);
+            registry.registerSlider(`${rp.name}Max`, `${RANGE_LABELS[rp.name]} max`, maxSlider);
+        }
+        registry.registerSlider('volume', 'Volume', this._sliders['param-volume'].slider);
+        registry.registerSlider('glidePosition', 'Glide Position', this._sliders[GLIDE_SLIDERS.position].slider);
+        registry.registerSlider('glidePitch', 'Glide Pitch', this._sliders[GLIDE_SLIDERS.pitch].slider);
+        registry.registerSlider('glideAmplitude', 'Glide Amplitude', this._sliders[GLIDE_SLIDERS.amplitude].slider);
+        registry.registerSlider('pitchRange', 'Pitch Range', this._pitchRangeSlider);
+
+        // ADSR lives in a canvas: each stage gets its own learn target chip
+        for (const stage of ADSR_CONTROLS) {
+            registry.register(stage.id, {
+                label: stage.label,
+                element: this.panelEl.querySelector(`.midi-learn-target[data-adsr="${stage.key}"]`),
+                set: (n) => {
+                    // Only meaningful with the custom envelope (widget exists)
+                    if (!this._adsrWidget) return;
+                    const state = this._adsrWidget.getState();
+                    state[stage.key] = stage.min + clamp(n, 0, 1) * (stage.max - stage.min);
+                    this._adsrWidget.setState(state);
+                    this.callbacks.onChange(this.getParams());
+                },
+            });
+        }
+
+        registry.register('arpStyle', {
+            label: 'Arp Shape',
+            element: this._arpStyleGroup,
+            set: (n) => {
+                const steps = parseInt(this._arpStepsSlider.value, 10);
+                const count = getPermutations(steps).length;
+                const index = Math.round(clamp(n, 0, 1) * (count - 1));
+                if (index === this._arpStyleIndex) return;
+                this._arpStyleIndex = index;
+                this._updateArpStyleDisplay();
+                this.callbacks.onChange(this.getParams());
+            },
+        });
+    }
+
     /**
      * Read current grain parameters from all controls.
      * Range values are normalized 0–1 (conversion to engine units is external).
@@ -546,10 +661,16 @@ export class ParameterPanel {
             adsr: (envelope === 'custom' && this._adsrWidget)
                 ? this._adsrWidget.getState()
                 : null,
-            mappings: {
-                pressure:    this._mappingSelects.pressure.value,
-                contactSize: this._mappingSelects.contactSize.value,
-                velocity:    this._mappingSelects.velocity.value,
+            mappings: this._mappingEditor.getMappings(),
+            axes: {
+                x: this._readAxis('x'),
+                y: this._readAxis('y'),
+            },
+            compoundGestures: this._compoundGestures.checked,
+            glide: {
+                position:  parseFloat(this._sliders[GLIDE_SLIDERS.position].slider.value) / 1000,
+                pitch:     parseFloat(this._sliders[GLIDE_SLIDERS.pitch].slider.value) / 1000,
+                amplitude: parseFloat(this._sliders[GLIDE_SLIDERS.amplitude].slider.value) / 1000,
             },
         };
     }
@@ -597,6 +718,8 @@ export class ParameterPanel {
             ...m,
             volume: parseFloat(this._sliders['param-volume'].slider.value),
             adsr,
+            effects: this._effectsPanel.getState(),
+            sends: this._effectsPanel.getSends(),
         };
     }
 
@@ -622,6 +745,11 @@ export class ParameterPanel {
         // --- Simple sliders ---
         this._sliders['param-volume'].slider.value = state.volume;
         this._sliders['param-volume'].display.textContent = parseFloat(state.volume).toFixed(2);
+        for (const [name, id] of Object.entries(GLIDE_SLIDERS)) {
+            const { slider, display, format } = this._sliders[id];
+            slider.value = Math.round((state.glide?.[name] ?? 0) * 1000);
+            display.textContent = format(slider.value);
+        }
 
         // --- Envelope ---
         this._envelopeSelect.value = state.envelope;
@@ -669,12 +797,25 @@ export class ParameterPanel {
         this._pitchRangeDisplay.textContent = `\u00B1${state.pitchRange} oct`;
 
         // --- Gesture mappings ---
-        if (state.mappings) {
-            this._mappingSelects.pressure.value = state.mappings.pressure;
-            this._mappingSelects.contactSize.value = state.mappings.contactSize;
-            this._mappingSelects.velocity.value = state.mappings.velocity;
+        this._mappingEditor.setMappings(migrateMappings(state.mappings));
+        this._compoundGestures.checked = state.compoundGestures || false;
+
+        // --- Canvas axes (sessions from before axis mapping get the original layout) ---
+        const axes = state.axes || createDefaultAxes();
+        for (const key of AXIS_KEYS) {
+            const axis = this._axes[key];
+            axis.target.value = axes[key].target;
+            axis.min.value = axes[key].min;
+            axis.max.value = axes[key].max;
+            axis.curve.value = axes[key].curve;
+            axis.invert.checked = axes[key].invert;
+            this._updateAxisDisplay(key);
         }
 
+        // --- Insert effects ---
+        if (state.effects) this._effectsPanel.setState(state.effects);
+        if (state.sends) this._effectsPanel.setSends(state.sends);
+
         // --- Update visibility states (must happen before ADSR restore
         //     so the widget is created if switching to custom envelope) ---
         this._updateADSRVisibility();
@@ -692,6 +833,37 @@ export class ParameterPanel {
         this._updateRangeDisplay('pan');
     }
 
+    /**
+     * Read one canvas axis mapping from its controls.
+     * @param {'x'|'y'} key
+     * @returns {import('../utils/axisMapping.js').AxisMapping}
+     * @private
+     */
+    _readAxis(key) {
+        const axis = this._axes[key];
+        return {
+            target: axis.target.value,
+            min: parseFloat(axis.min.value),
+            max: parseFloat(axis.max.value),
+            invert: axis.invert.checked,
+            curve: axis.curve.value,
+        };
+    }
+
+    /**
+     * Show an axis range in its target's units; dim the details when the
+     * axis controls nothing.
+     * @param {'x'|'y'} key
+     * @private
+     */
+    _updateAxisDisplay(key) {
+        const axis = this._axes[key];
+        const target = axis.target.value;
+        axis.minDisplay.textContent = formatAxisValue(target, parseFloat(axis.min.value));
+        axis.maxDisplay.textContent = formatAxisValue(target, parseFloat(axis.max.value));
+        for (const el of axis.details) el.classList.toggle('param-inactive', target === 'none');
+    }
+
     /**
      * Update display labels for a range parameter.
      * Density uses subdivision labels when quantized.
@@ -766,7 +938,7 @@ export class ParameterPanel {
     /**
      * Update gesture indicator positions on range sliders.
      * @param {Object} resolvedNormals - e.g. { grainSize: 0.65, density: 0.4 }
-     *        Only keys with active gesture mappings are present.
+     *        Only keys driven by a canvas axis or gesture mapping are present.
      */
     updateGestureIndicators(resolvedNormals) {
         for (const rp of RANGE_PARAMS) {
@@ -859,11 +1031,11 @@ export class ParameterPanel {
      */
     updateParamRelevance() {
         const m = this.getMusicalParams();
-        const mappings = this.getParams().mappings;
+        const { mappings, axes } = this.getParams();
 
-        /** True if any gesture dimension is mapped to the given target. */
+        /** True if any gesture mapping or canvas axis drives the given target. */
         const hasMapping = (target) =>
-            Object.values(mappings).some(t => t === target);
+            mapsTo(mappings, target) || axes.x.target === target || axes.y.target === target;
 
         // --- Min range rows: active when randomized OR gesture-mapped ---
         const gsMinActive  = m.randomGrainSize || hasMapping('grainSize');
@@ -899,6 +1071,15 @@ export class ParameterPanel {
         if (this._adsrWidget) this._adsrWidget.onThemeChange();
     }
 
+    /**
+     * Update the live gesture source meters.
+     * @param {Object<string, number>|null} values - Live source values, or null when nothing plays
+     * @param {Object<string, boolean>} capabilities - Sources the device has reported
+     */
+    updateGestureMeters(values, capabilities) {
+        this._mappingEditor.updateSources(values, capabilities);
+    }
+
     /** Hide all gesture indicators (e.g. when no pointers are active). */
     hideGestureIndicators() {
         for (const name in this._indicators) {
@@ -0,0 +1,82 @@
+// RenderDialog.js — Modal form for offline WAV rendering options.
+// Collects loop count, tail, sample rate and bit depth, and shows progress.
+
+export class RenderDialog {
+    /**
+     * @param {HTMLDialogElement} dialogEl - The #render-dialog element
+     * @param {Object} callbacks
+     * @param {(options: { loops: number, tail: number, sampleRate: number, bitDepth: 16|24|32 }) => Promise<void>} callbacks.onRender
+     */
+    constructor(dialogEl, callbacks) {
+        this._dialog = dialogEl;
+        this._callbacks = callbacks;
+
+        this._loopsInput = dialogEl.querySelector('#render-loops');
+        this._tailInput = dialogEl.querySelector('#render-tail');
+        this._sampleRateSelect = dialogEl.querySelector('#render-sample-rate');
+        this._bitDepthSelect = dialogEl.querySelector('#render-bit-depth');
+        this._progressFill = dialogEl.querySelector('#render-progress-fill');
+        this._startBtn = dialogEl.querySelector('#render-start');
+        this._cancelBtn = dialogEl.querySelector('#render-cancel');
+
+        /** True while a render is in progress (dialog cannot be dismissed). */
+        this.busy = false;
+
+        this._startBtn.addEventListener('click', () => this._start());
+        this._cancelBtn.addEventListener('click', () => this.close());
+
+        // Escape would close the dialog mid-render; block it while busy
+        dialogEl.addEventListener('cancel', (e) => {
+            if (this.busy) e.preventDefault();
+        });
+    }
+
+    /** Show the dialog. */
+    open() {
+        this.setProgress(0);
+        this._dialog.showModal();
+    }
+
+    /** Hide the dialog (ignored while rendering). */
+    close() {
+        if (this.busy) return;
+        this._dialog.close();
+    }
+
+    /**
+     * Update the progress bar.
+     * @param {number} fraction - 0–1
+     */
+    setProgress(fraction) {
+        this._progressFill.style.width = `${Math.round(fraction * 100)}%`;
+    }
+
+    /**
+     * Read the current form values.
+     * @returns {{ loops: number, tail: number, sampleRate: number, bitDepth: 16|24|32 }}
+     */
+    getOptions() {
+        return {
+            loops: Math.max(1, parseInt(this._loopsInput.value, 10) || 1),
+            tail: Math.max(0, parseFloat(this._tailInput.value) || 0),
+            sampleRate: parseInt(this._sampleRateSelect.value, 10),
+            bitDepth: /** @type {16|24|32} */ (parseInt(this._bitDepthSelect.value, 10)),
+        };
+    }
+
+    /** @private */
+    async _start() {
+        if (this.busy) return;
+        this.busy = true;
+        this._startBtn.disabled = true;
+        this._cancelBtn.disabled = true;
+        try {
+            await this._callbacks.onRender(this.getOptions());
+        } finally {
+            this.busy = false;
+            this._startBtn.disabled = false;
+            this._cancelBtn.disabled = false;
+        }
+        this.close();
+    }
+}
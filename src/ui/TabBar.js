@@ -1,5 +1,8 @@
 // TabBar.js — Horizontal tab strip for switching between sampler instances.
-// Renders dynamically from a tab list array. Supports switch, close, rename, add.
+// Renders dynamically from a tab list array. Supports switch, close, rename, add,
+// and a compact mixer strip per tab (mute, solo, stereo pan, level meter).
+
+import { LevelMeter } from './LevelMeter.js';
 
 export class TabBar {
     /**
@@ -10,6 +13,10 @@ export class TabBar {
      * @param {(id: string) => void} callbacks.onClose
      * @param {(id: string, name: string) => void} callbacks.onRename
      * @param {() => void} callbacks.onAdd
+     * @param {(id: string, muted: boolean) => void} callbacks.onMute
+     * @param {(id: string, soloed: boolean) => void} callbacks.onSolo
+     * @param {(id: string, pan: number) => void} callbacks.onPan
+     * @param {(id: string) => AnalyserNode|null} callbacks.getAnalyser - Meter source per tab
      */
     constructor(listEl, addBtn, callbacks) {
         this._listEl = listEl;
@@ -17,21 +24,28 @@ export class TabBar {
         this._callbacks = callbacks;
         this._tabCount = 0;
 
+        /** @type {LevelMeter[]} Meters for the currently rendered tabs */
+        this._meters = [];
+
         addBtn.addEventListener('click', () => callbacks.onAdd());
     }
 
     /**
      * Re-render all tabs from the provided list.
-     * @param {Array<{ id: string, name: string, isActive: boolean }>} tabs
+     * @param {Array<{ id: string, name: string, isActive: boolean, muted: boolean, soloed: boolean, audible: boolean, stereoPan: number }>} tabs
      */
     render(tabs) {
         this._tabCount = tabs.length;
         this._listEl.innerHTML = '';
+        this._meters = [];
 
         for (const tab of tabs) {
-            const btn = document.createElement('button');
-            btn.className = 'tab-item' + (tab.isActive ? ' tab-active' : '');
-            btn.type = 'button';
+            // A div, not a <button>: the mixer strip nests interactive controls
+            const btn = document.createElement('div');
+            btn.className = 'tab-item' + (tab.isActive ? ' tab-active' : '')
+                + (tab.audible ? '' : ' tab-silent');
+            btn.setAttribute('role', 'tab');
+            btn.tabIndex = 0;
             btn.dataset.tabId = tab.id;
 
             // Tab label
@@ -40,6 +54,8 @@ export class TabBar {
             label.textContent = tab.name;
             btn.appendChild(label);
 
+            btn.appendChild(this._createMixerStrip(tab));
+
             // Close button (hidden when only 1 tab)
             if (tabs.length > 1) {
                 const close = document.createElement('span');
@@ -53,10 +69,13 @@ export class TabBar {
                 btn.appendChild(close);
             }
 
-            // Click to switch
+            // Click (or Enter) to switch
             btn.addEventListener('click', () => {
                 this._callbacks.onSwitch(tab.id);
             });
+            btn.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target === btn) this._callbacks.onSwitch(tab.id);
+            });
 
             // Double-click to rename
             btn.addEventListener('dblclick', (e) => {
@@ -70,4 +89,71 @@ export class TabBar {
             this._listEl.appendChild(btn);
         }
     }
+
+    /**
+     * Refresh every tab's level meter. Call once per animation frame.
+     * @param {number} [now] - performance.now() timestamp
+     */
+    updateMeters(now = performance.now()) {
+        for (const meter of this._meters) meter.update(now);
+    }
+
+    /**
+     * Build the mute / solo / pan controls and level meter for one tab. Events stop at the
+     * strip so using a control does not also switch tabs.
+     * @param {{ id: string, muted: boolean, soloed: boolean, stereoPan: number }} tab
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createMixerStrip(tab) {
+        const strip = document.createElement('span');
+        strip.className = 'tab-mixer';
+        for (const type of ['click', 'dblclick', 'pointerdown', 'keydown']) {
+            strip.addEventListener(type, (e) => e.stopPropagation());
+        }
+
+        const mute = document.createElement('button');
+        mute.type = 'button';
+        mute.className = 'tab-mute' + (tab.muted ? ' active' : '');
+        mute.textContent = 'M';
+        mute.title = 'Mute';
+        mute.addEventListener('click', () => this._callbacks.onMute(tab.id, !tab.muted));
+        strip.appendChild(mute);
+
+        const solo = document.createElement('button');
+        solo.type = 'button';
+        solo.className = 'tab-solo' + (tab.soloed ? ' active' : '');
+        solo.textContent = 'S';
+        solo.title = 'Solo';
+        solo.addEventListener('click', () => this._callbacks.onSolo(tab.id, !tab.soloed));
+        strip.appendChild(solo);
+
+        const pan = document.createElement('input');
+        pan.type = 'range';
+        pan.className = 'tab-pan';
+        pan.min = '-1';
+        pan.max = '1';
+        pan.step = '0.01';
+        pan.value = String(tab.stereoPan);
+        pan.title = 'Pan (double-click to center)';
+        pan.addEventListener('input', () => this._callbacks.onPan(tab.id, parseFloat(pan.value)));
+        pan.addEventListener('dblclick', () => {
+            pan.value = '0';
+            this._callbacks.onPan(tab.id, 0);
+        });
+        strip.appendChild(pan);
+
+        // Post-fader peak/RMS meter
+        const analyser = this._callbacks.getAnalyser(tab.id);
+        if (analyser) {
+            const meter = document.createElement('span');
+            meter.className = 'tab-meter';
+            meter.title = 'Level (peak / RMS)';
+            meter.innerHTML = '<span class="level-meter-fill"></span><span class="level-meter-peak"></span>';
+            strip.appendChild(meter);
+            this._meters.push(new LevelMeter(meter, analyser));
+        }
+
+        return strip;
+    }
 }
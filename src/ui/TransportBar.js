@@ -19,6 +19,8 @@ export class TransportBar {
      * @param {HTMLButtonElement} els.playBtn
      * @param {HTMLButtonElement} els.stopBtn
      * @param {HTMLButtonElement} els.loopBtn
+     * @param {HTMLButtonElement} els.clearBtn
+     * @param {HTMLButtonElement} els.editBtn
      * @param {HTMLElement} els.timeDisplay
      * @param {HTMLElement} els.progressBar
      */
@@ -68,12 +70,21 @@ export class TransportBar {
         /** Called when the user toggles Loop. */
         this.onLoopToggle = null;
 
+        /** Called when the user clicks Clear (discard the recording). */
+        this.onClear = null;
+
+        /** Called when the user clicks Edit (open the event editor). */
+        this.onEdit = null;
+
         /**
          * Called when loop start/end points change.
          * @type {((startFrac: number, endFrac: number) => void)|null}
          */
         this.onLoopRangeChange = null;
 
+        /** Called when a loop handle drag ends (one undo step per drag). */
+        this.onLoopRangeCommit = null;
+
         // --- Button event listeners ---
 
         els.recordBtn.addEventListener('click', () => {
@@ -98,6 +109,14 @@ export class TransportBar {
             this._updateLoopVisual();
         });
 
+        els.clearBtn.addEventListener('click', () => {
+            if (this.onClear) this.onClear();
+        });
+
+        els.editBtn.addEventListener('click', () => {
+            if (this.onEdit) this.onEdit();
+        });
+
         // --- Loop handle drag ---
         this._onHandlePointerMove = this._onHandlePointerMove.bind(this);
         this._onHandlePointerUp = this._onHandlePointerUp.bind(this);
@@ -146,6 +165,7 @@ export class TransportBar {
         this._draggingHandle = null;
         document.removeEventListener('pointermove', this._onHandlePointerMove);
         document.removeEventListener('pointerup', this._onHandlePointerUp);
+        if (this.onLoopRangeCommit) this.onLoopRangeCommit();
     }
 
     /** Update visual positions of loop handles and region. @private */
@@ -301,7 +321,7 @@ export class TransportBar {
 
     /** @private */
     _updateButtons() {
-        const { recordBtn, overdubBtn, playBtn, stopBtn, loopBtn } = this._els;
+        const { recordBtn, overdubBtn, playBtn, stopBtn, loopBtn, clearBtn, editBtn } = this._els;
 
         // Clear all state classes first
         recordBtn.classList.remove('recording', 'armed');
@@ -365,6 +385,11 @@ export class TransportBar {
                 loopBtn.disabled = true;
                 break;
         }
+
+        // Only a recording at rest can be cleared
+        clearBtn.disabled = this.state !== 'idle' || !this._hasRecording;
+        // Editing is fine while the loop plays, not while it's being recorded
+        editBtn.disabled = !this._hasRecording || (this.state !== 'idle' && this.state !== 'playing');
     }
 
     /** @private */
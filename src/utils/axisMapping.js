@@ -0,0 +1,91 @@
+// axisMapping.js — What the canvas X and Y axes control. Each axis drives one
+// target over a part of that target's full scale, optionally inverted and
+// through a response curve, turning the waveform into an XY performance pad.
+// Axis values are normalized 0–1 on the target's full scale; resolveParams()
+// in main.js converts them to engine units.
+
+import { applyCurve } from './curves.js';
+import { expMap, lerp, clamp } from './math.js';
+
+/** Axis targets, in UI order. */
+export const AXIS_TARGETS = ['none', 'position', 'pitch', 'grainSize', 'density', 'spread', 'pan', 'amplitude'];
+
+/** Display labels for AXIS_TARGETS. */
+export const AXIS_TARGET_LABELS = {
+    none: 'None',
+    position: 'Position',
+    pitch: 'Pitch',
+    grainSize: 'Grain Size',
+    density: 'Density',
+    spread: 'Spread',
+    pan: 'Pan',
+    amplitude: 'Amplitude',
+};
+
+/** Octaves above and below unity covered by the full pitch scale. */
+export const AXIS_PITCH_OCTAVES = 2;
+
+/**
+ * @typedef {Object} AxisMapping
+ * @property {string} target - One of AXIS_TARGETS
+ * @property {number} min - Start of the used span, 0–1 of the target's full scale
+ * @property {number} max - End of the used span (≥ min)
+ * @property {boolean} invert - Flip the axis direction
+ * @property {string} curve - One of CURVE_NAMES
+ */
+
+/**
+ * The original layout: X scrubs the buffer, Y is pitch (up = higher, ±2 octaves).
+ * @returns {{ x: AxisMapping, y: AxisMapping }}
+ */
+export function createDefaultAxes() {
+    return {
+        x: { target: 'position', min: 0, max: 1, invert: false, curve: 'linear' },
+        y: { target: 'pitch', min: 0, max: 1, invert: false, curve: 'linear' },
+    };
+}
+
+/**
+ * Map an axis coordinate onto its target's scale.
+ * @param {AxisMapping} axis
+ * @param {number} coord - 0–1 along the axis (left → right, bottom → top)
+ * @returns {number} 0–1 on the target's full scale
+ */
+export function mapAxis(axis, coord) {
+    const v = clamp(axis.invert ? 1 - coord : coord, 0, 1);
+    return lerp(axis.min, axis.max, applyCurve(axis.curve, v));
+}
+
+/**
+ * Targets driven by a gesture's canvas coordinates. When both axes drive the
+ * same target, Y wins.
+ * @param {{ x: AxisMapping, y: AxisMapping }} axes
+ * @param {number} x - Gesture X, 0 left – 1 right
+ * @param {number} y - Gesture Y as pointers report it, 0 top – 1 bottom
+ * @returns {Object<string, number>} Target → 0–1 on its full scale
+ */
+export function resolveAxes(axes, x, y) {
+    const values = {};
+    if (axes.x.target !== 'none') values[axes.x.target] = mapAxis(axes.x, x);
+    if (axes.y.target !== 'none') values[axes.y.target] = mapAxis(axes.y, 1 - y);
+    return values;
+}
+
+/**
+ * Format a point on a target's full scale in the target's own units.
+ * @param {string} target - One of AXIS_TARGETS
+ * @param {number} n - 0–1
+ * @returns {string}
+ */
+export function formatAxisValue(target, n) {
+    switch (target) {
+        case 'pitch': {
+            const semitones = Math.round(lerp(-12, 12, n) * AXIS_PITCH_OCTAVES);
+            return `${semitones > 0 ? '+' : ''}${semitones} st`;
+        }
+        case 'grainSize': return `${Math.round(expMap(n, 1, 1000))} ms`;
+        case 'density':   return `${Math.round(expMap(n, 5, 500))} ms`;
+        case 'pan':       return lerp(-1, 1, n).toFixed(2);
+        default:          return n.toFixed(2);
+    }
+}
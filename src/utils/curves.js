@@ -0,0 +1,31 @@
+// curves.js — Response curves for mapping a normalized control input (0–1)
+// onto a parameter, e.g. a MIDI CC onto a slider.
+
+/** Curve names, in UI order. */
+export const CURVE_NAMES = ['linear', 'exponential', 'logarithmic', 'scurve'];
+
+/** Display labels for CURVE_NAMES. */
+export const CURVE_LABELS = {
+    linear: 'Linear',
+    exponential: 'Exp',
+    logarithmic: 'Log',
+    scurve: 'S-curve',
+};
+
+/**
+ * Shape a normalized value. Every curve maps 0 → 0 and 1 → 1.
+ * - exponential: fine control at the bottom of the range
+ * - logarithmic: fine control at the top
+ * - scurve: fine control at both ends (smoothstep)
+ * @param {string} curve - One of CURVE_NAMES (unknown names are linear)
+ * @param {number} x - 0–1
+ * @returns {number} 0–1
+ */
+export function applyCurve(curve, x) {
+    switch (curve) {
+        case 'exponential': return x * x;
+        case 'logarithmic': return Math.sqrt(x);
+        case 'scurve':      return x * x * (3 - 2 * x);
+        default:            return x;
+    }
+}
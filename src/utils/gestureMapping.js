@@ -0,0 +1,119 @@
+// gestureMapping.js — Gesture dimension → parameter mappings. A mapping takes
+// one gesture source (pressure, tilt, …; all normalized 0–1), optionally
+// inverts it, shapes it with a response curve and scales it into part of the
+// target's range. A source may drive several targets; when several mappings
+// drive the same target, the later one wins.
+
+import { applyCurve } from './curves.js';
+import { lerp, clamp } from './math.js';
+
+/** Gesture sources, in UI order. Sources a device doesn't report are skipped. */
+export const GESTURE_SOURCES = [
+    'pressure', 'contactSize', 'velocity', 'acceleration',
+    'tiltX', 'tiltY', 'twist', 'altitude', 'azimuth', 'pinch', 'rotation',
+];
+
+/** Display labels for GESTURE_SOURCES. */
+export const GESTURE_SOURCE_LABELS = {
+    pressure: 'Pressure',
+    contactSize: 'Contact Size',
+    velocity: 'Velocity',
+    acceleration: 'Acceleration',
+    tiltX: 'Tilt X',
+    tiltY: 'Tilt Y',
+    twist: 'Twist',
+    altitude: 'Altitude',
+    azimuth: 'Azimuth',
+    pinch: 'Pinch',
+    rotation: 'Rotation',
+};
+
+/** Mapping targets, in UI order. */
+export const MAPPING_TARGETS = ['grainSize', 'density', 'spread', 'pan', 'amplitude', 'pitch'];
+
+/** Display labels for MAPPING_TARGETS. */
+export const MAPPING_TARGET_LABELS = {
+    grainSize: 'Grain Size',
+    density: 'Density',
+    spread: 'Spread',
+    pan: 'Pan',
+    amplitude: 'Amplitude',
+    pitch: 'Pitch',
+};
+
+/**
+ * @typedef {Object} GestureMapping
+ * @property {string} source - One of GESTURE_SOURCES
+ * @property {string} target - One of MAPPING_TARGETS
+ * @property {number} min - Output at source 0 (0–1 of the target's panel range)
+ * @property {number} max - Output at source 1
+ * @property {boolean} invert - Flip the source before the curve
+ * @property {string} curve - One of CURVE_NAMES
+ */
+
+/**
+ * A new mapping over the full range.
+ * @param {string} [source='pressure']
+ * @param {string} [target='grainSize']
+ * @returns {GestureMapping}
+ */
+export function createMapping(source = 'pressure', target = 'grainSize') {
+    return { source, target, min: 0, max: 1, invert: false, curve: 'linear' };
+}
+
+/**
+ * Normalize stored mappings. Sessions from before mapping lists stored one
+ * target per source ({ pressure: 'grainSize', velocity: 'none', … }), where
+ * velocity → density was implicitly inverted (faster = denser).
+ * @param {GestureMapping[]|Object<string, string>|undefined} data
+ * @returns {GestureMapping[]}
+ */
+export function migrateMappings(data) {
+    if (Array.isArray(data)) return data.map(m => ({ ...createMapping(), ...m }));
+    if (!data) return [];
+    const mappings = [];
+    for (const [source, target] of Object.entries(data)) {
+        if (target === 'none' || !MAPPING_TARGETS.includes(target)) continue;
+        const mapping = createMapping(source, target);
+        mapping.invert = source === 'velocity' && target === 'density';
+        mappings.push(mapping);
+    }
+    return mappings;
+}
+
+/**
+ * Apply one mapping to a source value.
+ * @param {GestureMapping} mapping
+ * @param {number} value - Source value, 0–1
+ * @returns {number} 0–1 of the target's range
+ */
+export function applyMapping(mapping, value) {
+    const v = clamp(mapping.invert ? 1 - value : value, 0, 1);
+    return lerp(mapping.min, mapping.max, applyCurve(mapping.curve, v));
+}
+
+/**
+ * Evaluate every mapping whose source the gesture reports.
+ * @param {GestureMapping[]} mappings
+ * @param {Object<string, number>} gesture - Source values (missing ones are skipped)
+ * @returns {Object<string, number>} Target → 0–1 of its range
+ */
+export function resolveMappings(mappings, gesture) {
+    const values = {};
+    for (const mapping of mappings) {
+        const value = gesture[mapping.source];
+        if (value === undefined) continue;
+        values[mapping.target] = applyMapping(mapping, value);
+    }
+    return values;
+}
+
+/**
+ * Whether any mapping drives the given target.
+ * @param {GestureMapping[]} mappings
+ * @param {string} target
+ * @returns {boolean}
+ */
+export function mapsTo(mappings, target) {
+    return mappings.some(m => m.target === target);
+}
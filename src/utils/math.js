@@ -1,4 +1,4 @@
-// math.js — clamp, mapRange, lerp
+// math.js — clamp, mapRange, lerp, expMap
 
 /**
  * Clamp a value between min and max.
@@ -47,3 +47,14 @@ export function lerp(a, b, t) {
 export function expMap(normalized, min, max) {
     return min * Math.pow(max / min, normalized);
 }
+
+/**
+ * Inverse of expMap: value in [min, max] → normalized 0–1.
+ * @param {number} value
+ * @param {number} min - Lower bound (must be > 0)
+ * @param {number} max - Upper bound
+ * @returns {number}
+ */
+export function invExpMap(value, min, max) {
+    return Math.log(value / min) / Math.log(max / min);
+}
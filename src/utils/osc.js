@@ -0,0 +1,184 @@
+// osc.js — Open Sound Control 1.0 packet encoding and decoding.
+// Messages are built from an address and plain JS arguments (numbers → float32,
+// strings, booleans, Uint8Array blobs, or explicit { type, value } pairs);
+// bundles are flattened on decode, their time tags ignored.
+
+/**
+ * @typedef {Object} OscMessage
+ * @property {string} address - e.g. '/granul8/1/grainSize/min'
+ * @property {Array<number|string|boolean|null|Uint8Array>} args
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+/** Round up to the 4-byte OSC alignment. */
+const pad4 = n => (n + 3) & ~3;
+
+/**
+ * Map a JS argument to an OSC type tag and value.
+ * @param {*} arg
+ * @returns {{ type: string, value: * }}
+ */
+function toTypedArg(arg) {
+    if (arg !== null && typeof arg === 'object' && !(arg instanceof Uint8Array)) return arg;
+    if (typeof arg === 'number') return { type: 'f', value: arg };
+    if (typeof arg === 'string') return { type: 's', value: arg };
+    if (typeof arg === 'boolean') return { type: arg ? 'T' : 'F', value: arg };
+    if (arg instanceof Uint8Array) return { type: 'b', value: arg };
+    if (arg === null) return { type: 'N', value: null };
+    throw new TypeError(`Unsupported OSC argument: ${arg}`);
+}
+
+/**
+ * Encode one OSC message.
+ * @param {string} address
+ * @param {Array<number|string|boolean|null|Uint8Array|{type: string, value: *}>} [args]
+ *        Numbers are sent as float32; pass { type: 'i', value } for int32.
+ * @returns {Uint8Array}
+ */
+export function encodeOscMessage(address, args = []) {
+    const encoder = new TextEncoder();
+    const typed = args.map(toTypedArg);
+    const addressBytes = encoder.encode(address);
+    const tagBytes = encoder.encode(',' + typed.map(a => a.type).join(''));
+
+    // Sizes first, so the packet is written into one buffer
+    const strings = typed.map(a => (a.type === 's' ? encoder.encode(a.value) : null));
+    let size = pad4(addressBytes.length + 1) + pad4(tagBytes.length + 1);
+    typed.forEach((a, i) => {
+        if (a.type === 'i' || a.type === 'f') size += 4;
+        else if (a.type === 'd' || a.type === 'h') size += 8;
+        else if (a.type === 's') size += pad4(strings[i].length + 1);
+        else if (a.type === 'b') size += 4 + pad4(a.value.length);
+    });
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    const writeString = (b) => {
+        bytes.set(b, offset);
+        offset += pad4(b.length + 1);
+    };
+
+    writeString(addressBytes);
+    writeString(tagBytes);
+    typed.forEach((a, i) => {
+        switch (a.type) {
+            case 'i': view.setInt32(offset, a.value); offset += 4; break;
+            case 'f': view.setFloat32(offset, a.value); offset += 4; break;
+            case 'd': view.setFloat64(offset, a.value); offset += 8; break;
+            case 'h': view.setBigInt64(offset, BigInt(Math.trunc(a.value))); offset += 8; break;
+            case 's': writeString(strings[i]); break;
+            case 'b':
+                view.setInt32(offset, a.value.length);
+                bytes.set(a.value, offset + 4);
+                offset += 4 + pad4(a.value.length);
+                break;
+            case 'T': case 'F': case 'N': case 'I':
+                break; // No payload
+            default:
+                throw new TypeError(`Unsupported OSC type tag: ${a.type}`);
+        }
+    });
+    return bytes;
+}
+
+/**
+ * Decode an OSC packet (message or bundle) into its messages.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {OscMessage[]}
+ * @throws {Error} If the packet is malformed or uses an unsupported type tag
+ */
+export function decodeOscPacket(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const messages = [];
+    decodeInto(bytes, messages);
+    return messages;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {OscMessage[]} messages
+ */
+function decodeInto(bytes, messages) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    let offset = 0;
+
+    const need = (n) => {
+        if (offset + n > bytes.length) throw new Error('Truncated OSC packet');
+    };
+    const readString = () => {
+        const end = bytes.indexOf(0, offset);
+        if (end < 0) throw new Error('Unterminated OSC string');
+        const s = decoder.decode(bytes.subarray(offset, end));
+        offset = pad4(end + 1);
+        return s;
+    };
+
+    const address = readString();
+
+    if (address === BUNDLE_TAG) {
+        offset += 8; // Time tag: elements are dispatched immediately
+        while (offset < bytes.length) {
+            need(4);
+            const size = view.getInt32(offset);
+            offset += 4;
+            need(size);
+            decodeInto(bytes.subarray(offset, offset + size), messages);
+            offset += size;
+        }
+        return;
+    }
+
+    if (!address.startsWith('/')) throw new Error(`Invalid OSC address: ${address}`);
+
+    // A missing type tag string is tolerated by old senders: no arguments
+    const tags = offset < bytes.length ? readString() : ',';
+    const args = [];
+    for (const type of tags.slice(1)) {
+        switch (type) {
+            case 'i': need(4); args.push(view.getInt32(offset)); offset += 4; break;
+            case 'f': need(4); args.push(view.getFloat32(offset)); offset += 4; break;
+            case 'd': need(8); args.push(view.getFloat64(offset)); offset += 8; break;
+            case 'h': need(8); args.push(Number(view.getBigInt64(offset))); offset += 8; break;
+            case 's': case 'S': args.push(readString()); break;
+            case 'b': {
+                need(4);
+                const size = view.getInt32(offset);
+                need(4 + size);
+                args.push(bytes.slice(offset + 4, offset + 4 + size));
+                offset += 4 + pad4(size);
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            case 'I': args.push(Infinity); break;
+            default:
+                throw new Error(`Unsupported OSC type tag: ${type}`);
+        }
+    }
+    messages.push({ address, args });
+}
+
+/**
+ * Encode several messages as one bundle (time tag "immediately").
+ * @param {Array<{address: string, args?: Array}>} messages
+ * @returns {Uint8Array}
+ */
+export function encodeOscBundle(messages) {
+    const encoded = messages.map(m => encodeOscMessage(m.address, m.args));
+    const size = 16 + encoded.reduce((sum, m) => sum + 4 + m.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode(BUNDLE_TAG), 0);
+    view.setUint32(12, 1); // Time tag 1 = immediately
+    let offset = 16;
+    for (const m of encoded) {
+        view.setInt32(offset, m.length);
+        bytes.set(m, offset + 4);
+        offset += 4 + m.length;
+    }
+    return bytes;
+}
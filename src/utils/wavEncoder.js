@@ -0,0 +1,101 @@
+// wavEncoder.js — Encode PCM channel data as a RIFF/WAVE file.
+// Supports 16- and 24-bit integer PCM and 32-bit IEEE float.
+
+/** Supported output formats. */
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+/**
+ * Encode planar channel data into a WAV file.
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @param {number} sampleRate
+ * @param {16|24|32} [bitDepth=16] - 32 writes IEEE float, others integer PCM
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 16) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported bit depth: ${bitDepth}`);
+    }
+
+    const numChannels = channels.length;
+    const numFrames = numChannels > 0 ? channels[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    const isFloat = bitDepth === 32;
+
+    // Float files carry the extended fmt chunk (cbSize) and a fact chunk
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+    const out = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(out);
+    let p = 0;
+
+    const writeString = (str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(p++, str.charCodeAt(i));
+    };
+
+    writeString('RIFF');
+    view.setUint32(p, headerSize - 8 + dataSize, true); p += 4;
+    writeString('WAVE');
+
+    writeString('fmt ');
+    view.setUint32(p, fmtSize, true); p += 4;
+    view.setUint16(p, isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true); p += 2;
+    view.setUint16(p, numChannels, true); p += 2;
+    view.setUint32(p, sampleRate, true); p += 4;
+    view.setUint32(p, sampleRate * blockAlign, true); p += 4;
+    view.setUint16(p, blockAlign, true); p += 2;
+    view.setUint16(p, bitDepth, true); p += 2;
+    if (isFloat) {
+        view.setUint16(p, 0, true); p += 2;
+
+        writeString('fact');
+        view.setUint32(p, 4, true); p += 4;
+        view.setUint32(p, numFrames, true); p += 4;
+    }
+
+    writeString('data');
+    view.setUint32(p, dataSize, true); p += 4;
+
+    // Interleave samples
+    for (let i = 0; i < numFrames; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = channels[c][i];
+            if (isFloat) {
+                view.setFloat32(p, sample, true);
+            } else {
+                const s = Math.max(-1, Math.min(1, sample));
+                if (bitDepth === 16) {
+                    view.setInt16(p, Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF), true);
+                } else {
+                    const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+                    view.setUint8(p, v & 0xFF);
+                    view.setUint8(p + 1, (v >> 8) & 0xFF);
+                    view.setUint8(p + 2, (v >> 16) & 0xFF);
+                }
+            }
+            p += bytesPerSample;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Encode an AudioBuffer as a WAV Blob.
+ * @param {AudioBuffer} audioBuffer
+ * @param {16|24|32} [bitDepth=16]
+ * @returns {Blob}
+ */
+export function audioBufferToWav(audioBuffer, bitDepth = 16) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+    return new Blob([encodeWav(channels, audioBuffer.sampleRate, bitDepth)], { type: 'audio/wav' });
+}